@@ -0,0 +1,330 @@
+import { decodeToken } from 'jsontokens';
+import { b58ToC32, c32ToB58 } from 'c32check';
+import { fetchPrivate, LoginFailedError, RemoteServiceError } from '@stacks/common';
+import { StacksMainnet, StacksNetwork } from '@stacks/network';
+import { AuthScope, DEFAULT_SCOPE } from './constants';
+import { getAddressFromDID } from './dids';
+import { decryptPrivateKey, generateTransitKey, makeAuthRequest } from './messages';
+import { doPublicKeysMatchIssuer, doSignaturesMatchPublicKeys } from './verification';
+
+/**
+ * An auth request issued by [[AuthVerifier.createChallenge]]
+ */
+export interface AuthChallenge {
+  /** the signed auth request, to send to the authenticator */
+  authRequest: string;
+  /** identifies the challenge, pass it to [[AuthVerifier.verifyAuthResponse]] with the response */
+  nonce: string;
+  /** the time the challenge expires, in milliseconds since the Unix epoch */
+  expiresAt: number;
+}
+
+/**
+ * What an [[AuthVerifier]] keeps of a challenge until its response is verified
+ */
+export interface StoredAuthChallenge {
+  /** the private key the app private key of the response is encrypted with */
+  transitPrivateKey: string;
+  /** in milliseconds since the Unix epoch */
+  issuedAt: number;
+  /** in milliseconds since the Unix epoch */
+  expiresAt: number;
+}
+
+/**
+ * Keeps the pending challenges of an [[AuthVerifier]]. Servers with several instances need
+ * a shared store, e.g. in Redis or a database. [[MemoryAuthChallengeStore]] is provided.
+ */
+export interface AuthChallengeStore {
+  set(nonce: string, challenge: StoredAuthChallenge): Promise<void>;
+  /**
+   * Returns and removes the challenge, so that only one response is verified for it.
+   * Resolves to `undefined` if the challenge is unknown.
+   */
+  take(nonce: string): Promise<StoredAuthChallenge | undefined>;
+}
+
+/**
+ * Keeps challenges in memory, for servers with a single instance and tests.
+ */
+export class MemoryAuthChallengeStore implements AuthChallengeStore {
+  challenges = new Map<string, StoredAuthChallenge>();
+
+  set(nonce: string, challenge: StoredAuthChallenge): Promise<void> {
+    // drop the challenges that expired without a response
+    const now = Date.now();
+    this.challenges.forEach((stored, storedNonce) => {
+      if (stored.expiresAt < now) {
+        this.challenges.delete(storedNonce);
+      }
+    });
+    this.challenges.set(nonce, challenge);
+    return Promise.resolve();
+  }
+
+  take(nonce: string): Promise<StoredAuthChallenge | undefined> {
+    const challenge = this.challenges.get(nonce);
+    this.challenges.delete(nonce);
+    return Promise.resolve(challenge);
+  }
+}
+
+/**
+ * Resolves BNS names to the address that owns them, for [[AuthVerifier]].
+ * [[BnsNameLookup]] and [[LocalNameLookup]] are provided.
+ */
+export interface NameLookup {
+  /** Resolves to the address owning the name, `undefined` if the name isn't registered */
+  getNameOwner(name: string): Promise<string | undefined>;
+}
+
+/**
+ * Looks up names with the BNS endpoint of a Stacks API node.
+ */
+export class BnsNameLookup implements NameLookup {
+  network: StacksNetwork;
+
+  constructor(network: StacksNetwork = new StacksMainnet()) {
+    this.network = network;
+  }
+
+  async getNameOwner(name: string): Promise<string | undefined> {
+    const fetchFn = this.network.fetchFn ?? fetchPrivate;
+    const response = await fetchFn(`${this.network.bnsLookupUrl}/v1/names/${name}`);
+    if (response.status === 404) {
+      return undefined;
+    }
+    if (!response.ok) {
+      throw new RemoteServiceError(response, `Failed to look up the name ${name}`);
+    }
+    const nameInfo = await response.json();
+    return nameInfo.address;
+  }
+}
+
+/**
+ * Looks up names in a fixed map of names to owner addresses, a stand-in for
+ * [[BnsNameLookup]] in tests and local development.
+ */
+export class LocalNameLookup implements NameLookup {
+  names: Record<string, string>;
+
+  constructor(names: Record<string, string> = {}) {
+    this.names = names;
+  }
+
+  getNameOwner(name: string): Promise<string | undefined> {
+    return Promise.resolve(this.names[name]);
+  }
+}
+
+/**
+ * Options for constructing an [[AuthVerifier]]
+ */
+export interface AuthVerifierOptions {
+  /** the origin of the app, e.g. `https://example.com` */
+  appDomain: string;
+  /** @default `${appDomain}/` */
+  redirectURI?: string;
+  /** @default `${appDomain}/manifest.json` */
+  manifestURI?: string;
+  /** @default ['store_write'] */
+  scopes?: (AuthScope | string)[];
+  /** @default a [[MemoryAuthChallengeStore]] */
+  challengeStore?: AuthChallengeStore;
+  /** @default a [[BnsNameLookup]] on mainnet */
+  nameLookup?: NameLookup;
+  /**
+   * How long a challenge can be answered, in milliseconds.
+   * @default 600000 (10 minutes)
+   */
+  challengeTtl?: number;
+  /**
+   * How far the clock of the authenticator may be off, in milliseconds.
+   * @default 60000 (1 minute)
+   */
+  clockTolerance?: number;
+}
+
+/**
+ * The identity of a user, verified by [[AuthVerifier.verifyAuthResponse]]
+ */
+export interface VerifiedIdentity {
+  /** the decentralized identifier of the user, `did:btc-addr:<address>` */
+  did: string;
+  /** the identity address of the user, as a mainnet Stacks address */
+  address: string;
+  /** the BNS name of the user, verified to be owned by the identity address, `null` if none */
+  username: string | null;
+  /** the public key that signed the auth response */
+  publicKey: string;
+  /** the app private key of the user for the app domain */
+  appPrivateKey: string;
+  hubUrl: string | null;
+  profileUrl: string | null;
+  email: string | null;
+}
+
+/**
+ * Verifies auth responses on a server, for apps that log users in to their backend with
+ * their Stacks identity.
+ *
+ * The server issues a challenge auth request with a fresh transit key for each login.
+ * The response must be signed by the key of the identity it claims, have an expiration time
+ * that hasn't passed, be issued after the challenge, and carry an app private key encrypted
+ * to the transit key of the challenge, which binds it to the challenge and to the app domain
+ * of its request. Each challenge can only be answered once. A claimed username is checked to be owned by the identity address.
+ *
+ * @example
+ * ```
+ * const verifier = new AuthVerifier({ appDomain: 'https://example.com' });
+ * // when the user starts to log in
+ * const { authRequest, nonce } = await verifier.createChallenge();
+ * // when the authenticator redirects back to the app, with the response and nonce
+ * const identity = await verifier.verifyAuthResponse(authResponse, nonce);
+ * ```
+ */
+export class AuthVerifier {
+  appDomain: string;
+
+  redirectURI: string;
+
+  manifestURI: string;
+
+  scopes: (AuthScope | string)[];
+
+  challengeStore: AuthChallengeStore;
+
+  nameLookup: NameLookup;
+
+  challengeTtl: number;
+
+  clockTolerance: number;
+
+  constructor(options: AuthVerifierOptions) {
+    this.appDomain = options.appDomain.replace(/\/$/, '');
+    this.redirectURI = options.redirectURI ?? `${this.appDomain}/`;
+    this.manifestURI = options.manifestURI ?? `${this.appDomain}/manifest.json`;
+    this.scopes = options.scopes ?? DEFAULT_SCOPE.slice();
+    this.challengeStore = options.challengeStore ?? new MemoryAuthChallengeStore();
+    this.nameLookup = options.nameLookup ?? new BnsNameLookup();
+    this.challengeTtl = options.challengeTtl ?? 10 * 60 * 1000;
+    this.clockTolerance = options.clockTolerance ?? 60 * 1000;
+  }
+
+  /**
+   * Issues a challenge auth request, to send to the authenticator of the user.
+   *
+   * @returns {Promise<AuthChallenge>} that resolves to the auth request and its nonce
+   */
+  async createChallenge(): Promise<AuthChallenge> {
+    const transitPrivateKey = generateTransitKey();
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + this.challengeTtl;
+    const authRequest = makeAuthRequest(
+      transitPrivateKey,
+      this.redirectURI,
+      this.manifestURI,
+      this.scopes,
+      this.appDomain,
+      expiresAt
+    );
+    const nonce = (decodeToken(authRequest).payload as Record<string, any>).jti as string;
+    await this.challengeStore.set(nonce, { transitPrivateKey, issuedAt, expiresAt });
+    return { authRequest, nonce, expiresAt };
+  }
+
+  /**
+   * Verifies the auth response to a challenge.
+   *
+   * @param {String} authResponse - the signed auth response token
+   * @param {String} nonce - the nonce of the challenge, from [[createChallenge]]
+   *
+   * @returns {Promise<VerifiedIdentity>} that resolves to the identity of the user
+   * @throws {LoginFailedError} if the response is not valid for the challenge
+   */
+  async verifyAuthResponse(authResponse: string, nonce: string): Promise<VerifiedIdentity> {
+    const challenge = await this.challengeStore.take(nonce);
+    const now = Date.now();
+    if (!challenge || challenge.expiresAt < now) {
+      throw new LoginFailedError('Unknown or expired auth challenge');
+    }
+
+    let payload: Record<string, any>;
+    try {
+      const token = decodeToken(authResponse);
+      if (token.header.alg === 'none' || typeof token.payload === 'string') {
+        throw new Error('Unsigned token');
+      }
+      payload = token.payload;
+    } catch (error) {
+      throw new LoginFailedError('Invalid auth response token');
+    }
+
+    if (!Array.isArray(payload.public_keys) || payload.public_keys.length !== 1) {
+      throw new LoginFailedError('Auth response must have a single public key');
+    }
+    if (!doSignaturesMatchPublicKeys(authResponse)) {
+      throw new LoginFailedError('Auth response signature does not match its public key');
+    }
+    if (!doPublicKeysMatchIssuer(authResponse)) {
+      throw new LoginFailedError('Auth response public key does not match its issuer');
+    }
+
+    // JWT times are in seconds
+    if (typeof payload.exp !== 'number') {
+      throw new LoginFailedError('Auth response has no expiration time');
+    }
+    if (payload.exp * 1000 + this.clockTolerance < now) {
+      throw new LoginFailedError('Auth response has expired');
+    }
+    if (
+      typeof payload.iat !== 'number' ||
+      payload.iat * 1000 + this.clockTolerance < challenge.issuedAt - (challenge.issuedAt % 1000) ||
+      payload.iat * 1000 - this.clockTolerance > now
+    ) {
+      throw new LoginFailedError('Auth response was not issued for this challenge');
+    }
+
+    if (typeof payload.private_key !== 'string') {
+      throw new LoginFailedError('Auth response has no app private key');
+    }
+    let appPrivateKey: string | null;
+    try {
+      appPrivateKey = await decryptPrivateKey(challenge.transitPrivateKey, payload.private_key);
+    } catch (error) {
+      appPrivateKey = null;
+    }
+    if (!appPrivateKey) {
+      throw new LoginFailedError('Auth response is not a response to this challenge');
+    }
+
+    const identityAddress = getAddressFromDID(payload.iss)!;
+    const username: string | null = payload.username || null;
+    if (username) {
+      const owner = await this.nameLookup.getNameOwner(username);
+      let ownerBtc = owner;
+      if (owner) {
+        try {
+          // try converting STX to BTC
+          // if this throws, it's already a BTC address
+          ownerBtc = c32ToB58(owner, 0);
+        } catch {}
+      }
+      if (!ownerBtc || ownerBtc !== identityAddress) {
+        throw new LoginFailedError(`Username ${username} is not owned by the identity address`);
+      }
+    }
+
+    return {
+      did: payload.iss,
+      address: b58ToC32(identityAddress),
+      username,
+      publicKey: payload.public_keys[0],
+      appPrivateKey,
+      hubUrl: payload.hubUrl ?? null,
+      profileUrl: payload.profile_url ?? null,
+      email: payload.email ?? null,
+    };
+  }
+}
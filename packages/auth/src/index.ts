@@ -15,6 +15,32 @@ export {
 } from './verification';
 export * from './dids';
 export { UserSession } from './userSession';
+export { SessionData, SessionOptions } from './sessionData';
+export {
+  SessionDataStore,
+  InstanceDataStore,
+  LocalStorageStore,
+  AsyncSessionDataStore,
+  AsyncSessionStoreAdapter,
+  FileSystemSessionStore,
+  SessionFileSystem,
+  SessionPathModule,
+  CookieSessionStore,
+  CookieSessionStoreOptions,
+  CookieOptions,
+} from './sessionStore';
+export {
+  AuthVerifier,
+  AuthVerifierOptions,
+  AuthChallenge,
+  AuthChallengeStore,
+  StoredAuthChallenge,
+  MemoryAuthChallengeStore,
+  NameLookup,
+  BnsNameLookup,
+  LocalNameLookup,
+  VerifiedIdentity,
+} from './authVerifier';
 export * from './constants';
 export * from './profile';
 export * from './userData';
@@ -5,11 +5,27 @@ const SESSION_VERSION = '1.0.0';
 
 type EtagMap = { [key: string]: string };
 
+/**
+ * The chunks of an interrupted chunked upload, by path, so that the upload can be resumed
+ * @ignore
+ */
+export type ChunkedUploadMap = {
+  [key: string]: {
+    uploadId: string;
+    size: number;
+    chunkSize: number;
+    encrypted: boolean;
+    /** sha256 of the plain and of the stored content of each uploaded chunk */
+    chunks: ({ hash: string; storedHash: string } | null)[];
+  };
+};
+
 export interface SessionOptions {
   coreNode?: string;
   userData?: UserData;
   transitKey?: string;
   etags?: EtagMap;
+  chunkedUploads?: ChunkedUploadMap;
   localStorageKey?: string;
   storeOptions?: {
     localStorageKey?: string;
@@ -30,11 +46,14 @@ export class SessionData {
 
   etags?: EtagMap;
 
+  chunkedUploads?: ChunkedUploadMap;
+
   constructor(options: SessionOptions) {
     this.version = SESSION_VERSION;
     this.userData = options.userData;
     this.transitKey = options.transitKey;
     this.etags = options.etags ? options.etags : {};
+    this.chunkedUploads = options.chunkedUploads ? options.chunkedUploads : {};
   }
 
   // getGaiaHubConfig(): GaiaHubConfig {
@@ -54,6 +73,7 @@ export class SessionData {
       userData: json.userData,
       transitKey: json.transitKey,
       etags: json.etags,
+      chunkedUploads: json.chunkedUploads,
     };
     return new SessionData(options);
   }
@@ -1,6 +1,7 @@
 import { SessionData, SessionOptions } from './sessionData';
 import { LOCALSTORAGE_SESSION_KEY } from './constants';
-import { NoSessionDataError } from '@stacks/common';
+import { Buffer, Logger, NoSessionDataError } from '@stacks/common';
+import { decryptContent, encryptContent, hashSha256Sync, randomBytes } from '@stacks/encryption';
 
 /**
  * An abstract class representing the SessionDataStore interface.
@@ -107,3 +108,372 @@ export class LocalStorageStore extends SessionDataStore {
     return true;
   }
 }
+
+/**
+ * A session data store that is read and written asynchronously, such as cookies, secure
+ * storage or a database. Pass it as the `sessionStore` of a [[UserSession]], and call
+ * [[UserSession.loadSession]] before using the session.
+ */
+export interface AsyncSessionDataStore {
+  /** Resolves to the stored session data, or to `undefined` if none is stored. */
+  getSessionData(): Promise<SessionData | undefined>;
+
+  setSessionData(session: SessionData): Promise<boolean>;
+
+  deleteSessionData(): Promise<boolean>;
+}
+
+/**
+ * Adapts a synchronous [[SessionDataStore]] to the [[AsyncSessionDataStore]] interface.
+ */
+export class AsyncSessionStoreAdapter implements AsyncSessionDataStore {
+  store: SessionDataStore;
+
+  constructor(store: SessionDataStore) {
+    this.store = store;
+  }
+
+  getSessionData(): Promise<SessionData | undefined> {
+    try {
+      return Promise.resolve(this.store.getSessionData());
+    } catch (error) {
+      if (error instanceof NoSessionDataError) {
+        return Promise.resolve(undefined);
+      }
+      return Promise.reject(error);
+    }
+  }
+
+  setSessionData(session: SessionData): Promise<boolean> {
+    try {
+      return Promise.resolve(this.store.setSessionData(session));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  deleteSessionData(): Promise<boolean> {
+    try {
+      return Promise.resolve(this.store.deleteSessionData());
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+}
+
+/**
+ * Keeps the session data of an [[AsyncSessionDataStore]] in memory, so that it can be read
+ * synchronously. [[save]] and [[delete]] resolve once the async store is written, changes made
+ * with the synchronous methods are written in the background, in order.
+ * @ignore
+ */
+export class CachedSessionDataStore extends SessionDataStore {
+  asyncStore: AsyncSessionDataStore;
+
+  sessionData?: SessionData;
+
+  /** the initial session data, used if the async store has none */
+  sessionOptions?: SessionOptions;
+
+  private writes: Promise<void> = Promise.resolve();
+
+  private writeError?: Error;
+
+  constructor(asyncStore: AsyncSessionDataStore, sessionOptions?: SessionOptions) {
+    super();
+    this.asyncStore = asyncStore;
+    this.sessionOptions = sessionOptions;
+  }
+
+  getSessionData(): SessionData {
+    if (!this.sessionData) {
+      throw new NoSessionDataError(
+        'No session data was loaded from the session store. Call UserSession.loadSession first.'
+      );
+    }
+    return this.sessionData;
+  }
+
+  setSessionData(session: SessionData): boolean {
+    this.sessionData = session;
+    this.queueWrite(() => this.asyncStore.setSessionData(session));
+    return true;
+  }
+
+  deleteSessionData(): boolean {
+    this.sessionData = new SessionData({});
+    this.queueWrite(() => this.asyncStore.deleteSessionData());
+    return true;
+  }
+
+  /** Sets the session data and resolves once it is written to the async store. */
+  async save(session: SessionData): Promise<void> {
+    this.setSessionData(session);
+    await this.flush();
+  }
+
+  /** Deletes the session data and resolves once it is deleted from the async store. */
+  async delete(): Promise<void> {
+    this.deleteSessionData();
+    await this.flush();
+  }
+
+  private queueWrite(write: () => Promise<boolean>) {
+    this.writes = this.writes.then(write).then(
+      () => undefined,
+      error => {
+        Logger.error(`Failed to write the session data to the session store: ${error}`);
+        this.writeError = error;
+      }
+    );
+  }
+
+  /** Resolves once the queued writes are done, rejects with the error of a failed write. */
+  async flush(): Promise<void> {
+    await this.writes;
+    const error = this.writeError;
+    if (error) {
+      this.writeError = undefined;
+      throw error;
+    }
+  }
+
+  /**
+   * Reads the session data from the async store, after the queued writes. If the store has
+   * none, it is initialized with the session options.
+   */
+  async load(): Promise<SessionData> {
+    await this.flush();
+    const sessionData = await this.asyncStore.getSessionData();
+    if (sessionData) {
+      this.sessionData = sessionData;
+    } else if (this.sessionOptions) {
+      await this.save(new SessionData(this.sessionOptions));
+    } else {
+      this.sessionData = new SessionData({});
+    }
+    return this.sessionData!;
+  }
+}
+
+/**
+ * The functions of the `fs.promises` module of Node.js used by [[FileSystemSessionStore]]
+ */
+export interface SessionFileSystem {
+  readFile(path: string, encoding: 'utf8'): Promise<string>;
+  writeFile(path: string, data: string, options: { encoding: 'utf8'; mode: number }): Promise<void>;
+  mkdir(path: string, options: { recursive: true }): Promise<unknown>;
+  rename(oldPath: string, newPath: string): Promise<void>;
+  unlink(path: string): Promise<void>;
+}
+
+/**
+ * The functions of the `path` module of Node.js used by [[FileSystemSessionStore]]
+ */
+export interface SessionPathModule {
+  dirname(path: string): string;
+}
+
+/**
+ * Stores session data in a JSON file, for Node.js. The file is only readable by its owner,
+ * as the session data contains the app private key. The `fs` and `path` modules are passed
+ * in, so that bundles for browsers don't include them.
+ *
+ * @example
+ * ```
+ * import { promises as fs } from 'fs';
+ * import * as path from 'path';
+ *
+ * const sessionStore = new FileSystemSessionStore('./session.json', fs, path);
+ * ```
+ */
+export class FileSystemSessionStore implements AsyncSessionDataStore {
+  filePath: string;
+  private fs: SessionFileSystem;
+  private path: SessionPathModule;
+
+  /**
+   * @param {string} filePath - the file the session data is stored in
+   * @param {SessionFileSystem} fs - the `fs.promises` module
+   * @param {SessionPathModule} path - the `path` module
+   */
+  constructor(filePath: string, fs: SessionFileSystem, path: SessionPathModule) {
+    this.filePath = filePath;
+    this.fs = fs;
+    this.path = path;
+  }
+
+  async getSessionData(): Promise<SessionData | undefined> {
+    let data: string;
+    try {
+      data = await this.fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+    return SessionData.fromJSON(JSON.parse(data));
+  }
+
+  async setSessionData(session: SessionData): Promise<boolean> {
+    await this.fs.mkdir(this.path.dirname(this.filePath), { recursive: true });
+    // write to a temporary file first, so that the session file is never partially written
+    const tempPath = `${this.filePath}.${randomBytes(8).toString('hex')}.tmp`;
+    await this.fs.writeFile(tempPath, session.toString(), { encoding: 'utf8', mode: 0o600 });
+    await this.fs.rename(tempPath, this.filePath);
+    return true;
+  }
+
+  async deleteSessionData(): Promise<boolean> {
+    try {
+      await this.fs.unlink(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+    return true;
+  }
+}
+
+/**
+ * Attributes of the cookie set by a [[CookieSessionStore]]
+ */
+export interface CookieOptions {
+  /** Lifetime of the cookie in seconds, a session cookie if undefined */
+  maxAge?: number;
+  path?: string;
+  domain?: string;
+  secure?: boolean;
+  httpOnly?: boolean;
+  sameSite?: 'strict' | 'lax' | 'none';
+}
+
+/**
+ * Options for constructing a [[CookieSessionStore]]
+ */
+export interface CookieSessionStoreOptions {
+  /**
+   * The secret the session data is encrypted with, at least 32 characters long.
+   * Keep it out of the source code, e.g. in an environment variable.
+   */
+  secret: string;
+  /** @default 'stacks-session' */
+  cookieName?: string;
+  /** Returns the value of a cookie of the current request */
+  getCookie: (name: string) => string | undefined | Promise<string | undefined>;
+  /**
+   * Sets a cookie on the current response. Called with an empty value and a `maxAge` of
+   * 0 to delete the cookie.
+   */
+  setCookie: (name: string, value: string, options: CookieOptions) => void | Promise<void>;
+  /** @default { path: '/', httpOnly: true, secure: true, sameSite: 'lax' } */
+  cookieOptions?: CookieOptions;
+}
+
+/** The size limit of a cookie in most browsers, including its name and attributes */
+const MAX_COOKIE_LENGTH = 4096;
+
+/** Room left in a cookie for its attributes */
+const COOKIE_ATTRIBUTES_LENGTH = 160;
+
+/**
+ * Stores session data in encrypted cookies, for server-rendered apps. Create a store for
+ * each request, with functions that read the cookies of the request and set the cookies of
+ * the response. The encrypted session is split into cookies named `stacks-session.0`,
+ * `stacks-session.1`..., as it is usually larger than the size limit of a cookie. Cookies
+ * that can't be decrypted, e.g. after the secret changed, are treated as no session.
+ *
+ * @example
+ * ```
+ * // in an express request handler, with the cookie-parser middleware
+ * const sessionStore = new CookieSessionStore({
+ *   secret: process.env.SESSION_SECRET,
+ *   getCookie: name => req.cookies[name],
+ *   setCookie: (name, value, options) =>
+ *     res.cookie(name, value, { ...options, maxAge: options.maxAge && options.maxAge * 1000 }),
+ * });
+ * ```
+ */
+export class CookieSessionStore implements AsyncSessionDataStore {
+  cookieName: string;
+
+  cookieOptions: CookieOptions;
+
+  private options: CookieSessionStoreOptions;
+
+  private privateKey: string;
+
+  constructor(options: CookieSessionStoreOptions) {
+    if (!options.secret || options.secret.length < 32) {
+      throw new Error('The secret of a CookieSessionStore must be at least 32 characters long');
+    }
+    this.options = options;
+    this.cookieName = options.cookieName ?? 'stacks-session';
+    this.cookieOptions = options.cookieOptions ?? {
+      path: '/',
+      httpOnly: true,
+      secure: true,
+      sameSite: 'lax',
+    };
+    this.privateKey = hashSha256Sync(Buffer.from(options.secret)).toString('hex');
+  }
+
+  private getChunkName(index: number): string {
+    return `${this.cookieName}.${index}`;
+  }
+
+  /** Reads the values of the cookies the session is split into */
+  private async getChunks(): Promise<string[]> {
+    const chunks: string[] = [];
+    let chunk = await this.options.getCookie(this.getChunkName(0));
+    while (chunk) {
+      chunks.push(chunk);
+      chunk = await this.options.getCookie(this.getChunkName(chunks.length));
+    }
+    return chunks;
+  }
+
+  private async deleteChunks(from: number, count: number): Promise<void> {
+    for (let i = from; i < count; i++) {
+      await this.options.setCookie(this.getChunkName(i), '', { ...this.cookieOptions, maxAge: 0 });
+    }
+  }
+
+  async getSessionData(): Promise<SessionData | undefined> {
+    const chunks = await this.getChunks();
+    if (chunks.length === 0) {
+      return undefined;
+    }
+    let data: string;
+    try {
+      data = (await decryptContent(chunks.join(''), { privateKey: this.privateKey })) as string;
+    } catch (error) {
+      return undefined;
+    }
+    return SessionData.fromJSON(JSON.parse(data));
+  }
+
+  async setSessionData(session: SessionData): Promise<boolean> {
+    const value = await encryptContent(session.toString(), {
+      privateKey: this.privateKey,
+      cipherAlgorithm: 'aes-256-gcm',
+      compactCipherObject: true,
+    });
+    const previousCount = (await this.getChunks()).length;
+    const chunkLength = MAX_COOKIE_LENGTH - COOKIE_ATTRIBUTES_LENGTH - this.cookieName.length;
+    const count = Math.ceil(value.length / chunkLength);
+    for (let i = 0; i < count; i++) {
+      const chunk = value.slice(i * chunkLength, (i + 1) * chunkLength);
+      await this.options.setCookie(this.getChunkName(i), chunk, this.cookieOptions);
+    }
+    await this.deleteChunks(count, previousCount);
+    return true;
+  }
+
+  async deleteSessionData(): Promise<boolean> {
+    await this.deleteChunks(0, (await this.getChunks()).length);
+    return true;
+  }
+}
@@ -1,8 +1,14 @@
 // @ts-ignore
 import { Buffer } from '@stacks/common';
 import { AppConfig } from './appConfig';
-import { SessionOptions } from './sessionData';
-import { InstanceDataStore, LocalStorageStore, SessionDataStore } from './sessionStore';
+import { SessionData, SessionOptions } from './sessionData';
+import {
+  AsyncSessionDataStore,
+  CachedSessionDataStore,
+  InstanceDataStore,
+  LocalStorageStore,
+  SessionDataStore,
+} from './sessionStore';
 import { decodeToken } from 'jsontokens';
 import { verifyAuthResponse } from './verification';
 import * as authMessages from './messages';
@@ -57,7 +63,7 @@ export class UserSession {
    */
   constructor(options?: {
     appConfig?: AppConfig;
-    sessionStore?: SessionDataStore;
+    sessionStore?: SessionDataStore | AsyncSessionDataStore;
     sessionOptions?: SessionOptions;
   }) {
     let runningInBrowser = true;
@@ -75,8 +81,11 @@ export class UserSession {
       throw new MissingParameterError('You need to specify options.appConfig');
     }
 
-    if (options && options.sessionStore) {
-      this.store = options.sessionStore;
+    const sessionStore = options && options.sessionStore;
+    if (sessionStore instanceof SessionDataStore) {
+      this.store = sessionStore;
+    } else if (sessionStore) {
+      this.store = new CachedSessionDataStore(sessionStore, options!.sessionOptions);
     } else if (runningInBrowser) {
       if (options) {
         this.store = new LocalStorageStore(options.sessionOptions);
@@ -90,6 +99,32 @@ export class UserSession {
     }
   }
 
+  /**
+   * Loads the session from the session store. Must be called before using a session with an
+   * [[AsyncSessionDataStore]], as its data can't be read synchronously otherwise.
+   *
+   * @returns {Promise<SessionData>} that resolves to the session data
+   */
+  async loadSession(): Promise<SessionData> {
+    if (this.store instanceof CachedSessionDataStore) {
+      return this.store.load();
+    }
+    return this.store.getSessionData();
+  }
+
+  /**
+   * Waits until the changes to the session are written to an [[AsyncSessionDataStore]].
+   * Changes made by synchronous methods are written in the background, e.g. the transit key
+   * of `makeAuthRequest` or the etags saved by `Storage.putFile`.
+   *
+   * @returns {Promise<void>} that rejects if writing a change failed
+   */
+  async saveSession(): Promise<void> {
+    if (this.store instanceof CachedSessionDataStore) {
+      await this.store.flush();
+    }
+  }
+
   /**
    * Generates an authentication request that can be sent to the Blockstack
    * browser for the user to approve sign in. This authentication request can
@@ -348,7 +383,11 @@ export class UserSession {
     }
 
     sessionData.userData = userData;
-    this.store.setSessionData(sessionData);
+    if (this.store instanceof CachedSessionDataStore) {
+      await this.store.save(sessionData);
+    } else {
+      this.store.setSessionData(sessionData);
+    }
 
     return userData;
   }
@@ -405,14 +444,19 @@ export class UserSession {
    * @param  redirectURL
    * Location to redirect user to after sign out.
    * Only used in environments with `window` available
+   * @returns {Promise<void>} that resolves once the session is deleted from the session store
    */
 
-  signUserOut(
+  async signUserOut(
     redirectURL?: string
     // TODO: this is not used?
     // caller?: UserSession
-  ) {
-    this.store.deleteSessionData();
+  ): Promise<void> {
+    if (this.store instanceof CachedSessionDataStore) {
+      await this.store.delete();
+    } else {
+      this.store.deleteSessionData();
+    }
     if (redirectURL) {
       if (typeof location !== 'undefined' && location.href) {
         location.href = redirectURL;
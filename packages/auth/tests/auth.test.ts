@@ -16,13 +16,26 @@ import {
   AppConfig,
   makeDIDFromAddress,
   lookupProfile,
+  CookieSessionStore,
+  CookieOptions,
+  FileSystemSessionStore,
+  AsyncSessionStoreAdapter,
+  InstanceDataStore,
+  SessionData,
+  AuthVerifier,
+  BnsNameLookup,
+  LocalNameLookup,
 } from '../src';
+import { StacksMainnet } from '@stacks/network';
 
 import { makeECPrivateKey, getPublicKeyFromPrivate, publicKeyToAddress } from '@stacks/encryption';
 
 import { sampleProfiles, sampleNameRecords, sampleTokenFiles } from './sampleData';
 
 import fetchMock from 'jest-fetch-mock';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
 
 beforeEach(() => {
   fetchMock.resetMocks();
@@ -527,3 +540,269 @@ test('profileLookUp', async () => {
   );
   expect(fetchMock.mock.calls[3][0]).toEqual(sampleTokenFiles.ryan.url);
 });
+
+test('handlePendingSignIn with a cookie session store', async () => {
+  fetchMock.mockResponse(JSON.stringify(sampleNameRecords.ryan));
+  const secret = 'a very secret secret of 32+ characters';
+  const cookies: { [name: string]: string } = {};
+  const setCookies: (CookieOptions & { name: string })[] = [];
+  const makeStore = (storeSecret: string) =>
+    new CookieSessionStore({
+      secret: storeSecret,
+      getCookie: name => cookies[name],
+      setCookie: (name, value, options) => {
+        cookies[name] = value;
+        setCookies.push({ name, ...options });
+      },
+    });
+  const appConfig = new AppConfig(['store_write'], 'http://localhost:3000');
+
+  const appPrivateKey = makeECPrivateKey();
+  const transitPrivateKey = makeECPrivateKey();
+  const signInSession = new UserSession({ appConfig, sessionStore: makeStore(secret) });
+  await signInSession.loadSession();
+  signInSession.store.getSessionData().transitKey = transitPrivateKey;
+  const authResponse = await makeAuthResponse(
+    privateKey,
+    sampleProfiles.ryan,
+    'ryan.id',
+    {},
+    undefined,
+    appPrivateKey,
+    undefined,
+    getPublicKeyFromPrivate(transitPrivateKey)
+  );
+  await signInSession.handlePendingSignIn(authResponse);
+  // the session is split into cookies within the size limit
+  const cookieNames = Object.keys(cookies);
+  expect(cookieNames.length).toBeGreaterThan(1);
+  expect(cookieNames[0]).toEqual('stacks-session.0');
+  expect(setCookies[0]).toEqual({
+    name: 'stacks-session.0',
+    path: '/',
+    httpOnly: true,
+    secure: true,
+    sameSite: 'lax',
+  });
+  cookieNames.forEach(name => expect(cookies[name].length).toBeLessThan(4000));
+  expect(cookieNames.map(name => cookies[name]).join('')).not.toContain(appPrivateKey);
+  setCookies.length = 0;
+
+  // a later request
+  const userSession = new UserSession({ appConfig, sessionStore: makeStore(secret) });
+  expect(() => userSession.isUserSignedIn()).toThrow('Call UserSession.loadSession first');
+  await userSession.loadSession();
+  expect(userSession.isUserSignedIn()).toEqual(true);
+  expect(userSession.loadUserData().appPrivateKey).toEqual(appPrivateKey);
+
+  // a cookie encrypted with another secret is no session
+  const otherSession = new UserSession({
+    appConfig,
+    sessionStore: makeStore('another secret of 32 characters or more'),
+  });
+  await otherSession.loadSession();
+  expect(otherSession.isUserSignedIn()).toEqual(false);
+
+  await userSession.signUserOut();
+  expect(setCookies.map(cookie => cookie.name)).toEqual(cookieNames);
+  setCookies.forEach(cookie => expect(cookie.maxAge).toEqual(0));
+  cookieNames.forEach(name => expect(cookies[name]).toEqual(''));
+
+  expect(() => makeStore('too short')).toThrow('must be at least 32 characters long');
+});
+
+test('file system session store and sync store adapter', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stacks-session-'));
+  try {
+    const filePath = path.join(dir, 'sessions', 'session.json');
+    const store = new FileSystemSessionStore(filePath, fs.promises, path);
+    expect(await store.getSessionData()).toBeUndefined();
+
+    const appConfig = new AppConfig(['store_write'], 'http://localhost:3000');
+    const userSession = new UserSession({
+      appConfig,
+      sessionStore: store,
+      sessionOptions: { userData: { appPrivateKey: privateKey } as any },
+    });
+    // the session options are written to an empty store
+    expect((await userSession.loadSession()).userData!.appPrivateKey).toEqual(privateKey);
+    expect((await store.getSessionData())!.userData!.appPrivateKey).toEqual(privateKey);
+    userSession.store.getSessionData().etags = { 'file.json': '"1"' };
+    userSession.store.setSessionData(userSession.store.getSessionData());
+    await userSession.saveSession();
+
+    expect(fs.statSync(filePath).mode & 0o777).toEqual(0o600);
+    const stored = (await store.getSessionData())!;
+    expect(stored.etags).toEqual({ 'file.json': '"1"' });
+
+    // but they don't overwrite a stored session
+    const otherSession = new UserSession({
+      appConfig,
+      sessionStore: store,
+      sessionOptions: { userData: { appPrivateKey: 'other' } as any },
+    });
+    const loaded = await otherSession.loadSession();
+    expect(loaded.userData!.appPrivateKey).toEqual(privateKey);
+    expect(loaded.etags).toEqual({ 'file.json': '"1"' });
+    expect((await store.getSessionData())!.userData!.appPrivateKey).toEqual(privateKey);
+
+    await store.deleteSessionData();
+    expect(fs.existsSync(filePath)).toEqual(false);
+    await store.deleteSessionData();
+
+    const adapter = new AsyncSessionStoreAdapter(new InstanceDataStore());
+    await adapter.setSessionData(stored);
+    expect(await adapter.getSessionData()).toBe(stored);
+
+    // write errors reject the session methods that write
+    const failingSession = new UserSession({
+      appConfig,
+      sessionStore: {
+        getSessionData: () => Promise.resolve(new SessionData({})),
+        setSessionData: () => Promise.reject(new Error('Store is down')),
+        deleteSessionData: () => Promise.reject(new Error('Store is down')),
+      },
+    });
+    await failingSession.loadSession();
+    await expect(failingSession.signUserOut()).rejects.toThrow('Store is down');
+    // and the next saveSession after a background write
+    failingSession.generateAndStoreTransitKey();
+    await expect(failingSession.saveSession()).rejects.toThrow('Store is down');
+    await failingSession.saveSession();
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
+
+test('AuthVerifier verifies the response to a challenge', async () => {
+  const verifier = new AuthVerifier({
+    appDomain: 'https://example.com',
+    nameLookup: new LocalNameLookup({ 'ryan.id': sampleNameRecords.ryan.address }),
+  });
+  const respond = async (authRequest: string, username: string | null = 'ryan.id') => {
+    const transitPublicKey = (decodeToken(authRequest).payload as any).public_keys[0];
+    return makeAuthResponse(
+      privateKey,
+      sampleProfiles.ryan,
+      username,
+      { email: 'ryan@example.com', profileUrl: 'https://hub.example.com/profile.json' },
+      undefined,
+      makeECPrivateKey(),
+      undefined,
+      transitPublicKey,
+      'https://hub.example.com'
+    );
+  };
+
+  const challenge = await verifier.createChallenge();
+  const requestPayload = decodeToken(challenge.authRequest).payload as any;
+  expect(requestPayload.domain_name).toEqual('https://example.com');
+  expect(requestPayload.redirect_uri).toEqual('https://example.com/');
+  expect(requestPayload.jti).toEqual(challenge.nonce);
+
+  const authResponse = await respond(challenge.authRequest);
+  const identity = await verifier.verifyAuthResponse(authResponse, challenge.nonce);
+  expect(identity.did).toEqual(makeDIDFromAddress(publicKeyToAddress(publicKey)));
+  expect(identity.address[0]).toEqual('S');
+  expect(identity.username).toEqual('ryan.id');
+  expect(identity.publicKey).toEqual(publicKey);
+  expect(identity.appPrivateKey).toHaveLength(64);
+  expect(identity.hubUrl).toEqual('https://hub.example.com');
+  expect(identity.email).toEqual('ryan@example.com');
+  expect(fetchMock.mock.calls.length).toEqual(0);
+
+  // a challenge is only answered once
+  await expect(verifier.verifyAuthResponse(authResponse, challenge.nonce)).rejects.toThrow(
+    'Unknown or expired auth challenge'
+  );
+
+  // a response to another challenge
+  const otherChallenge = await verifier.createChallenge();
+  await expect(
+    verifier.verifyAuthResponse(authResponse, otherChallenge.nonce)
+  ).rejects.toThrow('Auth response is not a response to this challenge');
+
+  // a username the identity doesn't own
+  const unknownChallenge = await verifier.createChallenge();
+  await expect(
+    verifier.verifyAuthResponse(
+      await respond(unknownChallenge.authRequest, 'someone.id'),
+      unknownChallenge.nonce
+    )
+  ).rejects.toThrow('Username someone.id is not owned by the identity address');
+
+  // a response without username
+  const anonymousChallenge = await verifier.createChallenge();
+  const anonymous = await verifier.verifyAuthResponse(
+    await respond(anonymousChallenge.authRequest, null),
+    anonymousChallenge.nonce
+  );
+  expect(anonymous.username).toBeNull();
+  expect(anonymous.address).toEqual(identity.address);
+});
+
+test('AuthVerifier rejects expired challenges and tampered responses', async () => {
+  const verifier = new AuthVerifier({
+    appDomain: 'https://example.com',
+    nameLookup: new LocalNameLookup(),
+    challengeTtl: 1000,
+  });
+  const challenge = await verifier.createChallenge();
+  const transitPublicKey = (decodeToken(challenge.authRequest).payload as any).public_keys[0];
+  const authResponse = await makeAuthResponse(
+    privateKey,
+    sampleProfiles.ryan,
+    null,
+    null,
+    undefined,
+    makeECPrivateKey(),
+    undefined,
+    transitPublicKey
+  );
+
+  const now = Date.now();
+  const dateNow = jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+  try {
+    await expect(verifier.verifyAuthResponse(authResponse, challenge.nonce)).rejects.toThrow(
+      'Unknown or expired auth challenge'
+    );
+  } finally {
+    dateNow.mockRestore();
+  }
+
+  // signed by another key than the issuer's
+  const tamperedChallenge = await verifier.createChallenge();
+  const payload = decodeToken(authResponse).payload as any;
+  const tampered = new TokenSigner('ES256k', makeECPrivateKey()).sign({
+    ...payload,
+    iat: Math.floor(Date.now() / 1000),
+  });
+  await expect(
+    verifier.verifyAuthResponse(tampered, tamperedChallenge.nonce)
+  ).rejects.toThrow('Auth response signature does not match its public key');
+
+  // signed by the issuer, but without an expiration time
+  const unexpiringChallenge = await verifier.createChallenge();
+  const { exp, ...unexpiringPayload } = payload;
+  expect(typeof exp).toEqual('number');
+  const unexpiring = new TokenSigner('ES256k', privateKey).sign({
+    ...unexpiringPayload,
+    iat: Math.floor(Date.now() / 1000),
+  });
+  await expect(
+    verifier.verifyAuthResponse(unexpiring, unexpiringChallenge.nonce)
+  ).rejects.toThrow('Auth response has no expiration time');
+});
+
+test('BnsNameLookup uses the fetch function of the network', async () => {
+  const fetchFn = jest.fn((_url: string) =>
+    Promise.resolve(new Response(JSON.stringify({ address: sampleNameRecords.ryan.address })))
+  );
+  const lookup = new BnsNameLookup(
+    new StacksMainnet({ url: 'https://stacks-node-api.mainnet.stacks.co', fetchFn })
+  );
+
+  expect(await lookup.getNameOwner('ryan.id')).toEqual(sampleNameRecords.ryan.address);
+  expect(fetchFn).toHaveBeenCalledWith('https://stacks-node-api.mainnet.stacks.co/v1/names/ryan.id');
+  expect(fetchMock.mock.calls.length).toEqual(0);
+});
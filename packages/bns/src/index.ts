@@ -1,4 +1,4 @@
-import { Buffer, IntegerType } from '@stacks/common';
+import { Buffer, fetchPrivate, IntegerType } from '@stacks/common';
 import {
   AnchorMode,
   bufferCV,
@@ -11,6 +11,7 @@ import {
   hash160,
   makeRandomPrivKey,
   makeUnsignedContractCall,
+  NonceManager,
   privateKeyToString,
   ResponseErrorCV,
   StacksTransaction,
@@ -29,16 +30,34 @@ import {
   NonFungibleConditionCode,
   parseAssetInfoString,
   tupleCV,
+  Signer,
+  TransactionSigner,
+  TupleCV,
+  BufferCV,
+  UIntCV,
+  addressToString,
+  createAddress,
 } from '@stacks/transactions';
 
 import { StacksNetwork } from '@stacks/network';
 
+import { resolveZoneFileToProfile } from '@stacks/profile';
+
 import { bufferCVFromString, decodeFQN, getZonefileHash } from './utils';
+import { BnsZoneFile, parseBnsZoneFile, verifyZonefile } from './zonefile';
+
+export * from './zonefile';
+export * from './subdomains';
 
 import { ChainID } from '@stacks/common';
 
 export const BNS_CONTRACT_NAME = 'bns';
 
+/**
+ * The error code of the BNS contract for names that are not registered
+ */
+export const BNS_ERR_NAME_NOT_FOUND = 2013;
+
 export const enum BnsContractAddress {
   mainnet = 'SP000000000000000000002Q6VF78',
   testnet = 'ST000000000000000000002AMW42H',
@@ -56,6 +75,17 @@ function getAddressVersion(network: StacksNetwork) {
     : AddressVersion.TestnetSingleSig;
 }
 
+function toMainnetAddressVersion(version: AddressVersion) {
+  switch (version) {
+    case AddressVersion.TestnetSingleSig:
+      return AddressVersion.MainnetSingleSig;
+    case AddressVersion.TestnetMultiSig:
+      return AddressVersion.MainnetMultiSig;
+    default:
+      return version;
+  }
+}
+
 export interface PriceFunction {
   base: IntegerType;
   coefficient: IntegerType;
@@ -86,9 +116,15 @@ export interface BnsContractCallOptions {
   network: StacksNetwork;
   attachment?: Buffer;
   postConditions?: PostCondition[];
+  nonceManager?: NonceManager;
+  signer?: Signer;
 }
 
 async function makeBnsContractCall(options: BnsContractCallOptions): Promise<StacksTransaction> {
+  if (options.signer && (await options.signer.getPublicKey()) !== options.publicKey) {
+    throw new Error('The public key of the signer does not match the public key of the sender');
+  }
+
   const txOptions: UnsignedContractCallOptions = {
     contractAddress: getBnsContractAddress(options.network),
     contractName: BNS_CONTRACT_NAME,
@@ -99,9 +135,14 @@ async function makeBnsContractCall(options: BnsContractCallOptions): Promise<Sta
     network: options.network,
     anchorMode: AnchorMode.Any,
     postConditions: options.postConditions,
+    nonceManager: options.nonceManager,
   };
 
-  return makeUnsignedContractCall(txOptions);
+  const transaction = await makeUnsignedContractCall(txOptions);
+  if (options.signer) {
+    await new TransactionSigner(transaction).signOriginWithSigner(options.signer);
+  }
+  return transaction;
 }
 
 export interface BnsReadOnlyOptions {
@@ -276,6 +317,154 @@ export async function getNamePrice({
   });
 }
 
+/**
+ * The on-chain record of a name
+ */
+export interface NameInfo {
+  /** the address owning the name */
+  owner: string;
+  /** the hash of the zone file of the name, hex encoded */
+  zonefileHash: string;
+  /** the block height at which the lease of the name started */
+  leaseStartedAt: number;
+  /** the block height at which the lease of the name ends, `undefined` if it does not expire */
+  leaseEndingAt?: number;
+}
+
+/**
+ * Get name info options
+ *
+ * @param  {String} fullyQualifiedName - the fully qualified name ("name.namespace") to look up
+ * @param  {StacksNetwork} network - the Stacks blockchain network to use
+ */
+export interface GetNameInfoOptions {
+  fullyQualifiedName: string;
+  network: StacksNetwork;
+}
+
+/**
+ * Get the owner, lease and zone file hash of a name, with the `name-resolve` function
+ * of the BNS contract. The contract does not resolve expired or revoked names.
+ *
+ * @param {string} fullyQualifiedName - the fully qualified name
+ * @param {StacksNetwork} network - the Stacks network to use
+ *
+ * @returns {Promise} that resolves to the name info, or `undefined` if the name is not registered
+ */
+export async function getNameInfo({
+  fullyQualifiedName,
+  network,
+}: GetNameInfoOptions): Promise<NameInfo | undefined> {
+  const bnsFunctionName = 'name-resolve';
+  const { subdomain, namespace, name } = decodeFQN(fullyQualifiedName);
+  if (subdomain) {
+    throw new Error('Cannot resolve a subdomain on-chain');
+  }
+
+  // Create a random address as input to read-only function call
+  // Not used by BNS contract function but required by core node API
+  // https://github.com/blockstack/stacks-blockchain/blob/master/src/net/http.rs#L1796
+  const randomPrivateKey = privateKeyToString(makeRandomPrivKey());
+  const randomAddress = getAddressFromPrivateKey(randomPrivateKey);
+
+  return callReadOnlyBnsFunction({
+    functionName: bnsFunctionName,
+    senderAddress: randomAddress,
+    functionArgs: [bufferCVFromString(namespace), bufferCVFromString(name)],
+    network,
+  }).then((responseCV: ClarityValue) => {
+    if (responseCV.type === ClarityType.ResponseOk) {
+      const data = (responseCV.value as TupleCV).data;
+      const leaseEndingAt = data['lease-ending-at'];
+      return {
+        owner: cvToString(data['owner']),
+        zonefileHash: (data['zonefile-hash'] as BufferCV).buffer.toString('hex'),
+        leaseStartedAt: Number((data['lease-started-at'] as UIntCV).value),
+        leaseEndingAt:
+          leaseEndingAt.type === ClarityType.OptionalSome
+            ? Number((leaseEndingAt.value as UIntCV).value)
+            : undefined,
+      };
+    } else {
+      const errorResponse = responseCV as ResponseErrorCV;
+      if (cvToString(errorResponse.value) === `${BNS_ERR_NAME_NOT_FOUND}`) {
+        return undefined;
+      }
+      throw new Error(cvToString(errorResponse.value));
+    }
+  });
+}
+
+/**
+ * A name resolved to its zone file and profile, see [[resolveName]]
+ */
+export interface ResolvedName extends NameInfo {
+  fullyQualifiedName: string;
+  /** the zone file of the name, verified against its zone file hash */
+  zonefile: string;
+  /** the records of the zone file */
+  records: BnsZoneFile;
+  /** the profile of the name, signed by its owner, `{}` if the zone file has no profile URL */
+  profile: Record<string, any>;
+}
+
+/**
+ * Resolve name options
+ *
+ * @param  {String} fullyQualifiedName - the fully qualified name ("name.namespace") to resolve
+ * @param  {StacksNetwork} network - the Stacks blockchain network to use
+ */
+export interface ResolveNameOptions {
+  fullyQualifiedName: string;
+  network: StacksNetwork;
+}
+
+/**
+ * Resolve a name to its profile: look up the name on-chain, fetch its zone file from the
+ * BNS API of the network, verify the zone file against the zone file hash of the name, and
+ * fetch the profile token file the zone file points to, verified to be signed by the owner.
+ *
+ * @param {string} fullyQualifiedName - the fully qualified name
+ * @param {StacksNetwork} network - the Stacks network to use
+ *
+ * @returns {Promise} that resolves to the resolved name
+ */
+export async function resolveName({
+  fullyQualifiedName,
+  network,
+}: ResolveNameOptions): Promise<ResolvedName> {
+  const nameInfo = await getNameInfo({ fullyQualifiedName, network });
+  if (!nameInfo) {
+    throw new Error(`Name not found: ${fullyQualifiedName}`);
+  }
+
+  const fetchFn = network.fetchFn ?? fetchPrivate;
+  const url = `${network.bnsLookupUrl}/v1/names/${fullyQualifiedName}/zonefile/${nameInfo.zonefileHash}`;
+  const response = await fetchFn(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch the zone file of ${fullyQualifiedName}: ${response.status}`);
+  }
+  const { zonefile } = await response.json();
+  if (typeof zonefile !== 'string' || !verifyZonefile(zonefile, nameInfo.zonefileHash)) {
+    throw new Error(`The zone file of ${fullyQualifiedName} does not match its zone file hash`);
+  }
+  const records = parseBnsZoneFile(zonefile);
+
+  // profile tokens are verified against mainnet addresses
+  const owner = createAddress(nameInfo.owner);
+  const ownerMainnetAddress = addressToString({
+    ...owner,
+    version: toMainnetAddressVersion(owner.version),
+  });
+  const profile = (await resolveZoneFileToProfile(
+    zonefile,
+    ownerMainnetAddress,
+    fetchFn
+  )) as Record<string, any>;
+
+  return { fullyQualifiedName, ...nameInfo, zonefile, records, profile };
+}
+
 /**
  * Preorder namespace options
  */
@@ -290,6 +479,10 @@ export interface PreorderNamespaceOptions {
   publicKey: string;
   /** the Stacks blockchain network to use */
   network: StacksNetwork;
+  /** the nonce manager used to allocate the transaction nonce */
+  nonceManager?: NonceManager;
+  /** signs the transaction, which is returned unsigned otherwise; `publicKey` must be its key */
+  signer?: Signer;
 }
 
 /**
@@ -309,6 +502,8 @@ export async function buildPreorderNamespaceTx({
   stxToBurn,
   publicKey,
   network,
+  nonceManager,
+  signer,
 }: PreorderNamespaceOptions): Promise<StacksTransaction> {
   const bnsFunctionName = 'namespace-preorder';
   const saltedNamespaceBuffer = Buffer.from(`${namespace}${salt}`);
@@ -326,6 +521,8 @@ export async function buildPreorderNamespaceTx({
     publicKey,
     network,
     postConditions: [burnSTXPostCondition],
+    nonceManager,
+    signer,
   });
 }
 
@@ -347,6 +544,10 @@ export interface RevealNamespaceOptions {
   publicKey: string;
   /** the Stacks blockchain network to use */
   network: StacksNetwork;
+  /** the nonce manager used to allocate the transaction nonce */
+  nonceManager?: NonceManager;
+  /** signs the transaction, which is returned unsigned otherwise; `publicKey` must be its key */
+  signer?: Signer;
 }
 
 /**
@@ -367,6 +568,8 @@ export async function buildRevealNamespaceTx({
   namespaceImportAddress,
   publicKey,
   network,
+  nonceManager,
+  signer,
 }: RevealNamespaceOptions): Promise<StacksTransaction> {
   const bnsFunctionName = 'namespace-reveal';
 
@@ -400,6 +603,8 @@ export async function buildRevealNamespaceTx({
     ],
     publicKey,
     network,
+    nonceManager,
+    signer,
   });
 }
 
@@ -420,6 +625,10 @@ export interface ImportNameOptions {
   zonefile: string;
   publicKey: string;
   network: StacksNetwork;
+  /** the nonce manager used to allocate the transaction nonce */
+  nonceManager?: NonceManager;
+  /** signs the transaction, which is returned unsigned otherwise; `publicKey` must be its key */
+  signer?: Signer;
 }
 
 /**
@@ -439,6 +648,8 @@ export async function buildImportNameTx({
   zonefile,
   publicKey,
   network,
+  nonceManager,
+  signer,
 }: ImportNameOptions): Promise<StacksTransaction> {
   const bnsFunctionName = 'name-import';
   const zonefileHash = getZonefileHash(zonefile);
@@ -454,6 +665,8 @@ export async function buildImportNameTx({
     publicKey,
     network,
     attachment: Buffer.from(zonefile),
+    nonceManager,
+    signer,
   });
 }
 
@@ -468,6 +681,10 @@ export interface ReadyNamespaceOptions {
   namespace: string;
   publicKey: string;
   network: StacksNetwork;
+  /** the nonce manager used to allocate the transaction nonce */
+  nonceManager?: NonceManager;
+  /** signs the transaction, which is returned unsigned otherwise; `publicKey` must be its key */
+  signer?: Signer;
 }
 
 /**
@@ -485,6 +702,8 @@ export async function buildReadyNamespaceTx({
   namespace,
   publicKey,
   network,
+  nonceManager,
+  signer,
 }: ReadyNamespaceOptions): Promise<StacksTransaction> {
   const bnsFunctionName = 'namespace-ready';
 
@@ -493,6 +712,8 @@ export async function buildReadyNamespaceTx({
     functionArgs: [bufferCVFromString(namespace)],
     publicKey,
     network,
+    nonceManager,
+    signer,
   });
 }
 
@@ -510,6 +731,10 @@ export interface PreorderNameOptions {
   publicKey: string;
   /** the Stacks blockchain network to use */
   network: StacksNetwork;
+  /** the nonce manager used to allocate the transaction nonce */
+  nonceManager?: NonceManager;
+  /** signs the transaction, which is returned unsigned otherwise; `publicKey` must be its key */
+  signer?: Signer;
 }
 
 /**
@@ -529,6 +754,8 @@ export async function buildPreorderNameTx({
   stxToBurn,
   publicKey,
   network,
+  nonceManager,
+  signer,
 }: PreorderNameOptions): Promise<StacksTransaction> {
   const bnsFunctionName = 'name-preorder';
   const { subdomain } = decodeFQN(fullyQualifiedName);
@@ -550,6 +777,8 @@ export async function buildPreorderNameTx({
     publicKey,
     network,
     postConditions: [burnSTXPostCondition],
+    nonceManager,
+    signer,
   });
 }
 
@@ -569,6 +798,10 @@ export interface RegisterNameOptions {
   zonefile: string;
   publicKey: string;
   network: StacksNetwork;
+  /** the nonce manager used to allocate the transaction nonce */
+  nonceManager?: NonceManager;
+  /** signs the transaction, which is returned unsigned otherwise; `publicKey` must be its key */
+  signer?: Signer;
 }
 
 /**
@@ -587,6 +820,8 @@ export async function buildRegisterNameTx({
   zonefile,
   publicKey,
   network,
+  nonceManager,
+  signer,
 }: RegisterNameOptions): Promise<StacksTransaction> {
   const bnsFunctionName = 'name-register';
   const { subdomain, namespace, name } = decodeFQN(fullyQualifiedName);
@@ -607,6 +842,8 @@ export async function buildRegisterNameTx({
     network,
     publicKey,
     attachment: Buffer.from(zonefile),
+    nonceManager,
+    signer,
   });
 }
 
@@ -624,6 +861,10 @@ export interface UpdateNameOptions {
   zonefile: string;
   publicKey: string;
   network: StacksNetwork;
+  /** the nonce manager used to allocate the transaction nonce */
+  nonceManager?: NonceManager;
+  /** signs the transaction, which is returned unsigned otherwise; `publicKey` must be its key */
+  signer?: Signer;
 }
 
 /**
@@ -641,6 +882,8 @@ export async function buildUpdateNameTx({
   zonefile,
   publicKey,
   network,
+  nonceManager,
+  signer,
 }: UpdateNameOptions): Promise<StacksTransaction> {
   const bnsFunctionName = 'name-update';
   const { subdomain, namespace, name } = decodeFQN(fullyQualifiedName);
@@ -655,6 +898,8 @@ export async function buildUpdateNameTx({
     publicKey,
     network,
     attachment: Buffer.from(zonefile),
+    nonceManager,
+    signer,
   });
 }
 
@@ -673,6 +918,10 @@ export interface TransferNameOptions {
   newOwnerAddress: string;
   publicKey: string;
   network: StacksNetwork;
+  /** the nonce manager used to allocate the transaction nonce */
+  nonceManager?: NonceManager;
+  /** signs the transaction, which is returned unsigned otherwise; `publicKey` must be its key */
+  signer?: Signer;
   zonefile?: string;
 }
 
@@ -696,6 +945,8 @@ export async function buildTransferNameTx({
   zonefile,
   publicKey,
   network,
+  nonceManager,
+  signer,
 }: TransferNameOptions): Promise<StacksTransaction> {
   const bnsFunctionName = 'name-transfer';
   const { subdomain, namespace, name } = decodeFQN(fullyQualifiedName);
@@ -735,6 +986,8 @@ export async function buildTransferNameTx({
     network,
     attachment: zonefile ? Buffer.from(zonefile) : undefined,
     postConditions: [postConditionSender, postConditionReceiver],
+    nonceManager,
+    signer,
   });
 }
 
@@ -750,6 +1003,10 @@ export interface RevokeNameOptions {
   fullyQualifiedName: string;
   publicKey: string;
   network: StacksNetwork;
+  /** the nonce manager used to allocate the transaction nonce */
+  nonceManager?: NonceManager;
+  /** signs the transaction, which is returned unsigned otherwise; `publicKey` must be its key */
+  signer?: Signer;
 }
 
 /**
@@ -766,6 +1023,8 @@ export async function buildRevokeNameTx({
   fullyQualifiedName,
   publicKey,
   network,
+  nonceManager,
+  signer,
 }: RevokeNameOptions): Promise<StacksTransaction> {
   const bnsFunctionName = 'name-revoke';
   const { subdomain, namespace, name } = decodeFQN(fullyQualifiedName);
@@ -778,6 +1037,8 @@ export async function buildRevokeNameTx({
     functionArgs: [bufferCVFromString(namespace), bufferCVFromString(name)],
     publicKey,
     network,
+    nonceManager,
+    signer,
   });
 }
 
@@ -793,6 +1054,10 @@ export interface RenewNameOptions {
   publicKey: string;
   /** the Stacks blockchain network to use */
   network: StacksNetwork;
+  /** the nonce manager used to allocate the transaction nonce */
+  nonceManager?: NonceManager;
+  /** signs the transaction, which is returned unsigned otherwise; `publicKey` must be its key */
+  signer?: Signer;
   /** optionally choose a new owner address */
   newOwnerAddress?: string;
   /** optionally update the zonefile hash */
@@ -816,6 +1081,8 @@ export async function buildRenewNameTx({
   zonefile,
   publicKey,
   network,
+  nonceManager,
+  signer,
 }: RenewNameOptions): Promise<StacksTransaction> {
   const bnsFunctionName = 'name-renewal';
   const { subdomain, namespace, name } = decodeFQN(fullyQualifiedName);
@@ -843,5 +1110,7 @@ export async function buildRenewNameTx({
     network,
     attachment: zonefile ? Buffer.from(zonefile) : undefined,
     postConditions: [burnSTXPostCondition],
+    nonceManager,
+    signer,
   });
 }
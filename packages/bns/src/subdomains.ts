@@ -0,0 +1,503 @@
+import { Buffer } from '@stacks/common';
+import {
+  compressPublicKey,
+  createAddress,
+  createStacksPrivateKey,
+  getPublicKey,
+  hash160,
+  publicKeyToString,
+  recoverPublicKey,
+  signWithKey,
+  StacksPrivateKey,
+} from '@stacks/transactions';
+import { sha256 } from 'sha.js';
+import { decodeFQN } from './utils';
+import {
+  makeBnsZoneFile,
+  MakeBnsZoneFileOptions,
+  parseBnsZoneFile,
+  ZoneFileTxtRecord,
+} from './zonefile';
+
+/**
+ * The maximum size of a zone file, in bytes
+ */
+export const MAX_ZONEFILE_SIZE = 40960;
+
+/**
+ * The length of the pieces of the base64-encoded zone file of a subdomain record. TXT strings
+ * are limited to 255 characters, including the `zfN=` key.
+ */
+const ZONEFILE_PIECE_LENGTH = 250;
+
+/**
+ * A subdomain record, as stored in a TXT record of the zone file of its parent name
+ */
+export interface SubdomainRecord {
+  /** the subdomain label, e.g. `alice` for `alice.name.id` */
+  subdomain: string;
+  /** the Stacks address of the owner */
+  owner: string;
+  /** the sequence number, 0 when the subdomain is created and incremented by each operation */
+  sequence: number;
+  /** the zone file of the subdomain */
+  zonefile: string;
+  /**
+   * the base64-encoded signature of the record by the previous owner, see
+   * [[signSubdomainRecord]], required for every record but the one that creates the subdomain
+   */
+  signature?: string;
+}
+
+function encodeKeyValue(key: string, value: string | number): string {
+  return `${key}=${value}`;
+}
+
+function encodeSubdomainEntries(record: SubdomainRecord): string[] {
+  const encodedZonefile = Buffer.from(record.zonefile).toString('base64');
+  const pieces: string[] = [];
+  for (let i = 0; i < encodedZonefile.length; i += ZONEFILE_PIECE_LENGTH) {
+    pieces.push(encodedZonefile.slice(i, i + ZONEFILE_PIECE_LENGTH));
+  }
+  return [
+    encodeKeyValue('owner', record.owner),
+    encodeKeyValue('seqn', record.sequence),
+    encodeKeyValue('parts', pieces.length),
+    ...pieces.map((piece, i) => encodeKeyValue(`zf${i}`, piece)),
+  ];
+}
+
+function validateSubdomainRecord(record: SubdomainRecord) {
+  if (!/^[a-z0-9\-_]+$/.test(record.subdomain)) {
+    throw new Error(`Invalid subdomain: ${record.subdomain}`);
+  }
+  try {
+    createAddress(record.owner);
+  } catch (error) {
+    throw new Error(`Invalid subdomain owner: ${record.owner}`);
+  }
+  if (!Number.isInteger(record.sequence) || record.sequence < 0) {
+    throw new Error(`Invalid subdomain sequence number: ${record.sequence}`);
+  }
+}
+
+/**
+ * The text signed by the previous owner of a subdomain: the subdomain label and the entries
+ * of the record but the signature, separated by commas.
+ *
+ * @param {SubdomainRecord} record - the subdomain record
+ */
+export function getSubdomainRecordPlaintext(record: SubdomainRecord): string {
+  return [record.subdomain, ...encodeSubdomainEntries(record)].join(',');
+}
+
+function sha256Hex(plaintext: string): string {
+  return new sha256().update(Buffer.from(plaintext)).digest('hex');
+}
+
+/**
+ * Encodes a Bitcoin script that pushes each of the items, of at most 75 bytes
+ */
+function encodePushDataScript(items: Buffer[]): Buffer {
+  return Buffer.concat(items.map(item => Buffer.concat([Buffer.from([item.length]), item])));
+}
+
+/**
+ * Decodes a Bitcoin script that only pushes items of at most 75 bytes
+ *
+ * @returns {Buffer[]} the pushed items, or `undefined` if the script has other operations
+ */
+function decodePushDataScript(script: Buffer): Buffer[] | undefined {
+  const items: Buffer[] = [];
+  let offset = 0;
+  while (offset < script.length) {
+    const length = script[offset];
+    if (length < 1 || length > 75 || offset + 1 + length > script.length) {
+      return undefined;
+    }
+    items.push(script.subarray(offset + 1, offset + 1 + length));
+    offset += 1 + length;
+  }
+  return items;
+}
+
+/**
+ * Signs a subdomain record with the key of the owner of the previous record of the subdomain,
+ * in the format of BNS: the SHA-256 hash of the plaintext (see [[getSubdomainRecordPlaintext]])
+ * is signed, and the signature is a script that pushes the 64 bytes of `r` and `s` and the
+ * public key of the signer, hex-encoded and then base64-encoded.
+ *
+ * @param {SubdomainRecord} record - the subdomain record
+ * @param {string | StacksPrivateKey} privateKey - the key of the previous owner
+ *
+ * @returns {SubdomainRecord} the record with its signature
+ */
+export function signSubdomainRecord(
+  record: SubdomainRecord,
+  privateKey: string | StacksPrivateKey
+): SubdomainRecord {
+  validateSubdomainRecord(record);
+  const key = typeof privateKey === 'string' ? createStacksPrivateKey(privateKey) : privateKey;
+  // the recovery parameter, the first byte, is not part of the signature
+  const signature = signWithKey(key, sha256Hex(getSubdomainRecordPlaintext(record))).data.slice(2);
+  const script = encodePushDataScript([
+    Buffer.from(signature, 'hex'),
+    Buffer.from(publicKeyToString(getPublicKey(key)), 'hex'),
+  ]);
+  return { ...record, signature: Buffer.from(script.toString('hex')).toString('base64') };
+}
+
+/**
+ * Verifies that a subdomain record is signed by an owner, see [[signSubdomainRecord]].
+ * Only signatures of single-signature owners are supported.
+ *
+ * @param {SubdomainRecord} record - the signed subdomain record
+ * @param {string} owner - the Stacks address of the owner of the previous record
+ *
+ * @returns {boolean} whether the record is signed by the owner
+ */
+export function verifySubdomainRecordSignature(record: SubdomainRecord, owner: string): boolean {
+  if (!record.signature) {
+    return false;
+  }
+  let script = Buffer.from(record.signature, 'base64');
+  // BNS base64-encodes the hex encoding of the script, accept the script itself too
+  if (/^([0-9a-fA-F]{2})+$/.test(script.toString('latin1'))) {
+    script = Buffer.from(script.toString('latin1'), 'hex');
+  }
+  const items = decodePushDataScript(script);
+  if (!items || items.length !== 2 || items[0].length !== 64) {
+    return false;
+  }
+  const [signature, publicKey] = items;
+  try {
+    if (hash160(publicKey).toString('hex') !== createAddress(owner).hash160) {
+      return false;
+    }
+    const compressedPublicKey = publicKeyToString(compressPublicKey(publicKey));
+    const hash = sha256Hex(getSubdomainRecordPlaintext(record));
+    // the signature is valid if the key of the signer can be recovered from it
+    return ['00', '01'].some(
+      recoveryParam =>
+        recoverPublicKey(hash, `${recoveryParam}${signature.toString('hex')}`) ===
+        compressedPublicKey
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Create subdomain options
+ *
+ * @param  {String} subdomain - the subdomain label
+ * @param  {String} owner - the Stacks address of the owner
+ * @param  {String} zonefile - the zone file of the subdomain
+ */
+export interface CreateSubdomainRecordOptions {
+  subdomain: string;
+  owner: string;
+  zonefile: string;
+}
+
+/**
+ * Makes the record that creates a subdomain. It is unsigned: the owner of the parent name
+ * authorizes it by adding it to the zone file of the name.
+ *
+ * @param {CreateSubdomainRecordOptions} options - the subdomain, owner and zone file
+ *
+ * @returns {SubdomainRecord} the record, with sequence number 0
+ */
+export function createSubdomainRecord({
+  subdomain,
+  owner,
+  zonefile,
+}: CreateSubdomainRecordOptions): SubdomainRecord {
+  const record = { subdomain, owner, sequence: 0, zonefile };
+  validateSubdomainRecord(record);
+  return record;
+}
+
+/**
+ * Update subdomain options
+ *
+ * @param  {SubdomainRecord} previousRecord - the current record of the subdomain
+ * @param  {String} zonefile - the new zone file of the subdomain
+ * @param  {String | StacksPrivateKey} privateKey - the key of the owner of the subdomain
+ */
+export interface UpdateSubdomainRecordOptions {
+  previousRecord: SubdomainRecord;
+  zonefile: string;
+  privateKey: string | StacksPrivateKey;
+}
+
+/**
+ * Makes a record that changes the zone file of a subdomain, signed by its owner
+ *
+ * @param {UpdateSubdomainRecordOptions} options - the current record, new zone file and key
+ *
+ * @returns {SubdomainRecord} the signed record
+ */
+export function updateSubdomainRecord({
+  previousRecord,
+  zonefile,
+  privateKey,
+}: UpdateSubdomainRecordOptions): SubdomainRecord {
+  return signSubdomainRecord(
+    {
+      subdomain: previousRecord.subdomain,
+      owner: previousRecord.owner,
+      sequence: previousRecord.sequence + 1,
+      zonefile,
+    },
+    privateKey
+  );
+}
+
+/**
+ * Transfer subdomain options
+ *
+ * @param  {SubdomainRecord} previousRecord - the current record of the subdomain
+ * @param  {String} newOwner - the Stacks address of the new owner
+ * @param  {String} zonefile - the new zone file of the subdomain, defaults to the current one
+ * @param  {String | StacksPrivateKey} privateKey - the key of the current owner of the subdomain
+ */
+export interface TransferSubdomainRecordOptions {
+  previousRecord: SubdomainRecord;
+  newOwner: string;
+  zonefile?: string;
+  privateKey: string | StacksPrivateKey;
+}
+
+/**
+ * Makes a record that transfers a subdomain to a new owner, signed by the current owner
+ *
+ * @param {TransferSubdomainRecordOptions} options - the current record, new owner and key
+ *
+ * @returns {SubdomainRecord} the signed record
+ */
+export function transferSubdomainRecord({
+  previousRecord,
+  newOwner,
+  zonefile,
+  privateKey,
+}: TransferSubdomainRecordOptions): SubdomainRecord {
+  return signSubdomainRecord(
+    {
+      subdomain: previousRecord.subdomain,
+      owner: newOwner,
+      sequence: previousRecord.sequence + 1,
+      zonefile: zonefile ?? previousRecord.zonefile,
+    },
+    privateKey
+  );
+}
+
+/**
+ * Encodes a subdomain record as a TXT record of the zone file of its parent name
+ *
+ * @param {SubdomainRecord} record - the subdomain record
+ */
+export function makeSubdomainTxtRecord(record: SubdomainRecord): ZoneFileTxtRecord {
+  validateSubdomainRecord(record);
+  if (record.sequence > 0 && !record.signature) {
+    throw new Error(`Subdomain record of ${record.subdomain} must be signed`);
+  }
+  const entries = encodeSubdomainEntries(record);
+  if (record.signature) {
+    entries.push(encodeKeyValue('sig', record.signature));
+  }
+  return { name: record.subdomain, txt: entries };
+}
+
+/**
+ * Decodes a TXT record of a zone file as a subdomain record
+ *
+ * @param {ZoneFileTxtRecord} txtRecord - the TXT record
+ *
+ * @returns {SubdomainRecord} the subdomain record, or `undefined` if the TXT record is not one
+ */
+export function parseSubdomainTxtRecord(txtRecord: ZoneFileTxtRecord): SubdomainRecord | undefined {
+  const strings = typeof txtRecord.txt === 'string' ? [txtRecord.txt] : txtRecord.txt;
+  const entries: Record<string, string> = {};
+  strings.forEach(string => {
+    // base64 values end with `=` padding, only the first `=` separates the key
+    const separator = string.indexOf('=');
+    if (separator > 0) {
+      entries[string.slice(0, separator)] = string.slice(separator + 1);
+    }
+  });
+  const parts = Number(entries['parts']);
+  const sequence = Number(entries['seqn']);
+  if (!entries['owner'] || !Number.isInteger(parts) || !Number.isInteger(sequence)) {
+    return undefined;
+  }
+  let encodedZonefile = '';
+  for (let i = 0; i < parts; i++) {
+    if (entries[`zf${i}`] === undefined) {
+      return undefined;
+    }
+    encodedZonefile += entries[`zf${i}`];
+  }
+  const record: SubdomainRecord = {
+    subdomain: txtRecord.name,
+    owner: entries['owner'],
+    sequence,
+    zonefile: Buffer.from(encodedZonefile, 'base64').toString(),
+  };
+  if (entries['sig']) {
+    record.signature = entries['sig'];
+  }
+  return record;
+}
+
+/**
+ * Reads the subdomain records of a zone file, in the order of the zone file
+ *
+ * @param {string} zonefile - the zone file of the parent name
+ */
+export function getSubdomainRecords(zonefile: string): SubdomainRecord[] {
+  const records: SubdomainRecord[] = [];
+  parseBnsZoneFile(zonefile).txt.forEach(txtRecord => {
+    const record = parseSubdomainTxtRecord(txtRecord);
+    if (record) {
+      records.push(record);
+    }
+  });
+  return records;
+}
+
+/**
+ * Batch subdomain records options
+ *
+ * @param  {SubdomainRecord[]} records - the subdomain records to add to the zone files
+ * @param  {Number} maxSize - the maximum size of a zone file, in bytes, defaults to [[MAX_ZONEFILE_SIZE]]
+ */
+export interface BatchSubdomainRecordsOptions extends MakeBnsZoneFileOptions {
+  records: SubdomainRecord[];
+  maxSize?: number;
+}
+
+/**
+ * Batches subdomain records into as few zone files of the parent name as their size allows.
+ * Each zone file has the records of the name, e.g. its profile URL, and at most one record per
+ * subdomain, so that the zone files can be used to update the name one after the other.
+ *
+ * @param {BatchSubdomainRecordsOptions} options - the records of the parent name and the
+ * subdomain records, in the order in which they must be applied
+ *
+ * @returns {string[]} the zone files, in the order in which they must be used
+ */
+export function batchSubdomainRecords({
+  records,
+  maxSize = MAX_ZONEFILE_SIZE,
+  txt = [],
+  ...zonefileOptions
+}: BatchSubdomainRecordsOptions): string[] {
+  const makeZonefile = (batch: SubdomainRecord[]) =>
+    makeBnsZoneFile({ ...zonefileOptions, txt: [...txt, ...batch.map(makeSubdomainTxtRecord)] });
+  const fits = (batch: SubdomainRecord[]) =>
+    Buffer.byteLength(makeZonefile(batch)) <= maxSize &&
+    new Set(batch.map(r => r.subdomain)).size === batch.length;
+
+  const batches: SubdomainRecord[][] = [];
+  let batch: SubdomainRecord[] = [];
+  for (const record of records) {
+    if (fits([...batch, record])) {
+      batch.push(record);
+      continue;
+    }
+    if (batch.length === 0 || !fits([record])) {
+      throw new Error(`Subdomain record of ${record.subdomain} does not fit in a zone file`);
+    }
+    batches.push(batch);
+    batch = [record];
+  }
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches.map(makeZonefile);
+}
+
+/**
+ * A subdomain record that was not applied, see [[verifySubdomainHistory]]
+ */
+export interface RejectedSubdomainRecord {
+  record: SubdomainRecord;
+  reason: string;
+}
+
+/**
+ * The verified history of a subdomain
+ */
+export interface SubdomainHistory {
+  fullyQualifiedName: string;
+  /** the applied records, oldest first */
+  records: SubdomainRecord[];
+  /** the records that were not applied, oldest first */
+  rejected: RejectedSubdomainRecord[];
+  /** the current record of the subdomain, `undefined` if it was never created */
+  current?: SubdomainRecord;
+}
+
+/**
+ * Verifies the history of a subdomain from the zone files of its parent name. The first
+ * record creates the subdomain, every later record must have the next sequence number and be
+ * signed by the owner of the record before it. Records that are not are rejected, as they are
+ * by BNS resolvers.
+ *
+ * @param {string} fullyQualifiedName - the fully qualified subdomain, e.g. `alice.name.id`
+ * @param {string[]} zonefiles - the zone files of the parent name, oldest first
+ *
+ * @returns {SubdomainHistory} the applied and rejected records and the current record
+ */
+export function verifySubdomainHistory(
+  fullyQualifiedName: string,
+  zonefiles: string[]
+): SubdomainHistory {
+  const { subdomain, name, namespace } = decodeFQN(fullyQualifiedName);
+  if (!subdomain) {
+    throw new Error(`Not a subdomain: ${fullyQualifiedName}`);
+  }
+  const parentName = `${name}.${namespace}`;
+  const history: SubdomainHistory = { fullyQualifiedName, records: [], rejected: [] };
+
+  for (const zonefile of zonefiles) {
+    const { origin } = parseBnsZoneFile(zonefile);
+    if (origin.replace(/\.$/, '') !== parentName) {
+      throw new Error(`Zone file of ${origin} is not a zone file of ${parentName}`);
+    }
+    for (const record of getSubdomainRecords(zonefile)) {
+      if (record.subdomain !== subdomain) {
+        continue;
+      }
+      const reason = getRejectionReason(history.current, record);
+      if (reason) {
+        history.rejected.push({ record, reason });
+      } else {
+        history.records.push(record);
+        history.current = record;
+      }
+    }
+  }
+  return history;
+}
+
+function getRejectionReason(
+  current: SubdomainRecord | undefined,
+  record: SubdomainRecord
+): string | undefined {
+  if (!current) {
+    return record.sequence === 0 ? undefined : 'Subdomain does not exist';
+  }
+  if (record.sequence !== current.sequence + 1) {
+    return `Expected sequence number ${current.sequence + 1}`;
+  }
+  if (!record.signature) {
+    return 'Missing signature';
+  }
+  if (!verifySubdomainRecordSignature(record, current.owner)) {
+    return 'Not signed by the owner of the subdomain';
+  }
+  return undefined;
+}
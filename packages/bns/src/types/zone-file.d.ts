@@ -0,0 +1,4 @@
+declare module 'zone-file' {
+  export const makeZoneFile: (zoneFile: Record<string, any>, template?: string) => string;
+  export const parseZoneFile: (zoneFile: string) => Record<string, any>;
+}
@@ -0,0 +1,140 @@
+import { Buffer } from '@stacks/common';
+import { makeZoneFile, parseZoneFile } from 'zone-file';
+import { getZonefileHash } from './utils';
+
+/**
+ * The name of the URI record of the profile of a name
+ */
+export const PROFILE_URI_RECORD_NAME = '_http._tcp';
+
+/**
+ * A URI record of a zone file
+ */
+export interface ZoneFileUriRecord {
+  name: string;
+  target: string;
+  priority: number;
+  weight: number;
+  ttl?: number;
+}
+
+/**
+ * A TXT record of a zone file, with one or several strings
+ */
+export interface ZoneFileTxtRecord {
+  name: string;
+  txt: string | string[];
+  ttl?: number;
+}
+
+/**
+ * The records of a BNS zone file
+ */
+export interface BnsZoneFile {
+  /** the fully qualified name the zone file is for */
+  origin: string;
+  ttl?: number;
+  uri: ZoneFileUriRecord[];
+  txt: ZoneFileTxtRecord[];
+  /** the URL of the profile token file of the name, if the zone file has one */
+  profileUrl?: string;
+}
+
+/**
+ * Make zone file options
+ *
+ * @param  {String} origin - the fully qualified name the zone file is for
+ * @param  {Number} ttl - the time to live of the records, in seconds, defaults to 3600
+ * @param  {ZoneFileUriRecord[]} uri - URI records
+ * @param  {ZoneFileTxtRecord[]} txt - TXT records
+ * @param  {String} profileUrl - the URL of the profile token file, added as a `_http._tcp` URI record
+ */
+export interface MakeBnsZoneFileOptions {
+  origin: string;
+  ttl?: number;
+  uri?: ZoneFileUriRecord[];
+  txt?: ZoneFileTxtRecord[];
+  profileUrl?: string;
+}
+
+function getProfileUrl(uri: ZoneFileUriRecord[]): string | undefined {
+  const record = uri.find(r => r.name === PROFILE_URI_RECORD_NAME) ?? uri[0];
+  if (!record) {
+    return undefined;
+  }
+  return /^https?:\/\//.test(record.target) ? record.target : `https://${record.target}`;
+}
+
+/**
+ * Parse a BNS zone file into its records
+ *
+ * @param {string} zonefile - the zone file
+ *
+ * @returns {BnsZoneFile} the origin, TTL, URI and TXT records and profile URL of the zone file
+ */
+export function parseBnsZoneFile(zonefile: string): BnsZoneFile {
+  const parsed = parseZoneFile(zonefile);
+  if (!parsed.$origin) {
+    throw new Error('Invalid zone file: missing $ORIGIN');
+  }
+  const uri: ZoneFileUriRecord[] = parsed.uri ?? [];
+  const txt: ZoneFileTxtRecord[] = parsed.txt ?? [];
+  return {
+    origin: parsed.$origin,
+    ttl: parsed.$ttl,
+    uri,
+    txt,
+    profileUrl: getProfileUrl(uri),
+  };
+}
+
+/**
+ * Make a BNS zone file from records
+ *
+ * @param {MakeBnsZoneFileOptions} options - the origin and records of the zone file
+ *
+ * @returns {string} the zone file
+ */
+export function makeBnsZoneFile({
+  origin,
+  ttl = 3600,
+  uri = [],
+  txt = [],
+  profileUrl,
+}: MakeBnsZoneFileOptions): string {
+  if (!origin || /\s/.test(origin)) {
+    throw new Error(`Invalid zone file origin: ${origin}`);
+  }
+  const uriRecords = profileUrl
+    ? [{ name: PROFILE_URI_RECORD_NAME, priority: 10, weight: 1, target: profileUrl }, ...uri]
+    : uri;
+  uriRecords.forEach(record => {
+    if (!record.target.includes('://') || /[\s"]/.test(record.target)) {
+      throw new Error(`Invalid URI record target: ${record.target}`);
+    }
+  });
+  txt.forEach(record => {
+    const strings = typeof record.txt === 'string' ? [record.txt] : record.txt;
+    if (strings.some(s => s.includes('"'))) {
+      throw new Error(`Invalid TXT record: ${record.name}`);
+    }
+  });
+
+  const zoneFileTemplate = '{$origin}\n{$ttl}\n{uri}\n{txt}\n';
+  return makeZoneFile({ $origin: origin, $ttl: ttl, uri: uriRecords, txt }, zoneFileTemplate);
+}
+
+/**
+ * Verify a zone file against the zone file hash of a name
+ *
+ * @param {string} zonefile - the zone file
+ * @param {string | Buffer} zonefileHash - the zone file hash, hex encoded if a string
+ *
+ * @returns {boolean} whether the zone file has the hash
+ */
+export function verifyZonefile(zonefile: string, zonefileHash: string | Buffer): boolean {
+  const expected = Buffer.isBuffer(zonefileHash)
+    ? zonefileHash.toString('hex')
+    : zonefileHash.replace(/^0x/, '');
+  return getZonefileHash(zonefile).toString('hex') === expected.toLowerCase();
+}
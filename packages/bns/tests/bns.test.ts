@@ -6,6 +6,7 @@ import {
   trueCV,
   falseCV,
   uintCV,
+  intCV,
   bufferCV,
   hash160,
   standardPrincipalCV,
@@ -1085,3 +1086,277 @@ test('renewName optionalArguments', async () => {
   expect(makeUnsignedContractCall).toHaveBeenCalledTimes(1);
   expect(makeUnsignedContractCall).toHaveBeenCalledWith(expectedBNSContractCallOptions);
 });
+
+test('readyNamespace signed with a signer', async () => {
+  // the transactions are built for real, the other tests mock @stacks/transactions
+  jest.dontMock('@stacks/transactions');
+  const { buildReadyNamespaceTx } = require('../src');
+  const { PrivateKeySigner, emptyMessageSignature } = require('@stacks/transactions');
+  const signer = new PrivateKeySigner('9888d734e6e80a943a6544159e31d6c7e342f695ec867d549c569fa0028892d401');
+  const publicKey = await signer.getPublicKey();
+  const network = new StacksTestnet();
+
+  fetchMock.mockResponseOnce('1');
+  fetchMock.mockResponseOnce(JSON.stringify({ balance: '0', nonce: 2 }));
+  const transaction = await buildReadyNamespaceTx({
+    namespace: 'id',
+    publicKey,
+    network,
+    signer,
+  });
+
+  expect(transaction.auth.spendingCondition.nonce.toString()).toEqual('2');
+  expect(transaction.auth.spendingCondition.signature).not.toEqual(emptyMessageSignature());
+  expect(() => transaction.verifyOrigin()).not.toThrow();
+
+  await expect(
+    buildReadyNamespaceTx({
+      namespace: 'id',
+      publicKey: '03ef788b3830c00abe8f64f62dc32fc863bc0b2cafeb073b6c8e1c7657d9c2c3ab',
+      network,
+      signer,
+    })
+  ).rejects.toThrow('The public key of the signer does not match the public key of the sender');
+});
+
+test('makeBnsZoneFile and parseBnsZoneFile', () => {
+  jest.dontMock('@stacks/transactions');
+  const { makeBnsZoneFile, parseBnsZoneFile, verifyZonefile } = require('../src');
+
+  const zonefile = makeBnsZoneFile({
+    origin: 'muneeb.id',
+    profileUrl: 'https://gaia.blockstack.org/hub/1J3PUxY5uDShUnHRrMyU6yKtoHEUPhKULs/profile.json',
+    txt: [{ name: '_btc', txt: 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh' }],
+  });
+  const records = parseBnsZoneFile(zonefile);
+
+  expect(records.origin).toEqual('muneeb.id');
+  expect(records.ttl).toEqual(3600);
+  expect(records.profileUrl).toEqual(
+    'https://gaia.blockstack.org/hub/1J3PUxY5uDShUnHRrMyU6yKtoHEUPhKULs/profile.json'
+  );
+  expect(records.uri).toHaveLength(1);
+  expect(records.uri[0].name).toEqual('_http._tcp');
+  expect(records.txt).toEqual([
+    { name: '_btc', txt: 'bc1qxy2kgdygjrsqtzq2n0yrf2493p83kkfjhx0wlh' },
+  ]);
+
+  const zonefileHash = getZonefileHash(zonefile);
+  expect(verifyZonefile(zonefile, zonefileHash)).toEqual(true);
+  expect(verifyZonefile(zonefile, `0x${zonefileHash.toString('hex')}`)).toEqual(true);
+  expect(verifyZonefile(`${zonefile}\n`, zonefileHash)).toEqual(false);
+
+  expect(() => makeBnsZoneFile({ origin: 'muneeb.id', profileUrl: 'gaia.blockstack.org' })).toThrow(
+    'Invalid URI record target: gaia.blockstack.org'
+  );
+  expect(() => makeBnsZoneFile({ origin: 'muneeb.id', txt: [{ name: 'a', txt: '"' }] })).toThrow(
+    'Invalid TXT record: a'
+  );
+  expect(() => parseBnsZoneFile('')).toThrow('Invalid zone file: missing $ORIGIN');
+});
+
+test('resolveName', async () => {
+  jest.dontMock('@stacks/transactions');
+  const { getNameInfo, resolveName, makeBnsZoneFile } = require('../src');
+  const { serializeCV, getAddressFromPrivateKey, TransactionVersion } = require('@stacks/transactions');
+  const { signProfileToken, wrapProfileToken } = require('@stacks/profile');
+
+  const privateKey = '9888d734e6e80a943a6544159e31d6c7e342f695ec867d549c569fa0028892d401';
+  const owner = getAddressFromPrivateKey(privateKey, TransactionVersion.Testnet);
+  const fetchFn = jest.fn((url: string, init?: RequestInit) => fetch(url, init));
+  const network = new StacksTestnet({ url: 'https://stacks-node-api.testnet.stacks.co', fetchFn });
+  const profileUrl = 'https://gaia.blockstack.org/hub/owner/profile.json';
+  const profile = { '@type': 'Person', name: 'Muneeb' };
+  const zonefile = makeBnsZoneFile({ origin: 'muneeb.id', profileUrl });
+  const zonefileHash = getZonefileHash(zonefile);
+
+  const nameResolveResponse = responseOkCV(
+    tupleCV({
+      owner: standardPrincipalCV(owner),
+      'zonefile-hash': bufferCV(zonefileHash),
+      'lease-started-at': uintCV(100),
+      'lease-ending-at': someCV(uintCV(52660)),
+    })
+  );
+  fetchMock.mockResponse(async request => {
+    if (request.url.includes('/v2/contracts/call-read/')) {
+      const body = JSON.parse(request.body!.toString());
+      const result = body.arguments[1] === `0x${serializeCV(bufferCVFromString('muneeb')).toString('hex')}`
+        ? nameResolveResponse
+        : responseErrorCV(intCV(2013));
+      return JSON.stringify({ okay: true, result: `0x${serializeCV(result).toString('hex')}` });
+    }
+    if (request.url === `${network.bnsLookupUrl}/v1/names/muneeb.id/zonefile/${zonefileHash.toString('hex')}`) {
+      return JSON.stringify({ zonefile });
+    }
+    if (request.url === profileUrl) {
+      return JSON.stringify([wrapProfileToken(signProfileToken(profile, privateKey.slice(0, 64)))]);
+    }
+    return { status: 404, body: 'Not found' };
+  });
+
+  const resolved = await resolveName({ fullyQualifiedName: 'muneeb.id', network });
+  expect(resolved.owner).toEqual(owner);
+  expect(resolved.zonefileHash).toEqual(zonefileHash.toString('hex'));
+  expect(resolved.leaseStartedAt).toEqual(100);
+  expect(resolved.leaseEndingAt).toEqual(52660);
+  expect(resolved.zonefile).toEqual(zonefile);
+  expect(resolved.records.profileUrl).toEqual(profileUrl);
+  expect(resolved.profile).toEqual(profile);
+  // all requests, including the one for the profile, use the fetch function of the network
+  expect(fetchFn.mock.calls.map(call => call[0])).toContain(profileUrl);
+  expect(fetchFn).toHaveBeenCalledTimes(fetchMock.mock.calls.length);
+
+  await expect(getNameInfo({ fullyQualifiedName: 'unknown.id', network })).resolves.toBeUndefined();
+  await expect(resolveName({ fullyQualifiedName: 'unknown.id', network })).rejects.toThrow(
+    'Name not found: unknown.id'
+  );
+  await expect(getNameInfo({ fullyQualifiedName: 'sub.muneeb.id', network })).rejects.toThrow(
+    'Cannot resolve a subdomain on-chain'
+  );
+});
+
+test('subdomain records are signed in the format of BNS', () => {
+  jest.dontMock('@stacks/transactions');
+  const {
+    createSubdomainRecord,
+    updateSubdomainRecord,
+    getSubdomainRecordPlaintext,
+    verifySubdomainRecordSignature,
+  } = require('../src');
+  const { getAddressFromPrivateKey, TransactionVersion } = require('@stacks/transactions');
+  const { ec: EC } = require('elliptic');
+  const { createHash } = require('crypto');
+
+  const privateKey = '9888d734e6e80a943a6544159e31d6c7e342f695ec867d549c569fa0028892d401';
+  const owner = getAddressFromPrivateKey(privateKey, TransactionVersion.Testnet);
+  const otherOwner = getAddressFromPrivateKey(
+    'edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01',
+    TransactionVersion.Testnet
+  );
+  const created = createSubdomainRecord({ subdomain: 'alice', owner, zonefile: 'zonefile' });
+  const updated = updateSubdomainRecord({ previousRecord: created, zonefile: 'updated', privateKey });
+
+  // a script that pushes the 64 byte signature and the public key, hex- and base64-encoded
+  const script = Buffer.from(Buffer.from(updated.signature, 'base64').toString(), 'hex');
+  expect(script[0]).toEqual(64);
+  expect(script[65]).toEqual(33);
+  expect(script.length).toEqual(99);
+  const publicKey = script.subarray(66).toString('hex');
+  const hash = createHash('sha256').update(getSubdomainRecordPlaintext(updated)).digest();
+  const signature = { r: script.subarray(1, 33), s: script.subarray(33, 65) };
+  expect(new EC('secp256k1').keyFromPublic(publicKey, 'hex').verify(hash, signature)).toEqual(true);
+
+  expect(verifySubdomainRecordSignature(updated, owner)).toEqual(true);
+  // the script itself is accepted too
+  expect(
+    verifySubdomainRecordSignature({ ...updated, signature: script.toString('base64') }, owner)
+  ).toEqual(true);
+  expect(verifySubdomainRecordSignature(updated, otherOwner)).toEqual(false);
+  expect(verifySubdomainRecordSignature({ ...updated, sequence: 2 }, owner)).toEqual(false);
+  expect(verifySubdomainRecordSignature({ ...updated, signature: 'bm90IGEgc2NyaXB0' }, owner)).toEqual(
+    false
+  );
+  expect(verifySubdomainRecordSignature(created, owner)).toEqual(false);
+});
+
+test('subdomain records batched and verified', () => {
+  jest.dontMock('@stacks/transactions');
+  const {
+    createSubdomainRecord,
+    updateSubdomainRecord,
+    transferSubdomainRecord,
+    batchSubdomainRecords,
+    getSubdomainRecords,
+    verifySubdomainHistory,
+    makeBnsZoneFile,
+  } = require('../src');
+  const { getAddressFromPrivateKey, TransactionVersion } = require('@stacks/transactions');
+
+  const alicePrivateKey = '9888d734e6e80a943a6544159e31d6c7e342f695ec867d549c569fa0028892d401';
+  const bobPrivateKey = 'edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01';
+  const alice = getAddressFromPrivateKey(alicePrivateKey, TransactionVersion.Testnet);
+  const bob = getAddressFromPrivateKey(bobPrivateKey, TransactionVersion.Testnet);
+  const subdomainZonefile = (origin: string) =>
+    makeBnsZoneFile({ origin, profileUrl: `https://gaia.blockstack.org/hub/${origin}/profile.json` });
+
+  const aliceCreate = createSubdomainRecord({
+    subdomain: 'alice',
+    owner: alice,
+    zonefile: subdomainZonefile('alice.muneeb.id'),
+  });
+  const bobCreate = createSubdomainRecord({
+    subdomain: 'bob',
+    owner: bob,
+    zonefile: subdomainZonefile('bob.muneeb.id'),
+  });
+  const aliceUpdate = updateSubdomainRecord({
+    previousRecord: aliceCreate,
+    zonefile: subdomainZonefile('alice-updated.muneeb.id'),
+    privateKey: alicePrivateKey,
+  });
+  const aliceTransfer = transferSubdomainRecord({
+    previousRecord: aliceUpdate,
+    newOwner: bob,
+    privateKey: alicePrivateKey,
+  });
+  expect(aliceTransfer.sequence).toEqual(2);
+  expect(aliceTransfer.owner).toEqual(bob);
+  expect(aliceTransfer.zonefile).toEqual(aliceUpdate.zonefile);
+
+  // one record per subdomain in a zone file
+  const zonefiles = batchSubdomainRecords({
+    origin: 'muneeb.id',
+    records: [aliceCreate, bobCreate, aliceUpdate, aliceTransfer],
+  });
+  expect(zonefiles).toHaveLength(3);
+  expect(getSubdomainRecords(zonefiles[0])).toEqual([aliceCreate, bobCreate]);
+  expect(getSubdomainRecords(zonefiles[1])).toEqual([aliceUpdate]);
+
+  const smallZonefiles = batchSubdomainRecords({
+    origin: 'muneeb.id',
+    records: [aliceCreate, bobCreate],
+    maxSize: 512,
+  });
+  expect(smallZonefiles).toHaveLength(2);
+  expect(() =>
+    batchSubdomainRecords({ origin: 'muneeb.id', records: [aliceCreate], maxSize: 256 })
+  ).toThrow('Subdomain record of alice does not fit in a zone file');
+
+  const history = verifySubdomainHistory('alice.muneeb.id', zonefiles);
+  expect(history.records).toEqual([aliceCreate, aliceUpdate, aliceTransfer]);
+  expect(history.rejected).toEqual([]);
+  expect(history.current).toEqual(aliceTransfer);
+
+  // alice no longer owns the subdomain, bob does
+  const forgedUpdate = updateSubdomainRecord({
+    previousRecord: aliceTransfer,
+    zonefile: subdomainZonefile('alice-forged.muneeb.id'),
+    privateKey: alicePrivateKey,
+  });
+  const bobUpdate = updateSubdomainRecord({
+    previousRecord: aliceTransfer,
+    zonefile: subdomainZonefile('alice-bob.muneeb.id'),
+    privateKey: bobPrivateKey,
+  });
+  const [forgedZonefile, bobZonefile] = batchSubdomainRecords({
+    origin: 'muneeb.id',
+    records: [forgedUpdate, bobUpdate],
+  });
+  const laterHistory = verifySubdomainHistory('alice.muneeb.id', [
+    ...zonefiles,
+    forgedZonefile,
+    zonefiles[0],
+    bobZonefile,
+  ]);
+  expect(laterHistory.current).toEqual(bobUpdate);
+  expect(laterHistory.rejected).toEqual([
+    { record: forgedUpdate, reason: 'Not signed by the owner of the subdomain' },
+    { record: aliceCreate, reason: 'Expected sequence number 3' },
+  ]);
+
+  expect(verifySubdomainHistory('carol.muneeb.id', zonefiles).current).toBeUndefined();
+  expect(() => verifySubdomainHistory('alice.other.id', zonefiles)).toThrow(
+    'Zone file of muneeb.id is not a zone file of other.id'
+  );
+});
@@ -19,6 +19,9 @@ export const ID_ADDRESS_PATTERN = `^ID-${ADDRESS_CHARS}$`;
 
 export const STACKS_ADDRESS_PATTERN = `^(${C32_ADDRESS_CHARS})$`;
 
+// base58 or native segwit bitcoin address
+export const POX_ADDRESS_PATTERN = `^(${ADDRESS_CHARS}|(bc|tb)1[02-9ac-hj-np-z]{11,71})$`;
+
 // hex private key
 export const PRIVATE_KEY_PATTERN = '^([0-9a-f]{64,66})$';
 
@@ -283,7 +286,7 @@ export const CLI_ARGS = {
           name: 'pox_address',
           type: 'string',
           realtype: 'address',
-          pattern: `${ADDRESS_PATTERN}`,
+          pattern: `${POX_ADDRESS_PATTERN}`,
         },
         {
           name: 'stx_address',
@@ -408,6 +411,47 @@ export const CLI_ARGS = {
         '\n',
       group: 'Account Management',
     },
+    cancel_tx: {
+      type: 'array',
+      items: [
+        {
+          name: 'transaction',
+          type: 'string',
+          realtype: 'transaction',
+          pattern: '^(0x)?[0-9a-fA-F]+$',
+        },
+        {
+          name: 'fee',
+          type: 'string',
+          realtype: 'integer',
+          pattern: '^[0-9]+$',
+        },
+        {
+          name: 'payment_key',
+          type: 'string',
+          realtype: 'private_key',
+          pattern: PRIVATE_KEY_PATTERN,
+        },
+      ],
+      minItems: 3,
+      maxItems: 3,
+      help:
+        'Cancel a pending transaction by replacing it with a transfer of 1 microstack from the ' +
+        'sender to itself, using the same nonce and a higher `FEE`.  `TRANSACTION` is either the ID ' +
+        'of a transaction in the mempool, or the hex-encoded transaction itself.  The original ' +
+        'transaction is only cancelled if the replacement is mined first.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ export PAYMENT="bfeffdf57f29b0cc1fab9ea197bb1413da2561fe4b83e962c7f02fbbe2b1cd5401"\n' +
+        '    $ stx cancel_tx a9d387a925fb0ba7a725fb1e11f2c3f1647473699dd5a147c312e6453d233456 400 "$PAYMENT"\n' +
+        '     {\n' +
+        "       txid: '0x2e33ad647a9cedacb718ce247967dc705bc0c878db899fdba5eae2437c6fa1e1'," +
+        "       transaction: 'https://explorer.stacks.co/txid/0x2e33ad647a9cedacb718ce247967dc705bc0c878db899fdba5eae2437c6fa1e1'" +
+        '     }\n' +
+        '\n',
+      group: 'Account Management',
+    },
     convert_address: {
       type: 'array',
       items: [
@@ -463,6 +507,47 @@ export const CLI_ARGS = {
         '    }\n',
       group: 'Account Management',
     },
+    decode_tx: {
+      type: 'array',
+      items: [
+        {
+          name: 'transaction',
+          type: 'string',
+          realtype: 'transaction',
+          pattern: '^(0x)?[0-9a-fA-F]+$',
+        },
+      ],
+      minItems: 1,
+      maxItems: 1,
+      help:
+        'Decode a hex-encoded transaction and print a readable summary of it: the sender and ' +
+        'sponsor addresses, fee, nonce, payload with its Clarity arguments, and post conditions.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ stx decode_tx 808000000004003e2b2c3f1b7d2ab5cc5a27a1fd8cd1a7e3dbdb5f00000000000000070000000000...\n' +
+        '    {\n' +
+        '      "txid": "0x284a9ed2ab66158543e5d995b25135adf8dc3feea61e12cbfde2b31ff5dd624a",\n' +
+        '      "network": "testnet",\n' +
+        '      "chainId": 2147483648,\n' +
+        '      "anchorMode": "any",\n' +
+        '      "authType": "standard",\n' +
+        '      "sender": "ST2ZRX0K27GW0SP3GJCEMHD95TQGJMKB7G9Y0X1MH",\n' +
+        '      "fee": "200",\n' +
+        '      "nonce": "7",\n' +
+        '      ...\n' +
+        '      "payload": {\n' +
+        '        "type": "token_transfer",\n' +
+        '        "recipient": "SP3FGQ8Z7JY9BWYZ5WM53E0M9NK7WHJF0691NZ159",\n' +
+        '        "amount": "12345",\n' +
+        '        "memo": "test memo"\n' +
+        '      },\n' +
+        '      "postConditionMode": "deny",\n' +
+        '      "postConditions": []\n' +
+        '    }\n' +
+        '\n',
+      group: 'Account Management',
+    },
     decrypt_keychain: {
       type: 'array',
       items: [
@@ -815,6 +900,126 @@ export const CLI_ARGS = {
         '    }\n',
       group: 'Gaia',
     },
+    gaia_copyfile: {
+      type: 'array',
+      items: [
+        {
+          name: 'gaia_hub',
+          type: 'string',
+          realtype: 'url',
+          pattern: URL_PATTERN,
+        },
+        {
+          name: 'app_private_key',
+          type: 'string',
+          realtype: 'private_key',
+          pattern: PRIVATE_KEY_UNCOMPRESSED_PATTERN,
+        },
+        {
+          name: 'from_gaia_filename',
+          type: 'string',
+          realtype: 'filename',
+          pattern: '.+',
+        },
+        {
+          name: 'to_gaia_filename',
+          type: 'string',
+          realtype: 'filename',
+          pattern: '.+',
+        },
+        {
+          name: 'was_signed',
+          type: 'string',
+          realtype: 'boolean',
+          pattern: BOOLEAN_PATTERN,
+        },
+        {
+          name: 'overwrite',
+          type: 'string',
+          realtype: 'boolean',
+          pattern: BOOLEAN_PATTERN,
+        },
+      ],
+      minItems: 4,
+      maxItems: 6,
+      help:
+        'Copy a file within a Gaia hub bucket.  If "was_signed" is true, its signature file is copied as well.  ' +
+        'The command fails if the destination file exists, unless "overwrite" is true.  ' +
+        'The stored data is copied as-is, so encrypted files stay encrypted.  The command prints ' +
+        'the URL of the new file.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ # Tip: You can obtain the app key with the get_app_keys command.\n' +
+        '    $ export APP_KEY="3ac770e8c3d88b1003bf4a0a148ceb920a6172bdade8e0325a1ed1480ab4fb19"\n' +
+        '    $ stx gaia_copyfile https://hub.blockstack.org "$APP_KEY" file.txt backup/file.txt true\n' +
+        '    {\n' +
+        '       "urls": [\n' +
+        '          "https://gaia.blockstack.org/hub/1Lr8ggSgdmfcb4764woYutUfFqQMjEoKHc/backup/file.txt"\n' +
+        '       ]\n' +
+        '    }\n',
+      group: 'Gaia',
+    },
+    gaia_movefile: {
+      type: 'array',
+      items: [
+        {
+          name: 'gaia_hub',
+          type: 'string',
+          realtype: 'url',
+          pattern: URL_PATTERN,
+        },
+        {
+          name: 'app_private_key',
+          type: 'string',
+          realtype: 'private_key',
+          pattern: PRIVATE_KEY_UNCOMPRESSED_PATTERN,
+        },
+        {
+          name: 'from_gaia_filename',
+          type: 'string',
+          realtype: 'filename',
+          pattern: '.+',
+        },
+        {
+          name: 'to_gaia_filename',
+          type: 'string',
+          realtype: 'filename',
+          pattern: '.+',
+        },
+        {
+          name: 'was_signed',
+          type: 'string',
+          realtype: 'boolean',
+          pattern: BOOLEAN_PATTERN,
+        },
+        {
+          name: 'overwrite',
+          type: 'string',
+          realtype: 'boolean',
+          pattern: BOOLEAN_PATTERN,
+        },
+      ],
+      minItems: 4,
+      maxItems: 6,
+      help:
+        'Move a file within a Gaia hub bucket, by copying it and deleting the original.  If "was_signed" is true, its signature file is moved as well.  ' +
+        'The command fails if the destination file exists, unless "overwrite" is true.  ' +
+        'The stored data is moved as-is, so encrypted files stay encrypted.  The command prints ' +
+        'the URL of the new file.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ # Tip: You can obtain the app key with the get_app_keys command.\n' +
+        '    $ export APP_KEY="3ac770e8c3d88b1003bf4a0a148ceb920a6172bdade8e0325a1ed1480ab4fb19"\n' +
+        '    $ stx gaia_movefile https://hub.blockstack.org "$APP_KEY" draft.txt posts/1.txt true\n' +
+        '    {\n' +
+        '       "urls": [\n' +
+        '          "https://gaia.blockstack.org/hub/1Lr8ggSgdmfcb4764woYutUfFqQMjEoKHc/posts/1.txt"\n' +
+        '       ]\n' +
+        '    }\n',
+      group: 'Gaia',
+    },
     gaia_deletefile: {
       type: 'array',
       items: [
@@ -856,6 +1061,47 @@ export const CLI_ARGS = {
         '    ok',
       group: 'Gaia',
     },
+    gaia_deletedirectory: {
+      type: 'array',
+      items: [
+        {
+          name: 'gaia_hub',
+          type: 'string',
+          realtype: 'url',
+          pattern: URL_PATTERN,
+        },
+        {
+          name: 'app_private_key',
+          type: 'string',
+          realtype: 'private_key',
+          pattern: PRIVATE_KEY_UNCOMPRESSED_PATTERN,
+        },
+        {
+          name: 'gaia_directory',
+          type: 'string',
+          realtype: 'filename',
+          pattern: '.+',
+        },
+      ],
+      minItems: 3,
+      maxItems: 3,
+      help:
+        'Delete all the files in a directory of a Gaia hub bucket, including signature files.  ' +
+        'The command prints the paths of the deleted files.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ # Tip: You can obtain the app key with the get_app_keys command.\n' +
+        '    $ export APP_KEY="3ac770e8c3d88b1003bf4a0a148ceb920a6172bdade8e0325a1ed1480ab4fb19"\n' +
+        '    $ stx gaia_deletedirectory https://hub.blockstack.org "$APP_KEY" photos\n' +
+        '    {\n' +
+        '       "deleted": [\n' +
+        '          "photos/1.jpg",\n' +
+        '          "photos/2.jpg"\n' +
+        '       ]\n' +
+        '    }\n',
+      group: 'Gaia',
+    },
     gaia_listfiles: {
       type: 'array',
       items: [
@@ -890,6 +1136,51 @@ export const CLI_ARGS = {
         '    3\n',
       group: 'Gaia',
     },
+    gaia_listfiles_detailed: {
+      type: 'array',
+      items: [
+        {
+          name: 'gaia_hub',
+          type: 'string',
+          realtype: 'url',
+          pattern: URL_PATTERN,
+        },
+        {
+          name: 'app_private_key',
+          type: 'string',
+          realtype: 'private_key',
+          pattern: PRIVATE_KEY_UNCOMPRESSED_PATTERN,
+        },
+        {
+          name: 'prefix',
+          type: 'string',
+          realtype: 'filename',
+          pattern: '.+',
+        },
+      ],
+      minItems: 2,
+      maxItems: 3,
+      help:
+        'List the files in a Gaia hub bucket with their size, etag, last modification date and ' +
+        'content type, as reported by the hub.  If "prefix" is given, only the files whose path ' +
+        'starts with it are listed.  You must have the private key for the bucket in order to ' +
+        'list its contents.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ # Tip: You can obtain the app key with the get_app_keys command.\n' +
+        '    $ export APP_KEY="3ac770e8c3d88b1003bf4a0a148ceb920a6172bdade8e0325a1ed1480ab4fb19"\n' +
+        '    $ stx gaia_listfiles_detailed "https://hub.blockstack.org" "$APP_KEY" photos/\n' +
+        '    [\n' +
+        '       {\n' +
+        '          "path": "photos/1.jpg",\n' +
+        '          "size": 48213,\n' +
+        '          "etag": "\\"0x8D8B5E5D2A4C1F0\\"",\n' +
+        '          "lastModified": "2021-01-18T17:54:17.000Z"\n' +
+        '       }\n' +
+        '    ]\n',
+      group: 'Gaia',
+    },
     gaia_restore_bucket: {
       type: 'array',
       items: [
@@ -1007,6 +1298,53 @@ export const CLI_ARGS = {
         '\n',
       group: 'Gaia',
     },
+    generate_contract_client: {
+      type: 'array',
+      items: [
+        {
+          name: 'contract_address',
+          type: 'string',
+          realtype: 'address',
+          pattern: `${STACKS_ADDRESS_PATTERN}`,
+        },
+        {
+          name: 'contract_name',
+          type: 'string',
+          realtype: 'string',
+          pattern: '^[a-zA-Z]([a-zA-Z0-9]|[-_])*$',
+        },
+        {
+          name: 'output_file',
+          type: 'string',
+          realtype: 'path',
+          pattern: '.+',
+        },
+        {
+          name: 'abi_file',
+          type: 'string',
+          realtype: 'path',
+          pattern: '.+',
+        },
+      ],
+      minItems: 3,
+      maxItems: 4,
+      help:
+        'Generate a TypeScript module with a typed client for a deployed Clarity smart contract, and ' +
+        'write it to `OUTPUT_FILE`.  The client has a method for each public and read-only function ' +
+        'of the contract that takes and returns native JavaScript values, and methods to read the ' +
+        "contract's data maps and data vars.  The ABI of the contract is fetched from the network, " +
+        'unless it is given in the JSON file `ABI_FILE`.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ stx generate_contract_client SP3D6PV2ACBPEKYJTCMH7HEN02KP87QSP8KTEH335 my-token ./my-token-client.ts\n' +
+        '    {\n' +
+        '      "file": "./my-token-client.ts",\n' +
+        '      "functions": 6\n' +
+        '    }\n' +
+        '\n',
+      group: 'Account Management',
+    },
     get_account_history: {
       type: 'array',
       items: [
@@ -1197,18 +1535,47 @@ export const CLI_ARGS = {
           realtype: 'transaction_id',
           pattern: TXID_PATTERN,
         },
+        {
+          name: 'confirmations',
+          type: 'string',
+          realtype: 'integer',
+          pattern: '^[0-9]+$',
+        },
+        {
+          name: 'timeout',
+          type: 'string',
+          realtype: 'integer',
+          pattern: '^[0-9]+$',
+        },
       ],
       minItems: 1,
-      maxItems: 1,
+      maxItems: 3,
       help:
-        'Get the block height and number of confirmations for a transaction.\n' +
+        'Get the status, block height and number of confirmations for a transaction. ' +
+        'The status is one of `pending`, `success`, `abort_by_response`, `abort_by_post_condition` ' +
+        'or `dropped`.  For mined transactions, the result of the transaction is included.\n' +
+        '\n' +
+        'If `confirmations` is given, the command waits until the transaction has at least ' +
+        'that many confirmations or is dropped, for at most `timeout` seconds if given.\n' +
         '\n' +
         'Example:\n' +
         '\n' +
         '    $ stx get_confirmations e41ce043ab64fd5a5fd382fba21acba8c1f46cbb1d7c08771ada858ce7d29eea\n' +
         '    {\n' +
+        '      "status": "success",\n' +
+        '      "result": "(ok true)",\n' +
         '      "blockHeight": 567890,\n' +
-        '      "confirmations": 7,\n' +
+        '      "confirmations": 7\n' +
+        '    }\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ stx get_confirmations e41ce043ab64fd5a5fd382fba21acba8c1f46cbb1d7c08771ada858ce7d29eea 1 600\n' +
+        '    {\n' +
+        '      "status": "success",\n' +
+        '      "result": "(ok true)",\n' +
+        '      "blockHeight": 567891,\n' +
+        '      "confirmations": 1\n' +
         '    }\n' +
         '\n',
       group: 'Peer Services',
@@ -1560,6 +1927,110 @@ export const CLI_ARGS = {
         '\n',
       group: 'Peer Services',
     },
+    multisig_create: {
+      type: 'array',
+      items: [
+        {
+          name: 'transaction',
+          type: 'string',
+          realtype: 'transaction',
+          pattern: '^(0x)?[0-9a-fA-F]+$',
+        },
+        {
+          name: 'public_keys',
+          type: 'string',
+          realtype: 'public_key_list',
+          pattern: '^([0-9a-fA-F]{66,130})(,[0-9a-fA-F]{66,130})*$',
+        },
+        {
+          name: 'psst_file',
+          type: 'string',
+          realtype: 'path',
+          pattern: '.+',
+        },
+      ],
+      minItems: 3,
+      maxItems: 3,
+      help:
+        'Start collecting the signatures of a multi-sig transaction.  `TRANSACTION` is the hex-encoded ' +
+        'unsigned transaction, e.g. created with the `-x` flag, and `PUBLIC_KEYS` is the comma-separated ' +
+        'list of the public keys of the multi-sig account, in the order used to create its address.  The ' +
+        'partially signed transaction is written to `PSST_FILE`, which can be passed to each cosigner in ' +
+        'turn to sign with `multisig_sign`.  No network access is needed.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ stx multisig_create "$UNSIGNED_TX" "$PUBKEY_1,$PUBKEY_2,$PUBKEY_3" ./transfer.psst\n' +
+        '    {\n' +
+        '      "file": "./transfer.psst",\n' +
+        '      "sigHash": "a2b0e6fd4e76b9a5af0a34d9a5a6ef5b9b1fb0f7a3cf2d97c3c1d5bd2b1e1b48",\n' +
+        '      "signaturesRequired": 2,\n' +
+        '      "signers": []\n' +
+        '    }\n' +
+        '\n',
+      group: 'Account Management',
+    },
+    multisig_finalize: {
+      type: 'array',
+      items: [
+        {
+          name: 'psst_file',
+          type: 'string',
+          realtype: 'path',
+          pattern: '.+',
+        },
+      ],
+      minItems: 1,
+      maxItems: 1,
+      help:
+        'Build the signed transaction from a partially signed transaction in `PSST_FILE` that has ' +
+        'collected the required number of signatures.  The hex-encoded transaction is printed, ' +
+        'so that it can be broadcast from a machine with network access.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ stx multisig_finalize ./transfer.psst\n' +
+        '    00000000010401a23ea89d6529ac48ac766f720e480beec7f1927300000000000000030000000000000...\n' +
+        '\n',
+      group: 'Account Management',
+    },
+    multisig_sign: {
+      type: 'array',
+      items: [
+        {
+          name: 'psst_file',
+          type: 'string',
+          realtype: 'path',
+          pattern: '.+',
+        },
+        {
+          name: 'private_key',
+          type: 'string',
+          realtype: 'private_key',
+          pattern: PRIVATE_KEY_PATTERN,
+        },
+      ],
+      minItems: 2,
+      maxItems: 2,
+      help:
+        'Add a signature to the partially signed transaction in `PSST_FILE`, using the `PRIVATE_KEY` ' +
+        'of one of the cosigners of the multi-sig account.  Cosigners sign in the order of their ' +
+        'public keys.  The file is updated in place.  No network access is needed.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ stx multisig_sign ./transfer.psst "$PRIVATE_KEY_1"\n' +
+        '    {\n' +
+        '      "file": "./transfer.psst",\n' +
+        '      "sigHash": "a2b0e6fd4e76b9a5af0a34d9a5a6ef5b9b1fb0f7a3cf2d97c3c1d5bd2b1e1b48",\n' +
+        '      "signaturesRequired": 2,\n' +
+        '      "signers": [\n' +
+        '        "02b30fafab3a12372c5d150d567034f37d60a91168009a779498168b0e9d8ec7f2"\n' +
+        '      ]\n' +
+        '    }\n' +
+        '\n',
+      group: 'Account Management',
+    },
     name_import: {
       type: 'array',
       items: [
@@ -2182,6 +2653,46 @@ export const CLI_ARGS = {
         '    $ stx register_subdomain hello.personal.id "$OWNER" https://hub.blockstack.org https://registrar.blockstack.org\n',
       group: 'Blockstack ID Management',
     },
+    replace_tx: {
+      type: 'array',
+      items: [
+        {
+          name: 'transaction',
+          type: 'string',
+          realtype: 'transaction',
+          pattern: '^(0x)?[0-9a-fA-F]+$',
+        },
+        {
+          name: 'fee',
+          type: 'string',
+          realtype: 'integer',
+          pattern: '^[0-9]+$',
+        },
+        {
+          name: 'payment_key',
+          type: 'string',
+          realtype: 'private_key',
+          pattern: PRIVATE_KEY_PATTERN,
+        },
+      ],
+      minItems: 3,
+      maxItems: 3,
+      help:
+        'Replace a pending transaction with a copy that pays a higher `FEE`, so that it is mined ' +
+        'sooner.  `TRANSACTION` is either the ID of a transaction in the mempool, or the hex-encoded ' +
+        'transaction itself.  The replacement uses the same nonce, and is signed with `PAYMENT_KEY`.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ export PAYMENT="bfeffdf57f29b0cc1fab9ea197bb1413da2561fe4b83e962c7f02fbbe2b1cd5401"\n' +
+        '    $ stx replace_tx a9d387a925fb0ba7a725fb1e11f2c3f1647473699dd5a147c312e6453d233456 400 "$PAYMENT"\n' +
+        '     {\n' +
+        "       txid: '0x2e33ad647a9cedacb718ce247967dc705bc0c878db899fdba5eae2437c6fa1e1'," +
+        "       transaction: 'https://explorer.stacks.co/txid/0x2e33ad647a9cedacb718ce247967dc705bc0c878db899fdba5eae2437c6fa1e1'" +
+        '     }\n' +
+        '\n',
+      group: 'Account Management',
+    },
     revoke: {
       type: 'array',
       items: [
@@ -2370,7 +2881,7 @@ export const CLI_ARGS = {
           name: 'pox_address',
           type: 'string',
           realtype: 'integer',
-          pattern: `${ADDRESS_PATTERN}`,
+          pattern: `${POX_ADDRESS_PATTERN}`,
         },
         {
           name: 'private_key',
@@ -2405,6 +2916,36 @@ export const CLI_ARGS = {
         '     }\n',
       group: 'Account Management',
     },
+    stacking_schedule: {
+      type: 'array',
+      items: [
+        {
+          name: 'lock_cycles',
+          type: 'string',
+          realtype: 'integer',
+          pattern: '^[0-9]+$',
+        },
+        {
+          name: 'stx_address',
+          type: 'string',
+          realtype: 'address',
+          pattern: STACKS_ADDRESS_PATTERN,
+        },
+      ],
+      minItems: 1,
+      maxItems: 2,
+      help:
+        'Get the burnchain heights and estimated times of the current and next reward cycles, ' +
+        'and project when Stacks tokens locked now for the given number of cycles would start ' +
+        'earning rewards and unlock. If a Stacks address is given, its past lock, extend and ' +
+        'unlock events and its rewards by cycle are listed as well. Times are estimated from ' +
+        'the target block time of the burnchain.\n' +
+        '\n' +
+        'Example:\n' +
+        '\n' +
+        '    $ stx stacking_schedule 6 SPZY1V53Z4TVRHHW9Z7SFG8CZNRAG7BD8WJ6SXD0\n',
+      group: 'Account Management',
+    },
     stacking_status: {
       type: 'array',
       items: [
@@ -1,4 +1,4 @@
-import { Buffer } from '@stacks/common';
+import { Buffer, fetchPrivate } from '@stacks/common';
 import * as blockstack from 'blockstack';
 import * as bitcoin from 'bitcoinjs-lib';
 import * as process from 'process';
@@ -38,9 +38,18 @@ import {
   getAddressFromPrivateKey,
   TransactionVersion,
   AnchorMode,
+  getTransactionStatus,
+  waitForTransaction,
+  TxStatus,
+  deserializeTransaction,
+  makeReplacementTransaction,
+  makeCancelTransaction,
+  PartiallySignedTransaction,
+  describeTransaction,
+  generateContractClient,
 } from '@stacks/transactions';
 
-import { StacksMainnet, StacksTestnet } from '@stacks/network';
+import { StacksMainnet, StacksNetwork, StacksTestnet } from '@stacks/network';
 
 // eslint-disable-next-line @typescript-eslint/no-var-requires
 const c32check = require('c32check');
@@ -52,7 +61,7 @@ import { StackingClient, StackerInfo } from '@stacks/stacking';
 
 import { FaucetsApi, AccountsApi, Configuration } from '@stacks/blockchain-api-client';
 
-import { GaiaHubConfig } from '@stacks/storage';
+import { GaiaHubConfig, ListFilesDetailedResult } from '@stacks/storage';
 
 import {
   getOwnerKeyInfo,
@@ -89,7 +98,13 @@ import { encryptBackupPhrase, decryptBackupPhrase } from './encrypt';
 
 import { CLINetworkAdapter, CLI_NETWORK_OPTS, getNetwork, NameInfoType } from './network';
 
-import { gaiaAuth, gaiaConnect, gaiaUploadProfileAll, getGaiaAddressFromProfile } from './data';
+import {
+  gaiaAuth,
+  gaiaConnect,
+  gaiaStorage,
+  gaiaUploadProfileAll,
+  getGaiaAddressFromProfile,
+} from './data';
 
 import {
   JSONStringify,
@@ -600,6 +615,170 @@ async function sendTokens(network: CLINetworkAdapter, args: string[]): Promise<s
     });
 }
 
+/*
+ * Look up a transaction to replace, given either its txid or the hex-encoded transaction.
+ */
+async function getTransactionToReplace(
+  txNetwork: StacksNetwork,
+  transaction: string
+): Promise<StacksTransaction> {
+  if (!/^(0x)?[0-9a-f]{64}$/i.test(transaction)) {
+    return deserializeTransaction(transaction);
+  }
+  const txid = transaction.startsWith('0x') ? transaction : `0x${transaction}`;
+  if (!txNetwork.getTransactionApiUrl) {
+    throw new Error('The network does not implement getTransactionApiUrl');
+  }
+  const url = `${txNetwork.getTransactionApiUrl(txid)}/raw`;
+  const response = await (txNetwork.fetchFn ?? fetchPrivate)(url);
+  if (!response.ok) {
+    throw new Error(
+      `Could not fetch transaction ${txid}: ${response.status} ${response.statusText}`
+    );
+  }
+  const { raw_tx } = (await response.json()) as { raw_tx: string };
+  return deserializeTransaction(raw_tx);
+}
+
+/*
+ * Broadcast a replacement transaction created by replace_tx or cancel_tx.
+ */
+function broadcastReplacement(tx: StacksTransaction, txNetwork: StacksNetwork): Promise<any> {
+  if (txOnly) {
+    return Promise.resolve(tx.serialize().toString('hex'));
+  }
+
+  return broadcastTransaction(tx, txNetwork)
+    .then((response: TxBroadcastResult) => {
+      if (response.hasOwnProperty('error')) {
+        return response;
+      }
+      return {
+        txid: `0x${tx.txid()}`,
+        transaction: generateExplorerTxPageUrl(tx.txid(), txNetwork),
+      };
+    })
+    .catch(error => {
+      return error.toString();
+    });
+}
+
+/*
+ * Replace a pending transaction with a copy that pays a higher fee.
+ * args:
+ * @transaction (string) the txid of the transaction, or the hex-encoded transaction
+ * @fee (int) the new transaction fee, higher than the current fee
+ * @privateKey (string) the hex-encoded private key of the sender
+ */
+async function replaceTransaction(network: CLINetworkAdapter, args: string[]): Promise<string> {
+  const fee = new BN(args[1]);
+  const privateKey = args[2];
+
+  const txNetwork = network.isMainnet()
+    ? new StacksMainnet({ url: network.legacyNetwork.blockstackAPIUrl })
+    : new StacksTestnet({ url: network.legacyNetwork.blockstackAPIUrl });
+
+  const original = await getTransactionToReplace(txNetwork, args[0]);
+  const tx = makeReplacementTransaction(original, { newFee: fee, senderKey: privateKey });
+
+  return broadcastReplacement(tx, txNetwork);
+}
+
+/*
+ * Cancel a pending transaction by replacing it with a transfer to the sender itself.
+ * args:
+ * @transaction (string) the txid of the transaction, or the hex-encoded transaction
+ * @fee (int) the fee of the cancel transaction, higher than the current fee
+ * @privateKey (string) the hex-encoded private key of the sender
+ */
+async function cancelTransaction(network: CLINetworkAdapter, args: string[]): Promise<string> {
+  const fee = new BN(args[1]);
+  const privateKey = args[2];
+
+  const txNetwork = network.isMainnet()
+    ? new StacksMainnet({ url: network.legacyNetwork.blockstackAPIUrl })
+    : new StacksTestnet({ url: network.legacyNetwork.blockstackAPIUrl });
+
+  const original = await getTransactionToReplace(txNetwork, args[0]);
+  const tx = makeCancelTransaction(original, { newFee: fee, senderKey: privateKey });
+
+  return broadcastReplacement(tx, txNetwork);
+}
+
+/*
+ * Decode a transaction and describe it in a readable form.
+ * args:
+ * @transaction (string) the hex-encoded transaction
+ */
+function decodeTransaction(_network: CLINetworkAdapter, args: string[]): Promise<string> {
+  const transaction = deserializeTransaction(args[0]);
+  return Promise.resolve(JSONStringify(describeTransaction(transaction) as any));
+}
+
+/*
+ * Read a partially signed transaction from a file, either as JSON or in its
+ * hex or base64 encoded compact form.
+ */
+function readPartiallySignedTransaction(psstFile: string): PartiallySignedTransaction {
+  const data = fs.readFileSync(psstFile).toString().trim();
+  return data.startsWith('{')
+    ? PartiallySignedTransaction.fromJSON(JSON.parse(data))
+    : PartiallySignedTransaction.deserialize(data);
+}
+
+/*
+ * Write a partially signed transaction to a file as JSON, and describe its signing state.
+ */
+function writePartiallySignedTransaction(psstFile: string, psst: PartiallySignedTransaction) {
+  fs.writeFileSync(psstFile, JSON.stringify(psst.toJSON(), null, 2));
+  return {
+    file: psstFile,
+    sigHash: psst.sigHash,
+    signaturesRequired: psst.signaturesRequired,
+    signers: psst.getSigners(),
+  };
+}
+
+/*
+ * Create a partially signed multi-sig transaction file, to collect signatures offline.
+ * args:
+ * @transaction (string) the hex-encoded unsigned transaction
+ * @publicKeys (string) the comma-separated public keys of the multi-sig account
+ * @psstFile (string) the path to write the partially signed transaction to
+ */
+function multiSigCreate(_network: CLINetworkAdapter, args: string[]): Promise<string> {
+  const transaction = deserializeTransaction(args[0]);
+  const publicKeys = args[1].split(',');
+  const psstFile = args[2];
+
+  const psst = PartiallySignedTransaction.fromTransaction(transaction, publicKeys);
+  return Promise.resolve(JSONStringify(writePartiallySignedTransaction(psstFile, psst)));
+}
+
+/*
+ * Sign a partially signed multi-sig transaction file with the key of a cosigner.
+ * args:
+ * @psstFile (string) the path to the partially signed transaction
+ * @privateKey (string) the hex-encoded private key of the cosigner
+ */
+function multiSigSign(_network: CLINetworkAdapter, args: string[]): Promise<string> {
+  const psstFile = args[0];
+  const privateKey = args[1];
+
+  const psst = readPartiallySignedTransaction(psstFile).sign(privateKey);
+  return Promise.resolve(JSONStringify(writePartiallySignedTransaction(psstFile, psst)));
+}
+
+/*
+ * Build the signed transaction from a partially signed multi-sig transaction file.
+ * args:
+ * @psstFile (string) the path to the partially signed transaction
+ */
+function multiSigFinalize(_network: CLINetworkAdapter, args: string[]): Promise<string> {
+  const psst = readPartiallySignedTransaction(args[0]);
+  return Promise.resolve(psst.finalize().serialize().toString('hex'));
+}
+
 /*
  * Depoly a Clarity smart contract.
  * args:
@@ -806,32 +985,83 @@ async function readOnlyContractFunctionCall(
     });
 }
 
-// /*
-//  * Get the number of confirmations of a txid.
-//  * args:
-//  * @txid (string) the transaction ID as a hex string
-//  */
-// function getConfirmations(network: CLINetworkAdapter, args: string[]) : Promise<string> {
-//   const txid = args[0];
-//   return Promise.all([network.getBlockHeight(), network.getTransactionInfo(txid)])
-//     .then(([blockHeight, txInfo]) => {
-//       return JSONStringify({
-//         'blockHeight': txInfo.block_height,
-//         'confirmations': blockHeight - txInfo.block_height + 1
-//       });
-//     })
-//     .catch((e) => {
-//       if (e.message.toLowerCase() === 'unconfirmed transaction') {
-//         return JSONStringify({
-//           'blockHeight': 'unconfirmed',
-//           'confirmations': 0
-//         });
-//       }
-//       else {
-//         throw e;
-//       }
-//     });
-// }
+/*
+ * Generate a typed TypeScript client for a Clarity smart contract.
+ * args:
+ * @contractAddress (string) the address of the contract
+ * @contractName (string) the name of the contract
+ * @outputFile (string) the path to write the generated module to
+ * @abiFile (string) OPTIONAL: the path to the ABI of the contract as JSON, fetched if not given
+ */
+async function generateContractClientFile(
+  network: CLINetworkAdapter,
+  args: string[]
+): Promise<string> {
+  const contractAddress = args[0];
+  const contractName = args[1];
+  const outputFile = args[2];
+  const abiFile = args.length > 3 && !!args[3] ? args[3] : undefined;
+
+  const txNetwork = network.isMainnet()
+    ? new StacksMainnet({ url: network.legacyNetwork.blockstackAPIUrl })
+    : new StacksTestnet({ url: network.legacyNetwork.blockstackAPIUrl });
+
+  const abi: ClarityAbi = abiFile
+    ? JSON.parse(fs.readFileSync(abiFile).toString())
+    : await getAbi(contractAddress, contractName, txNetwork);
+
+  const source = generateContractClient(abi, { contractAddress, contractName });
+  fs.writeFileSync(outputFile, source);
+
+  return JSONStringify({
+    file: outputFile,
+    functions: abi.functions.filter(fn => fn.access !== 'private').length,
+  });
+}
+
+/*
+ * Get the number of confirmations of a txid.
+ * args:
+ * @txid (string) the transaction ID as a hex string
+ * @confirmations (int) OPTIONAL: wait until the transaction has this many confirmations
+ * @timeout (int) OPTIONAL: the maximum number of seconds to wait
+ */
+async function getConfirmations(network: CLINetworkAdapter, args: string[]): Promise<string> {
+  const txid = args[0];
+  const waitConfirmations = args.length > 1 && !!args[1] ? parseInt(args[1]) : undefined;
+  const timeout = args.length > 2 && !!args[2] ? parseInt(args[2]) * 1000 : undefined;
+
+  const txNetwork = network.isMainnet()
+    ? new StacksMainnet({ url: network.legacyNetwork.blockstackAPIUrl })
+    : new StacksTestnet({ url: network.legacyNetwork.blockstackAPIUrl });
+
+  const status: TxStatus =
+    waitConfirmations === undefined
+      ? await getTransactionStatus(txid, txNetwork)
+      : await waitForTransaction(txid, txNetwork, { confirmations: waitConfirmations, timeout });
+
+  if (status.status === 'pending') {
+    return JSONStringify({
+      status: status.status,
+      blockHeight: 'unconfirmed',
+      confirmations: 0,
+    });
+  }
+  if (status.status === 'dropped') {
+    return JSONStringify({
+      status: status.status,
+      reason: status.reason,
+      blockHeight: 'unconfirmed',
+      confirmations: 0,
+    });
+  }
+  return JSONStringify({
+    status: status.status,
+    result: cvToString(status.result),
+    blockHeight: status.blockHeight,
+    confirmations: status.confirmations,
+  });
+}
 
 /*
  * Get the address of a private key
@@ -998,6 +1228,92 @@ function gaiaListFiles(network: CLINetworkAdapter, args: string[]): Promise<stri
     .then(() => JSONStringify(count));
 }
 
+/*
+ * List files in a Gaia hub, with their size, etag, last modification date and content type
+ * args:
+ * @hubUrl (string) the URL to the write endpoint of the gaia hub
+ * @appPrivateKey (string) the private key used to authenticate to the gaia hub
+ * @prefix (string) OPTIONAL: only list the files whose path starts with this prefix
+ */
+async function gaiaListFilesDetailed(network: CLINetworkAdapter, args: string[]): Promise<string> {
+  const hubUrl = args[0];
+  const appPrivateKey = args[1];
+  const prefix = args.length > 2 && !!args[2] ? args[2].replace(/^\/+/, '') : '';
+
+  const storage = await gaiaStorage(network, hubUrl, appPrivateKey);
+  const files = [];
+  let page: string | null = null;
+  do {
+    const result: ListFilesDetailedResult = await storage.listFilesDetailed({ prefix, page });
+    files.push(...result.files);
+    page = result.page;
+  } while (page);
+  return JSONStringify(files as any);
+}
+
+/*
+ * Delete all files in a directory of a Gaia hub
+ * args:
+ * @hubUrl (string) the URL to the write endpoint of the gaia hub
+ * @appPrivateKey (string) the private key used to authenticate to the gaia hub
+ * @gaiaPath (string) the path (in Gaia) of the directory to delete
+ */
+async function gaiaDeleteDirectory(network: CLINetworkAdapter, args: string[]): Promise<string> {
+  const hubUrl = args[0];
+  const appPrivateKey = args[1];
+  const gaiaPath = path.normalize(args[2].replace(/^\/+/, ''));
+
+  const storage = await gaiaStorage(network, hubUrl, appPrivateKey);
+  const deleted = await storage.deleteDirectory(gaiaPath);
+  return JSONStringify({ deleted });
+}
+
+/*
+ * Copy or move a file in a Gaia hub
+ * args:
+ * @hubUrl (string) the URL to the write endpoint of the gaia hub
+ * @appPrivateKey (string) the private key used to authenticate to the gaia hub
+ * @fromPath (string) the path (in Gaia) of the file
+ * @toPath (string) the path (in Gaia) of the copy
+ * @wasSigned (string) OPTIONAL: if '1' or 'true', copy the signature file as well.
+ * @overwrite (string) OPTIONAL: if '1' or 'true', overwrite the copy if it exists.
+ */
+async function gaiaCopyOrMoveFile(
+  network: CLINetworkAdapter,
+  args: string[],
+  move: boolean
+): Promise<string> {
+  const hubUrl = args[0];
+  const appPrivateKey = args[1];
+  const fromPath = path.normalize(args[2].replace(/^\/+/, ''));
+  const toPath = path.normalize(args[3].replace(/^\/+/, ''));
+
+  let wasSigned = false;
+  let overwrite = false;
+
+  if (args.length > 4 && !!args[4]) {
+    wasSigned = args[4].toLowerCase() === 'true' || args[4].toLowerCase() === '1';
+  }
+  if (args.length > 5 && !!args[5]) {
+    overwrite = args[5].toLowerCase() === 'true' || args[5].toLowerCase() === '1';
+  }
+
+  const storage = await gaiaStorage(network, hubUrl, appPrivateKey);
+  const options = { wasSigned, overwrite };
+  const url = move
+    ? await storage.moveFile(fromPath, toPath, options)
+    : await storage.copyFile(fromPath, toPath, options);
+  return JSONStringify({ urls: [url] });
+}
+
+function gaiaCopyFile(network: CLINetworkAdapter, args: string[]): Promise<string> {
+  return gaiaCopyOrMoveFile(network, args, false);
+}
+
+function gaiaMoveFile(network: CLINetworkAdapter, args: string[]): Promise<string> {
+  return gaiaCopyOrMoveFile(network, args, true);
+}
+
 /*
  * Group array items into batches
  */
@@ -1520,6 +1836,38 @@ async function stackingStatus(network: CLINetworkAdapter, args: string[]): Promi
     });
 }
 
+/*
+ * Get the schedule of the current and next reward cycles, the projected schedule of a lock
+ * for a number of cycles, and the stacking history of an address.
+ * args:
+ * @lock_cycles (int) the number of cycles to project a lock for
+ * @stx_address (string) OPTIONAL: the address to get the stacking history of
+ */
+async function stackingSchedule(network: CLINetworkAdapter, args: string[]): Promise<string> {
+  const lockCycles = parseInt(args[0]);
+  const stxAddress = args.length > 1 && !!args[1] ? args[1] : undefined;
+
+  const txNetwork = network.isMainnet()
+    ? new StacksMainnet({ url: network.legacyNetwork.blockstackAPIUrl })
+    : new StacksTestnet({ url: network.legacyNetwork.blockstackAPIUrl });
+  const stacker = new StackingClient(stxAddress ?? '', txNetwork);
+
+  const currentCycle = await stacker.getCycleSchedule();
+  const [nextCycle, lock, timeline] = await Promise.all([
+    stacker.getCycleSchedule(currentCycle.cycle + 1),
+    stacker.getLockSchedule({ cycles: lockCycles }),
+    stxAddress ? stacker.getStackingTimeline() : Promise.resolve(undefined),
+  ]);
+
+  const schedule = {
+    current_cycle: currentCycle,
+    next_cycle: nextCycle,
+    lock,
+    ...(timeline ? { history: timeline } : {}),
+  };
+  return JSONStringify(schedule as any);
+}
+
 async function canStack(network: CLINetworkAdapter, args: string[]): Promise<string> {
   const amount = new BN(args[0]);
   const cycles = Number(args[1]);
@@ -1740,33 +2088,46 @@ const COMMANDS: Record<string, CommandFunction> = {
   // 'announce': announce,
   balance: balance,
   can_stack: canStack,
+  cancel_tx: cancelTransaction,
   call_contract_func: contractFunctionCall,
   call_read_only_contract_func: readOnlyContractFunctionCall,
   convert_address: addressConvert,
+  decode_tx: decodeTransaction,
   decrypt_keychain: decryptMnemonic,
   deploy_contract: contractDeploy,
   docs: printDocs,
   encrypt_keychain: encryptMnemonic,
+  gaia_copyfile: gaiaCopyFile,
+  gaia_deletedirectory: gaiaDeleteDirectory,
   gaia_deletefile: gaiaDeleteFile,
   gaia_dump_bucket: gaiaDumpBucket,
   gaia_getfile: gaiaGetFile,
   gaia_listfiles: gaiaListFiles,
+  gaia_listfiles_detailed: gaiaListFilesDetailed,
+  gaia_movefile: gaiaMoveFile,
   gaia_putfile: gaiaPutFile,
   gaia_restore_bucket: gaiaRestoreBucket,
   gaia_sethub: gaiaSetHub,
+  generate_contract_client: generateContractClientFile,
   get_address: getKeyAddress,
   get_account_history: getAccountHistory,
   get_app_keys: getAppKeys,
+  get_confirmations: getConfirmations,
   get_owner_keys: getOwnerKeys,
   get_payment_key: getPaymentKey,
   get_stacks_wallet_key: getStacksWalletKey,
   make_keychain: makeKeychain,
+  multisig_create: multiSigCreate,
+  multisig_finalize: multiSigFinalize,
+  multisig_sign: multiSigSign,
   profile_sign: profileSign,
   profile_store: profileStore,
   profile_verify: profileVerify,
   // 'send_btc': sendBTC,
+  replace_tx: replaceTransaction,
   send_tokens: sendTokens,
   stack: stack,
+  stacking_schedule: stackingSchedule,
   stacking_status: stackingStatus,
   faucet: faucetCall,
 };
@@ -1945,5 +2306,18 @@ export const testables =
   process.env.NODE_ENV === 'test'
     ? {
         addressConvert,
+        getConfirmations,
+        replaceTransaction,
+        cancelTransaction,
+        decodeTransaction,
+        multiSigCreate,
+        multiSigSign,
+        multiSigFinalize,
+        generateContractClientFile,
+        gaiaListFilesDetailed,
+        gaiaDeleteDirectory,
+        gaiaCopyFile,
+        gaiaMoveFile,
+        stackingSchedule,
       }
     : undefined;
@@ -16,9 +16,9 @@ import {
 
 import { CLINetworkAdapter, NameInfoType } from './network';
 
-import { UserData } from '@stacks/auth';
+import { AppConfig, UserData, UserSession } from '@stacks/auth';
 
-import { GaiaHubConfig, connectToGaiaHub } from '@stacks/storage';
+import { GaiaHubConfig, Storage, connectToGaiaHub } from '@stacks/storage';
 
 /*
  * Set up a session for Gaia.
@@ -148,6 +148,30 @@ export function gaiaConnect(
   );
 }
 
+/*
+ * Connect to Gaia hub and make a Storage client for the bucket of an app private key.
+ * Used for listing, copying, moving and deleting files.
+ * Returns a Promise that resolves to the Storage client
+ */
+export async function gaiaStorage(
+  network: CLINetworkAdapter,
+  gaiaHubUrl: string,
+  appPrivateKey: string
+): Promise<Storage> {
+  const gaiaHubConfig = await gaiaConnect(network, gaiaHubUrl, appPrivateKey);
+  const userSession = new UserSession({
+    // the app domain is not used to access the bucket
+    appConfig: new AppConfig(['store_write'], 'http://localhost'),
+    sessionOptions: {
+      userData: {
+        appPrivateKey: canonicalPrivateKey(appPrivateKey),
+        gaiaHubConfig,
+      } as UserData,
+    },
+  });
+  return new Storage({ userSession });
+}
+
 /*
  * Find the profile.json path for a name
  * @network (object) the network to use
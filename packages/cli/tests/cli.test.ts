@@ -4,7 +4,36 @@ import { CLI_CONFIG_TYPE } from '../src/argparse';
 
 import * as fixtures from './fixtures/cli.fixture';
 
-const { addressConvert } = testables as any;
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import fetchMock from 'jest-fetch-mock';
+import {
+  AnchorMode,
+  deserializeTransaction,
+  makeSTXTokenTransfer,
+  makeUnsignedSTXTokenTransfer,
+  pubKeyfromPrivKey,
+  publicKeyToString,
+  StacksTransaction,
+  TokenTransferPayload,
+} from '@stacks/transactions';
+import { StacksTestnet } from '@stacks/network';
+
+const {
+  addressConvert,
+  getConfirmations,
+  replaceTransaction,
+  cancelTransaction,
+  decodeTransaction,
+  multiSigCreate,
+  multiSigSign,
+  multiSigFinalize,
+  generateContractClientFile,
+  gaiaListFilesDetailed,
+  gaiaMoveFile,
+  stackingSchedule,
+} = testables as any;
 
 const mainnetNetwork = new CLINetworkAdapter(
   getNetwork({} as CLI_CONFIG_TYPE, false),
@@ -23,3 +52,353 @@ describe('convert_address', () => {
     expect(JSON.parse(result)).toEqual(expectedResult);
   });
 });
+
+describe('get_confirmations', () => {
+  const txid = '4068179cb9169b969c80518d83890f8b808a70ab998dd227149221be9480a616';
+
+  beforeEach(() => {
+    fetchMock.resetMocks();
+  });
+
+  test('pending transaction', async () => {
+    fetchMock.mockOnce(JSON.stringify({ tx_id: `0x${txid}`, tx_status: 'pending' }));
+
+    const result = await getConfirmations(testnetNetwork, [txid]);
+
+    expect(JSON.parse(result)).toEqual({
+      status: 'pending',
+      blockHeight: 'unconfirmed',
+      confirmations: 0,
+    });
+    expect(fetchMock.mock.calls[0][0]).toContain(`/extended/v1/tx/0x${txid}`);
+  });
+
+  test('mined transaction', async () => {
+    fetchMock.mockOnce(
+      JSON.stringify({
+        tx_id: `0x${txid}`,
+        tx_status: 'success',
+        tx_result: { hex: '0x0703', repr: '(ok true)' },
+        block_hash: '0x2f4c3e69d8bb0e1e8d0cc8b4c6c3ebef4aa7b7da2f48f8dd6c74d6a8dd8e9a12',
+        block_height: 100,
+      })
+    );
+    fetchMock.mockOnce(JSON.stringify({ stacks_tip_height: 106 }));
+
+    const result = await getConfirmations(testnetNetwork, [txid]);
+
+    expect(JSON.parse(result)).toEqual({
+      status: 'success',
+      result: '(ok true)',
+      blockHeight: 100,
+      confirmations: 7,
+    });
+  });
+});
+
+describe('replace_tx and cancel_tx', () => {
+  const senderKey = 'edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01';
+  let original: StacksTransaction;
+
+  beforeAll(async () => {
+    original = await makeSTXTokenTransfer({
+      recipient: 'ST2MVNFYF6H9DCMAV3HVNHTJVVE3CFWT1JYMH1EZB',
+      amount: 1000,
+      fee: 200,
+      nonce: 5,
+      senderKey,
+      network: new StacksTestnet(),
+      anchorMode: AnchorMode.Any,
+    });
+  });
+
+  beforeEach(() => {
+    fetchMock.resetMocks();
+  });
+
+  test('replace transaction by txid', async () => {
+    fetchMock.mockOnce(JSON.stringify({ raw_tx: `0x${original.serialize().toString('hex')}` }));
+    fetchMock.mockOnce('"0x0000000000000000000000000000000000000000000000000000000000000000"');
+
+    const result = await replaceTransaction(testnetNetwork, [original.txid(), '300', senderKey]);
+
+    expect(fetchMock.mock.calls[0][0]).toContain(`/extended/v1/tx/0x${original.txid()}/raw`);
+    const broadcastTx = deserializeTransaction(fetchMock.mock.calls[1][1]!.body as Buffer);
+    expect(broadcastTx.auth.spendingCondition!.fee.toString()).toEqual('300');
+    expect(broadcastTx.auth.spendingCondition!.nonce.toString()).toEqual('5');
+    expect(result.txid).toEqual(`0x${broadcastTx.txid()}`);
+  });
+
+  test('cancel transaction given as hex', async () => {
+    fetchMock.mockOnce('"0x0000000000000000000000000000000000000000000000000000000000000000"');
+
+    await cancelTransaction(testnetNetwork, [
+      original.serialize().toString('hex'),
+      '300',
+      senderKey,
+    ]);
+
+    const broadcastTx = deserializeTransaction(fetchMock.mock.calls[0][1]!.body as Buffer);
+    expect(broadcastTx.auth.spendingCondition!.fee.toString()).toEqual('300');
+    expect(broadcastTx.auth.spendingCondition!.nonce.toString()).toEqual('5');
+    expect((broadcastTx.payload as TokenTransferPayload).amount.toString()).toEqual('1');
+  });
+});
+
+describe('decode_tx', () => {
+  test('Decode transaction', async () => {
+    const transaction = await makeSTXTokenTransfer({
+      recipient: 'ST2ZRX0K27GW0SP3GJCEMHD95TQGJMKB7G9Y0X1MH',
+      amount: 1000,
+      fee: 200,
+      nonce: 4,
+      memo: 'hello',
+      senderKey: 'edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01',
+      network: new StacksTestnet(),
+      anchorMode: AnchorMode.Any,
+    });
+
+    const result = JSON.parse(
+      await decodeTransaction(testnetNetwork, [transaction.serialize().toString('hex')])
+    );
+
+    expect(result.txid).toEqual(`0x${transaction.txid()}`);
+    expect(result.fee).toEqual('200');
+    expect(result.nonce).toEqual('4');
+    expect(result.payload).toEqual({
+      type: 'token_transfer',
+      recipient: 'ST2ZRX0K27GW0SP3GJCEMHD95TQGJMKB7G9Y0X1MH',
+      amount: '1000',
+      memo: 'hello',
+    });
+  });
+});
+
+describe('multisig_create, multisig_sign and multisig_finalize', () => {
+  const privateKeys = [
+    '6d430bb91222408e7706c9001cfaeb91b08c2be6d5ac95779ab52c6b431950e001',
+    '2a584d899fed1d24e26b524f202763c8ab30260167429f157f1c119f550fa6af01',
+    'd5200dee706ee53ae98a03fba6cf4fdcc5084c30cfa9e1b3462dcdeaa3e0f1d201',
+  ];
+  const publicKeys = privateKeys.map(key => publicKeyToString(pubKeyfromPrivKey(key)));
+  let psstFile: string;
+
+  beforeEach(() => {
+    fetchMock.resetMocks();
+    psstFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stx-cli-')), 'tx.psst');
+  });
+
+  afterEach(() => {
+    fs.rmSync(path.dirname(psstFile), { recursive: true });
+  });
+
+  test('Collect signatures offline and finalize', async () => {
+    const transaction = await makeUnsignedSTXTokenTransfer({
+      recipient: 'ST2ZRX0K27GW0SP3GJCEMHD95TQGJMKB7G9Y0X1MH',
+      amount: 1000,
+      fee: 200,
+      nonce: 0,
+      numSignatures: 2,
+      publicKeys,
+      network: new StacksTestnet(),
+      anchorMode: AnchorMode.Any,
+    });
+
+    const created = JSON.parse(
+      await multiSigCreate(testnetNetwork, [
+        transaction.serialize().toString('hex'),
+        publicKeys.join(','),
+        psstFile,
+      ])
+    );
+    expect(created.signaturesRequired).toEqual(2);
+    expect(created.signers).toEqual([]);
+
+    await multiSigSign(testnetNetwork, [psstFile, privateKeys[0]]);
+    const signed = JSON.parse(await multiSigSign(testnetNetwork, [psstFile, privateKeys[2]]));
+    expect(signed.signers).toEqual([publicKeys[0], publicKeys[2]]);
+
+    const tx = deserializeTransaction(await multiSigFinalize(testnetNetwork, [psstFile]));
+    expect(() => tx.verifyOrigin()).not.toThrow();
+    expect(fetchMock.mock.calls.length).toEqual(0);
+  });
+});
+
+describe('generate_contract_client', () => {
+  const abi = {
+    functions: [
+      {
+        name: 'get-value',
+        access: 'read_only',
+        args: [{ name: 'key', type: { buffer: { length: 32 } } }],
+        outputs: { type: { response: { ok: 'uint128', error: 'none' } } },
+      },
+      { name: 'set-value', access: 'public', args: [], outputs: { type: 'bool' } },
+    ],
+    variables: [],
+    maps: [],
+    fungible_tokens: [],
+    non_fungible_tokens: [],
+  };
+  let dir: string;
+
+  beforeEach(() => {
+    fetchMock.resetMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stx-cli-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  test('Generate client from an ABI file', async () => {
+    const abiFile = path.join(dir, 'abi.json');
+    const outputFile = path.join(dir, 'kv-store-client.ts');
+    fs.writeFileSync(abiFile, JSON.stringify(abi));
+
+    const result = JSON.parse(
+      await generateContractClientFile(testnetNetwork, [
+        'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE',
+        'kv-store',
+        outputFile,
+        abiFile,
+      ])
+    );
+
+    expect(result).toEqual({ file: outputFile, functions: 2 });
+    const source = fs.readFileSync(outputFile).toString();
+    expect(source).toContain('export class KvStoreClient extends ContractClient {');
+    expect(source).toContain('async getValue(key: Buffer | string');
+    expect(fetchMock.mock.calls.length).toEqual(0);
+  });
+
+  test('Generate client from the ABI of a deployed contract', async () => {
+    const outputFile = path.join(dir, 'kv-store-client.ts');
+    fetchMock.mockOnce(JSON.stringify(abi));
+
+    await generateContractClientFile(testnetNetwork, [
+      'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE',
+      'kv-store',
+      outputFile,
+    ]);
+
+    expect(fetchMock.mock.calls[0][0]).toContain(
+      '/v2/contracts/interface/ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE/kv-store'
+    );
+    expect(fs.readFileSync(outputFile).toString()).toContain("contractName = 'kv-store'");
+  });
+});
+
+describe('gaia_listfiles_detailed and gaia_movefile', () => {
+  const appPrivateKey = '3ac770e8c3d88b1003bf4a0a148ceb920a6172bdade8e0325a1ed1480ab4fb19';
+  const hubUrl = 'https://hub.example.com';
+  const readUrlPrefix = 'https://gaia.example.com/hub/';
+  let hubFiles: Record<string, string>;
+
+  beforeEach(() => {
+    fetchMock.resetMocks();
+    hubFiles = { 'draft.txt': 'hello', 'photos/1.jpg': 'jpeg' };
+    fetchMock.mockResponse(async request => {
+      const url = new URL(request.url);
+      const [, endpoint, , ...rest] = url.pathname.split('/');
+      const filePath = rest.join('/');
+      if (request.url === `${hubUrl}/hub_info`) {
+        return JSON.stringify({
+          read_url_prefix: readUrlPrefix,
+          challenge_text: '["gaiahub","0","hub","blockstack_storage_please_sign"]',
+          latest_auth_version: 'v1',
+        });
+      } else if (endpoint === 'list-files') {
+        const entries = Object.keys(hubFiles).map(name => ({
+          name,
+          contentLength: hubFiles[name].length,
+          lastModifiedDate: 1600000000000,
+        }));
+        return JSON.stringify({ entries, page: null });
+      } else if (endpoint === 'store') {
+        hubFiles[filePath] = await request.text();
+        return JSON.stringify({ publicURL: `${readUrlPrefix}${url.pathname.slice(7)}` });
+      } else if (endpoint === 'delete') {
+        delete hubFiles[filePath];
+        return { status: 202, body: '' };
+      } else if (request.url.startsWith(readUrlPrefix)) {
+        return { body: hubFiles[filePath], headers: { 'Content-Type': 'text/plain' } };
+      }
+      throw new Error(`Unexpected request to ${request.url}`);
+    });
+  });
+
+  test('List files with a prefix', async () => {
+    const result = JSON.parse(
+      await gaiaListFilesDetailed(mainnetNetwork, [hubUrl, appPrivateKey, 'photos/'])
+    );
+
+    expect(result).toEqual([
+      { path: 'photos/1.jpg', size: 4, lastModified: '2020-09-13T12:26:40.000Z' },
+    ]);
+    expect(JSON.parse(fetchMock.mock.calls[1][1]!.body as string)).toEqual({
+      page: null,
+      stat: true,
+    });
+  });
+
+  test('Move a file', async () => {
+    const result = JSON.parse(
+      await gaiaMoveFile(mainnetNetwork, [hubUrl, appPrivateKey, '/draft.txt', 'posts/1.txt'])
+    );
+
+    expect(result.urls[0]).toMatch(/^https:\/\/gaia.example.com\/hub\/\w+\/posts\/1.txt$/);
+    expect(hubFiles).toEqual({ 'photos/1.jpg': 'jpeg', 'posts/1.txt': 'hello' });
+  });
+});
+
+describe('stacking_schedule', () => {
+  beforeEach(() => {
+    fetchMock.resetMocks();
+    fetchMock.mockResponse(async request => {
+      if (request.url.endsWith('/v2/pox')) {
+        return JSON.stringify({
+          contract_id: 'ST000000000000000000002AMW42H.pox',
+          first_burnchain_block_height: 0,
+          prepare_cycle_length: 30,
+          reward_cycle_id: 8,
+          reward_cycle_length: 120,
+        });
+      }
+      if (request.url.endsWith('/v2/info')) {
+        return JSON.stringify({ burn_block_height: 1010 });
+      }
+      if (request.url.endsWith('/network_block_times')) {
+        return JSON.stringify({
+          mainnet: { target_block_time: 600 },
+          testnet: { target_block_time: 120 },
+        });
+      }
+      throw new Error(`Unexpected request: ${request.url}`);
+    });
+  });
+
+  test('Cycle and lock schedules', async () => {
+    const result = JSON.parse(await stackingSchedule(testnetNetwork, ['3']));
+
+    expect(result.current_cycle).toMatchObject({
+      cycle: 8,
+      startBurnHeight: 960,
+      endBurnHeight: 1079,
+      prepareStartBurnHeight: 930,
+      prepareEndBurnHeight: 959,
+    });
+    expect(result.next_cycle).toMatchObject({ cycle: 9, startBurnHeight: 1080 });
+    expect(result.lock).toMatchObject({
+      firstRewardCycle: 9,
+      lastRewardCycle: 11,
+      deadlineBurnHeight: 1049,
+      rewardStartBurnHeight: 1080,
+      unlockBurnHeight: 1440,
+    });
+    const secondsToUnlock = (Date.parse(result.lock.unlockTime) - Date.now()) / 1000;
+    expect(Math.round(secondsToUnlock / 60)).toEqual((1440 - 1010) * 2);
+    expect(result.history).toBeUndefined();
+  });
+});
+
@@ -10,3 +10,220 @@ export async function fetchPrivate(input: RequestInfo, init?: RequestInit): Prom
   const fetchResult = await fetch(input, fetchOpts);
   return fetchResult;
 }
+
+/** A `fetch`-compatible function used to make network requests */
+export type FetchFn = (url: string, init?: RequestInit) => Promise<Response>;
+
+/** The request about to be made, as seen by a middleware `pre` hook */
+export interface RequestContext {
+  /** the underlying fetch library, called without middleware */
+  fetch: FetchFn;
+  url: string;
+  init: RequestInit;
+}
+
+/** The completed request, as seen by a middleware `post` hook */
+export interface ResponseContext {
+  /** the underlying fetch library, can be used to re-issue the request without middleware */
+  fetch: FetchFn;
+  url: string;
+  init: RequestInit;
+  response: Response;
+}
+
+export interface FetchParams {
+  url: string;
+  init: RequestInit;
+}
+
+/**
+ * Hooks into the request pipeline created by [[createFetchFn]].
+ * `pre` may return modified request params, `post` may return a replacement response.
+ */
+export interface FetchMiddleware {
+  pre?: (context: RequestContext) => PromiseLike<FetchParams | void> | FetchParams | void;
+  post?: (context: ResponseContext) => PromiseLike<Response | void> | Response | void;
+}
+
+/**
+ * Creates a fetch function that runs every request through the given middleware.
+ * `pre` hooks run in order before the request, `post` hooks run in order after it.
+ *
+ * @example
+ * ```
+ * const fetchFn = createFetchFn(
+ *   createTimeoutFetch(10_000),
+ *   createApiKeyMiddleware({ apiKey: 'example_key' }),
+ *   createRetryMiddleware({ maxRetries: 3 })
+ * );
+ * const network = new StacksMainnet({ url: HIRO_MAINNET_DEFAULT, fetchFn });
+ * ```
+ */
+export function createFetchFn(fetchLib: FetchFn, ...middleware: FetchMiddleware[]): FetchFn;
+export function createFetchFn(...middleware: FetchMiddleware[]): FetchFn;
+export function createFetchFn(...args: any[]): FetchFn {
+  const fetchLib: FetchFn = typeof args[0] === 'function' ? args.shift() : fetchPrivate;
+  const middlewares: FetchMiddleware[] = args;
+
+  return async (url: string, init?: RequestInit): Promise<Response> => {
+    let fetchParams: FetchParams = { url, init: init ?? {} };
+
+    for (const middleware of middlewares) {
+      if (typeof middleware.pre === 'function') {
+        const result = await Promise.resolve(
+          middleware.pre({
+            fetch: fetchLib,
+            ...fetchParams,
+          })
+        );
+        fetchParams = result || fetchParams;
+      }
+    }
+
+    let response = await fetchLib(fetchParams.url, fetchParams.init);
+
+    for (const middleware of middlewares) {
+      if (typeof middleware.post === 'function') {
+        const result = await Promise.resolve(
+          middleware.post({
+            fetch: fetchLib,
+            url: fetchParams.url,
+            init: fetchParams.init,
+            response: response.clone(),
+          })
+        );
+        response = result || response;
+      }
+    }
+
+    return response;
+  };
+}
+
+function setRequestHeader(init: RequestInit, name: string, value: string): RequestInit {
+  const headers = new Headers(init.headers);
+  headers.set(name, value);
+  return { ...init, headers };
+}
+
+export interface ApiKeyMiddlewareOptions {
+  /** the API key to send with each matching request */
+  apiKey: string;
+  /** only requests to a matching host receive the header, defaults to any `*.stacks.co` API host */
+  host?: RegExp;
+  /** the header name to use, defaults to `x-api-key` */
+  httpHeader?: string;
+}
+
+/**
+ * Creates a middleware that adds an API key header to requests sent to matching hosts.
+ */
+export function createApiKeyMiddleware({
+  apiKey,
+  host = /(.*)api(.*)\.stacks\.co$/i,
+  httpHeader = 'x-api-key',
+}: ApiKeyMiddlewareOptions): FetchMiddleware {
+  return {
+    pre: context => {
+      const reqUrl = new URL(context.url);
+      if (!host.test(reqUrl.host)) return;
+      return {
+        url: context.url,
+        init: setRequestHeader(context.init, httpHeader, apiKey),
+      };
+    },
+  };
+}
+
+/**
+ * Wraps a fetch function so that requests which have not completed within `timeout`
+ * milliseconds reject with an error. The request is also aborted in environments with
+ * `AbortController` support. Pass the result to [[createFetchFn]] as the fetch library to
+ * apply the timeout to every request, including retries.
+ *
+ * @example
+ * ```
+ * const fetchFn = createFetchFn(createTimeoutFetch(10_000), createRetryMiddleware());
+ * ```
+ */
+export function createTimeoutFetch(timeout: number, fetchLib: FetchFn = fetchPrivate): FetchFn {
+  return (url: string, init?: RequestInit): Promise<Response> => {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : undefined;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const timeoutPromise = new Promise<never>((_, reject) => {
+      timer = setTimeout(() => {
+        controller?.abort();
+        reject(new Error(`Request to ${url} timed out after ${timeout} ms`));
+      }, timeout);
+    });
+    const requestInit = controller && !init?.signal ? { ...init, signal: controller.signal } : init;
+    return Promise.race([fetchLib(url, requestInit), timeoutPromise]).finally(() =>
+      clearTimeout(timer!)
+    );
+  };
+}
+
+export interface RetryMiddlewareOptions {
+  /** maximum number of times a request is retried, defaults to 3 */
+  maxRetries?: number;
+  /** delay before the first retry in milliseconds, doubled on each retry, defaults to 500 */
+  initialDelay?: number;
+  /** upper bound for the delay between retries in milliseconds, defaults to 10000 */
+  maxDelay?: number;
+  /** response status codes that trigger a retry, defaults to 429 and 5xx */
+  shouldRetry?: (status: number) => boolean;
+  /**
+   * request methods that are retried, defaults to the idempotent `GET`, `HEAD` and `OPTIONS`.
+   * Retrying other methods, e.g. a `POST` that broadcasts a transaction, can repeat a request
+   * that the server already processed.
+   */
+  retryMethods?: string[];
+}
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function isRetryableStatus(status: number): boolean {
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+function getRetryAfterDelay(response: Response): number | undefined {
+  const retryAfter = response.headers.get('Retry-After');
+  if (!retryAfter) return undefined;
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(retryAfter);
+  return Number.isFinite(date) ? Math.max(date - Date.now(), 0) : undefined;
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Creates a middleware that retries requests failing with a rate limit (429) or server error (5xx)
+ * status, with exponential backoff. A `Retry-After` response header takes precedence over the
+ * computed delay, capped at `maxDelay`. Only idempotent requests are retried, unless
+ * `retryMethods` says otherwise.
+ */
+export function createRetryMiddleware({
+  maxRetries = 3,
+  initialDelay = 500,
+  maxDelay = 10_000,
+  shouldRetry = isRetryableStatus,
+  retryMethods = IDEMPOTENT_METHODS,
+}: RetryMiddlewareOptions = {}): FetchMiddleware {
+  const methods = retryMethods.map(method => method.toUpperCase());
+  return {
+    post: async context => {
+      let response = context.response;
+      if (!methods.includes((context.init.method ?? 'GET').toUpperCase())) {
+        return response;
+      }
+      for (let attempt = 0; attempt < maxRetries && shouldRetry(response.status); attempt++) {
+        const backoff = initialDelay * 2 ** attempt;
+        const delay = Math.min(getRetryAfterDelay(response) ?? backoff, maxDelay);
+        await sleep(delay);
+        response = await context.fetch(context.url, context.init);
+      }
+      return response;
+    },
+  };
+}
@@ -0,0 +1,171 @@
+import fetchMock from 'jest-fetch-mock';
+import {
+  createApiKeyMiddleware,
+  createFetchFn,
+  createRetryMiddleware,
+  createTimeoutFetch,
+  FetchMiddleware,
+} from '../src';
+
+beforeEach(() => {
+  fetchMock.resetMocks();
+});
+
+test('createFetchFn without middleware calls fetch with private defaults', async () => {
+  fetchMock.mockOnce('ok');
+  const fetchFn = createFetchFn();
+  const response = await fetchFn('https://example.com/path');
+
+  expect(await response.text()).toEqual('ok');
+  expect(fetchMock.mock.calls.length).toEqual(1);
+  expect(fetchMock.mock.calls[0][0]).toEqual('https://example.com/path');
+  expect(fetchMock.mock.calls[0][1]?.referrerPolicy).toEqual('no-referrer');
+});
+
+test('createFetchFn runs pre and post middleware in order', async () => {
+  fetchMock.mockOnce('original');
+  const calls: string[] = [];
+  const first: FetchMiddleware = {
+    pre: ({ url, init }) => {
+      calls.push('pre1');
+      return { url: `${url}?first=1`, init };
+    },
+    post: () => {
+      calls.push('post1');
+    },
+  };
+  const second: FetchMiddleware = {
+    pre: ({ url, init }) => {
+      calls.push('pre2');
+      return { url: `${url}&second=1`, init: { ...init, method: 'POST' } };
+    },
+    post: () => {
+      calls.push('post2');
+      return new Response('replaced');
+    },
+  };
+
+  const fetchFn = createFetchFn(first, second);
+  const response = await fetchFn('https://example.com/');
+
+  expect(calls).toEqual(['pre1', 'pre2', 'post1', 'post2']);
+  expect(fetchMock.mock.calls[0][0]).toEqual('https://example.com/?first=1&second=1');
+  expect(fetchMock.mock.calls[0][1]?.method).toEqual('POST');
+  expect(await response.text()).toEqual('replaced');
+});
+
+test('createFetchFn accepts a custom fetch library', async () => {
+  const customFetch = jest.fn(() => Promise.resolve(new Response('custom')));
+  const fetchFn = createFetchFn(customFetch);
+  const response = await fetchFn('https://example.com/');
+
+  expect(await response.text()).toEqual('custom');
+  expect(customFetch).toHaveBeenCalledTimes(1);
+  expect(fetchMock.mock.calls.length).toEqual(0);
+});
+
+test('api key middleware only adds header for matching hosts', async () => {
+  fetchMock.mockResponse('ok');
+  const fetchFn = createFetchFn(createApiKeyMiddleware({ apiKey: 'MY_KEY' }));
+
+  await fetchFn('https://stacks-node-api.mainnet.stacks.co/v2/info');
+  await fetchFn('https://example.com/v2/info');
+
+  const matchedHeaders = new Headers(fetchMock.mock.calls[0][1]?.headers);
+  expect(matchedHeaders.get('x-api-key')).toEqual('MY_KEY');
+  const otherHeaders = new Headers(fetchMock.mock.calls[1][1]?.headers);
+  expect(otherHeaders.get('x-api-key')).toBeNull();
+});
+
+test('api key middleware keeps existing headers and supports custom header name', async () => {
+  fetchMock.mockOnce('ok');
+  const fetchFn = createFetchFn(
+    createApiKeyMiddleware({ apiKey: 'MY_KEY', host: /example\.com$/, httpHeader: 'authorization' })
+  );
+
+  await fetchFn('https://example.com/', { headers: { 'Content-Type': 'application/json' } });
+
+  const headers = new Headers(fetchMock.mock.calls[0][1]?.headers);
+  expect(headers.get('authorization')).toEqual('MY_KEY');
+  expect(headers.get('content-type')).toEqual('application/json');
+});
+
+test('retry middleware retries 429 and 5xx responses with backoff', async () => {
+  fetchMock.mockResponses(
+    ['busy', { status: 503 }],
+    ['slow down', { status: 429 }],
+    ['ok', { status: 200 }]
+  );
+  const fetchFn = createFetchFn(createRetryMiddleware({ initialDelay: 1 }));
+  const response = await fetchFn('https://example.com/');
+
+  expect(fetchMock.mock.calls.length).toEqual(3);
+  expect(response.status).toEqual(200);
+  expect(await response.text()).toEqual('ok');
+});
+
+test('retry middleware gives up after max retries', async () => {
+  fetchMock.mockResponse('error', { status: 500 });
+  const fetchFn = createFetchFn(createRetryMiddleware({ maxRetries: 2, initialDelay: 1 }));
+  const response = await fetchFn('https://example.com/');
+
+  expect(fetchMock.mock.calls.length).toEqual(3);
+  expect(response.status).toEqual(500);
+});
+
+test('retry middleware does not retry client errors', async () => {
+  fetchMock.mockResponse('not found', { status: 404 });
+  const fetchFn = createFetchFn(createRetryMiddleware({ initialDelay: 1 }));
+  const response = await fetchFn('https://example.com/');
+
+  expect(fetchMock.mock.calls.length).toEqual(1);
+  expect(response.status).toEqual(404);
+});
+
+test('retry middleware does not retry non-idempotent requests by default', async () => {
+  fetchMock.mockResponse('busy', { status: 503 });
+  const fetchFn = createFetchFn(createRetryMiddleware({ initialDelay: 1 }));
+  const response = await fetchFn('https://example.com/', { method: 'POST', body: 'tx' });
+
+  expect(fetchMock.mock.calls.length).toEqual(1);
+  expect(response.status).toEqual(503);
+});
+
+test('retry middleware retries the given methods', async () => {
+  fetchMock.mockResponses(['busy', { status: 503 }], ['ok', { status: 200 }]);
+  const fetchFn = createFetchFn(
+    createRetryMiddleware({ initialDelay: 1, retryMethods: ['GET', 'post'] })
+  );
+  const response = await fetchFn('https://example.com/', { method: 'POST', body: 'tx' });
+
+  expect(fetchMock.mock.calls.length).toEqual(2);
+  expect(response.status).toEqual(200);
+});
+
+test('timeout fetch rejects slow requests', async () => {
+  fetchMock.mockOnce(() => new Promise(resolve => setTimeout(() => resolve('late'), 500)));
+  const fetchFn = createFetchFn(createTimeoutFetch(10));
+
+  await expect(fetchFn('https://example.com/')).rejects.toThrow(
+    'Request to https://example.com/ timed out after 10 ms'
+  );
+});
+
+test('timeout fetch resolves fast requests', async () => {
+  fetchMock.mockOnce('ok');
+  const fetchFn = createFetchFn(createTimeoutFetch(1000));
+  const response = await fetchFn('https://example.com/');
+
+  expect(await response.text()).toEqual('ok');
+});
+
+test('timeout applies to each retry attempt', async () => {
+  fetchMock.mockResponses(
+    ['busy', { status: 503 }],
+    () => new Promise(resolve => setTimeout(() => resolve('late'), 500))
+  );
+  const fetchFn = createFetchFn(createTimeoutFetch(20), createRetryMiddleware({ initialDelay: 1 }));
+
+  await expect(fetchFn('https://example.com/')).rejects.toThrow('timed out');
+  expect(fetchMock.mock.calls.length).toEqual(2);
+});
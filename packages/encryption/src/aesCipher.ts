@@ -4,12 +4,31 @@ import { getCryptoLib } from './cryptoUtils';
 type NodeCryptoCreateCipher = typeof import('crypto').createCipheriv;
 type NodeCryptoCreateDecipher = typeof import('crypto').createDecipheriv;
 
-export type CipherAlgorithm = 'aes-256-cbc' | 'aes-128-cbc';
+export type CipherAlgorithm = 'aes-256-cbc' | 'aes-128-cbc' | 'aes-256-gcm';
 
+/** Length in bytes of the authentication tag appended to `aes-256-gcm` ciphertexts */
+export const GCM_AUTH_TAG_LENGTH = 16;
+
+/**
+ * For `aes-256-gcm`, the ciphertext is followed by the authentication tag, and
+ * `additionalData` is authenticated along with it.
+ */
 export interface AesCipher {
-  encrypt(algorithm: CipherAlgorithm, key: Buffer, iv: Buffer, data: Buffer): Promise<Buffer>;
+  encrypt(
+    algorithm: CipherAlgorithm,
+    key: Buffer,
+    iv: Buffer,
+    data: Buffer,
+    additionalData?: Buffer
+  ): Promise<Buffer>;
 
-  decrypt(algorithm: CipherAlgorithm, key: Buffer, iv: Buffer, data: Buffer): Promise<Buffer>;
+  decrypt(
+    algorithm: CipherAlgorithm,
+    key: Buffer,
+    iv: Buffer,
+    data: Buffer,
+    additionalData?: Buffer
+  ): Promise<Buffer>;
 }
 
 export class NodeCryptoAesCipher implements AesCipher {
@@ -26,8 +45,17 @@ export class NodeCryptoAesCipher implements AesCipher {
     algorithm: CipherAlgorithm,
     key: Buffer,
     iv: Buffer,
-    data: Buffer
+    data: Buffer,
+    additionalData?: Buffer
   ): Promise<Buffer> {
+    if (algorithm === 'aes-256-gcm') {
+      const cipher = this.createCipher(algorithm, key, iv);
+      if (additionalData) {
+        cipher.setAAD(additionalData);
+      }
+      const result = Buffer.concat([cipher.update(data), cipher.final(), cipher.getAuthTag()]);
+      return Promise.resolve(result);
+    }
     if (algorithm !== 'aes-128-cbc' && algorithm !== 'aes-256-cbc') {
       throw new Error(`Unsupported cipher algorithm "${algorithm}"`);
     }
@@ -40,8 +68,19 @@ export class NodeCryptoAesCipher implements AesCipher {
     algorithm: CipherAlgorithm,
     key: Buffer,
     iv: Buffer,
-    data: Buffer
+    data: Buffer,
+    additionalData?: Buffer
   ): Promise<Buffer> {
+    if (algorithm === 'aes-256-gcm') {
+      const tagStart = data.length - GCM_AUTH_TAG_LENGTH;
+      const cipher = this.createDecipher(algorithm, key, iv);
+      if (additionalData) {
+        cipher.setAAD(additionalData);
+      }
+      cipher.setAuthTag(data.slice(tagStart));
+      const result = Buffer.concat([cipher.update(data.slice(0, tagStart)), cipher.final()]);
+      return Promise.resolve(result);
+    }
     if (algorithm !== 'aes-128-cbc' && algorithm !== 'aes-256-cbc') {
       throw new Error(`Unsupported cipher algorithm "${algorithm}"`);
     }
@@ -62,7 +101,8 @@ export class WebCryptoAesCipher implements AesCipher {
     algorithm: CipherAlgorithm,
     key: Buffer,
     iv: Buffer,
-    data: Buffer
+    data: Buffer,
+    additionalData?: Buffer
   ): Promise<Buffer> {
     let algo: string;
     let length: number;
@@ -72,13 +112,20 @@ export class WebCryptoAesCipher implements AesCipher {
     } else if (algorithm === 'aes-256-cbc') {
       algo = 'AES-CBC';
       length = 256;
+    } else if (algorithm === 'aes-256-gcm') {
+      algo = 'AES-GCM';
+      length = 256;
     } else {
       throw new Error(`Unsupported cipher algorithm "${algorithm}"`);
     }
     const cryptoKey = await this.subtleCrypto.importKey('raw', key, { name: algo, length }, false, [
       'encrypt',
     ]);
-    const result = await this.subtleCrypto.encrypt({ name: algo, iv }, cryptoKey, data);
+    const params: AesCbcParams | AesGcmParams =
+      algo === 'AES-GCM' && additionalData
+        ? { name: algo, iv, additionalData }
+        : { name: algo, iv };
+    const result = await this.subtleCrypto.encrypt(params, cryptoKey, data);
     return Buffer.from(result);
   }
 
@@ -86,7 +133,8 @@ export class WebCryptoAesCipher implements AesCipher {
     algorithm: CipherAlgorithm,
     key: Buffer,
     iv: Buffer,
-    data: Buffer
+    data: Buffer,
+    additionalData?: Buffer
   ): Promise<Buffer> {
     let algo: string;
     let length: number;
@@ -96,13 +144,20 @@ export class WebCryptoAesCipher implements AesCipher {
     } else if (algorithm === 'aes-256-cbc') {
       algo = 'AES-CBC';
       length = 256;
+    } else if (algorithm === 'aes-256-gcm') {
+      algo = 'AES-GCM';
+      length = 256;
     } else {
       throw new Error(`Unsupported cipher algorithm "${algorithm}"`);
     }
     const cryptoKey = await this.subtleCrypto.importKey('raw', key, { name: algo, length }, false, [
       'decrypt',
     ]);
-    const result = await this.subtleCrypto.decrypt({ name: algo, iv }, cryptoKey, data);
+    const params: AesCbcParams | AesGcmParams =
+      algo === 'AES-GCM' && additionalData
+        ? { name: algo, iv, additionalData }
+        : { name: algo, iv };
+    const result = await this.subtleCrypto.decrypt(params, cryptoKey, data);
     return Buffer.from(result);
   }
 }
@@ -6,7 +6,7 @@ import { FailedDecryptionError } from '@stacks/common';
 import { getPublicKeyFromPrivate } from './keys';
 import { hashSha256Sync, hashSha512Sync } from './sha2Hash';
 import { createHmacSha256 } from './hmacSha256';
-import { createCipher } from './aesCipher';
+import { createCipher, GCM_AUTH_TAG_LENGTH } from './aesCipher';
 import { getAesCbcOutputLength, getBase64OutputLength } from './utils';
 
 const ecurve = new EllipticCurve('secp256k1');
@@ -20,10 +20,27 @@ const ecurve = new EllipticCurve('secp256k1');
  */
 export type CipherTextEncoding = 'hex' | 'base64';
 
+/**
+ * The format version of a `CipherObject`.
+ * Options:
+ *    `1` -- the legacy default, AES-256-CBC with a HMAC-SHA256 `mac` over the ciphertext.
+ *    `2` -- AES-256-GCM authenticated encryption, the `mac` is the GCM authentication tag.
+ * @ignore
+ */
+export type CipherObjectVersion = 1 | 2;
+
+/**
+ * The cipher used to encrypt content: `aes-256-cbc` produces version 1 cipher objects and
+ * `aes-256-gcm` version 2 cipher objects.
+ */
+export type EciesCipherAlgorithm = 'aes-256-cbc' | 'aes-256-gcm';
+
 /**
  * @ignore
  */
 export type CipherObject = {
+  /** If undefined then the cipher object is version 1. */
+  version?: CipherObjectVersion;
   iv: string;
   ephemeralPK: string;
   cipherText: string;
@@ -75,6 +92,35 @@ async function aes256CbcDecrypt(iv: Buffer, key: Buffer, ciphertext: Buffer): Pr
   return result;
 }
 
+/**
+ * Returns the ciphertext followed by the authentication tag
+ * @ignore
+ */
+async function aes256GcmEncrypt(
+  iv: Buffer,
+  key: Buffer,
+  plaintext: Buffer,
+  additionalData: Buffer
+): Promise<Buffer> {
+  const cipher = await createCipher();
+  const result = await cipher.encrypt('aes-256-gcm', key, iv, plaintext, additionalData);
+  return result;
+}
+
+/**
+ * @ignore
+ */
+async function aes256GcmDecrypt(
+  iv: Buffer,
+  key: Buffer,
+  ciphertext: Buffer,
+  additionalData: Buffer
+): Promise<Buffer> {
+  const cipher = await createCipher();
+  const result = await cipher.decrypt('aes-256-gcm', key, iv, ciphertext, additionalData);
+  return result;
+}
+
 /**
  * @ignore
  */
@@ -193,6 +239,39 @@ export function getBufferFromBN(bnInput: BN): Buffer {
   return result;
 }
 
+/**
+ * Byte lengths of the initialization vector and mac of each cipher object version.
+ * @ignore
+ */
+const CIPHER_OBJECT_LENGTHS: Record<CipherObjectVersion, { iv: number; mac: number }> = {
+  1: { iv: 16, mac: 32 },
+  2: { iv: 12, mac: GCM_AUTH_TAG_LENGTH },
+};
+
+/**
+ * Byte length of the version and flags header of a compact cipher object.
+ * @ignore
+ */
+const COMPACT_HEADER_LENGTH = 2;
+
+/**
+ * Byte length of a compressed EC pubkey.
+ * @ignore
+ */
+const COMPRESSED_PUBLIC_KEY_LENGTH = 33;
+
+/**
+ * @ignore
+ */
+function getCipherObjectVersion(cipherAlgorithm?: EciesCipherAlgorithm): CipherObjectVersion {
+  if (!cipherAlgorithm || cipherAlgorithm === 'aes-256-cbc') {
+    return 1;
+  } else if (cipherAlgorithm === 'aes-256-gcm') {
+    return 2;
+  }
+  throw new Error(`Unexpected cipherAlgorithm "${cipherAlgorithm}"`);
+}
+
 /**
  * Get details about the JSON envelope size overhead for ciphertext payloads.
  * @ignore
@@ -200,6 +279,7 @@ export function getBufferFromBN(bnInput: BN): Buffer {
 export function getCipherObjectWrapper(opts: {
   wasString: boolean;
   cipherTextEncoding: CipherTextEncoding;
+  cipherAlgorithm?: EciesCipherAlgorithm;
 }): {
   /** The stringified JSON string of an empty `CipherObject`. */
   payloadShell: string;
@@ -218,12 +298,16 @@ export function getCipherObjectWrapper(opts: {
   if (opts.cipherTextEncoding === 'base64') {
     shell.cipherTextEncoding = 'base64';
   }
-  // Hex encoded 16 byte buffer.
-  const ivLength = 32;
+  const version = getCipherObjectVersion(opts.cipherAlgorithm);
+  if (version !== 1) {
+    shell.version = version;
+  }
+  // Hex encoded 16 byte buffer, or 12 byte buffer for AES-GCM.
+  const ivLength = CIPHER_OBJECT_LENGTHS[version].iv * 2;
   // Hex encoded, compressed EC pubkey of 33 bytes.
-  const ephemeralPKLength = 66;
-  // Hex encoded 32 byte hmac-sha256.
-  const macLength = 64;
+  const ephemeralPKLength = COMPRESSED_PUBLIC_KEY_LENGTH * 2;
+  // Hex encoded 32 byte hmac-sha256, or 16 byte AES-GCM authentication tag.
+  const macLength = CIPHER_OBJECT_LENGTHS[version].mac * 2;
   return {
     payloadValuesLength: ivLength + ephemeralPKLength + macLength,
     payloadShell: JSON.stringify(shell),
@@ -269,11 +353,31 @@ export function eciesGetJsonStringLength(opts: {
   wasString: boolean;
   sign: boolean;
   cipherTextEncoding: CipherTextEncoding;
+  cipherAlgorithm?: EciesCipherAlgorithm;
+  compact?: boolean;
 }): number {
-  const { payloadShell, payloadValuesLength } = getCipherObjectWrapper(opts);
+  // Calculate the AES output length given the input length. AES-GCM does not pad.
+  const version = getCipherObjectVersion(opts.cipherAlgorithm);
+  const cipherTextLength =
+    version === 1 ? getAesCbcOutputLength(opts.contentLength) : opts.contentLength;
+
+  if (opts.compact) {
+    // The compact form is a single base64 string, see `encodeCompactCipherObject`.
+    const compactLength = getBase64OutputLength(
+      COMPACT_HEADER_LENGTH +
+        COMPRESSED_PUBLIC_KEY_LENGTH +
+        CIPHER_OBJECT_LENGTHS[version].iv +
+        CIPHER_OBJECT_LENGTHS[version].mac +
+        cipherTextLength
+    );
+    if (!opts.sign) {
+      return compactLength;
+    }
+    const { signedPayloadShell, signedPayloadValuesLength } = getSignedCipherObjectWrapper('');
+    return signedPayloadShell.length + signedPayloadValuesLength + compactLength;
+  }
 
-  // Calculate the AES output length given the input length.
-  const cipherTextLength = getAesCbcOutputLength(opts.contentLength);
+  const { payloadShell, payloadValuesLength } = getCipherObjectWrapper(opts);
 
   // Get the encoded string length of the cipherText.
   let encodedCipherTextLength: number;
@@ -306,7 +410,9 @@ export function eciesGetJsonStringLength(opts: {
  * Encrypt content to elliptic curve publicKey using ECIES
  * @param publicKey - secp256k1 public key hex string
  * @param content - content to encrypt
+ * @param cipherAlgorithm - `aes-256-cbc` (the default) or `aes-256-gcm`
  * @return Object containing:
+ *  version (2 for `aes-256-gcm`, omitted otherwise),
  *  iv (initialization vector, hex encoding),
  *  cipherText (cipher text either hex or base64 encoded),
  *  mac (message authentication code, hex encoded),
@@ -319,8 +425,10 @@ export async function encryptECIES(
   publicKey: string,
   content: Buffer,
   wasString: boolean,
-  cipherTextEncoding?: CipherTextEncoding
+  cipherTextEncoding?: CipherTextEncoding,
+  cipherAlgorithm?: EciesCipherAlgorithm
 ): Promise<CipherObject> {
+  const version = getCipherObjectVersion(cipherAlgorithm);
   const validity = isValidPublicKey(publicKey);
   if (!validity.result) {
     throw validity;
@@ -332,16 +440,25 @@ export async function encryptECIES(
   const sharedSecretBuffer = getBufferFromBN(sharedSecret);
   const sharedKeys = sharedSecretToKeys(sharedSecretBuffer);
 
-  const initializationVector = randomBytes(16);
-
-  const cipherText = await aes256CbcEncrypt(
-    initializationVector,
-    sharedKeys.encryptionKey,
-    content
-  );
-
-  const macData = Buffer.concat([initializationVector, ephemeralPK, cipherText]);
-  const mac = await hmacSha256(sharedKeys.hmacKey, macData);
+  const initializationVector = randomBytes(CIPHER_OBJECT_LENGTHS[version].iv);
+
+  let cipherText: Buffer;
+  let mac: Buffer;
+  if (version === 2) {
+    // The ephemeral public key is authenticated along with the ciphertext.
+    const sealed = await aes256GcmEncrypt(
+      initializationVector,
+      sharedKeys.encryptionKey,
+      content,
+      ephemeralPK
+    );
+    cipherText = sealed.slice(0, sealed.length - GCM_AUTH_TAG_LENGTH);
+    mac = sealed.slice(sealed.length - GCM_AUTH_TAG_LENGTH);
+  } else {
+    cipherText = await aes256CbcEncrypt(initializationVector, sharedKeys.encryptionKey, content);
+    const macData = Buffer.concat([initializationVector, ephemeralPK, cipherText]);
+    mac = await hmacSha256(sharedKeys.hmacKey, macData);
+  }
 
   let cipherTextString: string;
   if (!cipherTextEncoding || cipherTextEncoding === 'hex') {
@@ -362,6 +479,9 @@ export async function encryptECIES(
   if (cipherTextEncoding && cipherTextEncoding !== 'hex') {
     result.cipherTextEncoding = cipherTextEncoding;
   }
+  if (version !== 1) {
+    result.version = version;
+  }
   return result;
 }
 
@@ -381,6 +501,10 @@ export async function decryptECIES(
   privateKey: string,
   cipherObject: CipherObject
 ): Promise<Buffer | string> {
+  const version = cipherObject.version ?? 1;
+  if (!CIPHER_OBJECT_LENGTHS[version]) {
+    throw new FailedDecryptionError(`Unsupported cipher object version "${version}"`);
+  }
   const ecSK = ecurve.keyFromPrivate(privateKey, 'hex');
   let ephemeralPK = null;
   try {
@@ -408,17 +532,299 @@ export async function decryptECIES(
     throw new Error(`Unexpected cipherTextEncoding "${cipherObject.cipherText}"`);
   }
 
-  const macData = Buffer.concat([
-    ivBuffer,
-    Buffer.from(ephemeralPK.encodeCompressed()),
+  const ephemeralPKBuffer = Buffer.from(ephemeralPK.encodeCompressed());
+  const macBuffer = Buffer.from(cipherObject.mac, 'hex');
+  let plainText: Buffer;
+  if (version === 2) {
+    try {
+      plainText = await aes256GcmDecrypt(
+        ivBuffer,
+        sharedKeys.encryptionKey,
+        Buffer.concat([cipherTextBuffer, macBuffer]),
+        ephemeralPKBuffer
+      );
+    } catch (error) {
+      throw new FailedDecryptionError('Decryption failed: failure in authentication tag check');
+    }
+  } else {
+    const macData = Buffer.concat([ivBuffer, ephemeralPKBuffer, cipherTextBuffer]);
+    const actualMac = await hmacSha256(sharedKeys.hmacKey, macData);
+    if (!equalConstTime(macBuffer, actualMac)) {
+      throw new FailedDecryptionError('Decryption failed: failure in MAC check');
+    }
+    plainText = await aes256CbcDecrypt(ivBuffer, sharedKeys.encryptionKey, cipherTextBuffer);
+  }
+
+  if (cipherObject.wasString) {
+    return plainText.toString();
+  } else {
+    return plainText;
+  }
+}
+
+/**
+ * Encode a cipher object in its compact form: the base64 encoding of the bytes
+ * `version | flags | ephemeralPK | iv | mac | cipherText`, where the flags byte is 1 if
+ * the content was a string. About half the length of the hex encoded JSON form.
+ * @ignore
+ */
+export function encodeCompactCipherObject(cipherObject: CipherObject): string {
+  const version = cipherObject.version ?? 1;
+  const cipherTextBuffer = Buffer.from(
+    cipherObject.cipherText,
+    cipherObject.cipherTextEncoding === 'base64' ? 'base64' : 'hex'
+  );
+  return Buffer.concat([
+    Buffer.from([version, cipherObject.wasString ? 1 : 0]),
+    Buffer.from(cipherObject.ephemeralPK, 'hex'),
+    Buffer.from(cipherObject.iv, 'hex'),
+    Buffer.from(cipherObject.mac, 'hex'),
     cipherTextBuffer,
-  ]);
-  const actualMac = await hmacSha256(sharedKeys.hmacKey, macData);
+  ]).toString('base64');
+}
+
+/**
+ * Whether the content is a cipher object in compact form, rather than JSON.
+ * @ignore
+ */
+export function isCompactCipherObject(content: string): boolean {
+  if (!/^[A-Za-z0-9+/]+={0,2}$/.test(content)) {
+    return false;
+  }
+  const header = Buffer.from(content.slice(0, 4), 'base64');
+  const lengths = CIPHER_OBJECT_LENGTHS[header[0] as CipherObjectVersion];
+  return (
+    !!lengths &&
+    header[1] <= 1 &&
+    content.length >=
+      getBase64OutputLength(
+        COMPACT_HEADER_LENGTH + COMPRESSED_PUBLIC_KEY_LENGTH + lengths.iv + lengths.mac
+      )
+  );
+}
+
+/**
+ * Decode a cipher object from its compact form, see `encodeCompactCipherObject`.
+ * @ignore
+ */
+export function decodeCompactCipherObject(compact: string): CipherObject {
+  if (!isCompactCipherObject(compact)) {
+    throw new FailedDecryptionError('Invalid compact cipher object');
+  }
+  const buffer = Buffer.from(compact, 'base64');
+  const version = buffer[0] as CipherObjectVersion;
+  const ivStart = COMPACT_HEADER_LENGTH + COMPRESSED_PUBLIC_KEY_LENGTH;
+  const macStart = ivStart + CIPHER_OBJECT_LENGTHS[version].iv;
+  const cipherTextStart = macStart + CIPHER_OBJECT_LENGTHS[version].mac;
+  const cipherObject: CipherObject = {
+    iv: buffer.slice(ivStart, macStart).toString('hex'),
+    ephemeralPK: buffer.slice(COMPACT_HEADER_LENGTH, ivStart).toString('hex'),
+    cipherText: buffer.slice(cipherTextStart).toString('base64'),
+    cipherTextEncoding: 'base64',
+    mac: buffer.slice(macStart, cipherTextStart).toString('hex'),
+    wasString: buffer[1] === 1,
+  };
+  if (version !== 1) {
+    cipherObject.version = version;
+  }
+  return cipherObject;
+}
+
+/**
+ * The content key of a [[MultiRecipientCipherObject]], encrypted to one recipient
+ * @ignore
+ */
+export type RecipientKey = {
+  /** Hex encoded compressed public key of the recipient */
+  publicKey: string;
+  /** The content key, encrypted to the public key with ECIES */
+  wrappedKey: CipherObject;
+};
+
+/**
+ * Content encrypted once with a random content key, which is encrypted to each recipient.
+ * @ignore
+ */
+export type MultiRecipientCipherObject = {
+  iv: string;
+  cipherText: string;
+  /** If undefined then hex encoding is used for the `cipherText` string. */
+  cipherTextEncoding?: CipherTextEncoding;
+  mac: string;
+  wasString: boolean;
+  recipients: RecipientKey[];
+};
+
+/**
+ * @ignore
+ */
+export function isMultiRecipientCipherObject(
+  cipherObject: any
+): cipherObject is MultiRecipientCipherObject {
+  return !!cipherObject && Array.isArray(cipherObject.recipients);
+}
+
+/**
+ * @ignore
+ */
+function getCompressedPublicKey(publicKey: string): string {
+  const validity = isValidPublicKey(publicKey);
+  if (!validity.result) {
+    throw validity;
+  }
+  return ecurve.keyFromPublic(publicKey, 'hex').getPublic(true, 'hex');
+}
+
+/**
+ * @ignore
+ */
+async function wrapContentKey(contentKey: Buffer, publicKeys: string[]): Promise<RecipientKey[]> {
+  const uniquePublicKeys = Array.from(new Set(publicKeys.map(getCompressedPublicKey)));
+  return Promise.all(
+    uniquePublicKeys.map(async publicKey => ({
+      publicKey,
+      wrappedKey: await encryptECIES(publicKey, contentKey, false),
+    }))
+  );
+}
+
+/**
+ * @ignore
+ */
+async function unwrapContentKey(
+  privateKey: string,
+  cipherObject: MultiRecipientCipherObject
+): Promise<Buffer> {
+  const publicKey = getCompressedPublicKey(getPublicKeyFromPrivate(privateKey));
+  const recipient = cipherObject.recipients.find(key => key.publicKey === publicKey);
+  if (!recipient) {
+    throw new FailedDecryptionError(
+      `Decryption failed: public key ${publicKey} is not a recipient of the cipher object`
+    );
+  }
+  return (await decryptECIES(privateKey, recipient.wrappedKey)) as Buffer;
+}
+
+/**
+ * The MAC of content encrypted for several recipients, which covers the public keys of the
+ * recipients too, so that the recipients can't be changed without the content key
+ * @ignore
+ */
+function getMultiRecipientMac(
+  hmacKey: Buffer,
+  initializationVector: Buffer,
+  cipherText: Buffer,
+  recipients: RecipientKey[]
+): Promise<Buffer> {
+  const publicKeys = Buffer.from(JSON.stringify(recipients.map(key => key.publicKey)));
+  return hmacSha256(hmacKey, Buffer.concat([initializationVector, cipherText, publicKeys]));
+}
+
+/**
+ * @ignore
+ */
+async function checkMultiRecipientMac(hmacKey: Buffer, cipherObject: MultiRecipientCipherObject) {
+  const actualMac = await getMultiRecipientMac(
+    hmacKey,
+    Buffer.from(cipherObject.iv, 'hex'),
+    decodeMultiRecipientCipherText(cipherObject),
+    cipherObject.recipients
+  );
   const expectedMac = Buffer.from(cipherObject.mac, 'hex');
   if (!equalConstTime(expectedMac, actualMac)) {
     throw new FailedDecryptionError('Decryption failed: failure in MAC check');
   }
-  const plainText = await aes256CbcDecrypt(ivBuffer, sharedKeys.encryptionKey, cipherTextBuffer);
+}
+
+/**
+ * @ignore
+ */
+function decodeMultiRecipientCipherText(cipherObject: MultiRecipientCipherObject): Buffer {
+  if (!cipherObject.cipherTextEncoding || cipherObject.cipherTextEncoding === 'hex') {
+    return Buffer.from(cipherObject.cipherText, 'hex');
+  } else if (cipherObject.cipherTextEncoding === 'base64') {
+    return Buffer.from(cipherObject.cipherText, 'base64');
+  } else {
+    throw new Error(`Unexpected cipherTextEncoding "${cipherObject.cipherTextEncoding}"`);
+  }
+}
+
+/**
+ * Encrypt content for several recipients. The content is encrypted once with a random
+ * content key, and the content key is encrypted to each public key using ECIES.
+ * The MAC covers the list of recipients, but any recipient knows the content key: only a
+ * signature, e.g. with the `sign` option of `putFile`, proves who encrypted the content.
+ * @param publicKeys - secp256k1 public key hex strings of the recipients
+ * @param content - content to encrypt
+ * @param wasString - whether to return a string on decrypt
+ * @param cipherTextEncoding - the encoding of the cipher text, hex by default
+ * @return {MultiRecipientCipherObject} that can be decrypted with the private key of any
+ * recipient
+ * @private
+ * @ignore
+ */
+export async function encryptMultiRecipient(
+  publicKeys: string[],
+  content: Buffer,
+  wasString: boolean,
+  cipherTextEncoding?: CipherTextEncoding
+): Promise<MultiRecipientCipherObject> {
+  if (publicKeys.length === 0) {
+    throw new Error('At least one recipient public key is required for encryption.');
+  }
+  const contentKey = randomBytes(32);
+  const keys = sharedSecretToKeys(contentKey);
+  const initializationVector = randomBytes(16);
+  const cipherText = await aes256CbcEncrypt(initializationVector, keys.encryptionKey, content);
+  const recipients = await wrapContentKey(contentKey, publicKeys);
+  const mac = await getMultiRecipientMac(
+    keys.hmacKey,
+    initializationVector,
+    cipherText,
+    recipients
+  );
+
+  let cipherTextString: string;
+  if (!cipherTextEncoding || cipherTextEncoding === 'hex') {
+    cipherTextString = cipherText.toString('hex');
+  } else if (cipherTextEncoding === 'base64') {
+    cipherTextString = cipherText.toString('base64');
+  } else {
+    throw new Error(`Unexpected cipherTextEncoding "${cipherTextEncoding}"`);
+  }
+
+  const result: MultiRecipientCipherObject = {
+    iv: initializationVector.toString('hex'),
+    cipherText: cipherTextString,
+    mac: mac.toString('hex'),
+    wasString: !!wasString,
+    recipients,
+  };
+  if (cipherTextEncoding && cipherTextEncoding !== 'hex') {
+    result.cipherTextEncoding = cipherTextEncoding;
+  }
+  return result;
+}
+
+/**
+ * Decrypt content encrypted with [[encryptMultiRecipient]]
+ * @param {String} privateKey - secp256k1 private key hex string of any recipient
+ * @param {MultiRecipientCipherObject} cipherObject - object to decrypt
+ * @return {Buffer} plaintext
+ * @throws {FailedDecryptionError} if unable to decrypt
+ * @private
+ * @ignore
+ */
+export async function decryptMultiRecipient(
+  privateKey: string,
+  cipherObject: MultiRecipientCipherObject
+): Promise<Buffer | string> {
+  const contentKey = await unwrapContentKey(privateKey, cipherObject);
+  const keys = sharedSecretToKeys(contentKey);
+  const ivBuffer = Buffer.from(cipherObject.iv, 'hex');
+  const cipherTextBuffer = decodeMultiRecipientCipherText(cipherObject);
+  await checkMultiRecipientMac(keys.hmacKey, cipherObject);
+  const plainText = await aes256CbcDecrypt(ivBuffer, keys.encryptionKey, cipherTextBuffer);
 
   if (cipherObject.wasString) {
     return plainText.toString();
@@ -427,6 +833,64 @@ export async function decryptECIES(
   }
 }
 
+/**
+ * Give more recipients access to content encrypted with [[encryptMultiRecipient]], by
+ * encrypting its content key to them. The content is not encrypted again, its MAC is
+ * computed again for the new list of recipients.
+ * @param {String} privateKey - secp256k1 private key hex string of any recipient
+ * @param {MultiRecipientCipherObject} cipherObject - the encrypted content
+ * @param {String[]} publicKeys - the public keys to add, existing recipients are skipped
+ * @private
+ * @ignore
+ */
+export async function addMultiRecipients(
+  privateKey: string,
+  cipherObject: MultiRecipientCipherObject,
+  publicKeys: string[]
+): Promise<MultiRecipientCipherObject> {
+  const contentKey = await unwrapContentKey(privateKey, cipherObject);
+  // the current recipients are checked before they are added to
+  await checkMultiRecipientMac(sharedSecretToKeys(contentKey).hmacKey, cipherObject);
+  const existing = cipherObject.recipients.map(key => key.publicKey);
+  const added = publicKeys.filter(key => !existing.includes(getCompressedPublicKey(key)));
+  const recipients = [...cipherObject.recipients, ...(await wrapContentKey(contentKey, added))];
+  const mac = await getMultiRecipientMac(
+    sharedSecretToKeys(contentKey).hmacKey,
+    Buffer.from(cipherObject.iv, 'hex'),
+    decodeMultiRecipientCipherText(cipherObject),
+    recipients
+  );
+  return { ...cipherObject, mac: mac.toString('hex'), recipients };
+}
+
+/**
+ * Revoke the access of recipients to content encrypted with [[encryptMultiRecipient]].
+ * The content is encrypted again with a new content key, which is encrypted to the remaining
+ * recipients, so revoked recipients who kept the previous content key can't decrypt it.
+ * @param {String} privateKey - secp256k1 private key hex string of any recipient
+ * @param {MultiRecipientCipherObject} cipherObject - the encrypted content
+ * @param {String[]} publicKeys - the public keys to revoke
+ * @private
+ * @ignore
+ */
+export async function removeMultiRecipients(
+  privateKey: string,
+  cipherObject: MultiRecipientCipherObject,
+  publicKeys: string[]
+): Promise<MultiRecipientCipherObject> {
+  const revoked = publicKeys.map(getCompressedPublicKey);
+  const remaining = cipherObject.recipients
+    .map(key => key.publicKey)
+    .filter(key => !revoked.includes(key));
+  const content = await decryptMultiRecipient(privateKey, cipherObject);
+  return encryptMultiRecipient(
+    remaining,
+    typeof content === 'string' ? Buffer.from(content) : content,
+    cipherObject.wasString,
+    cipherObject.cipherTextEncoding
+  );
+}
+
 /**
  * Sign content using ECDSA
  *
@@ -1,10 +1,17 @@
 import { Buffer } from '@stacks/common';
 import {
   CipherTextEncoding,
+  EciesCipherAlgorithm,
   SignedCipherObject,
+  encodeCompactCipherObject,
+  decodeCompactCipherObject,
+  isCompactCipherObject,
   encryptECIES,
   decryptECIES,
   signECDSA,
+  encryptMultiRecipient,
+  decryptMultiRecipient,
+  isMultiRecipientCipherObject,
 } from './ec';
 
 import { getPublicKeyFromPrivate } from './keys';
@@ -25,6 +32,21 @@ export interface EncryptionOptions {
    * file size reduction.
    */
   cipherTextEncoding?: CipherTextEncoding;
+  /**
+   * The cipher used to encrypt the content.
+   * Defaults to 'aes-256-cbc' (with a HMAC-SHA256) for legacy backwards-compatibility.
+   * 'aes-256-gcm' is authenticated encryption with a smaller ciphertext, which
+   * older versions of this library cannot decrypt.
+   * Only used if the `encrypt` option is also used.
+   */
+  cipherAlgorithm?: EciesCipherAlgorithm;
+  /**
+   * Encode the encrypted content as a single base64 string instead of JSON, for the
+   * smallest file size. `cipherTextEncoding` is not used then.
+   * Only used if the `encrypt` option is also used.
+   * @default false
+   */
+  compactCipherObject?: boolean;
   /**
    * Specifies if the original unencrypted content is a ASCII or UTF-8 string.
    * For example stringified JSON.
@@ -46,6 +68,11 @@ export interface EncryptContentOptions extends EncryptionOptions {
    * Encrypt the data with the public key corresponding to the supplied private key
    */
   privateKey?: string;
+  /**
+   * Encrypt the data once for several recipients, instead of `publicKey`.
+   * It can be decrypted with the private key of any of them.
+   */
+  publicKeys?: string[];
 }
 
 /**
@@ -54,6 +81,8 @@ export interface EncryptContentOptions extends EncryptionOptions {
  * @param {Object} [options=null] - options object
  * @param {String} options.publicKey - the hex string of the ECDSA public
  * key to use for encryption. If not provided, will use user's appPublicKey.
+ * @param {String[]} options.publicKeys - the hex strings of the ECDSA public
+ * keys to encrypt for, instead of `publicKey`.
  * @return {String} Stringified ciphertext object
  */
 export async function encryptContent(
@@ -62,7 +91,7 @@ export async function encryptContent(
 ): Promise<string> {
   const opts = Object.assign({}, options);
   let privateKey: string | undefined;
-  if (!opts.publicKey) {
+  if (!opts.publicKey && !opts.publicKeys) {
     if (!opts.privateKey) {
       throw new Error('Either public key or private key must be supplied for encryption.');
     }
@@ -75,13 +104,32 @@ export async function encryptContent(
     wasString = typeof content === 'string';
   }
   const contentBuffer = typeof content === 'string' ? Buffer.from(content) : content;
-  const cipherObject = await encryptECIES(
-    opts.publicKey,
-    contentBuffer,
-    wasString,
-    opts.cipherTextEncoding
-  );
-  let cipherPayload = JSON.stringify(cipherObject);
+  let cipherPayload: string;
+  if (opts.publicKeys) {
+    if (opts.compactCipherObject || (opts.cipherAlgorithm ?? 'aes-256-cbc') !== 'aes-256-cbc') {
+      throw new Error(
+        'Content encrypted for multiple recipients only supports aes-256-cbc JSON cipher objects'
+      );
+    }
+    const cipherObject = await encryptMultiRecipient(
+      opts.publicKeys,
+      contentBuffer,
+      wasString,
+      opts.cipherTextEncoding
+    );
+    cipherPayload = JSON.stringify(cipherObject);
+  } else {
+    const cipherObject = await encryptECIES(
+      opts.publicKey!,
+      contentBuffer,
+      wasString,
+      opts.cipherTextEncoding,
+      opts.cipherAlgorithm
+    );
+    cipherPayload = opts.compactCipherObject
+      ? encodeCompactCipherObject(cipherObject)
+      : JSON.stringify(cipherObject);
+  }
   if (opts.sign) {
     if (typeof opts.sign === 'string') {
       privateKey = opts.sign;
@@ -120,7 +168,13 @@ export function decryptContent(
   }
 
   try {
+    if (isCompactCipherObject(content)) {
+      return decryptECIES(opts.privateKey, decodeCompactCipherObject(content));
+    }
     const cipherObject = JSON.parse(content);
+    if (isMultiRecipientCipherObject(cipherObject)) {
+      return decryptMultiRecipient(opts.privateKey, cipherObject);
+    }
     return decryptECIES(opts.privateKey, cipherObject);
   } catch (err) {
     if (err instanceof SyntaxError) {
@@ -12,7 +12,13 @@ import * as sha2Hash from '../src/sha2Hash'
 import * as hmacSha256 from '../src/hmacSha256'
 import * as ripemd160 from '../src/hashRipemd160'
 import BN from 'bn.js'
-import { getBufferFromBN } from '../src/ec'
+import {
+  addMultiRecipients, decryptMultiRecipient, encryptMultiRecipient, getBufferFromBN,
+  removeMultiRecipients, encodeCompactCipherObject, decodeCompactCipherObject,
+  eciesGetJsonStringLength,
+} from '../src/ec'
+import { decryptContent, encryptContent } from '../src/encryption'
+import { getPublicKeyFromPrivate, makeECPrivateKey } from '../src/keys'
 
 const privateKey = 'a5c61c6ca7b3e7e55edee68566aeab22e4da26baa285c7bd10e8d2218aa3b229'
 const publicKey = '027d28f9951ce46538951e3697c62588a87f1f1f295de4a14fdd4c780fc52cfe69'
@@ -288,6 +294,54 @@ test('aes-cbc tests', async () => {
   }
 })
 
+test('aes-gcm tests', async () => {
+  const globalScope = getGlobalScope() as any
+
+  // Remove any existing global `crypto` variable for testing
+  const globalCryptoOrig = { defined: 'crypto' in globalScope, value: globalScope.crypto }
+  delete globalScope.crypto
+
+  try {
+    const nodeCryptoAesCipher = await aesCipher.createCipher()
+
+    // Set global web `crypto` polyfill for testing
+    globalScope.crypto = new webCryptoPolyfill.Crypto()
+    const webCryptoAesCipher = await aesCipher.createCipher()
+    expect(webCryptoAesCipher instanceof aesCipher.WebCryptoAesCipher).toEqual(true)
+
+    const key256 = Buffer.from('0f'.repeat(32), 'hex')
+    const iv = Buffer.from('f7'.repeat(12), 'hex')
+    const additionalData = Buffer.from('header')
+    const inputData = Buffer.from('TestData'.repeat(20))
+
+    // Both ciphers append the same authentication tag to the ciphertext
+    const encryptedNodeCrypto = await nodeCryptoAesCipher
+      .encrypt('aes-256-gcm', key256, iv, inputData, additionalData)
+    const encryptedWebCrypto = await webCryptoAesCipher
+      .encrypt('aes-256-gcm', key256, iv, inputData, additionalData)
+    expect(encryptedNodeCrypto.length).toEqual(inputData.length + aesCipher.GCM_AUTH_TAG_LENGTH)
+    expect(encryptedWebCrypto.toString('hex')).toEqual(encryptedNodeCrypto.toString('hex'))
+
+    expect(await nodeCryptoAesCipher
+      .decrypt('aes-256-gcm', key256, iv, encryptedWebCrypto, additionalData)).toEqual(inputData)
+    expect(await webCryptoAesCipher
+      .decrypt('aes-256-gcm', key256, iv, encryptedNodeCrypto, additionalData)).toEqual(inputData)
+
+    // Tampered additional data fails authentication
+    await expect(nodeCryptoAesCipher
+      .decrypt('aes-256-gcm', key256, iv, encryptedNodeCrypto, Buffer.from('other'))).rejects.toThrow()
+    await expect(webCryptoAesCipher
+      .decrypt('aes-256-gcm', key256, iv, encryptedNodeCrypto, Buffer.from('other'))).rejects.toThrow()
+  } finally {
+    // Restore previous `crypto` global var
+    if (globalCryptoOrig.defined) {
+      globalScope.crypto = globalCryptoOrig.value
+    } else {
+      delete globalScope.crypto
+    }
+  }
+})
+
 test('encrypt-to-decrypt works', async () => {
   const testString = 'all work and no play makes jack a dull boy'
   let cipherObj = await encryptECIES(publicKey, Buffer.from(testString), true)
@@ -318,6 +372,115 @@ test('encrypt-to-decrypt fails on bad mac', async () => {
   }
 })
 
+test('aes-256-gcm encrypt-to-decrypt works', async () => {
+  const testString = 'all work and no play makes jack a dull boy'
+  const cipherObj = await encryptECIES(publicKey, Buffer.from(testString), true, 'base64', 'aes-256-gcm')
+  expect(cipherObj.version).toEqual(2)
+  expect(Buffer.from(cipherObj.iv, 'hex').length).toEqual(12)
+  expect(Buffer.from(cipherObj.cipherText, 'base64').length).toEqual(testString.length)
+  expect(await decryptECIES(privateKey, cipherObj)).toEqual(testString)
+
+  const tamperedObj = { ...cipherObj, cipherText: Buffer.from('evil').toString('base64') }
+  await expect(decryptECIES(privateKey, tamperedObj)).rejects.toThrow('failure in authentication tag check')
+  await expect(decryptECIES(privateKey, { ...cipherObj, version: 3 as any }))
+    .rejects.toThrow('Unsupported cipher object version "3"')
+
+  // version 1 cipher objects are still decrypted
+  const legacyObj = await encryptECIES(publicKey, Buffer.from(testString), true)
+  expect(legacyObj.version).toBeUndefined()
+  expect(await decryptECIES(privateKey, legacyObj)).toEqual(testString)
+})
+
+test('compact cipher objects', async () => {
+  const testString = 'all work and no play makes jack a dull boy'
+  for (const cipherAlgorithm of ['aes-256-cbc', 'aes-256-gcm'] as const) {
+    const cipherObj = await encryptECIES(publicKey, Buffer.from(testString), true, 'hex', cipherAlgorithm)
+    const compact = encodeCompactCipherObject(cipherObj)
+    const decoded = decodeCompactCipherObject(compact)
+    expect(decoded.cipherTextEncoding).toEqual('base64')
+    expect(encodeCompactCipherObject(decoded)).toEqual(compact)
+    expect(await decryptECIES(privateKey, decoded)).toEqual(testString)
+
+    for (const sign of [false, true]) {
+      const payload = await encryptContent(testString, {
+        publicKey, cipherAlgorithm, compactCipherObject: true, sign: sign ? privateKey : undefined,
+      })
+      const expectedLength = eciesGetJsonStringLength({
+        contentLength: testString.length, wasString: true, sign, cipherTextEncoding: 'hex',
+        cipherAlgorithm, compact: true,
+      })
+      if (sign) {
+        // size can vary due to ECDSA signature DER encoding
+        expect(payload.length).toBeLessThanOrEqual(expectedLength)
+        expect(payload.length).toBeGreaterThan(expectedLength - 10)
+        expect(await decryptContent(JSON.parse(payload).cipherText, { privateKey })).toEqual(testString)
+      } else {
+        expect(payload.length).toEqual(expectedLength)
+        expect(await decryptContent(payload, { privateKey })).toEqual(testString)
+      }
+    }
+  }
+
+  const jsonPayload = await encryptContent(testString, { publicKey, cipherAlgorithm: 'aes-256-gcm' })
+  expect(jsonPayload.length).toEqual(eciesGetJsonStringLength({
+    contentLength: testString.length, wasString: true, sign: false, cipherTextEncoding: 'hex',
+    cipherAlgorithm: 'aes-256-gcm',
+  }))
+  expect(await decryptContent(jsonPayload, { privateKey })).toEqual(testString)
+
+  expect(() => decryptContent('not encrypted', { privateKey })).toThrow(
+    'Failed to parse encrypted content JSON'
+  )
+  await expect(encryptContent(testString, { publicKeys: [publicKey], compactCipherObject: true }))
+    .rejects.toThrow('only supports aes-256-cbc JSON cipher objects')
+})
+
+test('multi-recipient encrypt-to-decrypt works', async () => {
+  const testString = 'all work and no play makes jack a dull boy'
+  const otherPrivateKey = makeECPrivateKey()
+  const outsiderPrivateKey = makeECPrivateKey()
+  const cipherObj = await encryptMultiRecipient(
+    [publicKey, getPublicKeyFromPrivate(otherPrivateKey)], Buffer.from(testString), true, 'base64'
+  )
+
+  expect(cipherObj.recipients.length).toEqual(2)
+  expect(await decryptMultiRecipient(privateKey, cipherObj)).toEqual(testString)
+  expect(await decryptMultiRecipient(otherPrivateKey, cipherObj)).toEqual(testString)
+  await expect(decryptMultiRecipient(outsiderPrivateKey, cipherObj))
+    .rejects.toThrow('is not a recipient of the cipher object')
+
+  const tamperedObj = { ...cipherObj, cipherText: Buffer.from('evil').toString('base64') }
+  await expect(decryptMultiRecipient(privateKey, tamperedObj)).rejects.toThrow('failure in MAC check')
+
+  // the recipients are covered by the MAC
+  const withoutOther = { ...cipherObj, recipients: cipherObj.recipients.slice(0, 1) }
+  await expect(decryptMultiRecipient(privateKey, withoutOther)).rejects.toThrow('failure in MAC check')
+  await expect(addMultiRecipients(privateKey, withoutOther, [getPublicKeyFromPrivate(outsiderPrivateKey)]))
+    .rejects.toThrow('failure in MAC check')
+
+  const payload = await encryptContent(testString, { publicKeys: [publicKey, publicKey] })
+  expect(JSON.parse(payload).recipients.length).toEqual(1)
+  expect(await decryptContent(payload, { privateKey })).toEqual(testString)
+})
+
+test('multi-recipient add and remove recipients', async () => {
+  const testBuffer = Buffer.from('all work and no play makes jack a dull boy')
+  const otherPrivateKey = makeECPrivateKey()
+  const otherPublicKey = getPublicKeyFromPrivate(otherPrivateKey)
+  const cipherObj = await encryptMultiRecipient([publicKey], testBuffer, false)
+
+  const added = await addMultiRecipients(privateKey, cipherObj, [otherPublicKey, publicKey])
+  expect(added.cipherText).toEqual(cipherObj.cipherText)
+  expect(added.recipients.map(key => key.publicKey)).toEqual([publicKey, otherPublicKey])
+  expect(await decryptMultiRecipient(otherPrivateKey, added)).toEqual(testBuffer)
+
+  const removed = await removeMultiRecipients(otherPrivateKey, added, [publicKey])
+  expect(removed.cipherText).not.toEqual(cipherObj.cipherText)
+  expect(removed.recipients.map(key => key.publicKey)).toEqual([otherPublicKey])
+  expect(await decryptMultiRecipient(otherPrivateKey, removed)).toEqual(testBuffer)
+  await expect(decryptMultiRecipient(privateKey, removed)).rejects.toThrow('is not a recipient')
+})
+
 test('Should be able to prevent a public key twist attack for secp256k1', async () => {
   const curve = new elliptic.ec('secp256k1');
   // Pick a bad point to generate a public key.
@@ -1,4 +1,4 @@
-import { TransactionVersion, ChainID, fetchPrivate } from '@stacks/common';
+import { TransactionVersion, ChainID, FetchFn, createFetchFn } from '@stacks/common';
 
 export const HIRO_MAINNET_DEFAULT = 'https://stacks-node-api.mainnet.stacks.co';
 export const HIRO_REGTEST_DEFAULT = 'https://stacks-node-api.regtest.stacks.co';
@@ -7,12 +7,16 @@ export const HIRO_MOCKNET_DEFAULT = 'http://localhost:3999';
 
 export interface NetworkConfig {
   url: string;
+  /** the fetch function used for all requests to this network, see [[createFetchFn]] */
+  fetchFn?: FetchFn;
 }
 
 export interface StacksNetwork {
   version: TransactionVersion;
   chainId: ChainID;
   bnsLookupUrl: string;
+  /** the fetch function used for requests to this network, [[fetchPrivate]] if not set */
+  fetchFn?: FetchFn;
   broadcastEndpoint: string;
   transferFeeEstimateEndpoint: string;
   accountEndpoint: string;
@@ -22,18 +26,33 @@ export interface StacksNetwork {
   getBroadcastApiUrl: () => string;
   getTransferFeeEstimateApiUrl: () => string;
   getAccountApiUrl: (address: string) => string;
+  getAccountNoncesApiUrl?: (address: string) => string;
+  getTransactionApiUrl?: (txid: string) => string;
   getAbiApiUrl: (address: string, contract: string) => string;
   getReadOnlyFunctionCallApiUrl: (
     contractAddress: string,
     contractName: string,
     functionName: string
   ) => string;
+  getMapEntryUrl?: (
+    contractAddress: string,
+    contractName: string,
+    mapName: string,
+    proof?: boolean
+  ) => string;
+  getDataVarUrl?: (
+    contractAddress: string,
+    contractName: string,
+    varName: string,
+    proof?: boolean
+  ) => string;
   getInfoUrl: () => string;
   getBlockTimeInfoUrl: () => string;
   getPoxInfoUrl: () => string;
   getRewardsUrl: (address: string, options?: any) => string;
   getRewardHoldersUrl: (address: string, options?: any) => string;
   getRewardsTotalUrl: (address: string) => string;
+  getStxLockEventsUrl?: (address: string, options?: any) => string;
   getStackerInfoUrl: (contractAddress: string, contractName: string) => string;
 
   /**
@@ -56,6 +75,7 @@ export class StacksMainnet implements StacksNetwork {
   accountEndpoint = '/v2/accounts';
   contractAbiEndpoint = '/v2/contracts/interface';
   readOnlyFunctionCallEndpoint = '/v2/contracts/call-read';
+  fetchFn: FetchFn;
   private _coreApiUrl: string;
 
   get coreApiUrl() {
@@ -67,12 +87,16 @@ export class StacksMainnet implements StacksNetwork {
 
   constructor(networkUrl: NetworkConfig = { url: HIRO_MAINNET_DEFAULT }) {
     this._coreApiUrl = networkUrl.url;
+    this.fetchFn = networkUrl.fetchFn ?? createFetchFn();
   }
   isMainnet = () => this.version === TransactionVersion.Mainnet;
   getBroadcastApiUrl = () => `${this.coreApiUrl}${this.broadcastEndpoint}`;
   getTransferFeeEstimateApiUrl = () => `${this.coreApiUrl}${this.transferFeeEstimateEndpoint}`;
   getAccountApiUrl = (address: string) =>
     `${this.coreApiUrl}${this.accountEndpoint}/${address}?proof=0`;
+  getAccountNoncesApiUrl = (address: string) =>
+    `${this.coreApiUrl}/extended/v1/address/${address}/nonces`;
+  getTransactionApiUrl = (txid: string) => `${this.coreApiUrl}/extended/v1/tx/${txid}`;
   getAbiApiUrl = (address: string, contract: string) =>
     `${this.coreApiUrl}${this.contractAbiEndpoint}/${address}/${contract}`;
   getReadOnlyFunctionCallApiUrl = (
@@ -83,6 +107,19 @@ export class StacksMainnet implements StacksNetwork {
     `${this.coreApiUrl}${
       this.readOnlyFunctionCallEndpoint
     }/${contractAddress}/${contractName}/${encodeURIComponent(functionName)}`;
+  getMapEntryUrl = (
+    contractAddress: string,
+    contractName: string,
+    mapName: string,
+    proof = false
+  ) =>
+    `${this.coreApiUrl}/v2/map_entry/${contractAddress}/${contractName}/${encodeURIComponent(
+      mapName
+    )}?proof=${proof ? 1 : 0}`;
+  getDataVarUrl = (contractAddress: string, contractName: string, varName: string, proof = false) =>
+    `${this.coreApiUrl}/v2/data_var/${contractAddress}/${contractName}/${encodeURIComponent(
+      varName
+    )}?proof=${proof ? 1 : 0}`;
   getInfoUrl = () => `${this.coreApiUrl}/v2/info`;
   getBlockTimeInfoUrl = () => `${this.coreApiUrl}/extended/v1/info/network_block_times`;
   getPoxInfoUrl = () => `${this.coreApiUrl}/v2/pox`;
@@ -95,6 +132,13 @@ export class StacksMainnet implements StacksNetwork {
   };
   getRewardsTotalUrl = (address: string) =>
     `${this.coreApiUrl}/extended/v1/burnchain/rewards/${address}/total`;
+  getStxLockEventsUrl = (address: string, options?: any) => {
+    let url = `${this.coreApiUrl}/extended/v1/tx/events?address=${address}&type=stx_lock`;
+    if (options) {
+      url = `${url}&limit=${options.limit}&offset=${options.offset}`;
+    }
+    return url;
+  };
   getRewardHoldersUrl = (address: string, options?: any) => {
     let url = `${this.coreApiUrl}/extended/v1/burnchain/reward_slot_holders/${address}`;
     if (options) {
@@ -110,7 +154,7 @@ export class StacksMainnet implements StacksNetwork {
       TODO: Update to v2 API URL for name lookups
     */
     const nameLookupURL = `${this.bnsLookupUrl}/v1/names/${fullyQualifiedName}`;
-    return fetchPrivate(nameLookupURL)
+    return this.fetchFn(nameLookupURL)
       .then(resp => {
         if (resp.status === 404) {
           throw new Error('Name not found');
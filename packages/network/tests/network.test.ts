@@ -6,6 +6,12 @@ import {
   StacksMocknet,
   StacksTestnet,
 } from '@stacks/network';
+import { createFetchFn, FetchMiddleware } from '@stacks/common';
+import fetchMock from 'jest-fetch-mock';
+
+beforeEach(() => {
+  fetchMock.resetMocks();
+});
 
 describe('Setting coreApiUrl', () => {
   test('it sets mainnet default url', () => {
@@ -32,3 +38,48 @@ describe('Setting coreApiUrl', () => {
     expect(network.coreApiUrl).toEqual('https://legiturl.com');
   });
 });
+
+describe('Network fetch function', () => {
+  test('it uses a default fetch function', async () => {
+    const network = new StacksMainnet();
+    fetchMock.mockOnce(JSON.stringify({ address: 'SP000000000000000000002Q6VF78' }));
+    const nameInfo = await network.getNameInfo('muneeb.id');
+    expect(fetchMock.mock.calls[0][0]).toEqual(`${network.bnsLookupUrl}/v1/names/muneeb.id`);
+    expect(nameInfo.address).toEqual('SP000000000000000000002Q6VF78');
+  });
+  test('it routes requests through a custom fetch function', async () => {
+    const middleware: FetchMiddleware = {
+      pre: ({ url, init }) => ({ url, init: { ...init, headers: { 'x-custom': 'yes' } } }),
+    };
+    const fetchFn = createFetchFn(middleware);
+    const network = new StacksTestnet({ url: HIRO_TESTNET_DEFAULT, fetchFn });
+    fetchMock.mockOnce(JSON.stringify({}));
+    await network.getNameInfo('muneeb.id');
+    expect(network.fetchFn).toBe(fetchFn);
+    expect(fetchMock.mock.calls[0][1]?.headers).toEqual({ 'x-custom': 'yes' });
+  });
+});
+
+describe('Contract data URLs', () => {
+  test('it builds map entry and data var urls', () => {
+    const network = new StacksTestnet();
+    const contract = 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE/kv-store';
+    expect(network.getMapEntryUrl('ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE', 'kv-store', 'store')).toEqual(
+      `${HIRO_TESTNET_DEFAULT}/v2/map_entry/${contract}/store?proof=0`
+    );
+    expect(
+      network.getDataVarUrl('ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE', 'kv-store', 'counter', true)
+    ).toEqual(`${HIRO_TESTNET_DEFAULT}/v2/data_var/${contract}/counter?proof=1`);
+  });
+
+  test('it builds stx lock event urls', () => {
+    const network = new StacksTestnet();
+    const address = 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE';
+    expect(network.getStxLockEventsUrl(address)).toEqual(
+      `${HIRO_TESTNET_DEFAULT}/extended/v1/tx/events?address=${address}&type=stx_lock`
+    );
+    expect(network.getStxLockEventsUrl(address, { limit: 50, offset: 100 })).toEqual(
+      `${HIRO_TESTNET_DEFAULT}/extended/v1/tx/events?address=${address}&type=stx_lock&limit=50&offset=100`
+    );
+  });
+});
@@ -22,7 +22,7 @@ import { makeZoneFile, parseZoneFile } from 'zone-file';
 // @ts-ignore
 import * as inspector from 'schema-inspector';
 
-import { Logger, fetchPrivate } from '@stacks/common';
+import { Logger, FetchFn, fetchPrivate } from '@stacks/common';
 
 const schemaDefinition: { [key: string]: any } = {
   type: 'object',
@@ -324,10 +324,15 @@ export function getTokenFileUrl(zoneFileJson: any): string | null {
  *
  * @param zoneFile
  * @param publicKeyOrAddress
+ * @param fetchFn - the fetch function used to fetch the profile token file
  *
  * @ignore
  */
-export function resolveZoneFileToProfile(zoneFile: any, publicKeyOrAddress: string) {
+export function resolveZoneFileToProfile(
+  zoneFile: any,
+  publicKeyOrAddress: string,
+  fetchFn: FetchFn = fetchPrivate
+) {
   return new Promise((resolve, reject) => {
     let zoneFileJson = null;
     try {
@@ -355,7 +360,7 @@ export function resolveZoneFileToProfile(zoneFile: any, publicKeyOrAddress: stri
     }
 
     if (tokenFileUrl) {
-      fetchPrivate(tokenFileUrl)
+      fetchFn(tokenFileUrl)
         .then(response => response.text())
         .then(responseText => JSON.parse(responseText))
         .then(responseJson => {
@@ -0,0 +1,144 @@
+import { burnHeightToRewardCycle, RewardCycleParameters } from './schedule';
+
+/**
+ * A `stx_lock` event of the transaction events endpoint of the Stacks API
+ */
+export interface StxLockEventResponse {
+  event_index: number;
+  event_type: 'stx_lock';
+  tx_id: string;
+  stx_lock_event: {
+    locked_amount: string;
+    unlock_height: number;
+    locked_address: string;
+  };
+}
+
+/**
+ * A lock of STX, with the burnchain height of the transaction that locked them
+ */
+export interface StxLock {
+  txId: string;
+  burnBlockHeight: number;
+  /** the total amount locked, in microstacks */
+  lockedAmount: string;
+  unlockBurnHeight: number;
+}
+
+/**
+ * - `lock`: STX were locked while none were
+ * - `extend`: the unlock height of locked STX was raised
+ * - `increase`: the locked amount was raised
+ * - `unlock`: the locked STX were unlocked
+ */
+export type StackingEventType = 'lock' | 'extend' | 'increase' | 'unlock';
+
+/**
+ * An event in the stacking history of an account
+ */
+export interface StackingEvent {
+  type: StackingEventType;
+  burnBlockHeight: number;
+  rewardCycle: number;
+  /** the transaction of the event, unlocks have none */
+  txId?: string;
+  /** the amount locked after the event, in microstacks */
+  lockedAmount: string;
+  /** the unlock height after the event, `undefined` after an unlock */
+  unlockBurnHeight?: number;
+}
+
+/**
+ * The burnchain rewards paid to a PoX address in a reward cycle
+ */
+export interface CycleRewards {
+  cycle: number;
+  /** the sum of the rewards, in satoshis */
+  rewardAmount: string;
+  /** the number of reward payouts */
+  payouts: number;
+}
+
+/**
+ * The stacking history of an account, see [[StackingClient.getStackingTimeline]]
+ */
+export interface StackingTimeline {
+  /** the events, oldest first */
+  events: StackingEvent[];
+  /** the rewards by cycle, oldest first */
+  rewards: CycleRewards[];
+}
+
+/**
+ * Turns the locks of an account into lock, extend, increase and unlock events.
+ *
+ * @param {StxLock[]} locks - the locks of the account, in any order
+ * @param {number} currentBurnHeight - the current burnchain height, up to which unlocks happened
+ * @param {RewardCycleParameters} parameters - the cycle parameters of the PoX contract
+ */
+export function getStackingEvents(
+  locks: StxLock[],
+  currentBurnHeight: number,
+  parameters: RewardCycleParameters
+): StackingEvent[] {
+  const events: StackingEvent[] = [];
+  const sorted = locks.slice().sort((a, b) => a.burnBlockHeight - b.burnBlockHeight);
+  let active: StxLock | undefined;
+
+  const unlock = (lock: StxLock) =>
+    events.push({
+      type: 'unlock',
+      burnBlockHeight: lock.unlockBurnHeight,
+      rewardCycle: burnHeightToRewardCycle(lock.unlockBurnHeight, parameters),
+      lockedAmount: '0',
+    });
+
+  for (const lock of sorted) {
+    let type: StackingEventType = 'lock';
+    if (active && active.unlockBurnHeight <= lock.burnBlockHeight) {
+      unlock(active);
+    } else if (active) {
+      type = lock.unlockBurnHeight > active.unlockBurnHeight ? 'extend' : 'increase';
+    }
+    events.push({
+      type,
+      burnBlockHeight: lock.burnBlockHeight,
+      rewardCycle: burnHeightToRewardCycle(lock.burnBlockHeight, parameters),
+      txId: lock.txId,
+      lockedAmount: lock.lockedAmount,
+      unlockBurnHeight: lock.unlockBurnHeight,
+    });
+    active = lock;
+  }
+  if (active && active.unlockBurnHeight <= currentBurnHeight) {
+    unlock(active);
+  }
+  return events;
+}
+
+/**
+ * Sums burnchain rewards by reward cycle.
+ *
+ * @param rewards - the rewards, as returned by the burnchain rewards endpoint of the Stacks API
+ * @param {RewardCycleParameters} parameters - the cycle parameters of the PoX contract
+ */
+export function getRewardsByCycle(
+  rewards: { burn_block_height: number; reward_amount: string }[],
+  parameters: RewardCycleParameters
+): CycleRewards[] {
+  const byCycle = new Map<number, { amount: bigint; payouts: number }>();
+  for (const reward of rewards) {
+    const cycle = burnHeightToRewardCycle(reward.burn_block_height, parameters);
+    const sum = byCycle.get(cycle) ?? { amount: BigInt(0), payouts: 0 };
+    sum.amount += BigInt(reward.reward_amount);
+    sum.payouts += 1;
+    byCycle.set(cycle, sum);
+  }
+  return Array.from(byCycle.entries())
+    .sort(([a], [b]) => a - b)
+    .map(([cycle, sum]) => ({
+      cycle,
+      rewardAmount: sum.amount.toString(),
+      payouts: sum.payouts,
+    }));
+}
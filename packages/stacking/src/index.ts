@@ -1,4 +1,4 @@
-import { Buffer, IntegerType, intToBigInt } from '@stacks/common';
+import { Buffer, fetchPrivate, IntegerType, intToBigInt } from '@stacks/common';
 import {
   makeContractCall,
   bufferCV,
@@ -22,6 +22,8 @@ import {
   someCV,
   validateStacksAddress,
   AnchorMode,
+  NonceManager,
+  Signer,
 } from '@stacks/transactions';
 import {
   BurnchainRewardListResponse,
@@ -31,9 +33,24 @@ import {
 import { StacksNetwork } from '@stacks/network';
 import BN from 'bn.js';
 import { StackingErrors } from './constants';
-import { fetchPrivate } from '@stacks/common';
 import { decodeBtcAddress } from './utils';
+import {
+  getLockSchedule,
+  getRewardCycleSchedule,
+  LockSchedule,
+  RewardCycleSchedule,
+} from './schedule';
+import {
+  getRewardsByCycle,
+  getStackingEvents,
+  StackingTimeline,
+  StxLock,
+  StxLockEventResponse,
+} from './history';
 export * from './utils';
+export * from './schedule';
+export * from './history';
+export * from './pool';
 
 export interface PoxInfo {
   contract_id: string;
@@ -43,6 +60,7 @@ export interface PoxInfo {
   rejection_fraction: number;
   reward_cycle_id: number;
   reward_cycle_length: number;
+  prepare_cycle_length: number;
   rejection_votes_left_required: number;
 }
 
@@ -111,8 +129,8 @@ export interface CanLockStxOptions {
  * Lock stx options
  */
 export interface LockStxOptions {
-  /** private key to sign transaction */
-  privateKey: string;
+  /** private key to sign transaction, or a [[Signer]] */
+  privateKey: string | Signer;
   /** number of cycles to lock */
   cycles: number;
   /** the reward Bitcoin address */
@@ -135,8 +153,8 @@ export interface DelegateStxOptions {
   untilBurnBlockHeight?: number;
   /** the reward Bitcoin address of the delegator */
   poxAddress?: string;
-  /** private key to sign transaction */
-  privateKey: string;
+  /** private key to sign transaction, or a [[Signer]] */
+  privateKey: string | Signer;
 }
 
 /**
@@ -153,20 +171,49 @@ export interface DelegateStackStxOptions {
   burnBlockHeight: number;
   /** number of cycles to lock */
   cycles: number;
-  /** private key to sign transaction */
-  privateKey: string;
+  /** private key to sign transaction, or a [[Signer]] */
+  privateKey: string | Signer;
   /** nonce for the transaction */
   nonce?: IntegerType;
 }
 
+/**
+ * Lock schedule options
+ */
+export interface LockScheduleOptions {
+  /** number of cycles to lock */
+  cycles: number;
+  /** the burnchain block height to begin lock, defaults to the current burnchain block height */
+  burnBlockHeight?: number;
+}
+
+/**
+ * Stacking timeline options
+ */
+export interface StackingTimelineOptions {
+  /** the reward Bitcoin address to sum rewards of, defaults to the Bitcoin address of the stacker */
+  poxAddress?: string;
+}
+
 export interface StackAggregationCommitOptions {
   poxAddress: string;
   rewardCycle: number;
-  privateKey: string;
+  /** private key to sign transaction, or a [[Signer]] */
+  privateKey: string | Signer;
 }
 
 export class StackingClient {
-  constructor(public address: string, public network: StacksNetwork) {}
+  /**
+   * @param {string} address - the STX address of the stacker
+   * @param {StacksNetwork} network - the Stacks network to use
+   * @param {NonceManager} nonceManager - optional nonce manager used to allocate nonces for the
+   * transactions sent by this client, e.g. when sending several transactions in a row
+   */
+  constructor(
+    public address: string,
+    public network: StacksNetwork,
+    public nonceManager?: NonceManager
+  ) {}
 
   /**
    * Get stacks node info
@@ -175,7 +222,7 @@ export class StackingClient {
    */
   async getCoreInfo(): Promise<CoreInfo> {
     const url = this.network.getInfoUrl();
-    return fetchPrivate(url).then(res => res.json());
+    return (this.network.fetchFn ?? fetchPrivate)(url).then(res => res.json());
   }
 
   /**
@@ -185,7 +232,7 @@ export class StackingClient {
    */
   async getPoxInfo(): Promise<PoxInfo> {
     const url = this.network.getPoxInfoUrl();
-    return fetchPrivate(url).then(res => res.json());
+    return (this.network.fetchFn ?? fetchPrivate)(url).then(res => res.json());
   }
 
   /**
@@ -195,7 +242,7 @@ export class StackingClient {
    */
   async getTargetBlockTime(): Promise<number> {
     const url = this.network.getBlockTimeInfoUrl();
-    const res = await fetchPrivate(url).then(res => res.json());
+    const res = await (this.network.fetchFn ?? fetchPrivate)(url).then(res => res.json());
 
     if (this.network.isMainnet()) {
       return res.mainnet.target_block_time;
@@ -206,7 +253,7 @@ export class StackingClient {
 
   async getAccountStatus(): Promise<any> {
     const url = this.network.getAccountApiUrl(this.address);
-    return fetchPrivate(url).then(res => res.json());
+    return (this.network.fetchFn ?? fetchPrivate)(url).then(res => res.json());
   }
 
   /**
@@ -243,7 +290,7 @@ export class StackingClient {
    */
   async getRewardsTotalForBtcAddress(): Promise<BurnchainRewardsTotal | RewardsError> {
     const url = this.network.getRewardsTotalUrl(this.address);
-    return fetchPrivate(url).then(res => res.json());
+    return (this.network.fetchFn ?? fetchPrivate)(url).then(res => res.json());
   }
 
   /**
@@ -255,7 +302,7 @@ export class StackingClient {
     options?: RewardOptions
   ): Promise<BurnchainRewardListResponse | RewardsError> {
     const url = `${this.network.getRewardsUrl(this.address, options)}`;
-    return fetchPrivate(url).then(res => res.json());
+    return (this.network.fetchFn ?? fetchPrivate)(url).then(res => res.json());
   }
 
   /**
@@ -267,7 +314,7 @@ export class StackingClient {
     options?: RewardOptions
   ): Promise<BurnchainRewardSlotHolderListResponse | RewardsError> {
     const url = `${this.network.getRewardHoldersUrl(this.address, options)}`;
-    return fetchPrivate(url).then(res => res.json());
+    return (this.network.fetchFn ?? fetchPrivate)(url).then(res => res.json());
   }
 
   /**
@@ -291,6 +338,89 @@ export class StackingClient {
     );
   }
 
+  /**
+   * Get the burnchain heights of a reward cycle, with their estimated times
+   *
+   * @param {number} cycle - the reward cycle, defaults to the current one
+   *
+   * @returns {Promise<RewardCycleSchedule>} that resolves to the schedule of the cycle
+   */
+  async getCycleSchedule(cycle?: number): Promise<RewardCycleSchedule> {
+    const [poxInfo, coreInfo, targetBlockTime] = await Promise.all([
+      this.getPoxInfo(),
+      this.getCoreInfo(),
+      this.getTargetBlockTime(),
+    ]);
+    return getRewardCycleSchedule(cycle ?? poxInfo.reward_cycle_id, poxInfo, {
+      burnBlockHeight: coreInfo.burn_block_height,
+      targetBlockTime,
+    });
+  }
+
+  /**
+   * Project when STX locked by `stack` or `delegateStackStx` would start earning rewards and
+   * unlock, with the estimated times
+   *
+   * @param {LockScheduleOptions} options - a required lock schedule options object
+   *
+   * @returns {Promise<LockSchedule>} that resolves to the schedule of the lock
+   */
+  async getLockSchedule({ cycles, burnBlockHeight }: LockScheduleOptions): Promise<LockSchedule> {
+    const [poxInfo, coreInfo, targetBlockTime] = await Promise.all([
+      this.getPoxInfo(),
+      this.getCoreInfo(),
+      this.getTargetBlockTime(),
+    ]);
+    return getLockSchedule(burnBlockHeight ?? coreInfo.burn_block_height, cycles, poxInfo, {
+      burnBlockHeight: coreInfo.burn_block_height,
+      targetBlockTime,
+    });
+  }
+
+  /**
+   * Get the stacking history of the set address: its lock, extend, increase and unlock events,
+   * and the burnchain rewards by reward cycle
+   *
+   * @param {StackingTimelineOptions} options - optional stacking timeline options object
+   *
+   * @returns {Promise<StackingTimeline>} that resolves to the timeline if the operation succeeds
+   */
+  async getStackingTimeline(options?: StackingTimelineOptions): Promise<StackingTimeline> {
+    if (!this.network.getStxLockEventsUrl || !this.network.getTransactionApiUrl) {
+      throw new Error(
+        'The network does not implement getStxLockEventsUrl and getTransactionApiUrl'
+      );
+    }
+    const [poxInfo, coreInfo] = await Promise.all([this.getPoxInfo(), this.getCoreInfo()]);
+
+    const lockEvents = await this.fetchAllPages<StxLockEventResponse>(
+      pageOptions => this.network.getStxLockEventsUrl!(this.address, pageOptions),
+      'events'
+    );
+    const locks: StxLock[] = await Promise.all(
+      lockEvents.map(async event => {
+        const url = this.network.getTransactionApiUrl!(event.tx_id);
+        const tx = await (this.network.fetchFn ?? fetchPrivate)(url).then(res => res.json());
+        return {
+          txId: event.tx_id,
+          burnBlockHeight: tx.burn_block_height,
+          lockedAmount: event.stx_lock_event.locked_amount,
+          unlockBurnHeight: event.stx_lock_event.unlock_height,
+        };
+      })
+    );
+
+    const poxAddress = options?.poxAddress ?? this.address;
+    const rewards = await this.fetchAllPages<{ burn_block_height: number; reward_amount: string }>(
+      pageOptions => this.network.getRewardsUrl(poxAddress, pageOptions)
+    );
+
+    return {
+      events: getStackingEvents(locks, coreInfo.burn_block_height, poxInfo),
+      rewards: getRewardsByCycle(rewards, poxInfo),
+    };
+  }
+
   /**
    * Check if stacking is enabled for next reward cycle
    *
@@ -390,9 +520,10 @@ export class StackingClient {
     const tx = await makeContractCall({
       ...txOptions,
       senderKey: privateKey,
+      nonceManager: this.nonceManager,
     });
 
-    return broadcastTransaction(tx, txOptions.network as StacksNetwork);
+    return this.broadcastWithNonceManager(tx, txOptions.network as StacksNetwork);
   }
 
   /**
@@ -423,9 +554,10 @@ export class StackingClient {
     const tx = await makeContractCall({
       ...txOptions,
       senderKey: privateKey,
+      nonceManager: this.nonceManager,
     });
 
-    return broadcastTransaction(tx, txOptions.network as StacksNetwork);
+    return this.broadcastWithNonceManager(tx, txOptions.network as StacksNetwork);
   }
 
   /**
@@ -456,12 +588,16 @@ export class StackingClient {
       cycles,
       nonce,
     });
+    const nonceManager = nonce === undefined ? this.nonceManager : undefined;
     const tx = await makeContractCall({
       ...txOptions,
       senderKey: privateKey,
+      nonceManager,
     });
 
-    return broadcastTransaction(tx, txOptions.network as StacksNetwork);
+    const result = await broadcastTransaction(tx, txOptions.network as StacksNetwork);
+    nonceManager?.handleBroadcastResult(tx, result);
+    return result;
   }
 
   /**
@@ -487,19 +623,21 @@ export class StackingClient {
     const tx = await makeContractCall({
       ...txOptions,
       senderKey: privateKey,
+      nonceManager: this.nonceManager,
     });
 
-    return broadcastTransaction(tx, txOptions.network as StacksNetwork);
+    return this.broadcastWithNonceManager(tx, txOptions.network as StacksNetwork);
   }
 
   /**
    * As a delegatee, generate and broadcast a transaction to terminate the delegation relationship
    *
-   * @param {string} privateKey - the private key to be used for the revoke call
+   * @param {string | Signer} privateKey - the private key, or [[Signer]], to be used for the
+   * revoke call
    *
    * @returns {Promise<string>} that resolves to a broadcasted txid if the operation succeeds
    */
-  async revokeDelegateStx(privateKey: string): Promise<TxBroadcastResult> {
+  async revokeDelegateStx(privateKey: string | Signer): Promise<TxBroadcastResult> {
     const poxInfo = await this.getPoxInfo();
     const contract = poxInfo.contract_id;
 
@@ -508,9 +646,10 @@ export class StackingClient {
     const tx = await makeContractCall({
       ...txOptions,
       senderKey: privateKey,
+      nonceManager: this.nonceManager,
     });
 
-    return broadcastTransaction(tx, txOptions.network as StacksNetwork);
+    return this.broadcastWithNonceManager(tx, txOptions.network as StacksNetwork);
   }
 
   getStackOptions({
@@ -755,6 +894,45 @@ export class StackingClient {
     return tx;
   }
 
+  /**
+   * Broadcast a transaction created by this client. If its nonce was allocated by the client's
+   * nonce manager, the nonce is released when the broadcast is rejected.
+   *
+   * @returns {Promise<TxBroadcastResult>} that resolves to the broadcast result
+   */
+  private async broadcastWithNonceManager(
+    tx: StacksTransaction,
+    network: StacksNetwork
+  ): Promise<TxBroadcastResult> {
+    const result = await broadcastTransaction(tx, network);
+    this.nonceManager?.handleBroadcastResult(tx, result);
+    return result;
+  }
+
+  /**
+   * Fetch the results of a paginated Stacks API endpoint, page by page
+   *
+   * @returns {Promise<Array>} that resolves to the results of all pages
+   */
+  private async fetchAllPages<T>(
+    getUrl: (options: RewardOptions) => string,
+    key: 'results' | 'events' = 'results'
+  ): Promise<T[]> {
+    const limit = 50;
+    const results: T[] = [];
+    let isLastPage = false;
+    while (!isLastPage) {
+      const url = getUrl({ limit, offset: results.length });
+      const page = await (this.network.fetchFn ?? fetchPrivate)(url).then(res => res.json());
+      if (page.error) {
+        throw new Error(page.error);
+      }
+      results.push(...page[key]);
+      isLastPage = page[key].length < limit;
+    }
+    return results;
+  }
+
   /**
    * Parses a contract identifier and ensures it is formatted correctly
    *
@@ -0,0 +1,456 @@
+import { Buffer, fetchPrivate } from '@stacks/common';
+import { StacksNetwork } from '@stacks/network';
+import {
+  broadcastTransaction,
+  bufferCV,
+  callReadOnlyFunction,
+  ClarityType,
+  ClarityValue,
+  ContractCallOptions,
+  cvToString,
+  getContractMapEntry,
+  getNonce,
+  makeContractCall,
+  NonceManager,
+  OptionalCV,
+  Signer,
+  standardPrincipalCV,
+  TupleCV,
+  tupleCV,
+  TxBroadcastResult,
+  UIntCV,
+  uintCV,
+} from '@stacks/transactions';
+import { PoxInfo, StackingClient } from './index';
+import { getLockSchedule } from './schedule';
+import { decodeBtcAddress, extractPoxAddressFromClarityValue } from './utils';
+
+/**
+ * The delegation and lock state of a delegator, see [[PoolOperator.getDelegatorStatus]]
+ */
+export interface DelegatorStatus {
+  stacker: string;
+  /** the balance of the delegator that is not locked, in microstacks */
+  unlockedMicroStx: bigint;
+  /** the delegation of the delegator, `undefined` if they haven't delegated */
+  delegation?: {
+    amountMicroStx: bigint;
+    delegatedTo: string;
+    untilBurnHeight?: number;
+    /** the version and hash bytes of the reward address, if the delegator set one */
+    poxAddress?: { version: Buffer; hashBytes: Buffer };
+  };
+  /** the lock of the delegator, `undefined` if their STX aren't locked */
+  lock?: {
+    amountMicroStx: bigint;
+    firstRewardCycle: number;
+    lockPeriod: number;
+    poxAddress: { version: Buffer; hashBytes: Buffer };
+  };
+}
+
+/**
+ * - `lock`: the delegator is to be locked
+ * - `locked`: the delegator is already locked through the reward cycle
+ * - `stx-locked`: the STX of the delegator are locked, but not through the reward cycle
+ * - `not-delegated`: the delegator hasn't delegated to the pool operator
+ * - `delegation-expires`: the delegation expires before the lock would end
+ * - `pox-address-mismatch`: the delegator requires another reward address than the pool's
+ * - `insufficient-balance`: the delegator has no unlocked STX
+ */
+export type DelegatorAction =
+  | 'lock'
+  | 'locked'
+  | 'stx-locked'
+  | 'not-delegated'
+  | 'delegation-expires'
+  | 'pox-address-mismatch'
+  | 'insufficient-balance';
+
+/**
+ * What a pool operator does for a delegator in a reward cycle
+ */
+export interface DelegatorPlan {
+  stacker: string;
+  action: DelegatorAction;
+  /** the amount to lock, or that is locked, in microstacks, `0` if neither */
+  amountMicroStx: bigint;
+}
+
+/**
+ * The locks of a pool for a reward cycle, see [[PoolOperator.planCycle]]
+ */
+export interface PoolCyclePlan {
+  rewardCycle: number;
+  /** the reward Bitcoin address of the pool */
+  poxAddress: string;
+  /** the `start-burn-ht` of the locks */
+  burnBlockHeight: number;
+  /** the number of cycles to lock for */
+  cycles: number;
+  delegators: DelegatorPlan[];
+  /** the amount locked for the cycle and not yet committed, in microstacks */
+  pendingMicroStx: bigint;
+  /** the amount of the planned locks, in microstacks */
+  plannedMicroStx: bigint;
+  /** the minimum amount to commit for a reward slot, in microstacks */
+  minimumMicroStx: bigint;
+}
+
+/**
+ * The broadcast results of executing a [[PoolCyclePlan]]
+ */
+export interface PoolCycleResult {
+  locks: { stacker: string; amountMicroStx: bigint; result: TxBroadcastResult }[];
+  /** the amount locked for the cycle after the broadcast locks, in microstacks */
+  totalMicroStx: bigint;
+  /** the result of the commit, `undefined` if the minimum was not met */
+  commit?: TxBroadcastResult;
+}
+
+/**
+ * Pool cycle planning options
+ */
+export interface PlanCycleOptions {
+  /** the STX addresses of the delegators */
+  stackers: string[];
+  /** the reward Bitcoin address of the pool */
+  poxAddress: string;
+  /** number of cycles to lock */
+  cycles: number;
+  /** the burnchain block height to begin locks, defaults to the current burnchain block height */
+  burnBlockHeight?: number;
+}
+
+/**
+ * Pool cycle execution options
+ */
+export interface ExecuteCyclePlanOptions {
+  /** private key to sign transactions, or a [[Signer]] */
+  privateKey: string | Signer;
+  /** the nonce of the first transaction, defaults to the next nonce of the pool operator */
+  nonce?: bigint;
+}
+
+function toPoxAddressCV(poxAddress: string): TupleCV {
+  const { hashMode, data } = decodeBtcAddress(poxAddress);
+  return tupleCV({
+    hashbytes: bufferCV(data),
+    version: bufferCV(Buffer.from([hashMode])),
+  });
+}
+
+function isSamePoxAddress(a: { version: Buffer; hashBytes: Buffer }, poxAddress: string) {
+  const { hashMode, data } = decodeBtcAddress(poxAddress);
+  return a.version[0] === hashMode && a.hashBytes.equals(data);
+}
+
+function isBroadcastRejected(result: TxBroadcastResult) {
+  return typeof result !== 'string' && 'error' in result;
+}
+
+/**
+ * Plans the locks of a pool for a reward cycle. Delegators are locked for the amount they
+ * delegated, up to their unlocked balance.
+ *
+ * @param {DelegatorStatus[]} statuses - the status of the delegators
+ * @param options - the pool operator, reward cycle, reward address and the burnchain height at
+ * which the locks unlock
+ */
+export function planDelegatorLocks(
+  statuses: DelegatorStatus[],
+  options: {
+    operator: string;
+    rewardCycle: number;
+    poxAddress: string;
+    unlockBurnHeight: number;
+  }
+): DelegatorPlan[] {
+  return statuses.map(status => {
+    const plan = (action: DelegatorAction, amountMicroStx = BigInt(0)) => ({
+      stacker: status.stacker,
+      action,
+      amountMicroStx,
+    });
+    const { delegation, lock } = status;
+    if (lock) {
+      const isLockedForCycle =
+        lock.firstRewardCycle <= options.rewardCycle &&
+        options.rewardCycle < lock.firstRewardCycle + lock.lockPeriod;
+      if (!isLockedForCycle) {
+        return plan('stx-locked');
+      }
+      return isSamePoxAddress(lock.poxAddress, options.poxAddress)
+        ? plan('locked', lock.amountMicroStx)
+        : plan('pox-address-mismatch');
+    }
+    if (!delegation || delegation.delegatedTo !== options.operator) {
+      return plan('not-delegated');
+    }
+    if (
+      delegation.untilBurnHeight !== undefined &&
+      delegation.untilBurnHeight < options.unlockBurnHeight
+    ) {
+      return plan('delegation-expires');
+    }
+    if (delegation.poxAddress && !isSamePoxAddress(delegation.poxAddress, options.poxAddress)) {
+      return plan('pox-address-mismatch');
+    }
+    const amount =
+      delegation.amountMicroStx < status.unlockedMicroStx
+        ? delegation.amountMicroStx
+        : status.unlockedMicroStx;
+    return amount > BigInt(0) ? plan('lock', amount) : plan('insufficient-balance');
+  });
+}
+
+/**
+ * Runs a stacking pool: reads the state of its delegators from the PoX contract, plans which
+ * of them to lock for the next reward cycle, locks them with `delegate-stack-stx` and commits
+ * the aggregate with `stack-aggregation-commit` once it meets the minimum.
+ *
+ * @example
+ * ```
+ * const operator = new PoolOperator(operatorAddress, network);
+ * const plan = await operator.planCycle({ stackers, poxAddress, cycles: 1 });
+ * const { locks, commit } = await operator.executeCyclePlan(plan, { privateKey });
+ * ```
+ */
+export class PoolOperator {
+  client: StackingClient;
+
+  /**
+   * @param {string} address - the STX address of the pool operator
+   * @param {StacksNetwork} network - the Stacks network to use
+   * @param {NonceManager} nonceManager - optional nonce manager used to allocate the nonces of
+   * the pool operator
+   */
+  constructor(
+    public address: string,
+    public network: StacksNetwork,
+    public nonceManager?: NonceManager
+  ) {
+    this.client = new StackingClient(address, network, nonceManager);
+  }
+
+  /**
+   * Get the delegation and lock state of a delegator
+   *
+   * @param {string} stacker - the STX address of the delegator
+   * @param {PoxInfo} poxInfo - optional PoX info, fetched if not given
+   *
+   * @returns {Promise<DelegatorStatus>} that resolves to the status of the delegator
+   */
+  async getDelegatorStatus(stacker: string, poxInfo?: PoxInfo): Promise<DelegatorStatus> {
+    const contract = (poxInfo ?? (await this.client.getPoxInfo())).contract_id;
+    const [contractAddress, contractName] = this.client.parseContractId(contract);
+
+    const [account, stackerInfo, delegationState] = await Promise.all([
+      (this.network.fetchFn ?? fetchPrivate)(this.network.getAccountApiUrl(stacker)).then(res =>
+        res.json()
+      ),
+      callReadOnlyFunction({
+        contractAddress,
+        contractName,
+        functionName: 'get-stacker-info',
+        functionArgs: [standardPrincipalCV(stacker)],
+        senderAddress: this.address,
+        network: this.network,
+      }),
+      // PoX has no read-only function for the delegation state
+      getContractMapEntry({
+        contractAddress,
+        contractName,
+        mapName: 'delegation-state',
+        key: tupleCV({ stacker: standardPrincipalCV(stacker) }),
+        network: this.network,
+      }),
+    ]);
+
+    const status: DelegatorStatus = {
+      stacker,
+      unlockedMicroStx: BigInt(account.balance) - BigInt(account.locked),
+    };
+    if (delegationState.type === ClarityType.OptionalSome) {
+      const data = (delegationState.value as TupleCV).data;
+      const until = data['until-burn-ht'] as OptionalCV<UIntCV>;
+      const poxAddress = data['pox-addr'] as OptionalCV<TupleCV>;
+      status.delegation = {
+        amountMicroStx: (data['amount-ustx'] as UIntCV).value,
+        delegatedTo: cvToString(data['delegated-to']),
+        untilBurnHeight:
+          until.type === ClarityType.OptionalSome ? Number(until.value.value) : undefined,
+        poxAddress:
+          poxAddress.type === ClarityType.OptionalSome
+            ? extractPoxAddressFromClarityValue(poxAddress.value)
+            : undefined,
+      };
+    }
+    if (stackerInfo.type === ClarityType.OptionalSome) {
+      const data = (stackerInfo.value as TupleCV).data;
+      status.lock = {
+        amountMicroStx: (data['amount-ustx'] as UIntCV).value,
+        firstRewardCycle: Number((data['first-reward-cycle'] as UIntCV).value),
+        lockPeriod: Number((data['lock-period'] as UIntCV).value),
+        poxAddress: extractPoxAddressFromClarityValue(data['pox-addr']),
+      };
+    }
+    return status;
+  }
+
+  /**
+   * Get the status of several delegators, a few at a time
+   *
+   * @param {string[]} stackers - the STX addresses of the delegators
+   *
+   * @returns {Promise<DelegatorStatus[]>} that resolves to the statuses, in the same order
+   */
+  async getDelegatorStatuses(stackers: string[], poxInfo?: PoxInfo): Promise<DelegatorStatus[]> {
+    const info = poxInfo ?? (await this.client.getPoxInfo());
+    const concurrency = 10;
+    const statuses: DelegatorStatus[] = [];
+    for (let i = 0; i < stackers.length; i += concurrency) {
+      const batch = stackers.slice(i, i + concurrency);
+      statuses.push(...(await Promise.all(batch.map(s => this.getDelegatorStatus(s, info)))));
+    }
+    return statuses;
+  }
+
+  /**
+   * Get the amount locked by the pool operator for a reward cycle and reward address that is
+   * not yet committed
+   *
+   * @returns {Promise<bigint>} that resolves to the amount in microstacks
+   */
+  async getPendingMicroStx(poxAddress: string, rewardCycle: number, poxInfo?: PoxInfo) {
+    const contract = (poxInfo ?? (await this.client.getPoxInfo())).contract_id;
+    const [contractAddress, contractName] = this.client.parseContractId(contract);
+    const partial: ClarityValue = await getContractMapEntry({
+      contractAddress,
+      contractName,
+      mapName: 'partial-stacked-by-cycle',
+      key: tupleCV({
+        'pox-addr': toPoxAddressCV(poxAddress),
+        'reward-cycle': uintCV(rewardCycle),
+        sender: standardPrincipalCV(this.address),
+      }),
+      network: this.network,
+    });
+    return partial.type === ClarityType.OptionalSome
+      ? ((partial.value as TupleCV).data['stacked-amount'] as UIntCV).value
+      : BigInt(0);
+  }
+
+  /**
+   * Plan the locks of the pool for the first reward cycle after the start burnchain height,
+   * and track the aggregate against the minimum amount
+   *
+   * @param {PlanCycleOptions} options - a required pool cycle planning options object
+   *
+   * @returns {Promise<PoolCyclePlan>} that resolves to the plan
+   */
+  async planCycle({
+    stackers,
+    poxAddress,
+    cycles,
+    burnBlockHeight,
+  }: PlanCycleOptions): Promise<PoolCyclePlan> {
+    const [poxInfo, coreInfo] = await Promise.all([
+      this.client.getPoxInfo(),
+      this.client.getCoreInfo(),
+    ]);
+    const startBurnHeight = burnBlockHeight ?? coreInfo.burn_block_height;
+    const lockSchedule = getLockSchedule(startBurnHeight, cycles, poxInfo);
+    const rewardCycle = lockSchedule.firstRewardCycle;
+
+    const [statuses, pendingMicroStx] = await Promise.all([
+      this.getDelegatorStatuses(stackers, poxInfo),
+      this.getPendingMicroStx(poxAddress, rewardCycle, poxInfo),
+    ]);
+    const delegators = planDelegatorLocks(statuses, {
+      operator: this.address,
+      rewardCycle,
+      poxAddress,
+      unlockBurnHeight: lockSchedule.unlockBurnHeight,
+    });
+
+    return {
+      rewardCycle,
+      poxAddress,
+      burnBlockHeight: startBurnHeight,
+      cycles,
+      delegators,
+      pendingMicroStx,
+      plannedMicroStx: delegators
+        .filter(delegator => delegator.action === 'lock')
+        .reduce((sum, delegator) => sum + delegator.amountMicroStx, BigInt(0)),
+      minimumMicroStx: BigInt(poxInfo.min_amount_ustx),
+    };
+  }
+
+  /**
+   * Lock the delegators of a plan with `delegate-stack-stx` transactions with sequential
+   * nonces, then commit the reward cycle if the locked amount meets the minimum. A rejected
+   * transaction leaves its nonce to the next one.
+   *
+   * @param {PoolCyclePlan} plan - the plan, see [[planCycle]]
+   * @param {ExecuteCyclePlanOptions} options - a required pool cycle execution options object
+   *
+   * @returns {Promise<PoolCycleResult>} that resolves to the broadcast results
+   */
+  async executeCyclePlan(
+    plan: PoolCyclePlan,
+    { privateKey, nonce }: ExecuteCyclePlanOptions
+  ): Promise<PoolCycleResult> {
+    const poxInfo = await this.client.getPoxInfo();
+    const nonceManager = nonce === undefined ? this.nonceManager : undefined;
+    let nextNonce =
+      nonce ?? (nonceManager ? undefined : await getNonce(this.address, this.network));
+
+    const broadcast = async (txOptions: ContractCallOptions) => {
+      const tx = await makeContractCall({
+        ...txOptions,
+        senderKey: privateKey,
+        nonce: nextNonce,
+        nonceManager,
+      });
+      const result = await broadcastTransaction(tx, this.network);
+      nonceManager?.handleBroadcastResult(tx, result);
+      if (nextNonce !== undefined && !isBroadcastRejected(result)) {
+        nextNonce += BigInt(1);
+      }
+      return result;
+    };
+
+    const locks: PoolCycleResult['locks'] = [];
+    let totalMicroStx = plan.pendingMicroStx;
+    for (const delegator of plan.delegators.filter(d => d.action === 'lock')) {
+      const result = await broadcast(
+        this.client.getDelegateStackOptions({
+          contract: poxInfo.contract_id,
+          stacker: delegator.stacker,
+          amountMicroStx: delegator.amountMicroStx,
+          poxAddress: plan.poxAddress,
+          burnBlockHeight: plan.burnBlockHeight,
+          cycles: plan.cycles,
+        })
+      );
+      locks.push({ stacker: delegator.stacker, amountMicroStx: delegator.amountMicroStx, result });
+      if (!isBroadcastRejected(result)) {
+        totalMicroStx += delegator.amountMicroStx;
+      }
+    }
+
+    if (totalMicroStx < plan.minimumMicroStx) {
+      return { locks, totalMicroStx };
+    }
+    const commit = await broadcast(
+      this.client.getStackAggregationCommitOptions({
+        contract: poxInfo.contract_id,
+        poxAddress: plan.poxAddress,
+        rewardCycle: plan.rewardCycle,
+      })
+    );
+    return { locks, totalMicroStx, commit };
+  }
+}
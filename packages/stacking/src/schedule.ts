@@ -0,0 +1,162 @@
+/**
+ * The parameters of the reward cycles, as returned by the PoX info endpoint, see [[PoxInfo]]
+ */
+export interface RewardCycleParameters {
+  first_burnchain_block_height: number;
+  /** the number of burnchain blocks in a reward cycle, including its prepare phase */
+  reward_cycle_length: number;
+  /** the number of burnchain blocks at the end of a cycle that prepare the next one */
+  prepare_cycle_length: number;
+}
+
+/**
+ * The current burnchain height and block time, to estimate when a burnchain height is reached
+ */
+export interface BurnchainClock {
+  burnBlockHeight: number;
+  /** the target block time of the burnchain, in seconds */
+  targetBlockTime: number;
+  /** the time of the current burnchain height, defaults to now */
+  now?: Date;
+}
+
+/**
+ * The burnchain heights of a reward cycle. Ranges include their start and end heights.
+ */
+export interface RewardCycleSchedule {
+  cycle: number;
+  /** the first burnchain block of the cycle */
+  startBurnHeight: number;
+  /** the last burnchain block of the cycle */
+  endBurnHeight: number;
+  /** the first block of the prepare phase for this cycle, at the end of the previous cycle */
+  prepareStartBurnHeight: number;
+  /** the last block of the prepare phase for this cycle */
+  prepareEndBurnHeight: number;
+  /** the estimated times of the heights, if a [[BurnchainClock]] was given */
+  startTime?: Date;
+  endTime?: Date;
+  prepareStartTime?: Date;
+}
+
+/**
+ * The projected schedule of a lock by `stack-stx` or `delegate-stack-stx`
+ */
+export interface LockSchedule {
+  /** the first reward cycle in which the locked STX earn rewards */
+  firstRewardCycle: number;
+  /** the last reward cycle in which the locked STX earn rewards */
+  lastRewardCycle: number;
+  lockPeriod: number;
+  /**
+   * the last burnchain height at which the lock transaction can be confirmed, before the
+   * prepare phase of the first reward cycle begins
+   */
+  deadlineBurnHeight: number;
+  /** the burnchain height at which rewards start, the start of the first reward cycle */
+  rewardStartBurnHeight: number;
+  /** the burnchain height at which the STX unlock, the end of the last reward cycle */
+  unlockBurnHeight: number;
+  /** the estimated times of the heights, if a [[BurnchainClock]] was given */
+  deadlineTime?: Date;
+  rewardStartTime?: Date;
+  unlockTime?: Date;
+}
+
+/**
+ * Returns the reward cycle that a burnchain height belongs to
+ */
+export function burnHeightToRewardCycle(
+  burnHeight: number,
+  parameters: RewardCycleParameters
+): number {
+  return Math.floor(
+    (burnHeight - parameters.first_burnchain_block_height) / parameters.reward_cycle_length
+  );
+}
+
+/**
+ * Returns the first burnchain height of a reward cycle
+ */
+export function rewardCycleToBurnHeight(cycle: number, parameters: RewardCycleParameters): number {
+  return parameters.first_burnchain_block_height + cycle * parameters.reward_cycle_length;
+}
+
+/**
+ * Estimates the time at which a burnchain height is reached, or was reached
+ */
+export function estimateBurnHeightTime(burnHeight: number, clock: BurnchainClock): Date {
+  const now = clock.now ?? new Date();
+  const seconds = (burnHeight - clock.burnBlockHeight) * clock.targetBlockTime;
+  return new Date(now.getTime() + seconds * 1000);
+}
+
+/**
+ * Computes the burnchain heights of a reward cycle, and estimates their times if a clock
+ * is given.
+ *
+ * @param {number} cycle - the reward cycle number
+ * @param {RewardCycleParameters} parameters - the cycle parameters of the PoX contract
+ * @param {BurnchainClock} clock - the current burnchain height and block time
+ */
+export function getRewardCycleSchedule(
+  cycle: number,
+  parameters: RewardCycleParameters,
+  clock?: BurnchainClock
+): RewardCycleSchedule {
+  if (!Number.isInteger(cycle) || cycle < 0) {
+    throw new Error(`Invalid reward cycle: ${cycle}`);
+  }
+  const startBurnHeight = rewardCycleToBurnHeight(cycle, parameters);
+  const schedule: RewardCycleSchedule = {
+    cycle,
+    startBurnHeight,
+    endBurnHeight: startBurnHeight + parameters.reward_cycle_length - 1,
+    prepareStartBurnHeight: startBurnHeight - parameters.prepare_cycle_length,
+    prepareEndBurnHeight: startBurnHeight - 1,
+  };
+  if (clock) {
+    schedule.startTime = estimateBurnHeightTime(schedule.startBurnHeight, clock);
+    schedule.endTime = estimateBurnHeightTime(schedule.endBurnHeight + 1, clock);
+    schedule.prepareStartTime = estimateBurnHeightTime(schedule.prepareStartBurnHeight, clock);
+  }
+  return schedule;
+}
+
+/**
+ * Projects the schedule of a lock by `stack-stx` or `delegate-stack-stx`. The locked STX earn
+ * rewards from the cycle after the one of the start burnchain height, for `lockPeriod` cycles,
+ * and unlock at the end of the last one.
+ *
+ * @param {number} startBurnHeight - the `start-burn-ht` argument of the lock
+ * @param {number} lockPeriod - the number of cycles to lock for
+ * @param {RewardCycleParameters} parameters - the cycle parameters of the PoX contract
+ * @param {BurnchainClock} clock - the current burnchain height and block time
+ */
+export function getLockSchedule(
+  startBurnHeight: number,
+  lockPeriod: number,
+  parameters: RewardCycleParameters,
+  clock?: BurnchainClock
+): LockSchedule {
+  if (!Number.isInteger(lockPeriod) || lockPeriod < 1) {
+    throw new Error(`Invalid lock period: ${lockPeriod}`);
+  }
+  const firstRewardCycle = burnHeightToRewardCycle(startBurnHeight, parameters) + 1;
+  const lastRewardCycle = firstRewardCycle + lockPeriod - 1;
+  const firstCycle = getRewardCycleSchedule(firstRewardCycle, parameters);
+  const schedule: LockSchedule = {
+    firstRewardCycle,
+    lastRewardCycle,
+    lockPeriod,
+    deadlineBurnHeight: firstCycle.prepareStartBurnHeight - 1,
+    rewardStartBurnHeight: firstCycle.startBurnHeight,
+    unlockBurnHeight: rewardCycleToBurnHeight(lastRewardCycle + 1, parameters),
+  };
+  if (clock) {
+    schedule.deadlineTime = estimateBurnHeightTime(schedule.deadlineBurnHeight, clock);
+    schedule.rewardStartTime = estimateBurnHeightTime(schedule.rewardStartBurnHeight, clock);
+    schedule.unlockTime = estimateBurnHeightTime(schedule.unlockBurnHeight, clock);
+  }
+  return schedule;
+}
@@ -14,7 +14,7 @@ import { StackingErrors } from './constants';
 export class InvalidAddressError extends Error {
   innerError?: Error;
   constructor(address: string, innerError?: Error) {
-    const msg = `${address} is not a valid P2PKH or P2SH address -- native P2WPKH and native P2WSH are not supported in PoX.`;
+    const msg = `${address} is not a valid P2PKH, P2SH, P2WPKH, P2WSH or P2TR address`;
     super(msg);
     this.message = msg;
     this.name = this.constructor.name;
@@ -36,6 +36,130 @@ export const BitcoinNetworkVersion = {
   },
 } as const;
 
+/**
+ * The human-readable parts of native SegWit addresses
+ */
+export const SegwitPrefix = {
+  mainnet: 'bc',
+  testnet: 'tb',
+} as const;
+
+/**
+ * The versions of PoX address tuples. The base58 versions are the same as the
+ * [[AddressHashMode]] of their Stacks addresses.
+ */
+export enum PoXAddressVersion {
+  P2PKH = 0x00,
+  P2SH = 0x01,
+  P2SHP2WPKH = 0x02,
+  P2SHP2WSH = 0x03,
+  P2WPKH = 0x04,
+  P2WSH = 0x05,
+  P2TR = 0x06,
+}
+
+/**
+ * The witness version and program length of the native SegWit PoX address versions
+ */
+const SegwitPoxAddressVersions: Record<number, { witnessVersion: number; length: number }> = {
+  [PoXAddressVersion.P2WPKH]: { witnessVersion: 0, length: 20 },
+  [PoXAddressVersion.P2WSH]: { witnessVersion: 0, length: 32 },
+  [PoXAddressVersion.P2TR]: { witnessVersion: 1, length: 32 },
+};
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONSTANT = 1;
+const BECH32M_CONSTANT = 0x2bc830a3;
+
+function bech32Polymod(values: number[]): number {
+  const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >>> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let i = 0; i < 5; i++) {
+      if ((top >>> i) & 1) checksum ^= generator[i];
+    }
+  }
+  return checksum >>> 0;
+}
+
+function bech32HrpExpand(hrp: string): number[] {
+  const chars = hrp.split('').map(char => char.charCodeAt(0));
+  return [...chars.map(c => c >> 5), 0, ...chars.map(c => c & 31)];
+}
+
+function convertBits(data: number[], fromBits: number, toBits: number, pad: boolean): number[] {
+  let acc = 0;
+  let bits = 0;
+  const result: number[] = [];
+  const maxValue = (1 << toBits) - 1;
+  for (const value of data) {
+    acc = (acc << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((acc >> bits) & maxValue);
+    }
+  }
+  if (pad && bits > 0) {
+    result.push((acc << (toBits - bits)) & maxValue);
+  } else if (!pad && (bits >= fromBits || (acc << (toBits - bits)) & maxValue)) {
+    throw new Error('Invalid padding');
+  }
+  return result;
+}
+
+/**
+ * Encodes a native SegWit address: bech32 for witness version 0 and bech32m for later
+ * versions, as specified by BIP-173 and BIP-350
+ */
+export function encodeSegwitAddress(
+  prefix: string,
+  witnessVersion: number,
+  witnessProgram: Buffer
+): string {
+  const data = [witnessVersion, ...convertBits([...witnessProgram], 8, 5, true)];
+  const constant = witnessVersion === 0 ? BECH32_CONSTANT : BECH32M_CONSTANT;
+  const polymod = bech32Polymod([...bech32HrpExpand(prefix), ...data, 0, 0, 0, 0, 0, 0]) ^ constant;
+  const checksum = [0, 1, 2, 3, 4, 5].map(i => (polymod >>> (5 * (5 - i))) & 31);
+  return `${prefix}1${[...data, ...checksum].map(d => BECH32_CHARSET[d]).join('')}`;
+}
+
+/**
+ * Decodes a native SegWit address, as specified by BIP-173 and BIP-350
+ *
+ * @returns the human-readable prefix, witness version and witness program of the address
+ */
+export function decodeSegwitAddress(btcAddress: string) {
+  if (btcAddress !== btcAddress.toLowerCase() && btcAddress !== btcAddress.toUpperCase()) {
+    throw new Error('Mixed case address');
+  }
+  const lower = btcAddress.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  if (separator < 1 || separator + 7 > lower.length || lower.length > 90) {
+    throw new Error('Invalid bech32 address length');
+  }
+  const prefix = lower.slice(0, separator);
+  const data = lower
+    .slice(separator + 1)
+    .split('')
+    .map(char => BECH32_CHARSET.indexOf(char));
+  if (data.includes(-1)) {
+    throw new Error('Invalid bech32 character');
+  }
+  const witnessVersion = data[0];
+  const constant = witnessVersion === 0 ? BECH32_CONSTANT : BECH32M_CONSTANT;
+  if (bech32Polymod([...bech32HrpExpand(prefix), ...data]) !== constant) {
+    throw new Error('Invalid bech32 checksum');
+  }
+  const witnessProgram = Buffer.from(convertBits(data.slice(1, -6), 5, 8, false));
+  if (witnessVersion > 16 || witnessProgram.length < 2 || witnessProgram.length > 40) {
+    throw new Error('Invalid witness program');
+  }
+  return { prefix, witnessVersion, witnessProgram };
+}
+
 export function btcAddressVersionToHashMode(btcAddressVersion: number): AddressHashMode {
   switch (btcAddressVersion) {
     case BitcoinNetworkVersion.mainnet.P2PKH:
@@ -68,23 +192,52 @@ export function hashModeToBtcAddressVersion(
   }
 }
 
-export function getAddressHashMode(btcAddress: string) {
-  try {
-    const { version } = address.fromBase58Check(btcAddress);
-    return btcAddressVersionToHashMode(version);
-  } catch (error) {
-    throw new InvalidAddressError(btcAddress, error);
+export function getAddressHashMode(btcAddress: string): PoXAddressVersion {
+  return decodeBtcAddress(btcAddress).hashMode;
+}
+
+function decodeNativeSegwitAddress(btcAddress: string) {
+  const { prefix, witnessVersion, witnessProgram } = decodeSegwitAddress(btcAddress);
+  if (prefix !== SegwitPrefix.mainnet && prefix !== SegwitPrefix.testnet) {
+    throw new Error(`Invalid address prefix: ${prefix}`);
+  }
+  const version = Object.keys(SegwitPoxAddressVersions)
+    .map(Number)
+    .find(
+      v =>
+        SegwitPoxAddressVersions[v].witnessVersion === witnessVersion &&
+        SegwitPoxAddressVersions[v].length === witnessProgram.length
+    );
+  if (version === undefined) {
+    throw new Error(`Unsupported witness version ${witnessVersion} or program length`);
   }
+  return { hashMode: version as PoXAddressVersion, data: witnessProgram };
 }
 
-export function decodeBtcAddress(btcAddress: string) {
+/**
+ * Decodes a P2PKH or P2SH base58 address, or a P2WPKH, P2WSH or P2TR native SegWit address,
+ * to the version and hash bytes of its PoX address tuple
+ */
+export function decodeBtcAddress(btcAddress: string): {
+  hashMode: PoXAddressVersion;
+  data: Buffer;
+} {
   let b58Result: address.Base58CheckResult;
   try {
     b58Result = address.fromBase58Check(btcAddress);
+  } catch (error) {
+    try {
+      return decodeNativeSegwitAddress(btcAddress);
+    } catch (segwitError) {
+      throw new InvalidAddressError(btcAddress, segwitError);
+    }
+  }
+  let hashMode: PoXAddressVersion;
+  try {
+    hashMode = btcAddressVersionToHashMode(b58Result.version) as number;
   } catch (error) {
     throw new InvalidAddressError(btcAddress, error);
   }
-  const hashMode = btcAddressVersionToHashMode(b58Result.version);
   return {
     hashMode,
     data: b58Result.hash,
@@ -131,6 +284,16 @@ export function poxAddressToBtcAddress(...args: PoxAddressArgs): string {
   if (version.byteLength !== 1) {
     throw new Error(`Invalid byte length for version buffer: ${version.toString('hex')}`);
   }
+  const segwitVersion = SegwitPoxAddressVersions[version[0]];
+  if (segwitVersion) {
+    if (hashBytes.byteLength !== segwitVersion.length) {
+      throw new Error(`Invalid byte length for hashBytes: ${hashBytes.toString('hex')}`);
+    }
+    if (!['mainnet', 'testnet'].includes(network)) {
+      throw new Error(`Invalid network argument: ${network}`);
+    }
+    return encodeSegwitAddress(SegwitPrefix[network], segwitVersion.witnessVersion, hashBytes);
+  }
   if (hashBytes.byteLength !== 20) {
     throw new Error(`Invalid byte length for hashBytes: ${hashBytes.toString('hex')}`);
   }
@@ -19,7 +19,7 @@ import {
   AnchorMode,
 } from '@stacks/transactions';
 import { address as btcAddress } from 'bitcoinjs-lib';
-import { decodeBtcAddress, getAddressHashMode, InvalidAddressError, poxAddressToBtcAddress } from '../src/utils';
+import { decodeBtcAddress, getAddressHashMode, InvalidAddressError, poxAddressToBtcAddress, PoXAddressVersion } from '../src/utils';
 
 beforeEach(() => {
   fetchMock.resetMocks();
@@ -1012,15 +1012,28 @@ test('pox address hash mode', async () => {
   const p2wsh = 'bc1qup6umurcl7s6zw42gcxfzl346psazws74x72ty6gmlvkaxz6kv4sqsth99';
   const p2wshTestnet = 'tb1qup6umurcl7s6zw42gcxfzl346psazws74x72ty6gmlvkaxz6kv4shcacl2';
   
-  expect(() => getAddressHashMode(p2wpkh)).toThrowError(InvalidAddressError);
-  expect(() => getAddressHashMode(p2wpkhTestnet)).toThrowError(InvalidAddressError);
-  expect(() => getAddressHashMode(p2wsh)).toThrowError(InvalidAddressError);
-  expect(() => getAddressHashMode(p2wshTestnet)).toThrowError(InvalidAddressError);
-
-  expect(() => decodeBtcAddress(p2wpkh)).toThrowError(InvalidAddressError);
-  expect(() => decodeBtcAddress(p2wpkhTestnet)).toThrowError(InvalidAddressError);
-  expect(() => decodeBtcAddress(p2wsh)).toThrowError(InvalidAddressError);
-  expect(() => decodeBtcAddress(p2wshTestnet)).toThrowError(InvalidAddressError);
+  const p2tr = 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0';
+  const p2trTestnet = 'tb1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vq47zagq';
+
+  expect(getAddressHashMode(p2wpkh)).toEqual(PoXAddressVersion.P2WPKH);
+  expect(getAddressHashMode(p2wpkhTestnet)).toEqual(PoXAddressVersion.P2WPKH);
+  expect(getAddressHashMode(p2wsh)).toEqual(PoXAddressVersion.P2WSH);
+  expect(getAddressHashMode(p2wshTestnet)).toEqual(PoXAddressVersion.P2WSH);
+  expect(getAddressHashMode(p2tr)).toEqual(PoXAddressVersion.P2TR);
+  expect(getAddressHashMode(p2trTestnet)).toEqual(PoXAddressVersion.P2TR);
+
+  expect(decodeBtcAddress(p2wpkh).data.toString('hex')).toEqual('751e76e8199196d454941c45d1b3a323f1433bd6');
+  expect(decodeBtcAddress(p2wpkh.toUpperCase()).data.toString('hex')).toEqual('751e76e8199196d454941c45d1b3a323f1433bd6');
+  expect(decodeBtcAddress(p2tr).data.toString('hex')).toEqual('79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798');
+
+  // bech32m checksum on a version 0 address, bech32 checksum on a version 1 address
+  expect(() => decodeBtcAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kemeawh')).toThrowError(InvalidAddressError);
+  expect(() => decodeBtcAddress('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqh2y7hd')).toThrowError(InvalidAddressError);
+  // unsupported witness version, bad checksum, mixed case, other network prefix
+  expect(() => decodeBtcAddress('bc1zw508d6qejxtdg4y5r3zarvaryvaxxpcs')).toThrowError(InvalidAddressError);
+  expect(() => decodeBtcAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5')).toThrowError(InvalidAddressError);
+  expect(() => decodeBtcAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kV8f3t4')).toThrowError(InvalidAddressError);
+  expect(() => decodeBtcAddress('ltc1qw508d6qejxtdg4y5r3zarvary0c5xw7kgmn4n9')).toThrowError(InvalidAddressError);
 })
 
 
@@ -1060,6 +1073,24 @@ test('pox address to btc address', () => {
       hashBytes: Buffer.from('3149c3eba2d21cfdeea56894866b8f4cd11b72ad', 'hex'),
       network: 'testnet',
       expectedBtcAddr: '2MwjqTzEJodSaoehcxRSqfWrvJMGZHq4tdC',
+    },
+    {
+      version: Buffer.from([0x04]),
+      hashBytes: Buffer.from('751e76e8199196d454941c45d1b3a323f1433bd6', 'hex'),
+      network: 'mainnet',
+      expectedBtcAddr: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4',
+    },
+    {
+      version: Buffer.from([0x05]),
+      hashBytes: Buffer.from('1863143c14c5166804bd19203356da136c985678cd4d27a1b8c6329604903262', 'hex'),
+      network: 'testnet',
+      expectedBtcAddr: 'tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7',
+    },
+    {
+      version: Buffer.from([0x06]),
+      hashBytes: Buffer.from('79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', 'hex'),
+      network: 'mainnet',
+      expectedBtcAddr: 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0',
     }
   ];
 
@@ -1092,3 +1123,338 @@ test('pox address to btc address', () => {
     expect(decodedAddress.data.toString('hex')).toBe(item.hashBytes.toString('hex')); 
   });
 });
+
+test('reward cycle and lock schedules', () => {
+  const { getRewardCycleSchedule, getLockSchedule, burnHeightToRewardCycle } = require('../src');
+  const clock = { burnBlockHeight: 1790, targetBlockTime: 120, now: new Date(0) };
+
+  expect(burnHeightToRewardCycle(1790, poxInfo)).toEqual(14);
+  expect(getRewardCycleSchedule(15, poxInfo, clock)).toEqual({
+    cycle: 15,
+    startBurnHeight: 1800,
+    endBurnHeight: 1919,
+    prepareStartBurnHeight: 1770,
+    prepareEndBurnHeight: 1799,
+    startTime: new Date(10 * 120 * 1000),
+    endTime: new Date(130 * 120 * 1000),
+    prepareStartTime: new Date(-20 * 120 * 1000),
+  });
+  expect(getRewardCycleSchedule(15, poxInfo).startTime).toBeUndefined();
+  expect(() => getRewardCycleSchedule(-1, poxInfo)).toThrow('Invalid reward cycle: -1');
+
+  const lockSchedule = getLockSchedule(1700, 2, poxInfo, clock);
+  expect(lockSchedule).toEqual({
+    firstRewardCycle: 15,
+    lastRewardCycle: 16,
+    lockPeriod: 2,
+    deadlineBurnHeight: 1769,
+    rewardStartBurnHeight: 1800,
+    unlockBurnHeight: 2040,
+    deadlineTime: new Date(-21 * 120 * 1000),
+    rewardStartTime: new Date(10 * 120 * 1000),
+    unlockTime: new Date(250 * 120 * 1000),
+  });
+  expect(() => getLockSchedule(1700, 0, poxInfo)).toThrow('Invalid lock period: 0');
+});
+
+test('get lock schedule', async () => {
+  const address = 'ST3XKKN4RPV69NN1PHFDNX3TYKXT7XPC4N8KC1ARH';
+  const network = new StacksTestnet();
+
+  fetchMock
+    .mockResponseOnce(() => {
+      return Promise.resolve({
+        body: JSON.stringify(poxInfo),
+        status: 200,
+      });
+    })
+    .mockResponseOnce(() => {
+      return Promise.resolve({
+        body: JSON.stringify(coreInfo),
+        status: 200,
+      });
+    })
+    .mockResponseOnce(() => {
+      return Promise.resolve({
+        body: JSON.stringify(blocktimeInfo),
+        status: 200,
+      });
+    });
+
+  const { StackingClient } = require('../src');
+  const client = new StackingClient(address, network);
+
+  const lockSchedule = await client.getLockSchedule({ cycles: 3 });
+  expect(fetchMock.mock.calls.map(call => call[0])).toEqual([
+    network.getPoxInfoUrl(),
+    network.getInfoUrl(),
+    network.getBlockTimeInfoUrl(),
+  ]);
+  expect(lockSchedule.firstRewardCycle).toEqual(15);
+  expect(lockSchedule.lastRewardCycle).toEqual(17);
+  expect(lockSchedule.unlockBurnHeight).toEqual(2160);
+  // unlocks in 370 blocks
+  expect(lockSchedule.unlockTime.getTime() - Date.now()).toBeGreaterThan(370 * 120 * 1000 - 60000);
+  expect(lockSchedule.unlockTime.getTime() - Date.now()).toBeLessThanOrEqual(370 * 120 * 1000);
+});
+
+test('get stacking timeline', async () => {
+  const address = 'ST3XKKN4RPV69NN1PHFDNX3TYKXT7XPC4N8KC1ARH';
+  const network = new StacksTestnet();
+
+  const lockEvent = (txId: string, lockedAmount: string, unlockHeight: number) => ({
+    event_index: 0,
+    event_type: 'stx_lock',
+    tx_id: txId,
+    stx_lock_event: { locked_amount: lockedAmount, unlock_height: unlockHeight, locked_address: address },
+  });
+  // newest first, like the API
+  const lockEvents = {
+    limit: 50,
+    offset: 0,
+    events: [
+      lockEvent('0x03', '2000000', 1920),
+      lockEvent('0x02', '2000000', 1680),
+      lockEvent('0x01', '1000000', 1440),
+    ],
+  };
+  const txBurnHeights: Record<string, number> = { '0x01': 1200, '0x02': 1500, '0x03': 1600 };
+  const rewards = {
+    limit: 50,
+    offset: 0,
+    results: [
+      { burn_block_height: 1330, reward_amount: '5000' },
+      { burn_block_height: 1220, reward_amount: '2000' },
+      { burn_block_height: 1210, reward_amount: '3000' },
+    ],
+  };
+
+  fetchMock.mockResponse(request => {
+    const url = request.url;
+    let body: any;
+    if (url === network.getPoxInfoUrl()) body = poxInfo;
+    else if (url === network.getInfoUrl()) body = coreInfo;
+    else if (url === network.getStxLockEventsUrl(address, { limit: 50, offset: 0 })) body = lockEvents;
+    else if (url === network.getRewardsUrl(address, { limit: 50, offset: 0 })) body = rewards;
+    else body = { tx_id: url.split('/').pop(), burn_block_height: txBurnHeights[url.split('/').pop()!] };
+    return Promise.resolve({ body: JSON.stringify(body), status: 200 });
+  });
+
+  const { StackingClient } = require('../src');
+  const client = new StackingClient(address, network);
+
+  const timeline = await client.getStackingTimeline();
+  expect(timeline.events).toEqual([
+    { type: 'lock', burnBlockHeight: 1200, rewardCycle: 10, txId: '0x01', lockedAmount: '1000000', unlockBurnHeight: 1440 },
+    { type: 'unlock', burnBlockHeight: 1440, rewardCycle: 12, lockedAmount: '0' },
+    { type: 'lock', burnBlockHeight: 1500, rewardCycle: 12, txId: '0x02', lockedAmount: '2000000', unlockBurnHeight: 1680 },
+    { type: 'extend', burnBlockHeight: 1600, rewardCycle: 13, txId: '0x03', lockedAmount: '2000000', unlockBurnHeight: 1920 },
+  ]);
+  expect(timeline.rewards).toEqual([
+    { cycle: 10, rewardAmount: '5000', payouts: 2 },
+    { cycle: 11, rewardAmount: '5000', payouts: 1 },
+  ]);
+
+  const { getStackingEvents } = require('../src');
+  const increased = getStackingEvents(
+    [
+      { txId: '0x01', burnBlockHeight: 1200, lockedAmount: '1000000', unlockBurnHeight: 1440 },
+      { txId: '0x02', burnBlockHeight: 1300, lockedAmount: '3000000', unlockBurnHeight: 1440 },
+    ],
+    1790,
+    poxInfo
+  );
+  expect(increased.map((event: any) => event.type)).toEqual(['lock', 'increase', 'unlock']);
+});
+
+test('plan pool cycle', async () => {
+  jest.dontMock('@stacks/transactions');
+  const operator = 'ST3XKKN4RPV69NN1PHFDNX3TYKXT7XPC4N8KC1ARH';
+  const otherOperator = 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE';
+  const poxAddress = '1Xik14zRm29UsyS6DjhYg4iZeZqsDa8D3';
+  const network = new StacksTestnet();
+  const { cvToHex } = jest.requireActual('@stacks/transactions');
+  const { hashMode, data } = decodeBtcAddress(poxAddress);
+  const poxAddressCV = tupleCV({ hashbytes: bufferCV(data), version: bufferCV(Buffer.from([hashMode])) });
+
+  const delegation = (amount: number, delegatedTo: string, until?: number) =>
+    someCV(
+      tupleCV({
+        'amount-ustx': uintCV(amount),
+        'delegated-to': standardPrincipalCV(delegatedTo),
+        'until-burn-ht': until === undefined ? noneCV() : someCV(uintCV(until)),
+        'pox-addr': noneCV(),
+      })
+    );
+  const delegators: Record<string, any> = {
+    ST2ZRX0K27GW0SP3GJCEMHD95TQGJMKB7G9Y0X1MH: {
+      unlocked: 60,
+      delegation: delegation(100, operator),
+      stackerInfo: noneCV(),
+    },
+    STB44HYPYAT2BB2QE513NSP81HTMYWBJP02HPGK6: {
+      unlocked: 100,
+      delegation: delegation(100, otherOperator),
+      stackerInfo: noneCV(),
+    },
+    ST1HTBVD3JG9C05J7HBJTHGR0GGW7KXW28M5JS8QE: {
+      unlocked: 100,
+      delegation: delegation(100, operator, 1900),
+      stackerInfo: noneCV(),
+    },
+    [otherOperator]: {
+      unlocked: 0,
+      delegation: delegation(500, operator),
+      stackerInfo: someCV(
+        tupleCV({
+          'amount-ustx': uintCV(500),
+          'first-reward-cycle': uintCV(15),
+          'lock-period': uintCV(2),
+          'pox-addr': poxAddressCV,
+        })
+      ),
+    },
+  };
+  const stackers = Object.keys(delegators);
+
+  fetchMock.mockResponse(async request => {
+    const url = request.url;
+    const body = request.method === 'POST' ? await request.text() : '';
+    const stacker = stackers.find(
+      s => url.includes(s) || body.includes(cvToHex(standardPrincipalCV(s)).slice(2))
+    );
+    let response: any;
+    if (url === network.getPoxInfoUrl()) response = poxInfo;
+    else if (url === network.getInfoUrl()) response = coreInfo;
+    else if (url.includes('partial-stacked-by-cycle')) {
+      response = { data: cvToHex(someCV(tupleCV({ 'stacked-amount': uintCV(500) }))) };
+    } else if (url.includes('delegation-state')) {
+      response = { data: cvToHex(delegators[stacker!].delegation) };
+    } else if (url.includes('get-stacker-info')) {
+      response = { okay: true, result: cvToHex(delegators[stacker!].stackerInfo) };
+    } else {
+      const unlocked = delegators[stacker!].unlocked;
+      response = { balance: `0x${(unlocked + 500).toString(16)}`, locked: `0x${(500).toString(16)}`, nonce: 0 };
+    }
+    return { body: JSON.stringify(response), status: 200 };
+  });
+
+  const { PoolOperator } = require('../src');
+  const pool = new PoolOperator(operator, network);
+
+  // locks at 1790 for 1 cycle earn rewards in cycle 15 and unlock at 1920
+  const plan = await pool.planCycle({ stackers, poxAddress, cycles: 1 });
+  expect(plan.rewardCycle).toEqual(15);
+  expect(plan.burnBlockHeight).toEqual(1790);
+  expect(plan.delegators).toEqual([
+    { stacker: stackers[0], action: 'lock', amountMicroStx: BigInt(60) },
+    { stacker: stackers[1], action: 'not-delegated', amountMicroStx: BigInt(0) },
+    { stacker: stackers[2], action: 'delegation-expires', amountMicroStx: BigInt(0) },
+    { stacker: stackers[3], action: 'locked', amountMicroStx: BigInt(500) },
+  ]);
+  expect(plan.pendingMicroStx).toEqual(BigInt(500));
+  expect(plan.plannedMicroStx).toEqual(BigInt(60));
+  expect(plan.minimumMicroStx).toEqual(BigInt(poxInfo.min_amount_ustx));
+
+  const mapRequest = fetchMock.mock.calls.find(call => (call[0] as string).includes('partial-stacked-by-cycle'))!;
+  expect(mapRequest[1]!.body).toEqual(
+    JSON.stringify(
+      cvToHex(tupleCV({ 'pox-addr': poxAddressCV, 'reward-cycle': uintCV(15), sender: standardPrincipalCV(operator) }))
+    )
+  );
+});
+
+test('execute pool cycle plan', async () => {
+  const operator = 'ST3XKKN4RPV69NN1PHFDNX3TYKXT7XPC4N8KC1ARH';
+  const poxAddress = '1Xik14zRm29UsyS6DjhYg4iZeZqsDa8D3';
+  const network = new StacksTestnet();
+  const privateKey = 'd48f215481c16cbe6426f8e557df9b78895661971d71735126545abddcd5377001';
+
+  const makeContractCall = jest.fn().mockImplementation(async options => options);
+  const broadcastTransaction = jest
+    .fn()
+    .mockResolvedValueOnce({ txid: '0x01' })
+    .mockResolvedValueOnce({ txid: '0x02', error: 'transaction rejected', reason: 'NotEnoughFunds' })
+    .mockResolvedValueOnce({ txid: '0x03' });
+  jest.mock('@stacks/transactions', () => ({
+    ...jest.requireActual('@stacks/transactions'),
+    makeContractCall,
+    broadcastTransaction,
+  }));
+
+  fetchMock.mockResponse(() => Promise.resolve({ body: JSON.stringify(poxInfo), status: 200 }));
+
+  const { PoolOperator } = require('../src');
+  const pool = new PoolOperator(operator, network);
+  const plan = {
+    rewardCycle: 15,
+    poxAddress,
+    burnBlockHeight: 1790,
+    cycles: 1,
+    delegators: [
+      { stacker: 'ST2ZRX0K27GW0SP3GJCEMHD95TQGJMKB7G9Y0X1MH', action: 'lock', amountMicroStx: BigInt(300) },
+      { stacker: 'STB44HYPYAT2BB2QE513NSP81HTMYWBJP02HPGK6', action: 'lock', amountMicroStx: BigInt(400) },
+      { stacker: 'ST1HTBVD3JG9C05J7HBJTHGR0GGW7KXW28M5JS8QE', action: 'not-delegated', amountMicroStx: BigInt(0) },
+    ],
+    pendingMicroStx: BigInt(500),
+    plannedMicroStx: BigInt(700),
+    minimumMicroStx: BigInt(800),
+  };
+
+  const result = await pool.executeCyclePlan(plan, { privateKey, nonce: BigInt(5) });
+
+  expect(makeContractCall).toHaveBeenCalledTimes(3);
+  const calls = makeContractCall.mock.calls.map(call => call[0]);
+  expect(calls.map(options => options.functionName)).toEqual([
+    'delegate-stack-stx',
+    'delegate-stack-stx',
+    'stack-aggregation-commit',
+  ]);
+  // the rejected transaction leaves its nonce to the commit
+  expect(calls.map(options => options.nonce)).toEqual([BigInt(5), BigInt(6), BigInt(6)]);
+  expect(calls[0].functionArgs[0]).toEqual(standardPrincipalCV('ST2ZRX0K27GW0SP3GJCEMHD95TQGJMKB7G9Y0X1MH'));
+  expect(calls[0].functionArgs[1]).toEqual(uintCV(300));
+  expect(calls[2].functionArgs[1]).toEqual(uintCV(15));
+  expect(calls[0].senderKey).toEqual(privateKey);
+
+  expect(result.locks.map((lock: any) => lock.result.txid)).toEqual(['0x01', '0x02']);
+  expect(result.totalMicroStx).toEqual(BigInt(800));
+  expect(result.commit).toEqual({ txid: '0x03' });
+});
+
+test('stack and delegate stx options with native segwit pox addresses', () => {
+  jest.dontMock('@stacks/transactions');
+  const address = 'ST3XKKN4RPV69NN1PHFDNX3TYKXT7XPC4N8KC1ARH';
+  const network = new StacksTestnet();
+  const p2tr = 'tb1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vq47zagq';
+  const p2wpkh = 'tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx';
+
+  const { StackingClient, poxAddressToBtcAddress } = require('../src');
+  const client = new StackingClient(address, network);
+
+  const stackOptions = client.getStackOptions({
+    contract: poxInfo.contract_id,
+    amountMicroStx: 10000,
+    poxAddress: p2tr,
+    cycles: 1,
+    burnBlockHeight: 1790,
+  });
+  const poxAddressCV = stackOptions.functionArgs[1];
+  expect(poxAddressCV).toEqual(
+    tupleCV({
+      hashbytes: bufferCV(Buffer.from('79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', 'hex')),
+      version: bufferCV(Buffer.from([0x06])),
+    })
+  );
+  expect(poxAddressToBtcAddress(poxAddressCV, 'testnet')).toEqual(p2tr);
+
+  const delegateOptions = client.getDelegateOptions({
+    contract: poxInfo.contract_id,
+    amountMicroStx: 10000,
+    delegateTo: 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE',
+    poxAddress: p2wpkh,
+  });
+  const delegatePoxAddressCV = delegateOptions.functionArgs[3].value;
+  expect(delegatePoxAddressCV.data.version).toEqual(bufferCV(Buffer.from([0x04])));
+  expect(poxAddressToBtcAddress(delegatePoxAddressCV, 'testnet')).toEqual(p2wpkh);
+});
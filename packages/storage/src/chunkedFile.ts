@@ -0,0 +1,197 @@
+import { Buffer, SignatureVerificationError } from '@stacks/common';
+import {
+  EncryptionOptions,
+  eciesGetJsonStringLength,
+  hashSha256Sync,
+  publicKeyToAddress,
+  signECDSA,
+  verifyECDSA,
+} from '@stacks/encryption';
+import { FileContentLoader } from './fileContentLoader';
+
+/**
+ * Version of the chunked file manifest format
+ * @ignore
+ */
+export const CHUNKED_FILE_VERSION = 1;
+
+/**
+ * The type of the content of a manifest file, which marks it as a chunked file manifest
+ * @ignore
+ */
+export const CHUNKED_FILE_MANIFEST_TYPE = 'stacks-chunked-file-manifest';
+
+/**
+ * Describes a file that was split into chunks by [[Storage.putFile]] with `chunked: true`.
+ * The manifest is stored at the path of the file, the chunks next to it.
+ */
+export interface ChunkedFileManifest {
+  version: number;
+  /** the byte length of the whole content, before encryption */
+  size: number;
+  contentType: string;
+  /** whether the content was given as a string, and should be read as one */
+  wasString: boolean;
+  /** whether each chunk is encrypted */
+  encrypted: boolean;
+  /** the byte length of each chunk before encryption, except the last one */
+  chunkSize: number;
+  chunks: {
+    /** the path of the chunk in the storage bucket */
+    path: string;
+    /** the hex-encoded sha256 of the stored chunk */
+    hash: string;
+  }[];
+}
+
+/**
+ * The content of the manifest file: the manifest, signed with the app private key
+ * @ignore
+ */
+export interface SignedChunkedFileManifest {
+  type: typeof CHUNKED_FILE_MANIFEST_TYPE;
+  chunkedFile: ChunkedFileManifest;
+  publicKey: string;
+  signature: string;
+}
+
+/** @ignore */
+export function getChunkPath(path: string, uploadId: string, index: number): string {
+  return `${path}.chunks/${uploadId}/${index}`;
+}
+
+/**
+ * Get the paths of the chunks of a manifest that are stored next to the file at `path`,
+ * so that deleting them can't delete other files
+ * @ignore
+ */
+export function getOwnChunkPaths(path: string, manifest: ChunkedFileManifest): string[] {
+  return manifest.chunks
+    .map(chunk => chunk.path)
+    .filter(chunkPath => chunkPath.startsWith(`${path}.chunks/`));
+}
+
+/** @ignore */
+export function sha256Hex(content: string | Buffer): string {
+  return hashSha256Sync(Buffer.from(content as any)).toString('hex');
+}
+
+/**
+ * Get the largest chunk size whose upload fits in the max upload size of a hub
+ * @ignore
+ */
+export function getMaxChunkSize(
+  maxUploadBytes: number,
+  encrypt: boolean,
+  encryptionOptions: EncryptionOptions
+): number {
+  if (!encrypt) {
+    return maxUploadBytes;
+  }
+  // the length of the encrypted envelope only grows with the content length
+  let low = 0;
+  let high = maxUploadBytes;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    const encryptedSize = eciesGetJsonStringLength({
+      contentLength: mid,
+      wasString: false,
+      sign: false,
+      cipherTextEncoding: encryptionOptions.cipherTextEncoding!,
+      cipherAlgorithm: encryptionOptions.cipherAlgorithm,
+      compact: encryptionOptions.compactCipherObject,
+    });
+    if (encryptedSize <= maxUploadBytes) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Load a single chunk of the content, without loading the rest of a `Blob` into memory
+ * @ignore
+ */
+export async function loadChunk(
+  contentLoader: FileContentLoader,
+  index: number,
+  chunkSize: number
+): Promise<Buffer> {
+  const start = index * chunkSize;
+  const end = Math.min(start + chunkSize, contentLoader.contentByteLength);
+  const content = contentLoader.content;
+  if (Buffer.isBuffer(content)) {
+    return content.subarray(start, end);
+  }
+  const chunk = await new FileContentLoader(content.slice(start, end), '').load();
+  return Buffer.from(chunk as Buffer);
+}
+
+/** @ignore */
+export function signManifest(
+  manifest: ChunkedFileManifest,
+  privateKey: string
+): SignedChunkedFileManifest {
+  const { publicKey, signature } = signECDSA(privateKey, JSON.stringify(manifest));
+  return { type: CHUNKED_FILE_MANIFEST_TYPE, chunkedFile: manifest, publicKey, signature };
+}
+
+/**
+ * Parse the content of a file as a signed chunked file manifest
+ *
+ * @returns the signed manifest, or `undefined` if the content is not one
+ * @ignore
+ */
+export function parseSignedManifest(
+  content: string | ArrayBuffer | Buffer | null
+): SignedChunkedFileManifest | undefined {
+  if (typeof content !== 'string' || !content.includes(CHUNKED_FILE_MANIFEST_TYPE)) {
+    return undefined;
+  }
+  try {
+    const parsed = JSON.parse(content);
+    if (
+      parsed &&
+      parsed.type === CHUNKED_FILE_MANIFEST_TYPE &&
+      typeof parsed.chunkedFile === 'object' &&
+      parsed.signature
+    ) {
+      return parsed as SignedChunkedFileManifest;
+    }
+  } catch (error) {
+    // not JSON, so not a manifest
+  }
+  return undefined;
+}
+
+/**
+ * Verify that a manifest was signed by the owner of the storage bucket
+ *
+ * @param {SignedChunkedFileManifest} signed - the signed manifest
+ * @param {string} gaiaAddress - the address of the storage bucket
+ * @param {string} path - the path of the file, for error messages
+ * @ignore
+ */
+export function verifyManifest(
+  signed: SignedChunkedFileManifest,
+  gaiaAddress: string,
+  path: string
+): ChunkedFileManifest {
+  const signerAddress = publicKeyToAddress(signed.publicKey);
+  if (signerAddress !== gaiaAddress) {
+    throw new SignatureVerificationError(
+      `Signer pubkey address (${signerAddress}) doesn't match gaia address (${gaiaAddress})`
+    );
+  }
+  if (!verifyECDSA(JSON.stringify(signed.chunkedFile), signed.publicKey, signed.signature)) {
+    throw new SignatureVerificationError(
+      `Chunked file manifest does not match ECDSA signature: path: ${path}`
+    );
+  }
+  if (signed.chunkedFile.version !== CHUNKED_FILE_VERSION) {
+    throw new Error(`Unsupported chunked file version ${signed.chunkedFile.version}: ${path}`);
+  }
+  return signed.chunkedFile;
+}
@@ -0,0 +1,117 @@
+import { Buffer } from '@stacks/common';
+
+/**
+ * The content of a file, as read by [[Storage.getFile]]
+ */
+export type FileContent = string | Buffer | ArrayBuffer;
+
+/** The content of a file, as written by [[Storage.putFile]] */
+type PutFileContent = string | Buffer | ArrayBufferView | ArrayBuffer | Blob;
+
+/**
+ * Returns the new content of a file for its current content, see [[Storage.updateFile]]
+ */
+export type FileUpdater = (current: FileContent | null) => PutFileContent | Promise<PutFileContent>;
+
+/**
+ * Merges our update of a file with the version that another writer stored in the meantime,
+ * see [[UpdateFileOptions.mergeStrategy]].
+ *
+ * @param {FileContent} ours - the content we tried to write
+ * @param {FileContent | null} theirs - the latest content of the file, `null` if it was deleted
+ * @param {FileContent | null} base - the content our update was made from, `null` if the
+ * file didn't exist
+ */
+export type FileMergeFunction = (
+  ours: PutFileContent,
+  theirs: FileContent | null,
+  base: FileContent | null
+) => PutFileContent | Promise<PutFileContent>;
+
+/**
+ * How [[Storage.updateFile]] resolves a write that conflicts with another writer:
+ * - `reapply`: apply the updater again, to the latest content
+ * - `last-writer-wins`: write our content anyway
+ * - `json-deep-merge`: merge the changes to the JSON content, ours win where both changed
+ * - a [[FileMergeFunction]]
+ */
+export type MergeStrategy = 'reapply' | 'last-writer-wins' | 'json-deep-merge' | FileMergeFunction;
+
+function isPlainObject(value: any): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function deepEqual(a: any, b: any): boolean {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Three-way merge of JSON values. Object properties that only one side changed take the
+ * change, including deletions. Other values are replaced as a whole, and ours win if both
+ * sides changed them.
+ * @ignore
+ */
+export function mergeJson(base: any, ours: any, theirs: any): any {
+  if (deepEqual(ours, base)) {
+    return theirs;
+  }
+  if (deepEqual(theirs, base) || !isPlainObject(ours) || !isPlainObject(theirs)) {
+    return ours;
+  }
+  const baseObject = isPlainObject(base) ? base : {};
+  const merged: Record<string, any> = {};
+  const keys = new Set([...Object.keys(ours), ...Object.keys(theirs), ...Object.keys(baseObject)]);
+  keys.forEach(key => {
+    const value = mergeJson(baseObject[key], ours[key], theirs[key]);
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+function parseJsonContent(content: PutFileContent | FileContent | null, name: string): any {
+  if (content === null) {
+    return undefined;
+  }
+  let text: string;
+  if (typeof content === 'string') {
+    text = content;
+  } else if (Buffer.isBuffer(content)) {
+    text = content.toString();
+  } else if (content instanceof ArrayBuffer) {
+    text = Buffer.from(content).toString();
+  } else if (ArrayBuffer.isView(content)) {
+    text = Buffer.from(content.buffer, content.byteOffset, content.byteLength).toString();
+  } else {
+    throw new Error(`Cannot merge ${name} content as JSON: Blob content is not supported`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot merge ${name} content as JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Merge our content with theirs, according to a merge strategy other than `reapply`
+ * @ignore
+ */
+export async function mergeFileContents(
+  strategy: Exclude<MergeStrategy, 'reapply'>,
+  ours: PutFileContent,
+  theirs: FileContent | null,
+  base: FileContent | null
+): Promise<PutFileContent> {
+  if (strategy === 'last-writer-wins') {
+    return ours;
+  } else if (strategy === 'json-deep-merge') {
+    const merged = mergeJson(
+      parseJsonContent(base, 'base'),
+      parseJsonContent(ours, 'our'),
+      parseJsonContent(theirs, 'their')
+    );
+    return JSON.stringify(merged === undefined ? null : merged);
+  }
+  return strategy(ours, theirs, base);
+}
@@ -12,8 +12,9 @@ import {
 import {
   BadPathError,
   ConflictError,
+  createFetchFn,
   DoesNotExist,
-  fetchPrivate,
+  FetchFn,
   GaiaHubErrorResponse,
   Logger,
   megabytesToBytes,
@@ -53,6 +54,7 @@ interface UploadResponse {
  * @param newFile
  * @param etag
  * @param dangerouslyIgnoreEtag
+ * @param fetchFn
  * @ignore
  */
 export async function uploadToGaiaHub(
@@ -62,7 +64,8 @@ export async function uploadToGaiaHub(
   contentType = 'application/octet-stream',
   newFile = true,
   etag?: string,
-  dangerouslyIgnoreEtag?: boolean
+  dangerouslyIgnoreEtag?: boolean,
+  fetchFn: FetchFn = createFetchFn()
 ): Promise<UploadResponse> {
   Logger.debug(`uploadToGaiaHub: uploading ${filename} to ${hubConfig.server}`);
 
@@ -79,14 +82,11 @@ export async function uploadToGaiaHub(
     }
   }
 
-  const response = await fetchPrivate(
-    `${hubConfig.server}/store/${hubConfig.address}/${filename}`,
-    {
-      method: 'POST',
-      headers,
-      body: contents,
-    }
-  );
+  const response = await fetchFn(`${hubConfig.server}/store/${hubConfig.address}/${filename}`, {
+    method: 'POST',
+    headers,
+    body: contents,
+  });
   if (!response.ok) {
     throw await getBlockstackErrorFromResponse(
       response,
@@ -101,18 +101,20 @@ export async function uploadToGaiaHub(
 /**
  * @param filename
  * @param hubConfig
+ * @param fetchFn
  */
-export async function deleteFromGaiaHub(filename: string, hubConfig: GaiaHubConfig): Promise<void> {
+export async function deleteFromGaiaHub(
+  filename: string,
+  hubConfig: GaiaHubConfig,
+  fetchFn: FetchFn = createFetchFn()
+): Promise<void> {
   Logger.debug(`deleteFromGaiaHub: deleting ${filename} from ${hubConfig.server}`);
-  const response = await fetchPrivate(
-    `${hubConfig.server}/delete/${hubConfig.address}/${filename}`,
-    {
-      method: 'DELETE',
-      headers: {
-        Authorization: `bearer ${hubConfig.token}`,
-      },
-    }
-  );
+  const response = await fetchFn(`${hubConfig.server}/delete/${hubConfig.address}/${filename}`, {
+    method: 'DELETE',
+    headers: {
+      Authorization: `bearer ${hubConfig.token}`,
+    },
+  });
   if (!response.ok) {
     throw await getBlockstackErrorFromResponse(
       response,
@@ -213,11 +215,12 @@ function makeV1GaiaAuthToken(
 export async function connectToGaiaHub(
   gaiaHubUrl: string,
   challengeSignerHex: string,
-  associationToken?: string
+  associationToken?: string,
+  fetchFn: FetchFn = createFetchFn()
 ): Promise<GaiaHubConfig> {
   Logger.debug(`connectToGaiaHub: ${gaiaHubUrl}/hub_info`);
 
-  const response = await fetchPrivate(`${gaiaHubUrl}/hub_info`);
+  const response = await fetchFn(`${gaiaHubUrl}/hub_info`);
   const hubInfo = await response.json();
   const readURL = hubInfo.read_url_prefix;
   const token = makeV1GaiaAuthToken(hubInfo, challengeSignerHex, gaiaHubUrl, associationToken);
@@ -237,12 +240,17 @@ export async function connectToGaiaHub(
  *
  * @param gaiaHubUrl
  * @param appPrivateKey
+ * @param fetchFn
  *
  * @ignore
  */
-export async function getBucketUrl(gaiaHubUrl: string, appPrivateKey: string): Promise<string> {
+export async function getBucketUrl(
+  gaiaHubUrl: string,
+  appPrivateKey: string,
+  fetchFn: FetchFn = createFetchFn()
+): Promise<string> {
   const challengeSigner = ECPair.fromPrivateKey(Buffer.from(appPrivateKey, 'hex'));
-  const response = await fetchPrivate(`${gaiaHubUrl}/hub_info`);
+  const response = await fetchFn(`${gaiaHubUrl}/hub_info`);
   const responseText = await response.text();
   const responseJSON = JSON.parse(responseText);
   const readURL = responseJSON.read_url_prefix;
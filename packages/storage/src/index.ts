@@ -1,4 +1,5 @@
 export * from './storage';
+export { ChunkedFileManifest } from './chunkedFile';
 export {
   connectToGaiaHub,
   uploadToGaiaHub,
@@ -8,3 +9,15 @@ export {
   deleteFromGaiaHub,
   getFullReadUrl,
 } from './hub';
+export {
+  StorageCacheBackend,
+  StorageCacheOptions,
+  StorageSyncResult,
+  StorageWriteConflict,
+  MemoryCacheBackend,
+  IndexedDBCacheBackend,
+  FileSystemCacheBackend,
+  CacheFileSystem,
+  CachePathModule,
+} from './storageCache';
+export { FileContent, FileMergeFunction, FileUpdater, MergeStrategy } from './fileMerge';
@@ -11,27 +11,61 @@ import {
 } from './hub';
 
 import {
+  addMultiRecipients,
   eciesGetJsonStringLength,
   EncryptionOptions,
   getPublicKeyFromPrivate,
+  isMultiRecipientCipherObject,
+  MultiRecipientCipherObject,
   publicKeyToAddress,
+  randomBytes,
+  removeMultiRecipients,
+  SignedCipherObject,
   signECDSA,
   verifyECDSA,
 } from '@stacks/encryption';
 
 import {
   BLOCKSTACK_DEFAULT_GAIA_HUB_URL,
+  createFetchFn,
   DoesNotExist,
-  fetchPrivate,
+  FetchFn,
   GaiaHubError,
   getGlobalObject,
   InvalidStateError,
   megabytesToBytes,
   PayloadTooLargeError,
+  PreconditionFailedError,
   SignatureVerificationError,
 } from '@stacks/common';
 
 import { FileContentLoader } from './fileContentLoader';
+import {
+  CHUNKED_FILE_VERSION,
+  ChunkedFileManifest,
+  getChunkPath,
+  getMaxChunkSize,
+  getOwnChunkPaths,
+  loadChunk,
+  parseSignedManifest,
+  sha256Hex,
+  signManifest,
+  SignedChunkedFileManifest,
+  verifyManifest,
+} from './chunkedFile';
+import { FileContent, FileUpdater, mergeFileContents, MergeStrategy } from './fileMerge';
+import {
+  CachedFile,
+  createOfflineAwareFetchFn,
+  decodeCachedContents,
+  encodeCachedContents,
+  HubUnreachableError,
+  isTextContentType,
+  QueuedWrite,
+  StorageCacheOptions,
+  StorageSyncResult,
+  StorageWriteConflict,
+} from './storageCache';
 
 import { lookupProfile, NAME_LOOKUP_PATH, UserSession } from '@stacks/auth';
 
@@ -50,13 +84,32 @@ export interface PutFileOptions extends EncryptionOptions {
    * Encrypt the data with the app public key.
    * If a string is specified, it is used as the public key.
    * If the boolean `true` is specified then the current user's app public key is used.
+   * If an array of public keys is specified, the data is encrypted once for all of them,
+   * and can be read with [[Storage.getFile]] using the private key of any of them.
+   * See [[Storage.addFileRecipients]] and [[Storage.removeFileRecipients]].
    * @default true
    */
-  encrypt?: boolean | string;
+  encrypt?: boolean | string | string[];
   /**
    * Ignore etag for concurrency control and force file to be written.
    */
   dangerouslyIgnoreEtag?: boolean;
+  /**
+   * Split content that is larger than `chunkSize` into chunks, instead of rejecting it with
+   * a `PayloadTooLargeError`. The chunks are uploaded next to the file, which only contains
+   * a signed manifest of them. [[Storage.getFile]] reassembles chunked files transparently.
+   * If the upload is interrupted, calling `putFile` again with the same content resumes it.
+   * The chunks of a chunked file that is replaced by chunked content are deleted.
+   * Chunked uploads are not queued by the offline cache, as it would hold all chunks: they
+   * reject while the hub can't be reached, and can be resumed once it can.
+   * @default false
+   */
+  chunked?: boolean;
+  /**
+   * The number of bytes of content per chunk, when `chunked` is enabled.
+   * Defaults to the largest chunk that the hub accepts.
+   */
+  chunkSize?: number;
 }
 
 const SIGNATURE_FILE_SUFFIX = '.sig';
@@ -98,6 +151,110 @@ export interface GetFileUrlOptions {
   zoneFileLookupURL?: string;
 }
 
+/**
+ * Used to pass options to [[Storage.updateFile]]
+ */
+export interface UpdateFileOptions extends Omit<PutFileOptions, 'dangerouslyIgnoreEtag'> {
+  /**
+   * Try to decrypt the current content, see [[GetFileOptions.decrypt]].
+   * @default true if `encrypt` is enabled
+   */
+  decrypt?: boolean | string;
+  /**
+   * Verify the current content, see [[GetFileOptions.verify]].
+   * @default false
+   */
+  verify?: boolean;
+  /**
+   * How a write is retried when another writer changed the file since it was read.
+   * @default 'reapply'
+   */
+  mergeStrategy?: MergeStrategy;
+  /**
+   * The maximum number of writes, including retries.
+   * @default 5
+   */
+  maxAttempts?: number;
+  /**
+   * The number of milliseconds to wait before the first retry, doubled for each retry.
+   * @default 100
+   */
+  retryDelay?: number;
+}
+
+/**
+ * Used to pass options to [[Storage.addFileRecipients]] and [[Storage.removeFileRecipients]]
+ */
+export interface FileRecipientsOptions {
+  /**
+   * The private key of a recipient of the file, to decrypt the content key with.
+   * Defaults to the app private key.
+   */
+  privateKey?: string;
+}
+
+/**
+ * Metadata of a file in a storage bucket, see [[Storage.listFilesDetailed]]
+ */
+export interface FileMetadata {
+  /** the path of the file in the storage bucket */
+  path: string;
+  /** the size of the stored file in bytes, i.e. of the ciphertext for encrypted files */
+  size: number;
+  etag?: string;
+  lastModified?: Date;
+  /** the content type of the stored file, `application/json` for encrypted files */
+  contentType?: string;
+}
+
+/**
+ * Used to pass options to [[Storage.listFilesDetailed]]
+ */
+export interface ListFilesDetailedOptions {
+  /**
+   * Only list the files whose path starts with this prefix, e.g. `photos/`.
+   * Gaia hubs can't filter the files they list, so the files are filtered after they are
+   * listed: a page may have no files of the prefix, and all pages of the bucket are listed.
+   */
+  prefix?: string;
+  /**
+   * The page to list, as returned by the previous call. Defaults to the first page.
+   */
+  page?: string | null;
+  /**
+   * Fetch the content type of files whose content type the hub doesn't list,
+   * with a request for each file. It stays undefined if the request fails.
+   * @default false
+   */
+  fetchContentTypes?: boolean;
+}
+
+/**
+ * A page of files, returned by [[Storage.listFilesDetailed]]
+ */
+export interface ListFilesDetailedResult {
+  files: FileMetadata[];
+  /** the page to pass to list the next files, `null` when all files were listed */
+  page: string | null;
+}
+
+/**
+ * Used to pass options to [[Storage.copyFile]] and [[Storage.moveFile]]
+ */
+export interface CopyFileOptions {
+  /**
+   * Set to true if the file was signed, to copy its signature file too.
+   * @default false
+   */
+  wasSigned?: boolean;
+  /**
+   * Overwrite the destination if it exists, instead of rejecting with a
+   * `PreconditionFailedError`.
+   * @default false
+   */
+  overwrite?: boolean;
+}
+
 /**
  * Options for constructing a Storage instance
  */
@@ -108,13 +265,51 @@ export interface StorageOptions {
    * Gaia hub access and encryption.
    */
   userSession?: UserSession;
+  /**
+   * The fetch function used for all Gaia hub requests, e.g. the `fetchFn` of a
+   * `StacksNetwork` instance. Defaults to a plain fetch without middleware.
+   */
+  fetchFn?: FetchFn;
+  /**
+   * Enables an offline cache. Files are read from the cache when the hub can't be reached,
+   * and revalidated with their etag otherwise. Writes are queued while the hub can't be
+   * reached, and replayed by [[Storage.sync]].
+   */
+  cache?: StorageCacheOptions;
 }
 
 export class Storage {
   userSession: UserSession;
 
+  fetchFn: FetchFn;
+
+  cache?: StorageCacheOptions;
+
+  /** @ignore */
+  writeQueueLock: Promise<unknown> = Promise.resolve();
+
+  /** @ignore */
+  syncing?: Promise<StorageSyncResult>;
+
   constructor(options: StorageOptions) {
     this.userSession = options.userSession!;
+    this.fetchFn = options.fetchFn ?? createFetchFn();
+    this.cache = options.cache;
+    if (this.cache) {
+      this.fetchFn = createOfflineAwareFetchFn(this.fetchFn, url => this.isHubUrl(url));
+    }
+  }
+
+  /* Check if a URL is one of the Gaia hub of the session, to read or write files.
+   * @private
+   * @ignore
+   */
+  isHubUrl(url: string): boolean {
+    const hubConfig = this.userSession.store.getSessionData().userData?.gaiaHubConfig;
+    return (
+      !!hubConfig &&
+      (url.startsWith(`${hubConfig.server}/`) || url.startsWith(hubConfig.url_prefix))
+    );
   }
 
   /**
@@ -134,19 +329,37 @@ export class Storage {
     };
     const opt = Object.assign({}, defaults, options);
 
+    const storedContents = await this.getStoredFileContents(path, opt);
+    const signedManifest = parseSignedManifest(storedContents);
+    if (signedManifest) {
+      return this.getChunkedFile(path, signedManifest, opt);
+    }
+    return this.handleStoredFileContents(path, storedContents, opt);
+  }
+
+  /* Fetch the stored contents of a file, and verify them with their signature file if
+   *  requested for unencrypted contents.
+   * @private
+   * @ignore
+   */
+  async getStoredFileContents(path: string, opt: GetFileOptions) {
     // in the case of signature verification, but no
     //  encryption expected, need to fetch _two_ files.
     if (opt.verify && !opt.decrypt) {
       return this.getFileSignedUnencrypted(path, opt);
     }
+    return this.getFileContents(path, opt.app!, opt.username, opt.zoneFileLookupURL, !!opt.decrypt);
+  }
 
-    const storedContents = await this.getFileContents(
-      path,
-      opt.app!,
-      opt.username,
-      opt.zoneFileLookupURL,
-      !!opt.decrypt
-    );
+  /* Decrypt and verify the stored contents of a file, as requested by the options.
+   * @private
+   * @ignore
+   */
+  async handleStoredFileContents(
+    path: string,
+    storedContents: string | ArrayBuffer | Buffer | null,
+    opt: GetFileOptions
+  ) {
     if (storedContents === null) {
       return storedContents;
     } else if (opt.decrypt && !opt.verify) {
@@ -175,13 +388,117 @@ export class Storage {
         opt.username,
         opt.zoneFileLookupURL
       );
-    } else if (!opt.verify && !opt.decrypt) {
+    } else if (!opt.decrypt) {
+      // unencrypted contents, which were verified with their signature file if requested
       return storedContents;
     } else {
       throw new Error('Should be unreachable.');
     }
   }
 
+  /**
+   * Retrieves the specified file from the app's data store as a stream of chunks, so that
+   * large files don't need to be held in memory. Files uploaded with `chunked: true` are
+   * streamed chunk by chunk, each chunk is verified against the signed manifest of the file
+   * before it is decrypted. Other files are streamed as a single chunk.
+   *
+   * @param {String} path - the path to the file to read
+   * @param {Object} options a [[GetFileOptions]] object
+   *
+   * @returns an async iterable of the content of the file, in chunks
+   */
+  async *getFileStream(path: string, options?: GetFileOptions): AsyncGenerator<Buffer> {
+    const defaults: GetFileOptions = {
+      decrypt: true,
+      verify: false,
+      app: getGlobalObject('location', { returnEmptyObject: true })!.origin,
+    };
+    const opt = Object.assign({}, defaults, options);
+
+    const storedContents = await this.getStoredFileContents(path, opt);
+    const signedManifest = parseSignedManifest(storedContents);
+    if (signedManifest) {
+      const manifest = await this.verifyChunkedFileManifest(path, signedManifest, opt);
+      yield* this.readFileChunks(path, manifest, opt);
+    } else {
+      const content = await this.handleStoredFileContents(path, storedContents, opt);
+      if (content !== null) {
+        yield typeof content === 'string' ? Buffer.from(content) : Buffer.from(content as Buffer);
+      }
+    }
+  }
+
+  /* Verify the manifest of a chunked file, and reassemble its chunks.
+   * @private
+   * @ignore
+   */
+  async getChunkedFile(
+    path: string,
+    signedManifest: SignedChunkedFileManifest,
+    opt: GetFileOptions
+  ): Promise<string | Buffer> {
+    const manifest = await this.verifyChunkedFileManifest(path, signedManifest, opt);
+    const chunks: Buffer[] = [];
+    for await (const chunk of this.readFileChunks(path, manifest, opt)) {
+      chunks.push(chunk);
+    }
+    const content = Buffer.concat(chunks);
+    return manifest.wasString ? content.toString() : content;
+  }
+
+  /* Check that the manifest of a chunked file was signed by the owner of the bucket.
+   * @private
+   * @ignore
+   */
+  async verifyChunkedFileManifest(
+    path: string,
+    signedManifest: SignedChunkedFileManifest,
+    opt: GetFileOptions
+  ): Promise<ChunkedFileManifest> {
+    const gaiaAddress = await this.getGaiaAddress(opt.app!, opt.username, opt.zoneFileLookupURL);
+    return verifyManifest(signedManifest, gaiaAddress, path);
+  }
+
+  /* Fetch the chunks of a chunked file one by one, check each against the hash in the
+   *  manifest, and decrypt it.
+   * @private
+   * @ignore
+   */
+  async *readFileChunks(
+    path: string,
+    manifest: ChunkedFileManifest,
+    opt: GetFileOptions
+  ): AsyncGenerator<Buffer> {
+    // all chunks are in the same bucket as the manifest
+    const bucketUrl = await this.getFileUrl('', opt);
+    for (let i = 0; i < manifest.chunks.length; i++) {
+      const chunk = manifest.chunks[i];
+      const response = await this.fetchFn(`${bucketUrl}${chunk.path}`);
+      if (!response.ok) {
+        throw await getBlockstackErrorFromResponse(
+          response,
+          `getFile ${path} failed to fetch chunk ${chunk.path}.`,
+          null
+        );
+      }
+      const storedChunk = Buffer.from(await response.arrayBuffer());
+      if (sha256Hex(storedChunk) !== chunk.hash) {
+        throw new SignatureVerificationError(
+          `Chunk ${i} of ${path} does not match the hash in its manifest: ${chunk.path}`
+        );
+      }
+      if (!manifest.encrypted) {
+        yield storedChunk;
+      } else if (opt.decrypt === false) {
+        throw new Error(`Chunks of ${path} are encrypted, they cannot be read with decrypt: false`);
+      } else {
+        const decryptOpt = typeof opt.decrypt === 'string' ? { privateKey: opt.decrypt } : {};
+        const decrypted = await this.userSession.decryptContent(storedChunk.toString(), decryptOpt);
+        yield Buffer.from(decrypted as Buffer);
+      }
+    }
+  }
+
   /**
    * Fetch the public read URL of a user file for the specified app.
    * @param {String} path - the path to the file to read
@@ -279,8 +596,17 @@ export class Storage {
     forceText: boolean
   ): Promise<string | ArrayBuffer | null> {
     const opts = { app, username, zoneFileLookupURL };
+    if (this.cache && !username) {
+      const queuedWrite = await this.getLastQueuedWrite(path);
+      if (queuedWrite) {
+        return decodeCachedContents(queuedWrite, forceText);
+      }
+    }
     const readUrl = await this.getFileUrl(path, opts);
-    const response = await fetchPrivate(readUrl);
+    if (this.cache) {
+      return this.getCachedFileContents(path, readUrl, forceText);
+    }
+    const response = await this.fetchFn(readUrl);
     if (!response.ok) {
       throw await getBlockstackErrorFromResponse(response, `getFile ${path} failed.`, null);
     }
@@ -291,22 +617,81 @@ export class Storage {
 
     const etag = response.headers.get('ETag');
     if (etag) {
-      const sessionData = this.userSession.store.getSessionData();
-      sessionData.etags![path] = etag;
-      this.userSession.store.setSessionData(sessionData);
+      this.setSessionEtag(path, etag);
     }
-    if (
-      forceText ||
-      contentType === null ||
-      contentType.startsWith('text') ||
-      contentType.startsWith('application/json')
-    ) {
+    if (forceText || isTextContentType(contentType)) {
       return response.text();
     } else {
       return response.arrayBuffer();
     }
   }
 
+  /* Read the contents of a file from the cache, after revalidating them with their etag, or
+   *  without if the hub can't be reached.
+   * @private
+   * @ignore
+   */
+  async getCachedFileContents(
+    path: string,
+    readUrl: string,
+    forceText: boolean
+  ): Promise<string | ArrayBuffer | null> {
+    const backend = this.cache!.backend;
+    const cacheKey = `file:${readUrl}`;
+    const cachedItem = await backend.getItem(cacheKey);
+    const cached: CachedFile | undefined = cachedItem ? JSON.parse(cachedItem) : undefined;
+
+    let response: Response;
+    try {
+      response = await this.fetchFn(
+        readUrl,
+        cached?.etag ? { headers: { 'If-None-Match': cached.etag } } : undefined
+      );
+    } catch (error) {
+      if (cached && error instanceof HubUnreachableError) {
+        return decodeCachedContents(cached, forceText);
+      }
+      throw error;
+    }
+    if (response.status === 304 && cached) {
+      this.setSessionEtag(path, cached.etag!);
+      return decodeCachedContents(cached, forceText);
+    }
+    if (!response.ok) {
+      if (response.status === 404) {
+        await backend.removeItem(cacheKey);
+      }
+      throw await getBlockstackErrorFromResponse(response, `getFile ${path} failed.`, null);
+    }
+
+    const contentType = (response.headers.get('Content-Type') ?? '').toLowerCase();
+    const etag = response.headers.get('ETag') ?? undefined;
+    if (etag) {
+      this.setSessionEtag(path, etag);
+    }
+    let contents: string | ArrayBuffer;
+    if (forceText || isTextContentType(contentType)) {
+      contents = await response.text();
+    } else {
+      contents = await response.arrayBuffer();
+    }
+    const cachedFile: CachedFile = {
+      ...(await encodeCachedContents(contents, contentType)),
+      etag,
+    };
+    await backend.setItem(cacheKey, JSON.stringify(cachedFile));
+    return contents;
+  }
+
+  /* @private
+   * @ignore
+   */
+  setSessionEtag(path: string, etag: string) {
+    const sessionData = this.userSession.store.getSessionData();
+    sessionData.etags![path] = etag;
+    this.userSession.store.setSessionData(sessionData);
+  }
+
   /* Handle fetching an unencrypted file, its associated signature
    *  and then validate it. Handles both multi-player reads and reads
    *  from own storage.
@@ -464,7 +849,7 @@ export class Storage {
    */
   async putFile(
     path: string,
-    content: string | Buffer | ArrayBufferView | Blob,
+    content: string | Buffer | ArrayBufferView | ArrayBuffer | Blob,
     options?: PutFileOptions
   ): Promise<string> {
     const defaults: PutFileOptions = {
@@ -482,6 +867,23 @@ export class Storage {
     const contentLoader = new FileContentLoader(content, opt.contentType!);
     let contentType = contentLoader.contentType;
 
+    if (opt.chunked) {
+      if (Array.isArray(opt.encrypt)) {
+        throw new Error('Chunked files cannot be encrypted for multiple recipients');
+      }
+      const maxChunkSize = hasMaxUpload
+        ? getMaxChunkSize(maxUploadBytes, !!opt.encrypt, opt)
+        : Infinity;
+      if (opt.chunkSize && opt.chunkSize > maxChunkSize) {
+        const sizeErrMsg = `The max file upload size for this hub is ${maxUploadBytes} bytes, which fits chunks of at most ${maxChunkSize} bytes, the given chunk size is ${opt.chunkSize} bytes`;
+        throw new PayloadTooLargeError(sizeErrMsg, null, maxUploadBytes);
+      }
+      const chunkSize = opt.chunkSize ?? maxChunkSize;
+      if (contentLoader.contentByteLength > chunkSize) {
+        return this.putChunkedFile(path, contentLoader, chunkSize, gaiaHubConfig, opt);
+      }
+    }
+
     // When not encrypting the content length can be checked immediately.
     if (!opt.encrypt && hasMaxUpload && contentLoader.contentByteLength > maxUploadBytes) {
       const sizeErrMsg = `The max file upload size for this hub is ${maxUploadBytes} bytes, the given content is ${contentLoader.contentByteLength} bytes`;
@@ -492,12 +894,15 @@ export class Storage {
 
     // When encrypting, the content length must be calculated. Certain types like `Blob`s must
     // be loaded into memory.
-    if (opt.encrypt && hasMaxUpload) {
+    // The length of content encrypted for multiple recipients is checked after encryption.
+    if (opt.encrypt && hasMaxUpload && !Array.isArray(opt.encrypt)) {
       const encryptedSize = eciesGetJsonStringLength({
         contentLength: contentLoader.contentByteLength,
         wasString: contentLoader.wasString,
         sign: !!opt.sign,
         cipherTextEncoding: opt.cipherTextEncoding!,
+        cipherAlgorithm: opt.cipherAlgorithm,
+        compact: opt.compactCipherObject,
       });
       if (encryptedSize > maxUploadBytes) {
         const sizeErrMsg = `The max file upload size for this hub is ${maxUploadBytes} bytes, the given content is ${encryptedSize} bytes after encryption`;
@@ -533,25 +938,22 @@ export class Storage {
       const signatureContent = JSON.stringify(signatureObject);
 
       uploadFn = async (hubConfig: GaiaHubConfig) => {
-        const writeResponse = (
-          await Promise.all([
-            uploadToGaiaHub(
-              path,
-              contentData,
-              hubConfig,
-              contentType,
-              newFile,
-              etag,
-              opt.dangerouslyIgnoreEtag
-            ),
-            uploadToGaiaHub(
-              `${path}${SIGNATURE_FILE_SUFFIX}`,
-              signatureContent,
-              hubConfig,
-              'application/json'
-            ),
-          ])
-        )[0];
+        // one after the other, as queueing a write reads and updates the write queue
+        const writeResponse = await this.uploadFileOrQueue(
+          path,
+          contentData,
+          hubConfig,
+          contentType,
+          newFile,
+          etag,
+          opt.dangerouslyIgnoreEtag
+        );
+        await this.uploadFileOrQueue(
+          `${path}${SIGNATURE_FILE_SUFFIX}`,
+          signatureContent,
+          hubConfig,
+          'application/json'
+        );
         if (!opt.dangerouslyIgnoreEtag && writeResponse.etag) {
           sessionData.etags![path] = writeResponse.etag;
           this.userSession.store.setSessionData(sessionData);
@@ -579,15 +981,25 @@ export class Storage {
         const contentData = await contentLoader.load();
         contentForUpload = await this.userSession.encryptContent(contentData, {
           publicKey,
+          publicKeys: Array.isArray(opt.encrypt) ? opt.encrypt : undefined,
           wasString: contentLoader.wasString,
           cipherTextEncoding: opt.cipherTextEncoding,
+          cipherAlgorithm: opt.cipherAlgorithm,
+          compactCipherObject: opt.compactCipherObject,
           sign: opt.sign,
         });
-        contentType = 'application/json';
+        // compact cipher objects are a base64 string, unless wrapped in a signed JSON object
+        contentType = opt.compactCipherObject && !opt.sign ? 'text/plain' : 'application/json';
+        if (hasMaxUpload && contentForUpload.length > maxUploadBytes) {
+          const sizeErrMsg = `The max file upload size for this hub is ${maxUploadBytes} bytes, the given content is ${contentForUpload.length} bytes after encryption`;
+          const sizeErr = new PayloadTooLargeError(sizeErrMsg, null, maxUploadBytes);
+          console.error(sizeErr);
+          throw sizeErr;
+        }
       }
 
       uploadFn = async (hubConfig: GaiaHubConfig) => {
-        const writeResponse = await uploadToGaiaHub(
+        const writeResponse = await this.uploadFileOrQueue(
           path,
           contentForUpload,
           hubConfig,
@@ -620,6 +1032,597 @@ export class Storage {
     }
   }
 
+  /* Upload content in chunks, followed by the signed manifest of the chunks. Uploaded chunks
+   *  are recorded in the session, so that an interrupted upload of the same content to the same
+   *  path skips them when it is retried.
+   * @private
+   * @ignore
+   */
+  async putChunkedFile(
+    path: string,
+    contentLoader: FileContentLoader,
+    chunkSize: number,
+    gaiaHubConfig: GaiaHubConfig,
+    opt: PutFileOptions
+  ): Promise<string> {
+    const encrypt = !!opt.encrypt;
+    const appPrivateKey = this.userSession.loadUserData().appPrivateKey;
+    const signingKey = typeof opt.sign === 'string' ? opt.sign : appPrivateKey;
+    let publicKey: string;
+    if (typeof opt.encrypt === 'string') {
+      publicKey = opt.encrypt;
+    } else {
+      publicKey = getPublicKeyFromPrivate(signingKey);
+    }
+
+    let hubConfig = gaiaHubConfig;
+    const upload = async (fn: (hubConfig: GaiaHubConfig) => Promise<any>) => {
+      try {
+        return await fn(hubConfig);
+      } catch (error) {
+        if (isRecoverableGaiaError(error)) {
+          console.error(error);
+          console.error('Possible recoverable error during Gaia upload, retrying...');
+          hubConfig = await this.setLocalGaiaHubConnection();
+          return await fn(hubConfig);
+        } else {
+          throw error;
+        }
+      }
+    };
+
+    const size = contentLoader.contentByteLength;
+    const sessionData = this.userSession.store.getSessionData();
+    sessionData.chunkedUploads = sessionData.chunkedUploads ?? {};
+    let progress = sessionData.chunkedUploads[path];
+    // the chunks of an interrupted upload of other content are deleted after the upload
+    const staleChunkPaths: string[] = [];
+    if (
+      !progress ||
+      progress.size !== size ||
+      progress.chunkSize !== chunkSize ||
+      progress.encrypted !== encrypt
+    ) {
+      if (progress) {
+        const staleUploadId = progress.uploadId;
+        progress.chunks.forEach((_, i) =>
+          staleChunkPaths.push(getChunkPath(path, staleUploadId, i))
+        );
+      }
+      progress = {
+        uploadId: randomBytes(8).toString('hex'),
+        size,
+        chunkSize,
+        encrypted: encrypt,
+        chunks: [],
+      };
+    }
+
+    const chunkCount = Math.ceil(size / chunkSize);
+    const chunks: ChunkedFileManifest['chunks'] = [];
+    for (let i = 0; i < chunkCount; i++) {
+      const chunkPath = getChunkPath(path, progress.uploadId, i);
+      const chunk = await loadChunk(contentLoader, i, chunkSize);
+      const hash = sha256Hex(chunk);
+      const uploaded = progress.chunks[i];
+      if (uploaded && uploaded.hash === hash) {
+        chunks.push({ path: chunkPath, hash: uploaded.storedHash });
+        continue;
+      }
+
+      const storedChunk = encrypt
+        ? await this.userSession.encryptContent(chunk, {
+            publicKey,
+            wasString: false,
+            cipherTextEncoding: opt.cipherTextEncoding,
+            cipherAlgorithm: opt.cipherAlgorithm,
+            compactCipherObject: opt.compactCipherObject,
+          })
+        : chunk;
+      await upload(config =>
+        uploadToGaiaHub(
+          chunkPath,
+          storedChunk,
+          config,
+          encrypt && !opt.compactCipherObject ? 'application/json' : 'application/octet-stream',
+          undefined,
+          undefined,
+          true,
+          this.fetchFn
+        )
+      );
+      const storedHash = sha256Hex(storedChunk);
+      chunks.push({ path: chunkPath, hash: storedHash });
+      progress.chunks[i] = { hash, storedHash };
+      sessionData.chunkedUploads[path] = progress;
+      this.userSession.store.setSessionData(sessionData);
+    }
+
+    const manifest: ChunkedFileManifest = {
+      version: CHUNKED_FILE_VERSION,
+      size,
+      contentType: contentLoader.contentType,
+      wasString: contentLoader.wasString,
+      encrypted: encrypt,
+      chunkSize,
+      chunks,
+    };
+    // the manifest is verified against the bucket address when it is read, so it is always
+    // signed with the app private key, and only the signature file with the `sign` key
+    const manifestContent = JSON.stringify(signManifest(manifest, appPrivateKey));
+    // the chunks of the chunked file that is replaced are deleted after the upload
+    const replacedManifest = await this.getStoredManifest(path, hubConfig);
+
+    let newFile = true;
+    let etag: string | undefined;
+    if (!opt.dangerouslyIgnoreEtag && sessionData.etags?.[path]) {
+      newFile = false;
+      etag = sessionData.etags[path];
+    }
+    const writeResponse = await upload(config =>
+      uploadToGaiaHub(
+        path,
+        manifestContent,
+        config,
+        'application/json',
+        newFile,
+        etag,
+        opt.dangerouslyIgnoreEtag,
+        this.fetchFn
+      )
+    );
+    // like other unencrypted files, signed ones get a signature file
+    if (!encrypt && opt.sign) {
+      await upload(config =>
+        uploadToGaiaHub(
+          `${path}${SIGNATURE_FILE_SUFFIX}`,
+          JSON.stringify(signECDSA(signingKey, manifestContent)),
+          config,
+          'application/json',
+          undefined,
+          undefined,
+          undefined,
+          this.fetchFn
+        )
+      );
+    }
+
+    if (!opt.dangerouslyIgnoreEtag && writeResponse.etag) {
+      sessionData.etags![path] = writeResponse.etag;
+    }
+    delete sessionData.chunkedUploads[path];
+    this.userSession.store.setSessionData(sessionData);
+
+    const chunkPaths = chunks.map(chunk => chunk.path);
+    const replacedChunkPaths = replacedManifest ? getOwnChunkPaths(path, replacedManifest) : [];
+    await this.deleteChunks(
+      [...replacedChunkPaths, ...staleChunkPaths].filter(
+        chunkPath => !chunkPaths.includes(chunkPath)
+      ),
+      hubConfig
+    );
+    return writeResponse.publicURL;
+  }
+
+  /* Read the manifest of a file in this app's storage bucket, if it is a chunked file.
+   * @private
+   * @ignore
+   */
+  async getStoredManifest(
+    path: string,
+    hubConfig: GaiaHubConfig
+  ): Promise<ChunkedFileManifest | undefined> {
+    const response = await this.fetchFn(await getFullReadUrl(path, hubConfig));
+    if (response.status === 404) {
+      return undefined;
+    }
+    if (!response.ok) {
+      throw await getBlockstackErrorFromResponse(
+        response,
+        `Failed to read the manifest of ${path}.`,
+        null
+      );
+    }
+    return parseSignedManifest(await response.text())?.chunkedFile;
+  }
+
+  /* Delete chunks from this app's storage bucket, skipping the ones that don't exist.
+   * @private
+   * @ignore
+   */
+  async deleteChunks(chunkPaths: string[], hubConfig: GaiaHubConfig) {
+    for (const chunkPath of chunkPaths) {
+      try {
+        await deleteFromGaiaHub(chunkPath, hubConfig, this.fetchFn);
+      } catch (error) {
+        if (!(error instanceof DoesNotExist)) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Updates a file with a read-modify-write cycle: reads the latest content of the file,
+   * passes it to the updater, and writes the result with the etag of the content that was read.
+   * If another writer changed the file in the meantime, the write is retried with backoff,
+   * after resolving the conflict with the merge strategy. By default the updater is applied
+   * again to the latest content.
+   *
+   * @example
+   * ```
+   * await storage.updateFile('todos.json', current => {
+   *   const todos = current ? JSON.parse(current as string) : [];
+   *   return JSON.stringify([...todos, 'buy milk']);
+   * });
+   * ```
+   *
+   * @param {String} path - the path of the file to update
+   * @param updater - returns the new content for the current content, `null` if the file
+   * doesn't exist
+   * @param {UpdateFileOptions} options - a [[UpdateFileOptions]] object
+   *
+   * @returns {Promise<string>} that resolves to the public URL of the file, or rejects with
+   * a `PreconditionFailedError` when all attempts conflicted
+   */
+  async updateFile(
+    path: string,
+    updater: FileUpdater,
+    options?: UpdateFileOptions
+  ): Promise<string> {
+    const defaults: UpdateFileOptions = {
+      encrypt: true,
+      verify: false,
+      mergeStrategy: 'reapply',
+      maxAttempts: 5,
+      retryDelay: 100,
+    };
+    const { decrypt, verify, mergeStrategy, maxAttempts, retryDelay, ...putOpt } = Object.assign(
+      {},
+      defaults,
+      options
+    );
+    const getOpt: GetFileOptions = { decrypt: decrypt ?? !!putOpt.encrypt, verify };
+
+    let base = await this.getLatestFile(path, getOpt);
+    let next = await updater(base);
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.putFile(path, next, putOpt);
+      } catch (error) {
+        if (!(error instanceof PreconditionFailedError) || attempt >= maxAttempts!) {
+          throw error;
+        }
+      }
+      await sleep(retryDelay! * 2 ** (attempt - 1));
+      const theirs = await this.getLatestFile(path, getOpt);
+      if (mergeStrategy === 'reapply') {
+        next = await updater(theirs);
+      } else {
+        next = await mergeFileContents(mergeStrategy!, next, theirs, base);
+      }
+      base = theirs;
+    }
+  }
+
+  /* Read a file and remember its etag, or forget the etag if the file doesn't exist.
+   * @private
+   * @ignore
+   */
+  async getLatestFile(path: string, opt: GetFileOptions): Promise<FileContent | null> {
+    try {
+      return await this.getFile(path, opt);
+    } catch (error) {
+      if (!(error instanceof DoesNotExist)) {
+        throw error;
+      }
+      const sessionData = this.userSession.store.getSessionData();
+      delete sessionData.etags![path];
+      this.userSession.store.setSessionData(sessionData);
+      return null;
+    }
+  }
+
+  /**
+   * Gives more users access to a file that was encrypted for multiple recipients, see
+   * [[PutFileOptions.encrypt]]. The key of the content is encrypted to each new recipient,
+   * the content itself is not encrypted again.
+   *
+   * @param {String} path - the path of the file
+   * @param {String[]} publicKeys - the public keys of the recipients to add
+   * @param {FileRecipientsOptions} options - a [[FileRecipientsOptions]] object
+   *
+   * @returns {Promise<string>} that resolves to the public URL of the file
+   */
+  addFileRecipients(
+    path: string,
+    publicKeys: string[],
+    options?: FileRecipientsOptions
+  ): Promise<string> {
+    return this.rewrapFileRecipients(path, options, (privateKey, cipherObject) =>
+      addMultiRecipients(privateKey, cipherObject, publicKeys)
+    );
+  }
+
+  /**
+   * Revokes the access of users to a file that was encrypted for multiple recipients, see
+   * [[PutFileOptions.encrypt]]. The content is encrypted again with a new key for the remaining
+   * recipients, so revoked users can't read it with a key they kept.
+   *
+   * @param {String} path - the path of the file
+   * @param {String[]} publicKeys - the public keys of the recipients to revoke
+   * @param {FileRecipientsOptions} options - a [[FileRecipientsOptions]] object
+   *
+   * @returns {Promise<string>} that resolves to the public URL of the file
+   */
+  removeFileRecipients(
+    path: string,
+    publicKeys: string[],
+    options?: FileRecipientsOptions
+  ): Promise<string> {
+    return this.rewrapFileRecipients(path, options, (privateKey, cipherObject) =>
+      removeMultiRecipients(privateKey, cipherObject, publicKeys)
+    );
+  }
+
+  /* Change the recipients of a multi-recipient encrypted file, and write it back with its etag.
+   *  Signed files are signed again with the app private key.
+   * @private
+   * @ignore
+   */
+  async rewrapFileRecipients(
+    path: string,
+    options: FileRecipientsOptions | undefined,
+    rewrap: (
+      privateKey: string,
+      cipherObject: MultiRecipientCipherObject
+    ) => Promise<MultiRecipientCipherObject>
+  ): Promise<string> {
+    const appPrivateKey = this.userSession.loadUserData().appPrivateKey;
+    const privateKey = options?.privateKey ?? appPrivateKey;
+
+    const storedContents = await this.getStoredFileContents(path, { decrypt: true });
+    let payload: any;
+    try {
+      payload = JSON.parse(storedContents as string);
+    } catch (error) {
+      payload = undefined;
+    }
+    const signed =
+      typeof payload?.signature === 'string' && typeof payload?.cipherText === 'string';
+    const cipherObject = signed ? JSON.parse(payload.cipherText) : payload;
+    if (!isMultiRecipientCipherObject(cipherObject)) {
+      throw new Error(`The file ${path} is not encrypted for multiple recipients`);
+    }
+
+    let content = JSON.stringify(await rewrap(privateKey, cipherObject));
+    if (signed) {
+      const { signature, publicKey } = signECDSA(appPrivateKey, content);
+      const signedCipherObject: SignedCipherObject = { signature, publicKey, cipherText: content };
+      content = JSON.stringify(signedCipherObject);
+    }
+
+    const hubConfig = await this.getOrSetLocalGaiaHubConnection();
+    const etag = this.userSession.store.getSessionData().etags?.[path];
+    const writeResponse = await this.uploadFileOrQueue(
+      path,
+      content,
+      hubConfig,
+      'application/json',
+      !etag,
+      etag
+    );
+    if (writeResponse.etag) {
+      this.setSessionEtag(path, writeResponse.etag);
+    }
+    return writeResponse.publicURL;
+  }
+
+  /* Upload a file like `uploadToGaiaHub`. With a cache, the upload is queued instead if the
+   *  hub can't be reached, or if earlier uploads are still queued after replaying them.
+   * @private
+   * @ignore
+   */
+  async uploadFileOrQueue(
+    path: string,
+    contents: Blob | Buffer | ArrayBufferView | string,
+    hubConfig: GaiaHubConfig,
+    contentType = 'application/octet-stream',
+    newFile?: boolean,
+    etag?: string,
+    dangerouslyIgnoreEtag?: boolean
+  ): Promise<{ publicURL: string; etag?: string }> {
+    if (!this.cache) {
+      return uploadToGaiaHub(
+        path,
+        contents,
+        hubConfig,
+        contentType,
+        newFile,
+        etag,
+        dangerouslyIgnoreEtag,
+        this.fetchFn
+      );
+    }
+
+    const queue = await this.getWriteQueue(hubConfig);
+    const write: QueuedWrite = {
+      ...(await encodeCachedContents(contents, contentType)),
+      path,
+      newFile,
+      etag,
+      dangerouslyIgnoreEtag,
+      followsQueuedWrite: queue.some(queuedWrite => queuedWrite.path === path),
+    };
+    if (queue.length > 0) {
+      const { pending } = await this.sync();
+      if (pending > 0) {
+        return this.queueWrite(write, hubConfig);
+      }
+    }
+    try {
+      return await this.uploadWrite(write, hubConfig);
+    } catch (error) {
+      if (error instanceof HubUnreachableError) {
+        return this.queueWrite(write, hubConfig);
+      }
+      throw error;
+    }
+  }
+
+  /* Upload a queued write. A write that follows another queued write to the same path is made
+   *  with the etag of that write. The written content is cached.
+   * @private
+   * @ignore
+   */
+  async uploadWrite(write: QueuedWrite, hubConfig: GaiaHubConfig) {
+    let { newFile, etag } = write;
+    if (write.followsQueuedWrite && !write.dangerouslyIgnoreEtag) {
+      etag = this.userSession.store.getSessionData().etags?.[write.path];
+      newFile = !etag;
+    }
+    const writeResponse = await uploadToGaiaHub(
+      write.path,
+      write.binary ? Buffer.from(write.content, 'base64') : write.content,
+      hubConfig,
+      write.contentType,
+      newFile,
+      etag,
+      write.dangerouslyIgnoreEtag,
+      this.fetchFn
+    );
+    const cachedFile: CachedFile = {
+      content: write.content,
+      binary: write.binary,
+      contentType: write.contentType,
+      etag: writeResponse.etag,
+    };
+    const readUrl = await getFullReadUrl(write.path, hubConfig);
+    await this.cache!.backend.setItem(`file:${readUrl}`, JSON.stringify(cachedFile));
+    return writeResponse;
+  }
+
+  /* @private
+   * @ignore
+   */
+  async queueWrite(write: QueuedWrite, hubConfig: GaiaHubConfig) {
+    await this.updateWriteQueue(hubConfig, queue => {
+      queue.push(write);
+    });
+    return { publicURL: await getFullReadUrl(write.path, hubConfig) };
+  }
+
+  /* @private
+   * @ignore
+   */
+  async getWriteQueue(hubConfig: GaiaHubConfig): Promise<QueuedWrite[]> {
+    const queue = await this.cache!.backend.getItem(`writeQueue:${hubConfig.address}`);
+    return queue ? JSON.parse(queue) : [];
+  }
+
+  /* Change the write queue of the storage bucket, one change at a time.
+   * @private
+   * @ignore
+   */
+  updateWriteQueue(
+    hubConfig: GaiaHubConfig,
+    update: (queue: QueuedWrite[]) => void
+  ): Promise<QueuedWrite[]> {
+    const result = this.writeQueueLock.then(async () => {
+      const queue = await this.getWriteQueue(hubConfig);
+      update(queue);
+      await this.cache!.backend.setItem(`writeQueue:${hubConfig.address}`, JSON.stringify(queue));
+      return queue;
+    });
+    this.writeQueueLock = result.catch(() => undefined);
+    return result;
+  }
+
+  /* Get the last queued write to a path, whose content is the current content of the file.
+   * @private
+   * @ignore
+   */
+  async getLastQueuedWrite(path: string): Promise<QueuedWrite | undefined> {
+    const hubConfig = await this.getOrSetLocalGaiaHubConnection();
+    const queue = await this.getWriteQueue(hubConfig);
+    return queue.filter(write => write.path === path).pop();
+  }
+
+  /**
+   * Replays the writes that were queued by [[Storage.putFile]] while the hub couldn't be
+   * reached, in the order they were made. Requires the `cache` option.
+   *
+   * Writes are made with the etag known when they were queued, so files changed on the hub
+   * in the meantime are not overwritten. Such a write is dropped from the queue and passed to
+   * the `onConflict` callback of the cache options, instead of throwing an error.
+   * Replaying stops at the first write that can't reach the hub.
+   *
+   * [[Storage.putFile]] calls this before writing, while writes are queued.
+   *
+   * @returns {Promise<StorageSyncResult>} the written paths, the conflicts, and the number
+   * of writes that are still queued
+   */
+  sync(): Promise<StorageSyncResult> {
+    if (!this.syncing) {
+      this.syncing = this.replayWriteQueue().finally(() => {
+        this.syncing = undefined;
+      });
+    }
+    return this.syncing;
+  }
+
+  /* @private
+   * @ignore
+   */
+  async replayWriteQueue(): Promise<StorageSyncResult> {
+    const result: StorageSyncResult = { written: [], conflicts: [], pending: 0 };
+    if (!this.cache) {
+      return result;
+    }
+    let hubConfig = await this.getOrSetLocalGaiaHubConnection();
+    let queue = await this.getWriteQueue(hubConfig);
+    while (queue.length > 0) {
+      const write = queue[0];
+      try {
+        let writeResponse: { etag?: string };
+        try {
+          writeResponse = await this.uploadWrite(write, hubConfig);
+        } catch (error) {
+          if (!isRecoverableGaiaError(error)) {
+            throw error;
+          }
+          hubConfig = await this.setLocalGaiaHubConnection();
+          writeResponse = await this.uploadWrite(write, hubConfig);
+        }
+        if (writeResponse.etag) {
+          this.setSessionEtag(write.path, writeResponse.etag);
+        }
+        result.written.push(write.path);
+      } catch (error) {
+        if (error instanceof HubUnreachableError) {
+          break;
+        } else if (!(error instanceof PreconditionFailedError)) {
+          throw error;
+        }
+        const conflict: StorageWriteConflict = {
+          path: write.path,
+          content: write.binary ? Buffer.from(write.content, 'base64') : write.content,
+          contentType: write.contentType,
+          error,
+        };
+        result.conflicts.push(conflict);
+        if (this.cache.onConflict) {
+          await this.cache.onConflict(conflict);
+        }
+      }
+      queue = await this.updateWriteQueue(hubConfig, queuedWrites => {
+        queuedWrites.shift();
+      });
+    }
+    result.pending = queue.length;
+    return result;
+  }
+
   /**
    * Deletes the specified file from the app's data store.
    * @param path - The path to the file to delete.
@@ -637,32 +1640,43 @@ export class Storage {
     const gaiaHubConfig = await this.getOrSetLocalGaiaHubConnection();
     const opts = Object.assign({}, options);
     const sessionData = this.userSession.store.getSessionData();
+    // the chunks of a chunked file are deleted with its manifest
+    const manifest = await this.getStoredManifest(path, gaiaHubConfig);
     if (opts.wasSigned) {
       // If signed, delete both the content file and the .sig file
       try {
-        await deleteFromGaiaHub(path, gaiaHubConfig);
-        await deleteFromGaiaHub(`${path}${SIGNATURE_FILE_SUFFIX}`, gaiaHubConfig);
+        await deleteFromGaiaHub(path, gaiaHubConfig, this.fetchFn);
+        await deleteFromGaiaHub(`${path}${SIGNATURE_FILE_SUFFIX}`, gaiaHubConfig, this.fetchFn);
         delete sessionData.etags![path];
         this.userSession.store.setSessionData(sessionData);
       } catch (error) {
         const freshHubConfig = await this.setLocalGaiaHubConnection();
-        await deleteFromGaiaHub(path, freshHubConfig);
-        await deleteFromGaiaHub(`${path}${SIGNATURE_FILE_SUFFIX}`, gaiaHubConfig);
+        await deleteFromGaiaHub(path, freshHubConfig, this.fetchFn);
+        await deleteFromGaiaHub(`${path}${SIGNATURE_FILE_SUFFIX}`, gaiaHubConfig, this.fetchFn);
         delete sessionData.etags![path];
         this.userSession.store.setSessionData(sessionData);
       }
     } else {
       try {
-        await deleteFromGaiaHub(path, gaiaHubConfig);
+        await deleteFromGaiaHub(path, gaiaHubConfig, this.fetchFn);
         delete sessionData.etags![path];
         this.userSession.store.setSessionData(sessionData);
       } catch (error) {
         const freshHubConfig = await this.setLocalGaiaHubConnection();
-        await deleteFromGaiaHub(path, freshHubConfig);
+        await deleteFromGaiaHub(path, freshHubConfig, this.fetchFn);
         delete sessionData.etags![path];
         this.userSession.store.setSessionData(sessionData);
       }
     }
+    if (manifest) {
+      await this.deleteChunks(
+        getOwnChunkPaths(path, manifest),
+        await this.getOrSetLocalGaiaHubConnection()
+      );
+    }
+    if (this.cache) {
+      await this.cache.backend.removeItem(`file:${await getFullReadUrl(path, gaiaHubConfig)}`);
+    }
   }
 
   /**
@@ -673,7 +1687,7 @@ export class Storage {
    * or rejects if it fails
    */
   getAppBucketUrl(gaiaHubUrl: string, appPrivateKey: string) {
-    return getBucketUrl(gaiaHubUrl, appPrivateKey);
+    return getBucketUrl(gaiaHubUrl, appPrivateKey, this.fetchFn);
   }
 
   /**
@@ -705,23 +1719,7 @@ export class Storage {
     hubConfig = hubConfig || (await this.getOrSetLocalGaiaHubConnection());
     let response: Response;
     try {
-      const pageRequest = JSON.stringify({ page });
-      const fetchOptions = {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': `${pageRequest.length}`,
-          Authorization: `bearer ${hubConfig.token}`,
-        },
-        body: pageRequest,
-      };
-      response = await fetchPrivate(
-        `${hubConfig.server}/list-files/${hubConfig.address}`,
-        fetchOptions
-      );
-      if (!response.ok) {
-        throw await getBlockstackErrorFromResponse(response, 'ListFiles failed.', hubConfig);
-      }
+      response = await this.fetchFilesPage(hubConfig, page, false);
     } catch (error) {
       // If error occurs on the first call, perform a gaia re-connection and retry.
       // Same logic as other gaia requests (putFile, getFile, etc).
@@ -769,6 +1767,270 @@ export class Storage {
     }
   }
 
+  /* Request a page of the list of files in a Gaia hub, with the metadata of each file if
+   *  `stat` is set.
+   * @private
+   * @ignore
+   */
+  async fetchFilesPage(
+    hubConfig: GaiaHubConfig,
+    page: string | null,
+    stat: boolean
+  ): Promise<Response> {
+    const pageRequest = JSON.stringify(stat ? { page, stat: true } : { page });
+    const fetchOptions = {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': `${pageRequest.length}`,
+        Authorization: `bearer ${hubConfig.token}`,
+      },
+      body: pageRequest,
+    };
+    const response = await this.fetchFn(
+      `${hubConfig.server}/list-files/${hubConfig.address}`,
+      fetchOptions
+    );
+    if (!response.ok) {
+      throw await getBlockstackErrorFromResponse(response, 'ListFiles failed.', hubConfig);
+    }
+    return response;
+  }
+
+  /**
+   * List a page of the files in this application's Gaia storage bucket, with their size,
+   * etag, last modification date and content type.
+   *
+   * @example
+   * ```
+   * let page = null;
+   * do {
+   *   const result = await storage.listFilesDetailed({ prefix: 'photos/', page });
+   *   result.files.forEach(file => console.log(file.path, file.size));
+   *   page = result.page;
+   * } while (page);
+   * ```
+   *
+   * @param {ListFilesDetailedOptions} options - a [[ListFilesDetailedOptions]] object
+   *
+   * @returns {Promise<ListFilesDetailedResult>} the files of the page, and the next page
+   */
+  async listFilesDetailed(options?: ListFilesDetailedOptions): Promise<ListFilesDetailedResult> {
+    const opt = Object.assign({ prefix: '', page: null, fetchContentTypes: false }, options);
+    let hubConfig = await this.getOrSetLocalGaiaHubConnection();
+    let response: Response;
+    try {
+      response = await this.fetchFilesPage(hubConfig, opt.page, true);
+    } catch (error) {
+      // same retry logic as other gaia requests
+      if (!isRecoverableGaiaError(error)) {
+        throw error;
+      }
+      console.error(error);
+      console.error('Possible recoverable error during Gaia list files, retrying...');
+      hubConfig = await this.setLocalGaiaHubConnection();
+      response = await this.fetchFilesPage(hubConfig, opt.page, true);
+    }
+
+    const responseJSON = JSON.parse(await response.text());
+    const entries: any[] = responseJSON.entries;
+    if (entries === null || entries === undefined) {
+      throw new Error('Bad listFiles response: no entries');
+    }
+    const files: FileMetadata[] = [];
+    for (const entry of entries) {
+      // null entries were filtered by the hub
+      if (entry === null) {
+        continue;
+      }
+      if (typeof entry !== 'object') {
+        throw new Error('Bad listFiles response: the Gaia hub does not list file metadata');
+      }
+      if (!entry.name.startsWith(opt.prefix)) {
+        continue;
+      }
+      const file: FileMetadata = {
+        path: entry.name,
+        size: entry.contentLength,
+        etag: entry.etag,
+        lastModified: entry.lastModifiedDate ? new Date(entry.lastModifiedDate) : undefined,
+        contentType: entry.contentType,
+      };
+      if (!file.contentType && opt.fetchContentTypes) {
+        const headResponse = await this.fetchFn(await getFullReadUrl(file.path, hubConfig), {
+          method: 'HEAD',
+        });
+        // the content type of an error response is not the one of the file
+        if (headResponse.ok) {
+          file.contentType = headResponse.headers.get('Content-Type') ?? undefined;
+        }
+      }
+      files.push(file);
+    }
+    const nextPage = responseJSON.page && entries.length > 0 ? responseJSON.page : null;
+    return { files, page: nextPage };
+  }
+
+  /**
+   * Deletes all files in a directory of this application's Gaia storage bucket,
+   * including signature files.
+   *
+   * @param {String} directory - the path of the directory, e.g. `photos/2021`
+   *
+   * @returns {Promise<string[]>} that resolves to the paths of the deleted files
+   */
+  async deleteDirectory(directory: string): Promise<string[]> {
+    const prefix = directory.replace(/\/*$/, '/');
+    if (prefix === '/') {
+      throw new Error('Cannot delete the root directory of the storage bucket');
+    }
+    // list all files first, as deleting files changes the pages
+    const paths: string[] = [];
+    let page: string | null = null;
+    do {
+      const result: ListFilesDetailedResult = await this.listFilesDetailed({ prefix, page });
+      paths.push(...result.files.map(file => file.path));
+      page = result.page;
+    } while (page);
+    for (const path of paths) {
+      await this.deleteFile(path);
+    }
+    return paths;
+  }
+
+  /**
+   * Copies a file in this application's Gaia storage bucket. The stored content is copied,
+   * so encrypted files stay encrypted.
+   *
+   * @param {String} from - the path of the file to copy
+   * @param {String} to - the path of the copy
+   * @param {CopyFileOptions} options - a [[CopyFileOptions]] object
+   *
+   * @returns {Promise<string>} that resolves to the public URL of the copy
+   */
+  async copyFile(from: string, to: string, options?: CopyFileOptions): Promise<string> {
+    const opt = Object.assign({ wasSigned: false, overwrite: false }, options);
+    const hubConfig = await this.getOrSetLocalGaiaHubConnection();
+    const readStoredFile = async (source: string) => {
+      const response = await this.fetchFn(await getFullReadUrl(source, hubConfig));
+      if (!response.ok) {
+        throw await getBlockstackErrorFromResponse(response, `copyFile ${source} failed.`, null);
+      }
+      return {
+        content: Buffer.from(await response.arrayBuffer()),
+        contentType: response.headers.get('Content-Type') ?? undefined,
+      };
+    };
+    const uploadStoredFile = (
+      destination: string,
+      stored: { content: Buffer; contentType?: string },
+      overwrite: boolean
+    ) =>
+      uploadToGaiaHub(
+        destination,
+        stored.content,
+        hubConfig,
+        stored.contentType,
+        true,
+        undefined,
+        overwrite,
+        this.fetchFn
+      );
+    const copyStoredFile = async (source: string, destination: string, overwrite: boolean) =>
+      uploadStoredFile(destination, await readStoredFile(source), overwrite);
+
+    const storedFile = await readStoredFile(from);
+    // chunked files are copied with their chunks
+    const manifest = parseSignedManifest(storedFile.content.toString())?.chunkedFile;
+    let writeResponse: { publicURL: string; etag?: string };
+    if (manifest) {
+      writeResponse = await this.copyChunkedFile(to, manifest, opt, hubConfig, copyStoredFile);
+    } else {
+      writeResponse = await uploadStoredFile(to, storedFile, opt.overwrite);
+      if (opt.wasSigned) {
+        await copyStoredFile(
+          `${from}${SIGNATURE_FILE_SUFFIX}`,
+          `${to}${SIGNATURE_FILE_SUFFIX}`,
+          true
+        );
+      }
+    }
+    if (writeResponse.etag) {
+      this.setSessionEtag(to, writeResponse.etag);
+    }
+    return writeResponse.publicURL;
+  }
+
+  /* Copy the chunks of a chunked file next to the copy, and upload a manifest of them,
+   *  signed with the app private key. The chunks of a replaced chunked file are deleted.
+   * @private
+   * @ignore
+   */
+  async copyChunkedFile(
+    to: string,
+    manifest: ChunkedFileManifest,
+    opt: CopyFileOptions,
+    hubConfig: GaiaHubConfig,
+    copyStoredFile: (source: string, destination: string, overwrite: boolean) => Promise<any>
+  ): Promise<{ publicURL: string; etag?: string }> {
+    const replacedManifest = opt.overwrite
+      ? await this.getStoredManifest(to, hubConfig)
+      : undefined;
+
+    const uploadId = randomBytes(8).toString('hex');
+    const chunks: ChunkedFileManifest['chunks'] = [];
+    for (let i = 0; i < manifest.chunks.length; i++) {
+      const chunkPath = getChunkPath(to, uploadId, i);
+      // the stored chunks are copied as they are, so their hashes don't change
+      await copyStoredFile(manifest.chunks[i].path, chunkPath, true);
+      chunks.push({ path: chunkPath, hash: manifest.chunks[i].hash });
+    }
+    const appPrivateKey = this.userSession.loadUserData().appPrivateKey;
+    const manifestContent = JSON.stringify(signManifest({ ...manifest, chunks }, appPrivateKey));
+    const writeResponse = await uploadToGaiaHub(
+      to,
+      manifestContent,
+      hubConfig,
+      'application/json',
+      true,
+      undefined,
+      opt.overwrite,
+      this.fetchFn
+    );
+    if (opt.wasSigned) {
+      await uploadToGaiaHub(
+        `${to}${SIGNATURE_FILE_SUFFIX}`,
+        JSON.stringify(signECDSA(appPrivateKey, manifestContent)),
+        hubConfig,
+        'application/json',
+        undefined,
+        undefined,
+        true,
+        this.fetchFn
+      );
+    }
+    if (replacedManifest) {
+      await this.deleteChunks(getOwnChunkPaths(to, replacedManifest), hubConfig);
+    }
+    return writeResponse;
+  }
+
+  /**
+   * Moves a file in this application's Gaia storage bucket, by copying it and deleting
+   * the original.
+   *
+   * @param {String} from - the path of the file to move
+   * @param {String} to - the new path of the file
+   * @param {CopyFileOptions} options - a [[CopyFileOptions]] object
+   *
+   * @returns {Promise<string>} that resolves to the public URL of the moved file
+   */
+  async moveFile(from: string, to: string, options?: CopyFileOptions): Promise<string> {
+    const publicURL = await this.copyFile(from, to, options);
+    await this.deleteFile(from, { wasSigned: options?.wasSigned });
+    return publicURL;
+  }
+
   /**
    * List the set of files in this application's Gaia storage bucket.
    *
@@ -820,7 +2082,8 @@ export class Storage {
     const gaiaConfig = await connectToGaiaHub(
       userData.hubUrl,
       userData.appPrivateKey,
-      userData.gaiaAssociationToken
+      userData.gaiaAssociationToken,
+      this.fetchFn
     );
 
     userData.gaiaHubConfig = gaiaConfig;
@@ -875,6 +2138,8 @@ function normalizeOptions<T>(
   return opts;
 }
 
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
 /**
  * Determines if a gaia error response is possible to recover from
  * by refreshing the gaiaHubConfig, and retrying the request.
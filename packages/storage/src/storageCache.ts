@@ -0,0 +1,348 @@
+import { Buffer, FetchFn, getGlobalObject } from '@stacks/common';
+import { hashSha256Sync } from '@stacks/encryption';
+import { FileContentLoader } from './fileContentLoader';
+
+/**
+ * A key-value store for the offline cache of [[Storage]]. Keys and values are strings.
+ * [[MemoryCacheBackend]], [[IndexedDBCacheBackend]] and [[FileSystemCacheBackend]] are
+ * provided, other stores can be plugged in by implementing this interface.
+ */
+export interface StorageCacheBackend {
+  getItem(key: string): Promise<string | undefined>;
+  setItem(key: string, value: string): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+/**
+ * A write that could not be replayed by [[Storage.sync]], because the file was changed
+ * on the hub since it was queued.
+ */
+export interface StorageWriteConflict {
+  path: string;
+  /** the content that was queued, as it would have been stored, i.e. encrypted if requested */
+  content: string | Buffer;
+  contentType: string;
+  /** the error of the hub, usually a `PreconditionFailedError` */
+  error: Error;
+}
+
+/**
+ * The result of [[Storage.sync]]
+ */
+export interface StorageSyncResult {
+  /** the paths of the queued writes that were written */
+  written: string[];
+  /** the queued writes that were dropped because of a conflict */
+  conflicts: StorageWriteConflict[];
+  /** the number of writes left in the queue, because the hub can't be reached */
+  pending: number;
+}
+
+/**
+ * Options for the offline cache of [[Storage]]
+ */
+export interface StorageCacheOptions {
+  /** where files and queued writes are cached */
+  backend: StorageCacheBackend;
+  /**
+   * Called for each queued write that conflicts with a change on the hub when it is replayed.
+   * The write is dropped from the queue.
+   */
+  onConflict?: (conflict: StorageWriteConflict) => void | Promise<void>;
+}
+
+/**
+ * Caches entries in memory, for the lifetime of the process or page.
+ */
+export class MemoryCacheBackend implements StorageCacheBackend {
+  items = new Map<string, string>();
+
+  getItem(key: string): Promise<string | undefined> {
+    return Promise.resolve(this.items.get(key));
+  }
+
+  setItem(key: string, value: string): Promise<void> {
+    this.items.set(key, value);
+    return Promise.resolve();
+  }
+
+  removeItem(key: string): Promise<void> {
+    this.items.delete(key);
+    return Promise.resolve();
+  }
+}
+
+const INDEXED_DB_STORE_NAME = 'entries';
+
+/**
+ * Caches entries in an IndexedDB database of the browser.
+ */
+export class IndexedDBCacheBackend implements StorageCacheBackend {
+  databaseName: string;
+
+  private database?: Promise<IDBDatabase>;
+
+  constructor(databaseName = 'stacks-storage-cache') {
+    this.databaseName = databaseName;
+  }
+
+  private openDatabase(): Promise<IDBDatabase> {
+    if (!this.database) {
+      const indexedDB = getGlobalObject('indexedDB', {
+        throwIfUnavailable: true,
+        usageDesc: 'IndexedDBCacheBackend',
+      })!;
+      this.database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(INDEXED_DB_STORE_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.database;
+  }
+
+  private async request<T>(
+    mode: IDBTransactionMode,
+    fn: (store: IDBObjectStore) => IDBRequest<T>
+  ): Promise<T> {
+    const database = await this.openDatabase();
+    const store = database
+      .transaction(INDEXED_DB_STORE_NAME, mode)
+      .objectStore(INDEXED_DB_STORE_NAME);
+    return new Promise((resolve, reject) => {
+      const request = fn(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  getItem(key: string): Promise<string | undefined> {
+    return this.request('readonly', store => store.get(key));
+  }
+
+  async setItem(key: string, value: string): Promise<void> {
+    await this.request('readwrite', store => store.put(value, key));
+  }
+
+  async removeItem(key: string): Promise<void> {
+    await this.request('readwrite', store => store.delete(key));
+  }
+}
+
+/**
+ * The functions of the `fs.promises` module of Node.js used by [[FileSystemCacheBackend]]
+ */
+export interface CacheFileSystem {
+  readFile(path: string, encoding: 'utf8'): Promise<string>;
+  writeFile(path: string, data: string, encoding: 'utf8'): Promise<void>;
+  mkdir(path: string, options: { recursive: true }): Promise<unknown>;
+  unlink(path: string): Promise<void>;
+}
+
+/**
+ * The functions of the `path` module of Node.js used by [[FileSystemCacheBackend]]
+ */
+export interface CachePathModule {
+  join(...paths: string[]): string;
+}
+
+/**
+ * Caches entries as files in a directory, for Node.js. The `fs` and `path` modules are passed
+ * in, so that bundles for browsers don't include them.
+ *
+ * @example
+ * ```
+ * import { promises as fs } from 'fs';
+ * import * as path from 'path';
+ *
+ * const backend = new FileSystemCacheBackend('./cache', fs, path);
+ * ```
+ */
+export class FileSystemCacheBackend implements StorageCacheBackend {
+  directory: string;
+  private fs: CacheFileSystem;
+  private path: CachePathModule;
+
+  /**
+   * @param {string} directory - the directory the entries are stored in
+   * @param {CacheFileSystem} fs - the `fs.promises` module
+   * @param {CachePathModule} path - the `path` module
+   */
+  constructor(directory: string, fs: CacheFileSystem, path: CachePathModule) {
+    this.directory = directory;
+    this.fs = fs;
+    this.path = path;
+  }
+
+  private getFilePath(key: string): string {
+    return this.path.join(this.directory, hashSha256Sync(Buffer.from(key)).toString('hex'));
+  }
+
+  async getItem(key: string): Promise<string | undefined> {
+    try {
+      return await this.fs.readFile(this.getFilePath(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  async setItem(key: string, value: string): Promise<void> {
+    await this.fs.mkdir(this.directory, { recursive: true });
+    await this.fs.writeFile(this.getFilePath(key), value, 'utf8');
+  }
+
+  async removeItem(key: string): Promise<void> {
+    try {
+      await this.fs.unlink(this.getFilePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Thrown by the fetch function of a [[Storage]] with a cache when a request doesn't reach
+ * the hub at all, as opposed to errors responses of the hub.
+ * @ignore
+ */
+export class HubUnreachableError extends Error {
+  error: Error;
+
+  constructor(error: Error) {
+    super(`Gaia hub is unreachable: ${error?.message}`);
+    this.name = 'HubUnreachableError';
+    this.error = error;
+  }
+}
+
+/**
+ * Error codes of Node.js for requests that could not be sent at all. Timeouts and reset
+ * connections are not included, as the request may have reached the hub.
+ * @ignore
+ */
+const OFFLINE_ERROR_CODES = [
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'ECONNREFUSED',
+  'ENETDOWN',
+  'ENETUNREACH',
+  'EHOSTUNREACH',
+];
+
+/**
+ * Check if a fetch error means that the device is offline, or the host can't be reached.
+ * Browsers don't tell network failures apart from CORS or TLS errors, so there it relies
+ * on `navigator.onLine`.
+ * @ignore
+ */
+export function isOfflineError(error: any): boolean {
+  const code = error?.code ?? error?.cause?.code;
+  if (OFFLINE_ERROR_CODES.includes(code)) {
+    return true;
+  }
+  const navigator = getGlobalObject('navigator', { returnEmptyObject: true });
+  return navigator?.onLine === false;
+}
+
+/**
+ * Wrap a fetch function so that requests to the hub that fail because it can't be reached
+ * reject with a [[HubUnreachableError]]. Other errors, e.g. aborted requests, and requests
+ * to other hosts are rejected as they are.
+ *
+ * @param {FetchFn} fetchFn - the fetch function to wrap
+ * @param {function} isHubUrl - checks if a URL is one of the hub
+ * @ignore
+ */
+export function createOfflineAwareFetchFn(
+  fetchFn: FetchFn,
+  isHubUrl: (url: string) => boolean
+): FetchFn {
+  return async (url, init) => {
+    try {
+      return await fetchFn(url, init);
+    } catch (error) {
+      if (isHubUrl(url) && isOfflineError(error)) {
+        throw new HubUnreachableError(error);
+      }
+      throw error;
+    }
+  };
+}
+
+/**
+ * The stored contents of a file, as kept in the cache
+ * @ignore
+ */
+export interface CachedContents {
+  /** the content, base64-encoded if binary */
+  content: string;
+  binary: boolean;
+  contentType: string;
+}
+
+/**
+ * A cached file, with the etag to revalidate it
+ * @ignore
+ */
+export interface CachedFile extends CachedContents {
+  etag?: string;
+}
+
+/**
+ * A write queued while the hub was unreachable, with the etag options it was made with
+ * @ignore
+ */
+export interface QueuedWrite extends CachedContents {
+  path: string;
+  newFile?: boolean;
+  etag?: string;
+  dangerouslyIgnoreEtag?: boolean;
+  /** whether an earlier queued write to the same path precedes it, so its etag is unknown */
+  followsQueuedWrite: boolean;
+}
+
+/** @ignore */
+export async function encodeCachedContents(
+  content: string | Buffer | ArrayBufferView | ArrayBuffer | Blob,
+  contentType: string
+): Promise<CachedContents> {
+  if (typeof content === 'string') {
+    return { content, binary: false, contentType };
+  }
+  const data = await new FileContentLoader(content, contentType).load();
+  if (typeof data === 'string') {
+    return { content: data, binary: false, contentType };
+  }
+  return { content: data.toString('base64'), binary: true, contentType };
+}
+
+/**
+ * Whether the content of a file with this content type is read as text by [[Storage.getFile]]
+ * @ignore
+ */
+export function isTextContentType(contentType: string | null): boolean {
+  return (
+    !contentType || contentType.startsWith('text') || contentType.startsWith('application/json')
+  );
+}
+
+/** @ignore */
+export function decodeCachedContents(
+  cached: CachedContents,
+  forceText: boolean
+): string | ArrayBuffer {
+  if (!cached.binary) {
+    return cached.content;
+  }
+  const data = Buffer.from(cached.content, 'base64');
+  if (forceText || isTextContentType(cached.contentType.toLowerCase())) {
+    return data.toString();
+  }
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
@@ -9,17 +9,27 @@ import {
   GaiaHubConfig,
 } from '../src';
 
-import { Storage } from '../src';
+import { FileSystemCacheBackend, MemoryCacheBackend, Storage } from '../src';
+import { HubUnreachableError } from '../src/storageCache';
 
 import { UserSession, AppConfig, UserData } from '@stacks/auth';
-import { DoesNotExist, getAesCbcOutputLength, getBase64OutputLength } from '@stacks/common';
+import {
+  DoesNotExist,
+  getAesCbcOutputLength,
+  getBase64OutputLength,
+  PreconditionFailedError,
+} from '@stacks/common';
 import { StacksMainnet } from '@stacks/network';
 import * as util from 'util';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as nodePath from 'path';
 import * as jsdom from 'jsdom';
 import {
   eciesGetJsonStringLength as eciesGetJsonStringLength,
   aes256CbcEncrypt,
   getPublicKeyFromPrivate,
+  publicKeyToAddress,
 } from '@stacks/encryption';
 
 import fetchMock from 'jest-fetch-mock';
@@ -47,6 +57,7 @@ test('deleteFile', async () => {
   const deleteFromGaiaHub = jest.fn();
   jest.mock('../src/hub', () => ({
     deleteFromGaiaHub,
+    getFullReadUrl: jest.requireActual('../src/hub').getFullReadUrl,
   }));
 
   // eslint-disable-next-line @typescript-eslint/no-var-requires
@@ -86,6 +97,7 @@ test('deleteFile gets a new gaia config and tries again', async () => {
   jest.mock('../src/hub', () => ({
     connectToGaiaHub,
     deleteFromGaiaHub: jest.requireActual('../src/hub').deleteFromGaiaHub,
+    getFullReadUrl: jest.requireActual('../src/hub').getFullReadUrl,
   }));
 
   // eslint-disable-next-line @typescript-eslint/no-var-requires
@@ -93,6 +105,8 @@ test('deleteFile gets a new gaia config and tries again', async () => {
   const storage = new Storage({ userSession });
 
   fetchMock
+    // the file is read to delete the chunks of chunked files
+    .mockResponseOnce('not a manifest')
     .mockResponseOnce('fail', {
       status: 401,
     })
@@ -106,11 +120,11 @@ test('deleteFile gets a new gaia config and tries again', async () => {
 
   expect(success).toHaveBeenCalled();
   expect(connectToGaiaHub).toHaveBeenCalledTimes(1);
-  expect(fetchMock.mock.calls[0][1]!.method).toEqual('DELETE');
-  expect(fetchMock.mock.calls[0][1]!.headers).toEqual({ Authorization: 'bearer ' });
   expect(fetchMock.mock.calls[1][1]!.method).toEqual('DELETE');
-  expect(fetchMock.mock.calls[1][1]!.headers).toEqual({ Authorization: 'bearer valid' });
-  expect(fetchMock.mock.calls[1][0]).toEqual(fullDeleteUrl);
+  expect(fetchMock.mock.calls[1][1]!.headers).toEqual({ Authorization: 'bearer ' });
+  expect(fetchMock.mock.calls[2][1]!.method).toEqual('DELETE');
+  expect(fetchMock.mock.calls[2][1]!.headers).toEqual({ Authorization: 'bearer valid' });
+  expect(fetchMock.mock.calls[2][0]).toEqual(fullDeleteUrl);
 });
 
 test('deleteFile wasSigned deletes signature file', async () => {
@@ -137,11 +151,12 @@ test('deleteFile wasSigned deletes signature file', async () => {
   const storage = new Storage({ userSession });
   await storage.deleteFile(path, { wasSigned: true });
 
-  expect(fetchMock.mock.calls.length).toEqual(2);
-  expect(fetchMock.mock.calls[0][1]!.method).toEqual('DELETE');
-  expect(fetchMock.mock.calls[0][0]).toEqual(fullDeleteUrl);
+  expect(fetchMock.mock.calls.length).toEqual(3);
+  expect(fetchMock.mock.calls[0][0]).toEqual('https://gaia.testblockstack.org/hub/1NZNxhoxobqwsNvTb16pdeiqvFvce3Yabc/file.json');
   expect(fetchMock.mock.calls[1][1]!.method).toEqual('DELETE');
-  expect(fetchMock.mock.calls[1][0]).toEqual(fullDeleteSigUrl);
+  expect(fetchMock.mock.calls[1][0]).toEqual(fullDeleteUrl);
+  expect(fetchMock.mock.calls[2][1]!.method).toEqual('DELETE');
+  expect(fetchMock.mock.calls[2][0]).toEqual(fullDeleteSigUrl);
 });
 
 test('deleteFile throw on 404', async () => {
@@ -159,9 +174,13 @@ test('deleteFile throw on 404', async () => {
     gaiaHubConfig: hubConfig,
   };
 
-  fetchMock.once('', {
-    status: 404,
-  });
+  fetchMock
+    .once('', {
+      status: 404,
+    })
+    .once('', {
+      status: 404,
+    });
 
   const error = jest.fn();
   const storage = new Storage({ userSession });
@@ -172,8 +191,8 @@ test('deleteFile throw on 404', async () => {
     .catch(error);
 
   expect(error).toHaveBeenCalledTimes(1);
-  expect(fetchMock.mock.calls[0][1]!.method).toEqual('DELETE');
-  expect(fetchMock.mock.calls[0][0]).toEqual(fullDeleteUrl);
+  expect(fetchMock.mock.calls[1][1]!.method).toEqual('DELETE');
+  expect(fetchMock.mock.calls[1][0]).toEqual(fullDeleteUrl);
 });
 
 test('deleteFile removes etag from map', async () => {
@@ -205,6 +224,7 @@ test('deleteFile removes etag from map', async () => {
   jest.mock('../src/hub', () => ({
     uploadToGaiaHub,
     deleteFromGaiaHub,
+    getFullReadUrl: jest.requireActual('../src/hub').getFullReadUrl,
   }));
 
   // eslint-disable-next-line @typescript-eslint/no-var-requires
@@ -975,6 +995,56 @@ test('putFile & getFile encrypted, not signed', async () => {
     });
 });
 
+test('putFile & getFile encrypted with aes-256-gcm, compact cipher object', async () => {
+  const privateKey = 'a5c61c6ca7b3e7e55edee68566aeab22e4da26baa285c7bd10e8d2218aa3b229';
+  const gaiaHubConfig: GaiaHubConfig = {
+    address: '1NZNxhoxobqwsNvTb16pdeiqvFvce3Yg8U',
+    server: 'https://hub.blockstack.org',
+    token: '',
+    url_prefix: 'https://gaia.testblockstack.org/hub/',
+    max_file_upload_size_megabytes: 20,
+  };
+  const appConfig = new AppConfig(['store_write'], 'http://localhost:3000');
+  const userSession = new UserSession({
+    appConfig,
+    sessionOptions: {
+      userData: { gaiaHubConfig, appPrivateKey: privateKey } as UserData,
+    },
+  });
+  const storage = new Storage({ userSession });
+
+  let stored: { content: string; contentType: string } | undefined;
+  fetchMock.mockResponse(async request => {
+    if (request.method === 'POST') {
+      stored = {
+        content: await request.text(),
+        contentType: request.headers.get('Content-Type')!,
+      };
+      return JSON.stringify({ publicURL: request.url, etag: '"1"' });
+    }
+    return { body: stored!.content, headers: { 'Content-Type': stored!.contentType } };
+  });
+
+  const fileContent = JSON.stringify({ test: 'test' });
+  await storage.putFile('file.json', fileContent, {
+    cipherAlgorithm: 'aes-256-gcm',
+    compactCipherObject: true,
+  });
+
+  expect(stored!.contentType).toEqual('text/plain');
+  expect(stored!.content.length).toEqual(
+    eciesGetJsonStringLength({
+      contentLength: fileContent.length,
+      wasString: true,
+      sign: false,
+      cipherTextEncoding: 'hex',
+      cipherAlgorithm: 'aes-256-gcm',
+      compact: true,
+    })
+  );
+  expect(await storage.getFile('file.json')).toEqual(fileContent);
+});
+
 test('putFile encrypt/no-sign using specifying public key & getFile decrypt', async () => {
   const privateKey = 'a5c61c6ca7b3e7e55edee68566aeab22e4da26baa285c7bd10e8d2218aa3b229';
   const publicKey = getPublicKeyFromPrivate(privateKey);
@@ -2162,3 +2232,890 @@ test('listFiles gets a new gaia config and tries again', async () => {
       expect(count).toEqual(1);
     });
 });
+
+describe('chunked files', () => {
+  const privateKey = 'a5c61c6ca7b3e7e55edee68566aeab22e4da26baa285c7bd10e8d2218aa3b229';
+  const gaiaHubConfig: GaiaHubConfig = {
+    address: publicKeyToAddress(getPublicKeyFromPrivate(privateKey)),
+    server: 'https://hub.blockstack.org',
+    token: '',
+    url_prefix: 'https://gaia.testblockstack.org/hub/',
+    // 524 bytes
+    max_file_upload_size_megabytes: 0.0005,
+  };
+  const storePrefix = `${gaiaHubConfig.server}/store/${gaiaHubConfig.address}/`;
+  const deletePrefix = `${gaiaHubConfig.server}/delete/${gaiaHubConfig.address}/`;
+  const readPrefix = `${gaiaHubConfig.url_prefix}${gaiaHubConfig.address}/`;
+  // 1200 bytes of ASCII text
+  const fileContent = 'abcdefghijklmnopqrstuvwxyz0123456789!?'.repeat(32).slice(0, 1200);
+
+  let hubFiles: { [path: string]: string };
+  let storage: Storage;
+
+  const uploadedPaths = () =>
+    fetchMock.mock.calls
+      .map(call => call[0] as string)
+      .filter(url => url.startsWith(storePrefix))
+      .map(url => url.slice(storePrefix.length));
+
+  beforeEach(() => {
+    hubFiles = {};
+    fetchMock.mockResponse(async request => {
+      if (request.url.startsWith(storePrefix)) {
+        const path = request.url.slice(storePrefix.length);
+        hubFiles[path] = await request.text();
+        return JSON.stringify({ publicURL: `${readPrefix}${path}`, etag: `etag-${path}` });
+      } else if (request.url.startsWith(readPrefix)) {
+        const content = hubFiles[request.url.slice(readPrefix.length)];
+        return content === undefined ? { status: 404, body: 'Not found' } : content;
+      } else if (request.url.startsWith(deletePrefix)) {
+        const path = request.url.slice(deletePrefix.length);
+        if (hubFiles[path] === undefined) {
+          return { status: 404, body: 'Not found' };
+        }
+        delete hubFiles[path];
+        return { status: 202, body: '' };
+      }
+      throw new Error(`Unexpected request to ${request.url}`);
+    });
+
+    const appConfig = new AppConfig(['store_write'], 'http://localhost:3000');
+    const userSession = new UserSession({
+      appConfig,
+      sessionOptions: {
+        userData: {
+          gaiaHubConfig,
+          appPrivateKey: privateKey,
+        } as UserData,
+      },
+    });
+    storage = new Storage({ userSession });
+  });
+
+  test('putFile uploads encrypted chunks and getFile reassembles them', async () => {
+    const publicURL = await storage.putFile('video.mp4', Buffer.from(fileContent), {
+      chunked: true,
+    });
+
+    expect(publicURL).toEqual(`${readPrefix}video.mp4`);
+    const paths = uploadedPaths();
+    expect(paths.length).toBeGreaterThan(3);
+    expect(paths[paths.length - 1]).toEqual('video.mp4');
+    paths.slice(0, -1).forEach(path => {
+      expect(path).toMatch(/^video\.mp4\.chunks\/[0-9a-f]{16}\/\d+$/);
+      expect(hubFiles[path].length).toBeLessThanOrEqual(524);
+      expect(hubFiles[path]).not.toContain('abcdefgh');
+    });
+    const manifest = JSON.parse(hubFiles['video.mp4']).chunkedFile;
+    expect(manifest).toMatchObject({ size: 1200, encrypted: true, wasString: false });
+
+    const content = await storage.getFile('video.mp4');
+    expect(Buffer.isBuffer(content)).toEqual(true);
+    expect(content!.toString()).toEqual(fileContent);
+
+    const chunks: Buffer[] = [];
+    for await (const chunk of storage.getFileStream('video.mp4')) {
+      chunks.push(chunk);
+    }
+    expect(chunks.length).toEqual(manifest.chunks.length);
+    expect(Buffer.concat(chunks).toString()).toEqual(fileContent);
+  });
+
+  test('putFile chunks unencrypted strings with a given chunk size', async () => {
+    await storage.putFile('notes.txt', fileContent, {
+      chunked: true,
+      encrypt: false,
+      chunkSize: 400,
+    });
+
+    expect(uploadedPaths().length).toEqual(4);
+    const content = await storage.getFile('notes.txt', { decrypt: false });
+    expect(content).toEqual(fileContent);
+
+    await expect(
+      storage.putFile('notes.txt', fileContent, { chunked: true, encrypt: false, chunkSize: 600 })
+    ).rejects.toThrow('fits chunks of at most 524 bytes');
+  });
+
+  test('putFile resumes an interrupted chunked upload', async () => {
+    fetchMock.mockResponseOnce(async request => {
+      hubFiles[request.url.slice(storePrefix.length)] = await request.text();
+      return JSON.stringify({ publicURL: '' });
+    });
+    fetchMock.mockResponseOnce('Bad request', { status: 400 });
+
+    const options = { chunked: true, encrypt: false, chunkSize: 400 };
+    await expect(storage.putFile('backup.zip', fileContent, options)).rejects.toThrow();
+    const [firstChunk, failedChunk] = uploadedPaths();
+
+    await storage.putFile('backup.zip', fileContent, options);
+
+    const resumed = uploadedPaths().slice(2);
+    expect(resumed).toEqual([
+      failedChunk,
+      failedChunk.replace(/1$/, '2'),
+      'backup.zip',
+    ]);
+    expect(resumed).not.toContain(firstChunk);
+    expect(await storage.getFile('backup.zip', { decrypt: false })).toEqual(fileContent);
+    expect(storage.userSession.store.getSessionData().chunkedUploads).toEqual({});
+  });
+
+  test('putFile deletes the chunks of the replaced chunked file', async () => {
+    const options = { chunked: true, encrypt: false, chunkSize: 400 };
+    await storage.putFile('notes.txt', fileContent, options);
+    const replacedChunks = Object.keys(hubFiles).filter(path => path !== 'notes.txt');
+    expect(replacedChunks.length).toEqual(3);
+
+    const newContent = fileContent.toUpperCase();
+    await storage.putFile('notes.txt', newContent, options);
+
+    const chunks = Object.keys(hubFiles).filter(path => path !== 'notes.txt');
+    expect(chunks.length).toEqual(3);
+    chunks.forEach(path => expect(replacedChunks).not.toContain(path));
+    expect(await storage.getFile('notes.txt', { decrypt: false })).toEqual(newContent);
+  });
+
+  test('putFile deletes the chunks of an interrupted upload of other content', async () => {
+    fetchMock.mockResponseOnce(async request => {
+      hubFiles[request.url.slice(storePrefix.length)] = await request.text();
+      return JSON.stringify({ publicURL: '' });
+    });
+    fetchMock.mockResponseOnce('Bad request', { status: 400 });
+
+    const options = { chunked: true, encrypt: false, chunkSize: 400 };
+    await expect(storage.putFile('backup.zip', fileContent, options)).rejects.toThrow();
+    const [staleChunk] = uploadedPaths();
+
+    await storage.putFile('backup.zip', fileContent.slice(0, 1000), options);
+
+    expect(hubFiles[staleChunk]).toBeUndefined();
+    expect(Object.keys(hubFiles).length).toEqual(4);
+  });
+
+  test('moveFile and deleteFile move and delete the chunks of chunked files', async () => {
+    await storage.putFile('video.mp4', Buffer.from(fileContent), { chunked: true });
+
+    await storage.moveFile('video.mp4', 'videos/1.mp4');
+
+    const paths = Object.keys(hubFiles);
+    expect(paths).toContain('videos/1.mp4');
+    paths
+      .filter(path => path !== 'videos/1.mp4')
+      .forEach(path => expect(path).toMatch(/^videos\/1\.mp4\.chunks\/[0-9a-f]{16}\/\d+$/));
+    expect((await storage.getFile('videos/1.mp4'))!.toString()).toEqual(fileContent);
+
+    await storage.deleteFile('videos/1.mp4');
+    expect(hubFiles).toEqual({});
+  });
+
+  test('putFile signs the manifest with the app private key and the signature file with the sign key', async () => {
+    const signingKey = '896adae13a1bf88db0b2ec94339b62382ec6f34cd7e2ff8abae7ec271e05f9d8';
+    await storage.putFile('notes.txt', fileContent, {
+      chunked: true,
+      encrypt: false,
+      sign: signingKey,
+      chunkSize: 400,
+    });
+
+    expect(await storage.getFile('notes.txt', { decrypt: false })).toEqual(fileContent);
+    expect(JSON.parse(hubFiles['notes.txt']).publicKey).toEqual(
+      getPublicKeyFromPrivate(privateKey)
+    );
+    expect(JSON.parse(hubFiles['notes.txt.sig']).publicKey).toEqual(
+      getPublicKeyFromPrivate(signingKey)
+    );
+  });
+
+  test('getFile only reassembles files that are marked as chunked file manifests', async () => {
+    const content = JSON.stringify({ chunkedFile: { chunks: [] }, signature: 'not a manifest' });
+    await storage.putFile('data.json', content, { encrypt: false });
+
+    expect(await storage.getFile('data.json', { decrypt: false })).toEqual(content);
+  });
+
+  test('getFile rejects tampered chunks', async () => {
+    await storage.putFile('photo.jpg', Buffer.from(fileContent), { chunked: true, encrypt: false });
+    const chunkPath = uploadedPaths()[1];
+    hubFiles[chunkPath] = hubFiles[chunkPath].replace('a', 'b');
+
+    await expect(storage.getFile('photo.jpg', { decrypt: false })).rejects.toThrow(
+      `Chunk 1 of photo.jpg does not match the hash in its manifest: ${chunkPath}`
+    );
+  });
+});
+
+describe('offline cache', () => {
+  const privateKey = 'a5c61c6ca7b3e7e55edee68566aeab22e4da26baa285c7bd10e8d2218aa3b229';
+  const gaiaHubConfig: GaiaHubConfig = {
+    address: publicKeyToAddress(getPublicKeyFromPrivate(privateKey)),
+    server: 'https://hub.blockstack.org',
+    token: '',
+    url_prefix: 'https://gaia.testblockstack.org/hub/',
+    max_file_upload_size_megabytes: 20,
+  };
+  const storePrefix = `${gaiaHubConfig.server}/store/${gaiaHubConfig.address}/`;
+  const readPrefix = `${gaiaHubConfig.url_prefix}${gaiaHubConfig.address}/`;
+
+  let hubFiles: { [path: string]: { content: string; etag: string } };
+  let online: boolean;
+  let etagCount: number;
+  let storage: Storage;
+  let onConflict: jest.Mock;
+
+  const requestHeaders = (index: number) =>
+    new Headers(fetchMock.mock.calls[index][1]?.headers as HeadersInit);
+
+  beforeEach(() => {
+    hubFiles = {};
+    online = true;
+    etagCount = 0;
+    fetchMock.mockResponse(async request => {
+      if (!online) {
+        // the error of Node.js fetch for an unknown host
+        throw Object.assign(new TypeError('fetch failed'), {
+          cause: Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' }),
+        });
+      }
+      if (request.url.startsWith(storePrefix)) {
+        const path = request.url.slice(storePrefix.length);
+        const ifMatch = request.headers.get('If-Match');
+        const ifNoneMatch = request.headers.get('If-None-Match');
+        if (
+          (ifNoneMatch === '*' && hubFiles[path]) ||
+          (ifMatch && hubFiles[path]?.etag !== ifMatch)
+        ) {
+          return { status: 412, body: 'Precondition failed' };
+        }
+        etagCount += 1;
+        hubFiles[path] = { content: await request.text(), etag: `"${etagCount}"` };
+        return JSON.stringify({ publicURL: `${readPrefix}${path}`, etag: hubFiles[path].etag });
+      } else if (request.url.startsWith(readPrefix)) {
+        const file = hubFiles[request.url.slice(readPrefix.length)];
+        if (!file) {
+          return { status: 404, body: 'Not found' };
+        } else if (request.headers.get('If-None-Match') === file.etag) {
+          return { status: 304, body: '' };
+        }
+        return { body: file.content, headers: { 'Content-Type': 'text/plain', ETag: file.etag } };
+      }
+      throw new Error(`Unexpected request to ${request.url}`);
+    });
+
+    const appConfig = new AppConfig(['store_write'], 'http://localhost:3000');
+    const userSession = new UserSession({
+      appConfig,
+      sessionOptions: {
+        userData: {
+          gaiaHubConfig,
+          appPrivateKey: privateKey,
+        } as UserData,
+      },
+    });
+    onConflict = jest.fn();
+    storage = new Storage({
+      userSession,
+      cache: { backend: new MemoryCacheBackend(), onConflict },
+    });
+  });
+
+  test('getFile revalidates cached files with their etag, and serves them offline', async () => {
+    hubFiles['notes.txt'] = { content: 'hello', etag: '"1"' };
+
+    expect(await storage.getFile('notes.txt', { decrypt: false })).toEqual('hello');
+    expect(await storage.getFile('notes.txt', { decrypt: false })).toEqual('hello');
+    expect(requestHeaders(1).get('If-None-Match')).toEqual('"1"');
+    expect((await fetchMock.mock.results[1].value).status).toEqual(304);
+
+    online = false;
+    expect(await storage.getFile('notes.txt', { decrypt: false })).toEqual('hello');
+    await expect(storage.getFile('other.txt', { decrypt: false })).rejects.toThrow(
+      'Gaia hub is unreachable: fetch failed'
+    );
+  });
+
+  test('only network failures of requests to the hub make it unreachable', async () => {
+    hubFiles['notes.txt'] = { content: 'hello', etag: '"1"' };
+    await storage.getFile('notes.txt', { decrypt: false });
+
+    const abortError = Object.assign(new Error('The operation was aborted'), {
+      name: 'AbortError',
+    });
+    fetchMock.mockRejectOnce(abortError);
+    await expect(storage.getFile('notes.txt', { decrypt: false })).rejects.toBe(abortError);
+    fetchMock.mockRejectOnce(new TypeError('Failed to fetch'));
+    await expect(storage.getFile('notes.txt', { decrypt: false })).rejects.toThrow(
+      'Failed to fetch'
+    );
+    await expect(storage.putFile('a.txt', 'a', { encrypt: false })).resolves.toBeDefined();
+
+    online = false;
+    await expect(storage.fetchFn('https://example.com/data.json')).rejects.toThrow(
+      'fetch failed'
+    );
+    await expect(storage.fetchFn(`${readPrefix}notes.txt`)).rejects.toThrow(HubUnreachableError);
+  });
+
+  test('putFile does not queue chunked uploads while the hub is unreachable', async () => {
+    const content = 'abcdefghij'.repeat(10);
+    const options = { chunked: true, encrypt: false, chunkSize: 40 };
+
+    online = false;
+    await expect(storage.putFile('backup.zip', content, options)).rejects.toThrow(
+      HubUnreachableError
+    );
+    expect(await storage.sync()).toEqual({ written: [], conflicts: [], pending: 0 });
+
+    online = true;
+    await storage.putFile('backup.zip', content, options);
+    expect(Object.keys(hubFiles).length).toEqual(4);
+    expect(await storage.getFile('backup.zip', { decrypt: false })).toEqual(content);
+  });
+
+  test('putFile queues signed writes offline with their signature file', async () => {
+    online = false;
+    await storage.putFile('post.txt', 'signed', { encrypt: false, sign: true });
+
+    online = true;
+    expect(await storage.sync()).toEqual({
+      written: ['post.txt', 'post.txt.sig'],
+      conflicts: [],
+      pending: 0,
+    });
+    expect(await storage.getFile('post.txt', { decrypt: false, verify: true })).toEqual('signed');
+  });
+
+  test('putFile queues writes offline, and sync replays them in order', async () => {
+    online = false;
+    await storage.putFile('notes.txt', 'one', { encrypt: false, contentType: 'text/plain' });
+    const publicURL = await storage.putFile('notes.txt', 'two', {
+      encrypt: false,
+      contentType: 'text/plain',
+    });
+    await storage.putFile('secret.json', 'hidden');
+
+    expect(publicURL).toEqual(`${readPrefix}notes.txt`);
+    expect(await storage.getFile('notes.txt', { decrypt: false })).toEqual('two');
+    expect(await storage.getFile('secret.json')).toEqual('hidden');
+    expect(hubFiles).toEqual({});
+
+    online = true;
+    fetchMock.mockClear();
+    expect(await storage.sync()).toEqual({
+      written: ['notes.txt', 'notes.txt', 'secret.json'],
+      conflicts: [],
+      pending: 0,
+    });
+
+    expect(requestHeaders(0).get('If-None-Match')).toEqual('*');
+    expect(requestHeaders(1).get('If-Match')).toEqual('"1"');
+    expect(hubFiles['notes.txt']).toEqual({ content: 'two', etag: '"2"' });
+    expect(hubFiles['secret.json'].content).not.toContain('hidden');
+    expect(await storage.getFile('secret.json')).toEqual('hidden');
+    expect(onConflict).not.toHaveBeenCalled();
+  });
+
+  test('sync reports conflicting writes to the callback', async () => {
+    hubFiles['notes.txt'] = { content: 'original', etag: '"1"' };
+    await storage.getFile('notes.txt', { decrypt: false });
+
+    online = false;
+    await storage.putFile('notes.txt', 'mine', { encrypt: false, contentType: 'text/plain' });
+    hubFiles['notes.txt'] = { content: 'theirs', etag: '"2"' };
+
+    online = true;
+    const result = await storage.sync();
+
+    expect(result.written).toEqual([]);
+    expect(result.pending).toEqual(0);
+    expect(onConflict).toHaveBeenCalledTimes(1);
+    const conflict = onConflict.mock.calls[0][0];
+    expect(conflict.path).toEqual('notes.txt');
+    expect(conflict.content.toString()).toEqual('mine');
+    expect(conflict.error).toBeInstanceOf(PreconditionFailedError);
+    expect(result.conflicts).toEqual([conflict]);
+    expect(hubFiles['notes.txt'].content).toEqual('theirs');
+    expect(await storage.getFile('notes.txt', { decrypt: false })).toEqual('theirs');
+  });
+
+  test('putFile replays queued writes before writing', async () => {
+    online = false;
+    await storage.putFile('a.txt', 'a', { encrypt: false });
+
+    online = true;
+    await storage.putFile('b.txt', 'b', { encrypt: false });
+
+    expect(Object.keys(hubFiles)).toEqual(['a.txt', 'b.txt']);
+    expect(await storage.sync()).toEqual({ written: [], conflicts: [], pending: 0 });
+  });
+
+  test('FileSystemCacheBackend', async () => {
+    const directory = fs.mkdtempSync(nodePath.join(os.tmpdir(), 'storage-cache-'));
+    try {
+      const backend = new FileSystemCacheBackend(
+        nodePath.join(directory, 'cache'),
+        fs.promises,
+        nodePath
+      );
+      expect(await backend.getItem('file:https://example.com/a')).toBeUndefined();
+      await backend.setItem('file:https://example.com/a', 'value');
+      expect(await backend.getItem('file:https://example.com/a')).toEqual('value');
+      await backend.removeItem('file:https://example.com/a');
+      await backend.removeItem('file:https://example.com/a');
+      expect(await backend.getItem('file:https://example.com/a')).toBeUndefined();
+    } finally {
+      fs.rmSync(directory, { recursive: true });
+    }
+  });
+});
+
+describe('updateFile', () => {
+  const privateKey = 'a5c61c6ca7b3e7e55edee68566aeab22e4da26baa285c7bd10e8d2218aa3b229';
+  const gaiaHubConfig: GaiaHubConfig = {
+    address: publicKeyToAddress(getPublicKeyFromPrivate(privateKey)),
+    server: 'https://hub.blockstack.org',
+    token: '',
+    url_prefix: 'https://gaia.testblockstack.org/hub/',
+    max_file_upload_size_megabytes: 20,
+  };
+  const storePrefix = `${gaiaHubConfig.server}/store/${gaiaHubConfig.address}/`;
+  const readPrefix = `${gaiaHubConfig.url_prefix}${gaiaHubConfig.address}/`;
+
+  let hubFiles: { [path: string]: { content: string; etag: string } };
+  let etagCount: number;
+  // simulates other writers, called before each store request
+  let beforeStore: (path: string) => void;
+  let userSession: UserSession;
+  let storage: Storage;
+
+  const writeFile = (path: string, content: string) => {
+    etagCount += 1;
+    hubFiles[path] = { content, etag: `"${etagCount}"` };
+  };
+
+  beforeEach(() => {
+    hubFiles = {};
+    etagCount = 0;
+    beforeStore = () => {};
+    fetchMock.mockResponse(async request => {
+      if (request.url.startsWith(storePrefix)) {
+        const path = request.url.slice(storePrefix.length);
+        beforeStore(path);
+        const ifMatch = request.headers.get('If-Match');
+        const ifNoneMatch = request.headers.get('If-None-Match');
+        if (
+          (ifNoneMatch === '*' && hubFiles[path]) ||
+          (ifMatch && hubFiles[path]?.etag !== ifMatch)
+        ) {
+          return { status: 412, body: 'Precondition failed' };
+        }
+        writeFile(path, await request.text());
+        return JSON.stringify({ publicURL: `${readPrefix}${path}`, etag: hubFiles[path].etag });
+      } else if (request.url.startsWith(readPrefix)) {
+        const file = hubFiles[request.url.slice(readPrefix.length)];
+        if (!file) {
+          return { status: 404, body: 'Not found' };
+        }
+        return { body: file.content, headers: { 'Content-Type': 'text/plain', ETag: file.etag } };
+      }
+      throw new Error(`Unexpected request to ${request.url}`);
+    });
+
+    const appConfig = new AppConfig(['store_write'], 'http://localhost:3000');
+    userSession = new UserSession({
+      appConfig,
+      sessionOptions: {
+        userData: {
+          gaiaHubConfig,
+          appPrivateKey: privateKey,
+        } as UserData,
+      },
+    });
+    storage = new Storage({ userSession });
+  });
+
+  test('reapplies the updater to the latest content after a conflict', async () => {
+    writeFile('todos.json', '["a"]');
+    beforeStore = () => {
+      writeFile('todos.json', '["a","c"]');
+      beforeStore = () => {};
+    };
+    const updater = jest.fn((current: any) => JSON.stringify([...JSON.parse(current), 'b']));
+
+    const publicURL = await storage.updateFile('todos.json', updater, {
+      encrypt: false,
+      retryDelay: 0,
+    });
+
+    expect(publicURL).toEqual(`${readPrefix}todos.json`);
+    expect(updater.mock.calls).toEqual([['["a"]'], ['["a","c"]']]);
+    expect(hubFiles['todos.json'].content).toEqual('["a","c","b"]');
+  });
+
+  test('merges encrypted JSON content', async () => {
+    writeFile('settings.json', await userSession.encryptContent('{"theme":"dark","size":1}'));
+    const theirContent = await userSession.encryptContent('{"theme":"light","size":1,"lang":"en"}');
+    beforeStore = () => {
+      writeFile('settings.json', theirContent);
+      beforeStore = () => {};
+    };
+
+    await storage.updateFile(
+      'settings.json',
+      current => JSON.stringify({ ...JSON.parse(current as string), size: 2 }),
+      { mergeStrategy: 'json-deep-merge', retryDelay: 0 }
+    );
+
+    expect(hubFiles['settings.json'].content).not.toContain('theme');
+    expect(JSON.parse((await storage.getFile('settings.json')) as string)).toEqual({
+      theme: 'light',
+      size: 2,
+      lang: 'en',
+    });
+  });
+
+  test('creates missing files, and resolves conflicts with a merge function', async () => {
+    beforeStore = () => {
+      writeFile('log.txt', 'theirs');
+      beforeStore = () => {};
+    };
+    const merge = jest.fn((ours: any, theirs: any) => `${theirs}\n${ours}`);
+
+    await storage.updateFile('log.txt', current => current ?? 'mine', {
+      encrypt: false,
+      mergeStrategy: merge,
+      retryDelay: 0,
+    });
+
+    expect(merge).toHaveBeenCalledWith('mine', 'theirs', null);
+    expect(hubFiles['log.txt'].content).toEqual('theirs\nmine');
+  });
+
+  test('last writer wins, and gives up after the maximum number of attempts', async () => {
+    writeFile('note.txt', 'first');
+    beforeStore = () => writeFile('note.txt', 'theirs');
+
+    await expect(
+      storage.updateFile('note.txt', () => 'ours', {
+        encrypt: false,
+        mergeStrategy: 'last-writer-wins',
+        maxAttempts: 3,
+        retryDelay: 0,
+      })
+    ).rejects.toThrow(PreconditionFailedError);
+    const storeCalls = fetchMock.mock.calls.filter(call => (call[0] as string).startsWith(storePrefix));
+    expect(storeCalls.length).toEqual(3);
+
+    beforeStore = () => {};
+    await storage.updateFile('note.txt', () => 'ours', {
+      encrypt: false,
+      mergeStrategy: 'last-writer-wins',
+    });
+    expect(hubFiles['note.txt'].content).toEqual('ours');
+  });
+});
+
+describe('multi-recipient files', () => {
+  const privateKey = 'a5c61c6ca7b3e7e55edee68566aeab22e4da26baa285c7bd10e8d2218aa3b229';
+  const bobPrivateKey = '6f8b6a170f8b2ee57df5ead49b0f4c8acde05f9e1c4c6ef8223d6a42fabfa314';
+  const carolPrivateKey = '4dea04fe440d760664d96f1fd219e7a73324fc8faa28c7babd1a7813d05970aa';
+  const publicKey = getPublicKeyFromPrivate(privateKey);
+  const bobPublicKey = getPublicKeyFromPrivate(bobPrivateKey);
+  const carolPublicKey = getPublicKeyFromPrivate(carolPrivateKey);
+  const gaiaHubConfig: GaiaHubConfig = {
+    address: publicKeyToAddress(publicKey),
+    server: 'https://hub.blockstack.org',
+    token: '',
+    url_prefix: 'https://gaia.testblockstack.org/hub/',
+    max_file_upload_size_megabytes: 20,
+  };
+  const storePrefix = `${gaiaHubConfig.server}/store/${gaiaHubConfig.address}/`;
+  const readPrefix = `${gaiaHubConfig.url_prefix}${gaiaHubConfig.address}/`;
+
+  let hubFiles: { [path: string]: { content: string; etag: string } };
+  let storage: Storage;
+
+  beforeEach(() => {
+    hubFiles = {};
+    let etagCount = 0;
+    fetchMock.mockResponse(async request => {
+      if (request.url.startsWith(storePrefix)) {
+        const path = request.url.slice(storePrefix.length);
+        const ifMatch = request.headers.get('If-Match');
+        if (ifMatch && hubFiles[path]?.etag !== ifMatch) {
+          return { status: 412, body: 'Precondition failed' };
+        }
+        etagCount += 1;
+        hubFiles[path] = { content: await request.text(), etag: `"${etagCount}"` };
+        return JSON.stringify({ publicURL: `${readPrefix}${path}`, etag: hubFiles[path].etag });
+      } else if (request.url.startsWith(readPrefix)) {
+        const file = hubFiles[request.url.slice(readPrefix.length)];
+        if (!file) {
+          return { status: 404, body: 'Not found' };
+        }
+        return { body: file.content, headers: { 'Content-Type': 'application/json', ETag: file.etag } };
+      }
+      throw new Error(`Unexpected request to ${request.url}`);
+    });
+
+    const appConfig = new AppConfig(['store_write'], 'http://localhost:3000');
+    const userSession = new UserSession({
+      appConfig,
+      sessionOptions: {
+        userData: {
+          gaiaHubConfig,
+          appPrivateKey: privateKey,
+        } as UserData,
+      },
+    });
+    storage = new Storage({ userSession });
+  });
+
+  test('putFile encrypts once for all recipients', async () => {
+    await storage.putFile('shared.txt', 'hello friends', { encrypt: [publicKey, bobPublicKey] });
+
+    const stored = JSON.parse(hubFiles['shared.txt'].content);
+    expect(stored.recipients.length).toEqual(2);
+    expect(hubFiles['shared.txt'].content).not.toContain('hello');
+    expect(await storage.getFile('shared.txt')).toEqual('hello friends');
+    expect(await storage.getFile('shared.txt', { decrypt: bobPrivateKey })).toEqual('hello friends');
+    await expect(storage.getFile('shared.txt', { decrypt: carolPrivateKey })).rejects.toThrow(
+      'is not a recipient'
+    );
+    await expect(
+      storage.putFile('shared.bin', Buffer.alloc(10), { encrypt: [publicKey], chunked: true })
+    ).rejects.toThrow('Chunked files cannot be encrypted for multiple recipients');
+  });
+
+  test('add and remove recipients of a signed file', async () => {
+    await storage.putFile('shared.txt', 'hello friends', {
+      encrypt: [publicKey, bobPublicKey],
+      sign: true,
+    });
+    const storedCipherText = () => JSON.parse(hubFiles['shared.txt'].content).cipherText;
+    const { cipherText } = JSON.parse(storedCipherText());
+
+    await storage.addFileRecipients('shared.txt', [carolPublicKey], { privateKey: bobPrivateKey });
+
+    expect(JSON.parse(storedCipherText()).cipherText).toEqual(cipherText);
+    expect(
+      await storage.userSession.decryptContent(storedCipherText(), { privateKey: carolPrivateKey })
+    ).toEqual('hello friends');
+    expect(await storage.getFile('shared.txt', { verify: true })).toEqual('hello friends');
+
+    await storage.removeFileRecipients('shared.txt', [bobPublicKey]);
+
+    await expect(
+      storage.userSession.decryptContent(storedCipherText(), { privateKey: bobPrivateKey })
+    ).rejects.toThrow('is not a recipient');
+    expect(
+      await storage.userSession.decryptContent(storedCipherText(), { privateKey: carolPrivateKey })
+    ).toEqual('hello friends');
+    expect(await storage.getFile('shared.txt', { verify: true })).toEqual('hello friends');
+  });
+
+  test('changing recipients requires a multi-recipient file', async () => {
+    await storage.putFile('private.txt', 'hello');
+
+    await expect(storage.addFileRecipients('private.txt', [bobPublicKey])).rejects.toThrow(
+      'The file private.txt is not encrypted for multiple recipients'
+    );
+  });
+});
+
+describe('file management', () => {
+  const privateKey = 'a5c61c6ca7b3e7e55edee68566aeab22e4da26baa285c7bd10e8d2218aa3b229';
+  const gaiaHubConfig: GaiaHubConfig = {
+    address: publicKeyToAddress(getPublicKeyFromPrivate(privateKey)),
+    server: 'https://hub.blockstack.org',
+    token: '',
+    url_prefix: 'https://gaia.testblockstack.org/hub/',
+    max_file_upload_size_megabytes: 20,
+  };
+  const storePrefix = `${gaiaHubConfig.server}/store/${gaiaHubConfig.address}/`;
+  const deletePrefix = `${gaiaHubConfig.server}/delete/${gaiaHubConfig.address}/`;
+  const readPrefix = `${gaiaHubConfig.url_prefix}${gaiaHubConfig.address}/`;
+  const listUrl = `${gaiaHubConfig.server}/list-files/${gaiaHubConfig.address}`;
+
+  let hubFiles: { [path: string]: { content: string; contentType: string; etag: string } };
+  let listRequests: any[];
+  let storage: Storage;
+
+  beforeEach(() => {
+    hubFiles = {};
+    listRequests = [];
+    let etagCount = 0;
+    fetchMock.mockResponse(async request => {
+      if (request.url.startsWith(storePrefix)) {
+        const path = request.url.slice(storePrefix.length);
+        if (request.headers.get('If-None-Match') === '*' && hubFiles[path]) {
+          return { status: 412, body: 'Precondition failed' };
+        }
+        etagCount += 1;
+        hubFiles[path] = {
+          content: await request.text(),
+          contentType: request.headers.get('Content-Type')!,
+          etag: `"${etagCount}"`,
+        };
+        return JSON.stringify({ publicURL: `${readPrefix}${path}`, etag: hubFiles[path].etag });
+      } else if (request.url.startsWith(deletePrefix)) {
+        const path = request.url.slice(deletePrefix.length);
+        if (!hubFiles[path]) {
+          return { status: 404, body: 'Not found' };
+        }
+        delete hubFiles[path];
+        return { status: 202, body: '' };
+      } else if (request.url.startsWith(readPrefix)) {
+        const file = hubFiles[request.url.slice(readPrefix.length)];
+        if (!file) {
+          return { status: 404, body: 'Not found' };
+        }
+        return { body: file.content, headers: { 'Content-Type': file.contentType, ETag: file.etag } };
+      } else if (request.url === listUrl) {
+        // pages of two files
+        const listRequest = JSON.parse(await request.text());
+        listRequests.push(listRequest);
+        const start = listRequest.page ? parseInt(listRequest.page) : 0;
+        const entries = Object.keys(hubFiles)
+          .sort()
+          .slice(start, start + 2)
+          .map(name => ({
+            name,
+            contentLength: hubFiles[name].content.length,
+            lastModifiedDate: 1600000000000,
+            etag: hubFiles[name].etag,
+          }));
+        const page = start + 2 < Object.keys(hubFiles).length ? `${start + 2}` : null;
+        return JSON.stringify({ entries, page });
+      }
+      throw new Error(`Unexpected request to ${request.url}`);
+    });
+
+    const appConfig = new AppConfig(['store_write'], 'http://localhost:3000');
+    const userSession = new UserSession({
+      appConfig,
+      sessionOptions: {
+        userData: {
+          gaiaHubConfig,
+          appPrivateKey: privateKey,
+        } as UserData,
+      },
+    });
+    storage = new Storage({ userSession });
+  });
+
+  const addFiles = (...paths: string[]) => {
+    paths.forEach((path, index) => {
+      hubFiles[path] = { content: `content of ${path}`, contentType: 'text/plain', etag: `"f${index}"` };
+    });
+  };
+
+  test('listFilesDetailed lists file metadata a page at a time', async () => {
+    addFiles('a.txt', 'photos/1.jpg', 'photos/2.jpg', 'z.txt');
+
+    const first = await storage.listFilesDetailed({ fetchContentTypes: true });
+    expect(listRequests[0]).toEqual({ page: null, stat: true });
+    expect(first.files).toEqual([
+      {
+        path: 'a.txt',
+        size: 16,
+        etag: '"f0"',
+        lastModified: new Date(1600000000000),
+        contentType: 'text/plain',
+      },
+      {
+        path: 'photos/1.jpg',
+        size: 23,
+        etag: '"f1"',
+        lastModified: new Date(1600000000000),
+        contentType: 'text/plain',
+      },
+    ]);
+    expect(first.page).toEqual('2');
+
+    const second = await storage.listFilesDetailed({ prefix: 'photos/', page: first.page });
+    expect(second.files.map(file => file.path)).toEqual(['photos/2.jpg']);
+    expect(second.files[0].contentType).toBeUndefined();
+    expect(second.page).toBeNull();
+  });
+
+  test('listFilesDetailed leaves the content type undefined if it cannot be fetched', async () => {
+    addFiles('a.txt', 'b.txt');
+    const respond = fetchMock.getMockImplementation()!;
+    fetchMock.mockImplementation((input, init) =>
+      init?.method === 'HEAD' && String(input).endsWith('/b.txt')
+        ? Promise.resolve(
+            new Response('Internal error', { status: 500, headers: { 'Content-Type': 'text/html' } })
+          )
+        : respond(input, init)
+    );
+
+    const { files } = await storage.listFilesDetailed({ fetchContentTypes: true });
+    expect(files.map(file => file.contentType)).toEqual(['text/plain', undefined]);
+  });
+
+  test('listFilesDetailed only retries recoverable errors', async () => {
+    addFiles('a.txt');
+    const connectToGaiaHub = jest.spyOn(storage, 'setLocalGaiaHubConnection');
+    connectToGaiaHub.mockResolvedValue(gaiaHubConfig);
+
+    fetchMock.mockResponseOnce('Bad request', { status: 400 });
+    await expect(storage.listFilesDetailed()).rejects.toThrow('ListFiles failed.');
+    expect(connectToGaiaHub).not.toHaveBeenCalled();
+
+    fetchMock.mockResponseOnce('Unauthorized', { status: 401 });
+    expect((await storage.listFilesDetailed()).files.map(file => file.path)).toEqual(['a.txt']);
+    expect(connectToGaiaHub).toHaveBeenCalledTimes(1);
+  });
+
+  test('listFilesDetailed rejects hubs without file metadata', async () => {
+    fetchMock.mockResponse(JSON.stringify({ entries: ['a.txt'], page: null }));
+    await expect(storage.listFilesDetailed()).rejects.toThrow(
+      'Bad listFiles response: the Gaia hub does not list file metadata'
+    );
+  });
+
+  test('deleteDirectory deletes the files under a prefix', async () => {
+    addFiles('a.txt', 'photos/1.jpg', 'photos/1.jpg.sig', 'photos/2.jpg', 'photos2.txt');
+
+    const deleted = await storage.deleteDirectory('photos');
+
+    expect(deleted).toEqual(['photos/1.jpg', 'photos/1.jpg.sig', 'photos/2.jpg']);
+    expect(Object.keys(hubFiles).sort()).toEqual(['a.txt', 'photos2.txt']);
+    await expect(storage.deleteDirectory('/')).rejects.toThrow(
+      'Cannot delete the root directory of the storage bucket'
+    );
+  });
+
+  test('copyFile copies the stored content and signature', async () => {
+    await storage.putFile('data.json', '{"a":1}', { encrypt: true });
+    hubFiles['data.json.sig'] = { content: 'signature', contentType: 'application/json', etag: '"s"' };
+    addFiles('taken.json');
+
+    const publicURL = await storage.copyFile('data.json', 'backup/data.json', { wasSigned: true });
+
+    expect(publicURL).toEqual(`${readPrefix}backup/data.json`);
+    expect(hubFiles['backup/data.json'].content).toEqual(hubFiles['data.json'].content);
+    expect(hubFiles['backup/data.json'].contentType).toEqual('application/json');
+    expect(hubFiles['backup/data.json.sig'].content).toEqual('signature');
+    expect(await storage.getFile('backup/data.json')).toEqual('{"a":1}');
+
+    await expect(storage.copyFile('data.json', 'taken.json')).rejects.toThrow(
+      PreconditionFailedError
+    );
+    await storage.copyFile('data.json', 'taken.json', { overwrite: true });
+    expect(hubFiles['taken.json'].content).toEqual(hubFiles['data.json'].content);
+  });
+
+  test('moveFile copies the file and deletes the original', async () => {
+    addFiles('draft.txt', 'draft.txt.sig');
+
+    await storage.moveFile('draft.txt', 'posts/1.txt', { wasSigned: true });
+
+    expect(Object.keys(hubFiles).sort()).toEqual(['posts/1.txt', 'posts/1.txt.sig']);
+    expect(hubFiles['posts/1.txt'].content).toEqual('content of draft.txt');
+    await expect(storage.moveFile('missing.txt', 'other.txt')).rejects.toThrow(
+      DoesNotExist
+    );
+  });
+});
@@ -436,6 +436,45 @@ export function nextSignature(
   };
 }
 
+/**
+ * Like [[nextSignature]], for keys that are held elsewhere and sign asynchronously,
+ * e.g. by a hardware wallet or a remote signing service.
+ *
+ * @param publicKey - the public key of the signing key
+ * @param sign - signs the pre-sign sighash, resolving to a recoverable signature
+ */
+export async function nextSignatureAsync(
+  curSigHash: string,
+  authType: AuthType,
+  fee: IntegerType,
+  nonce: IntegerType,
+  publicKey: StacksPublicKey,
+  sign: (sigHashPreSign: string) => Promise<MessageSignature>
+): Promise<{
+  nextSig: MessageSignature;
+  nextSigHash: string;
+}> {
+  const sigHashPreSign = makeSigHashPreSign(curSigHash, authType, fee, nonce);
+
+  const signature = await sign(sigHashPreSign);
+  const pubKeyEncoding = isCompressed(publicKey)
+    ? PubKeyEncoding.Compressed
+    : PubKeyEncoding.Uncompressed;
+  let signerPublicKey: string | undefined;
+  try {
+    signerPublicKey = publicKeyFromSignature(sigHashPreSign, signature, pubKeyEncoding);
+  } catch (error) {}
+  if (signerPublicKey !== publicKey.data.toString('hex')) {
+    throw new SigningError('Signature does not match the public key of the signer');
+  }
+  const nextSigHash = makeSigHashPostSign(sigHashPreSign, publicKey, signature);
+
+  return {
+    nextSig: signature,
+    nextSigHash,
+  };
+}
+
 export function nextVerification(
   initialSigHash: string,
   authType: AuthType,
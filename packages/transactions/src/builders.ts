@@ -1,4 +1,11 @@
-import { Buffer, IntegerType, intToBigInt } from '@stacks/common';
+import {
+  Buffer,
+  IntegerType,
+  intToBigInt,
+  FetchFn,
+  createFetchFn,
+  fetchPrivate,
+} from '@stacks/common';
 import { StacksTransaction } from './transaction';
 
 import { StacksNetwork, StacksMainnet, StacksTestnet } from '@stacks/network';
@@ -17,15 +24,13 @@ import {
 } from './authorization';
 
 import {
-  publicKeyToString,
-  createStacksPrivateKey,
-  getPublicKey,
+  createStacksPublicKey,
   publicKeyToAddress,
-  pubKeyfromPrivKey,
+  publicKeyToString,
   publicKeyFromBuffer,
 } from './keys';
 
-import { TransactionSigner } from './signer';
+import { Signer, TransactionSigner, toSigner } from './signer';
 
 import {
   PostCondition,
@@ -50,15 +55,26 @@ import {
   SingleSigHashMode,
 } from './constants';
 
-import { AssetInfo, createLPList, createStandardPrincipal, createContractPrincipal } from './types';
-
-import { cvToHex, parseReadOnlyResponse, omit, validateTxId } from './utils';
+import {
+  AssetInfo,
+  createLPList,
+  createStandardPrincipal,
+  createContractPrincipal,
+  addressHashModeToVersion,
+} from './types';
 
-import { fetchPrivate } from '@stacks/common';
+import { cvToHex, hexToCV, parseReadOnlyResponse, omit, validateTxId } from './utils';
 
 import { ClarityValue, PrincipalCV } from './clarity';
-import { validateContractCall, ClarityAbi } from './contract-abi';
+import {
+  validateContractCall,
+  validateDataVar,
+  validateMapEntry,
+  ClarityAbi,
+} from './contract-abi';
 import { c32address } from 'c32check';
+import { NonceManager } from './nonce-manager';
+import { ContractCallSimulator, generatePostConditions } from './post-condition-generator';
 
 /**
  * Lookup the nonce for an address from a core node
@@ -69,11 +85,9 @@ import { c32address } from 'c32check';
  * @return a promise that resolves to an integer
  */
 export async function getNonce(address: string, network?: StacksNetwork): Promise<bigint> {
-  const defaultNetwork = new StacksMainnet();
-  const url = network
-    ? network.getAccountApiUrl(address)
-    : defaultNetwork.getAccountApiUrl(address);
-  const response = await fetchPrivate(url);
+  const derivedNetwork = network ?? new StacksMainnet();
+  const url = derivedNetwork.getAccountApiUrl(address);
+  const response = await (derivedNetwork.fetchFn ?? fetchPrivate)(url);
   if (!response.ok) {
     let msg = '';
     try {
@@ -88,6 +102,26 @@ export async function getNonce(address: string, network?: StacksNetwork): Promis
   return BigInt(result.nonce);
 }
 
+/**
+ * Allocates a nonce with the nonce manager, or looks it up on the network if there is none
+ */
+async function allocateNonce(
+  address: string,
+  network: StacksNetwork,
+  nonceManager?: NonceManager
+): Promise<bigint> {
+  if (!nonceManager) {
+    return getNonce(address, network);
+  }
+  if (
+    nonceManager.network.version !== network.version ||
+    nonceManager.network.chainId !== network.chainId
+  ) {
+    throw new Error('The nonce manager must use the network of the transaction');
+  }
+  return nonceManager.getNextNonce(address);
+}
+
 /**
  * Estimate the total transaction fee in microstacks for a token transfer
  *
@@ -117,11 +151,9 @@ export async function estimateTransfer(
     headers: requestHeaders,
   };
 
-  const defaultNetwork = new StacksMainnet();
-  const url = network
-    ? network.getTransferFeeEstimateApiUrl()
-    : defaultNetwork.getTransferFeeEstimateApiUrl();
-  const response = await fetchPrivate(url, fetchOptions);
+  const derivedNetwork = network ?? new StacksMainnet();
+  const url = derivedNetwork.getTransferFeeEstimateApiUrl();
+  const response = await (derivedNetwork.fetchFn ?? fetchPrivate)(url, fetchOptions);
   if (!response.ok) {
     let msg = '';
     try {
@@ -176,6 +208,13 @@ export type BadNonceRejection = {
   txid: string;
 };
 
+export type ConflictingNonceInMempoolRejection = {
+  error: string;
+  reason: TxRejectedReason.ConflictingNonceInMempool;
+  reason_data?: undefined;
+  txid: string;
+};
+
 export type FeeTooLowRejection = {
   error: string;
   reason: TxRejectedReason.FeeTooLow;
@@ -300,6 +339,7 @@ export type TxBroadcastResultRejected =
   | DeserializationRejection
   | SignatureValidationRejection
   | BadNonceRejection
+  | ConflictingNonceInMempoolRejection
   | FeeTooLowRejection
   | NotEnoughFundsRejection
   | NoSuchContractRejection
@@ -333,7 +373,7 @@ export async function broadcastTransaction(
   const rawTx = transaction.serialize();
   const url = network.getBroadcastApiUrl();
 
-  return broadcastRawTransaction(rawTx, url, attachment);
+  return broadcastRawTransaction(rawTx, url, attachment, network.fetchFn);
 }
 
 /**
@@ -341,13 +381,15 @@ export async function broadcastTransaction(
  *
  * @param {Buffer} rawTx - the raw serialized transaction buffer to broadcast
  * @param {string} url - the broadcast endpoint URL
+ * @param {FetchFn} fetchFn - the fetch function used to send the request
  *
  * @returns {Promise} that resolves to a response if the operation succeeds
  */
 export async function broadcastRawTransaction(
   rawTx: Buffer,
   url: string,
-  attachment?: Buffer
+  attachment?: Buffer,
+  fetchFn: FetchFn = createFetchFn()
 ): Promise<TxBroadcastResult> {
   const options = {
     method: 'POST',
@@ -360,7 +402,7 @@ export async function broadcastRawTransaction(
       : rawTx,
   };
 
-  const response = await fetchPrivate(url, options);
+  const response = await fetchFn(url, options);
   if (!response.ok) {
     try {
       return (await response.json()) as TxBroadcastResult;
@@ -402,7 +444,7 @@ export async function getAbi(
 
   const url = network.getAbiApiUrl(address, contractName);
 
-  const response = await fetchPrivate(url, options);
+  const response = await (network.fetchFn ?? fetchPrivate)(url, options);
   if (!response.ok) {
     let msg = '';
     try {
@@ -434,6 +476,8 @@ export interface TokenTransferOptions {
   fee?: IntegerType;
   /** the transaction nonce, which must be increased monotonically with each new transaction */
   nonce?: IntegerType;
+  /** allocates the nonce if none is given, instead of looking it up on the network */
+  nonceManager?: NonceManager;
   /** the network that the transaction will ultimately be broadcast to */
   network?: StacksNetwork;
   /** the transaction anchorMode, which specifies whether it should be
@@ -455,7 +499,8 @@ export interface UnsignedTokenTransferOptions extends TokenTransferOptions {
 }
 
 export interface SignedTokenTransferOptions extends TokenTransferOptions {
-  senderKey: string;
+  /** the hex-encoded private key of the sender, or a [[Signer]] */
+  senderKey: string | Signer;
 }
 
 export interface UnsignedMultiSigTokenTransferOptions extends TokenTransferOptions {
@@ -466,7 +511,8 @@ export interface UnsignedMultiSigTokenTransferOptions extends TokenTransferOptio
 export interface SignedMultiSigTokenTransferOptions extends TokenTransferOptions {
   numSignatures: number;
   publicKeys: string[];
-  signerKeys: string[];
+  /** the hex-encoded private keys, or [[Signer]]s, that sign the transaction */
+  signerKeys: (string | Signer)[];
 }
 
 /**
@@ -546,12 +592,13 @@ export async function makeUnsignedSTXTokenTransfer(
   }
 
   if (txOptions.nonce === undefined || txOptions.nonce === null) {
-    const addressVersion =
-      options.network.version === TransactionVersion.Mainnet
-        ? AddressVersion.MainnetSingleSig
-        : AddressVersion.TestnetSingleSig;
-    const senderAddress = c32address(addressVersion, transaction.auth.spendingCondition!.signer);
-    const txNonce = await getNonce(senderAddress, options.network);
+    const spendingCondition = transaction.auth.spendingCondition!;
+    const addressVersion = addressHashModeToVersion(
+      spendingCondition.hashMode,
+      options.network.version
+    );
+    const senderAddress = c32address(addressVersion, spendingCondition.signer);
+    const txNonce = await allocateNonce(senderAddress, options.network, options.nonceManager);
     transaction.setNonce(txNonce);
   }
 
@@ -571,25 +618,34 @@ export async function makeSTXTokenTransfer(
   txOptions: SignedTokenTransferOptions | SignedMultiSigTokenTransferOptions
 ): Promise<StacksTransaction> {
   if ('senderKey' in txOptions) {
-    const publicKey = publicKeyToString(getPublicKey(createStacksPrivateKey(txOptions.senderKey)));
+    const senderSigner = toSigner(txOptions.senderKey);
+    const publicKey = await senderSigner.getPublicKey();
     const options = omit(txOptions, 'senderKey');
-    const transaction = await makeUnsignedSTXTokenTransfer({ publicKey, ...options });
+    // The nonce manager keeps shared state, so it is passed on as is rather than cloned
+    const transaction = await makeUnsignedSTXTokenTransfer({
+      publicKey,
+      ...options,
+      nonceManager: txOptions.nonceManager,
+    });
 
-    const privKey = createStacksPrivateKey(txOptions.senderKey);
     const signer = new TransactionSigner(transaction);
-    signer.signOrigin(privKey);
+    await signer.signOriginWithSigner(senderSigner);
 
     return transaction;
   } else {
     const options = omit(txOptions, 'signerKeys');
-    const transaction = await makeUnsignedSTXTokenTransfer(options);
+    const transaction = await makeUnsignedSTXTokenTransfer({
+      ...options,
+      nonceManager: txOptions.nonceManager,
+    });
 
     const signer = new TransactionSigner(transaction);
     let pubKeys = txOptions.publicKeys;
     for (const key of txOptions.signerKeys) {
-      const pubKey = pubKeyfromPrivKey(key);
-      pubKeys = pubKeys.filter(pk => pk !== pubKey.data.toString('hex'));
-      signer.signOrigin(createStacksPrivateKey(key));
+      const keySigner = toSigner(key);
+      const pubKey = await keySigner.getPublicKey();
+      pubKeys = pubKeys.filter(pk => pk !== pubKey);
+      await signer.signOriginWithSigner(keySigner);
     }
 
     for (const key of pubKeys) {
@@ -607,12 +663,14 @@ export interface ContractDeployOptions {
   contractName: string;
   /** the Clarity code to be deployed */
   codeBody: string;
-  /** a hex string of the private key of the transaction sender */
-  senderKey: string;
+  /** a hex string of the private key of the transaction sender, or a [[Signer]] */
+  senderKey: string | Signer;
   /** transaction fee in microstacks */
   fee?: IntegerType;
   /** the transaction nonce, which must be increased monotonically with each new transaction */
   nonce?: IntegerType;
+  /** allocates the nonce if none is given, instead of looking it up on the network */
+  nonceManager?: NonceManager;
   /** the network that the transaction will ultimately be broadcast to */
   network?: StacksNetwork;
   /** the transaction anchorMode, which specifies whether it should be
@@ -658,12 +716,10 @@ export async function estimateContractDeploy(
 
   // Place holder estimate until contract deploy fee estimation is fully implemented on Stacks
   // blockchain core
-  const defaultNetwork = new StacksMainnet();
-  const url = network
-    ? network.getTransferFeeEstimateApiUrl()
-    : defaultNetwork.getTransferFeeEstimateApiUrl();
+  const derivedNetwork = network ?? new StacksMainnet();
+  const url = derivedNetwork.getTransferFeeEstimateApiUrl();
 
-  const response = await fetchPrivate(url, fetchOptions);
+  const response = await (derivedNetwork.fetchFn ?? fetchPrivate)(url, fetchOptions);
   if (!response.ok) {
     let msg = '';
     try {
@@ -704,8 +760,8 @@ export async function makeContractDeploy(
   const payload = createSmartContractPayload(options.contractName, options.codeBody);
 
   const addressHashMode = AddressHashMode.SerializeP2PKH;
-  const privKey = createStacksPrivateKey(options.senderKey);
-  const pubKey = getPublicKey(privKey);
+  const senderSigner = toSigner(options.senderKey);
+  const pubKey = createStacksPublicKey(await senderSigner.getPublicKey());
 
   let authorization = null;
 
@@ -751,13 +807,13 @@ export async function makeContractDeploy(
         ? AddressVersion.MainnetSingleSig
         : AddressVersion.TestnetSingleSig;
     const senderAddress = publicKeyToAddress(addressVersion, pubKey);
-    const txNonce = await getNonce(senderAddress, options.network);
+    const txNonce = await allocateNonce(senderAddress, options.network, options.nonceManager);
     transaction.setNonce(txNonce);
   }
 
   if (options.senderKey) {
     const signer = new TransactionSigner(transaction);
-    signer.signOrigin(privKey);
+    await signer.signOriginWithSigner(senderSigner);
   }
 
   return transaction;
@@ -777,6 +833,8 @@ export interface ContractCallOptions {
   feeEstimateApiUrl?: string;
   /** the transaction nonce, which must be increased monotonically with each new transaction */
   nonce?: IntegerType;
+  /** allocates the nonce if none is given, instead of looking it up on the network */
+  nonceManager?: NonceManager;
   /** the Stacks blockchain network that will ultimately be used to broadcast this transaction */
   network?: StacksNetwork;
   /** the transaction anchorMode, which specifies whether it should be
@@ -785,8 +843,11 @@ export interface ContractCallOptions {
   /** the post condition mode, specifying whether or not post-conditions must fully cover all
    * transfered assets */
   postConditionMode?: PostConditionMode;
-  /** a list of post conditions to add to the transaction */
-  postConditions?: PostCondition[];
+  /** a list of post conditions to add to the transaction, or 'auto' to generate them by
+   * simulating the call, see [[generatePostConditions]] */
+  postConditions?: PostCondition[] | 'auto';
+  /** the simulator used to generate post conditions, required with `postConditions: 'auto'` */
+  postConditionSimulator?: ContractCallSimulator;
   /** set to true to validate that the supplied function args match those specified in
    * the published contract */
   validateWithAbi?: boolean | ClarityAbi;
@@ -799,7 +860,8 @@ export interface UnsignedContractCallOptions extends ContractCallOptions {
 }
 
 export interface SignedContractCallOptions extends ContractCallOptions {
-  senderKey: string;
+  /** the hex-encoded private key of the sender, or a [[Signer]] */
+  senderKey: string | Signer;
 }
 
 export interface UnsignedMultiSigContractCallOptions extends ContractCallOptions {
@@ -810,7 +872,8 @@ export interface UnsignedMultiSigContractCallOptions extends ContractCallOptions
 export interface SignedMultiSigContractCallOptions extends ContractCallOptions {
   numSignatures: number;
   publicKeys: string[];
-  signerKeys: string[];
+  /** the hex-encoded private keys, or [[Signer]]s, that sign the transaction */
+  signerKeys: (string | Signer)[];
 }
 
 /**
@@ -844,12 +907,10 @@ export async function estimateContractFunctionCall(
 
   // Place holder estimate until contract call fee estimation is fully implemented on Stacks
   // blockchain core
-  const defaultNetwork = new StacksMainnet();
-  const url = network
-    ? network.getTransferFeeEstimateApiUrl()
-    : defaultNetwork.getTransferFeeEstimateApiUrl();
+  const derivedNetwork = network ?? new StacksMainnet();
+  const url = derivedNetwork.getTransferFeeEstimateApiUrl();
 
-  const response = await fetchPrivate(url, fetchOptions);
+  const response = await (derivedNetwork.fetchFn ?? fetchPrivate)(url, fetchOptions);
   if (!response.ok) {
     let msg = '';
     try {
@@ -885,6 +946,12 @@ export async function makeUnsignedContractCall(
 
   const options = Object.assign(defaultOptions, txOptions);
 
+  if (options.postConditions === 'auto' && !options.postConditionSimulator) {
+    throw new Error(
+      "The postConditionSimulator option must be provided in order to use postConditions: 'auto'"
+    );
+  }
+
   const payload = createContractCallPayload(
     options.contractAddress,
     options.contractName,
@@ -892,8 +959,8 @@ export async function makeUnsignedContractCall(
     options.functionArgs
   );
 
+  let abi: ClarityAbi | undefined;
   if (options?.validateWithAbi) {
-    let abi: ClarityAbi;
     if (typeof options.validateWithAbi === 'boolean') {
       if (options?.network) {
         abi = await getAbi(options.contractAddress, options.contractName, options.network);
@@ -935,8 +1002,23 @@ export async function makeUnsignedContractCall(
     authorization = new StandardAuthorization(spendingCondition);
   }
 
+  const addressVersion = addressHashModeToVersion(
+    spendingCondition.hashMode,
+    options.network.version
+  );
+  const senderAddress = c32address(addressVersion, spendingCondition.signer);
+
   const postConditions: PostCondition[] = [];
-  if (options.postConditions && options.postConditions.length > 0) {
+  if (options.postConditions === 'auto') {
+    const generated = await generatePostConditions({
+      payload,
+      senderAddress,
+      network: options.network,
+      abi,
+      simulator: options.postConditionSimulator!,
+    });
+    postConditions.push(...generated);
+  } else if (options.postConditions && options.postConditions.length > 0) {
     options.postConditions.forEach(postCondition => {
       postConditions.push(postCondition);
     });
@@ -959,12 +1041,7 @@ export async function makeUnsignedContractCall(
   }
 
   if (txOptions.nonce === undefined || txOptions.nonce === null) {
-    const addressVersion =
-      options.network.version === TransactionVersion.Mainnet
-        ? AddressVersion.MainnetSingleSig
-        : AddressVersion.TestnetSingleSig;
-    const senderAddress = c32address(addressVersion, transaction.auth.spendingCondition!.signer);
-    const txNonce = await getNonce(senderAddress, options.network);
+    const txNonce = await allocateNonce(senderAddress, options.network, options.nonceManager);
     transaction.setNonce(txNonce);
   }
 
@@ -984,25 +1061,34 @@ export async function makeContractCall(
   txOptions: SignedContractCallOptions | SignedMultiSigContractCallOptions
 ): Promise<StacksTransaction> {
   if ('senderKey' in txOptions) {
-    const publicKey = publicKeyToString(getPublicKey(createStacksPrivateKey(txOptions.senderKey)));
+    const senderSigner = toSigner(txOptions.senderKey);
+    const publicKey = await senderSigner.getPublicKey();
     const options = omit(txOptions, 'senderKey');
-    const transaction = await makeUnsignedContractCall({ publicKey, ...options });
+    // The nonce manager keeps shared state, so it is passed on as is rather than cloned
+    const transaction = await makeUnsignedContractCall({
+      publicKey,
+      ...options,
+      nonceManager: txOptions.nonceManager,
+    });
 
-    const privKey = createStacksPrivateKey(txOptions.senderKey);
     const signer = new TransactionSigner(transaction);
-    signer.signOrigin(privKey);
+    await signer.signOriginWithSigner(senderSigner);
 
     return transaction;
   } else {
     const options = omit(txOptions, 'signerKeys');
-    const transaction = await makeUnsignedContractCall(options);
+    const transaction = await makeUnsignedContractCall({
+      ...options,
+      nonceManager: txOptions.nonceManager,
+    });
 
     const signer = new TransactionSigner(transaction);
     let pubKeys = txOptions.publicKeys;
     for (const key of txOptions.signerKeys) {
-      const pubKey = pubKeyfromPrivKey(key);
-      pubKeys = pubKeys.filter(pk => pk !== pubKey.data.toString('hex'));
-      signer.signOrigin(createStacksPrivateKey(key));
+      const keySigner = toSigner(key);
+      const pubKey = await keySigner.getPublicKey();
+      pubKeys = pubKeys.filter(pk => pk !== pubKey);
+      await signer.signOriginWithSigner(keySigner);
     }
 
     for (const key of pubKeys) {
@@ -1211,7 +1297,7 @@ export async function callReadOnlyFunction(
     arguments: args,
   });
 
-  const response = await fetchPrivate(url, {
+  const response = await (network.fetchFn ?? fetchPrivate)(url, {
     method: 'POST',
     body,
     headers: {
@@ -1232,18 +1318,165 @@ export async function callReadOnlyFunction(
   return response.json().then(responseJson => parseReadOnlyResponse(responseJson));
 }
 
+/**
+ * Contract map entry options
+ */
+export interface ContractMapEntryOptions {
+  contractAddress: string;
+  contractName: string;
+  mapName: string;
+  /** the key of the entry */
+  key: ClarityValue;
+  /** the network that the contract which contains the map is deployed to */
+  network?: StacksNetwork;
+  /** set to true to validate the key and the value with the published contract */
+  validateWithAbi?: boolean | ClarityAbi;
+  /** set to true to also fetch the Merkle proof of the entry from the node */
+  proof?: boolean;
+}
+
+/**
+ * Contract data var options
+ */
+export interface ContractDataVarOptions {
+  contractAddress: string;
+  contractName: string;
+  varName: string;
+  /** the network that the contract which contains the data var is deployed to */
+  network?: StacksNetwork;
+  /** set to true to validate the value with the published contract */
+  validateWithAbi?: boolean | ClarityAbi;
+  /** set to true to also fetch the Merkle proof of the value from the node */
+  proof?: boolean;
+}
+
+/**
+ * Contract data read together with its proof
+ */
+export interface ContractDataWithProof {
+  value: ClarityValue;
+  /** the hex-encoded Merkle proof of the value, against the chain tip of the node */
+  proof: string;
+}
+
+async function getValidationAbi(
+  options: {
+    contractAddress: string;
+    contractName: string;
+    validateWithAbi?: boolean | ClarityAbi;
+  },
+  network: StacksNetwork
+): Promise<ClarityAbi | undefined> {
+  if (typeof options.validateWithAbi === 'boolean') {
+    return options.validateWithAbi
+      ? getAbi(options.contractAddress, options.contractName, network)
+      : undefined;
+  }
+  return options.validateWithAbi;
+}
+
+async function fetchContractData(
+  url: string,
+  network: StacksNetwork,
+  init?: RequestInit
+): Promise<{ data: string; proof?: string }> {
+  const response = await (network.fetchFn ?? fetchPrivate)(url, init);
+  if (!response.ok) {
+    let msg = '';
+    try {
+      msg = await response.text();
+    } catch (error) {}
+    throw new Error(
+      `Error reading contract data. Response ${response.status}: ${response.statusText}. Attempted to fetch ${url} and failed with the message: "${msg}"`
+    );
+  }
+  return (await response.json()) as { data: string; proof?: string };
+}
+
+/**
+ * Reads an entry of a contract data map, without a read-only function that exposes it
+ *
+ * @param  {ContractMapEntryOptions} options - the options object
+ *
+ * @return a promise that resolves to the optional value of the entry, `none` if the map has no
+ * entry for the key. With `proof: true` it resolves to the value and its proof
+ */
+export async function getContractMapEntry(
+  options: ContractMapEntryOptions & { proof: true }
+): Promise<ContractDataWithProof>;
+export async function getContractMapEntry(options: ContractMapEntryOptions): Promise<ClarityValue>;
+export async function getContractMapEntry(
+  options: ContractMapEntryOptions
+): Promise<ClarityValue | ContractDataWithProof> {
+  const { contractAddress, contractName, mapName, key } = options;
+  const network = options.network ?? new StacksMainnet();
+
+  const abi = await getValidationAbi(options, network);
+  if (abi) validateMapEntry(mapName, key, abi);
+
+  if (!network.getMapEntryUrl) {
+    throw new Error('The network does not implement getMapEntryUrl');
+  }
+  const url = network.getMapEntryUrl(contractAddress, contractName, mapName, options.proof);
+  const result = await fetchContractData(url, network, {
+    method: 'POST',
+    body: JSON.stringify(cvToHex(key)),
+    headers: {
+      'Content-Type': 'application/json',
+    },
+  });
+
+  const value = hexToCV(result.data);
+  if (abi) validateMapEntry(mapName, key, abi, value);
+  return options.proof ? { value, proof: result.proof ?? '' } : value;
+}
+
+/**
+ * Reads the value of a contract data var, without a read-only function that exposes it
+ *
+ * @param  {ContractDataVarOptions} options - the options object
+ *
+ * @return a promise that resolves to the value. With `proof: true` it resolves to the value and
+ * its proof
+ */
+export async function getContractDataVar(
+  options: ContractDataVarOptions & { proof: true }
+): Promise<ContractDataWithProof>;
+export async function getContractDataVar(options: ContractDataVarOptions): Promise<ClarityValue>;
+export async function getContractDataVar(
+  options: ContractDataVarOptions
+): Promise<ClarityValue | ContractDataWithProof> {
+  const { contractAddress, contractName, varName } = options;
+  const network = options.network ?? new StacksMainnet();
+
+  const abi = await getValidationAbi(options, network);
+  if (abi) validateDataVar(varName, abi);
+
+  if (!network.getDataVarUrl) {
+    throw new Error('The network does not implement getDataVarUrl');
+  }
+  const url = network.getDataVarUrl(contractAddress, contractName, varName, options.proof);
+  const result = await fetchContractData(url, network);
+
+  const value = hexToCV(result.data);
+  if (abi) validateDataVar(varName, abi, value);
+  return options.proof ? { value, proof: result.proof ?? '' } : value;
+}
+
 /**
  * Sponsored transaction options
  */
 export interface SponsorOptionsOpts {
   /** the origin-signed transaction */
   transaction: StacksTransaction;
-  /** the sponsor's private key */
-  sponsorPrivateKey: string;
+  /** the sponsor's private key, or a [[Signer]] */
+  sponsorPrivateKey: string | Signer;
   /** the transaction fee amount to sponsor */
   fee?: IntegerType;
   /** the nonce of the sponsor account */
   sponsorNonce?: IntegerType;
+  /** allocates the sponsor nonce if none is given, instead of looking it up on the network */
+  nonceManager?: NonceManager;
   /** the hashmode of the sponsor's address */
   sponsorAddressHashmode?: AddressHashMode;
   /** the Stacks blockchain network that this transaction will ultimately be broadcast to */
@@ -1274,7 +1507,8 @@ export async function sponsorTransaction(
     (options.transaction.version === TransactionVersion.Mainnet
       ? new StacksMainnet()
       : new StacksTestnet());
-  const sponsorPubKey = pubKeyfromPrivKey(options.sponsorPrivateKey);
+  const sponsorSigner = toSigner(options.sponsorPrivateKey);
+  const sponsorPubKey = createStacksPublicKey(await sponsorSigner.getPublicKey());
 
   if (sponsorOptions.fee === undefined || sponsorOptions.fee === null) {
     let txFee = BigInt(0);
@@ -1306,7 +1540,7 @@ export async function sponsorTransaction(
         : AddressVersion.TestnetSingleSig;
 
     const senderAddress = publicKeyToAddress(addressVersion, sponsorPubKey);
-    const sponsorNonce = await getNonce(senderAddress, network);
+    const sponsorNonce = await allocateNonce(senderAddress, network, options.nonceManager);
     options.sponsorNonce = sponsorNonce;
   }
 
@@ -1319,12 +1553,11 @@ export async function sponsorTransaction(
 
   options.transaction.setSponsor(sponsorSpendingCondition);
 
-  const privKey = createStacksPrivateKey(options.sponsorPrivateKey);
   const signer = TransactionSigner.createSponsorSigner(
     options.transaction,
     sponsorSpendingCondition
   );
-  signer.signSponsor(privKey);
+  await signer.signSponsorWithSigner(sponsorSigner);
 
   return options.transaction;
 }
@@ -0,0 +1,253 @@
+import { Buffer } from '@stacks/common';
+import {
+  bufferCV,
+  ClarityType,
+  ClarityValue,
+  falseCV,
+  getCVTypeString,
+  intCV,
+  listCV,
+  noneCV,
+  responseErrorCV,
+  responseOkCV,
+  someCV,
+  stringAsciiCV,
+  stringUtf8CV,
+  trueCV,
+  tupleCV,
+  uintCV,
+} from './clarity';
+import { principalCV } from './clarity/types/principalCV';
+import {
+  ClarityAbiType,
+  getTypeString,
+  isClarityAbiBuffer,
+  isClarityAbiList,
+  isClarityAbiOptional,
+  isClarityAbiPrimitive,
+  isClarityAbiResponse,
+  isClarityAbiStringAscii,
+  isClarityAbiStringUtf8,
+  isClarityAbiTuple,
+} from './contract-abi';
+
+/**
+ * A mismatch between a Clarity value and an ABI type, see [[isClarityValueOfType]]
+ */
+export interface ClarityTypeError {
+  /** where the mismatch is, e.g. `$.recipients[2].amount` */
+  path: string;
+  /** the expected ABI type, as a Clarity type string */
+  expected: string;
+  message: string;
+}
+
+/**
+ * The result of [[isClarityValueOfType]]
+ */
+export interface ClarityTypeCheckResult {
+  valid: boolean;
+  errors: ClarityTypeError[];
+}
+
+/** Printable ASCII, and the escapable whitespace characters */
+const CLARITY_ASCII_REGEX = /^[\x20-\x7e\t\n\r]*$/;
+
+function checkType(
+  cv: ClarityValue,
+  type: ClarityAbiType,
+  path: string,
+  errors: ClarityTypeError[]
+): void {
+  const expected = getTypeString(type);
+  const fail = (message: string) => {
+    errors.push({ path, expected, message: `${path}: ${message}` });
+  };
+  const mismatch = () => fail(`expected ${expected}, not ${getCVTypeString(cv)}`);
+
+  if (isClarityAbiPrimitive(type)) {
+    switch (type) {
+      case 'uint128':
+        if (cv.type !== ClarityType.UInt) mismatch();
+        return;
+      case 'int128':
+        if (cv.type !== ClarityType.Int) mismatch();
+        return;
+      case 'bool':
+        if (cv.type !== ClarityType.BoolTrue && cv.type !== ClarityType.BoolFalse) mismatch();
+        return;
+      case 'principal':
+        if (cv.type !== ClarityType.PrincipalStandard && cv.type !== ClarityType.PrincipalContract)
+          mismatch();
+        return;
+      case 'trait_reference':
+        if (cv.type !== ClarityType.PrincipalContract) mismatch();
+        return;
+      case 'none':
+        if (cv.type !== ClarityType.OptionalNone) mismatch();
+        return;
+    }
+  }
+
+  if (isClarityAbiBuffer(type)) {
+    if (cv.type !== ClarityType.Buffer) return mismatch();
+    if (cv.buffer.length > type.buffer.length) {
+      fail(`buffer of ${cv.buffer.length} bytes exceeds the maximum of ${type.buffer.length}`);
+    }
+  } else if (isClarityAbiStringAscii(type)) {
+    if (cv.type !== ClarityType.StringASCII) return mismatch();
+    if (!CLARITY_ASCII_REGEX.test(cv.data)) {
+      fail('string contains characters that are not printable ASCII');
+    }
+    if (cv.data.length > type['string-ascii'].length) {
+      fail(
+        `string of ${cv.data.length} characters exceeds the maximum of ${type['string-ascii'].length}`
+      );
+    }
+  } else if (isClarityAbiStringUtf8(type)) {
+    if (cv.type !== ClarityType.StringUTF8) return mismatch();
+    const length = Array.from(cv.data).length;
+    if (length > type['string-utf8'].length) {
+      fail(`string of ${length} characters exceeds the maximum of ${type['string-utf8'].length}`);
+    }
+  } else if (isClarityAbiOptional(type)) {
+    if (cv.type === ClarityType.OptionalSome) {
+      checkType(cv.value, type.optional, `${path}.some`, errors);
+    } else if (cv.type !== ClarityType.OptionalNone) {
+      mismatch();
+    }
+  } else if (isClarityAbiResponse(type)) {
+    if (cv.type === ClarityType.ResponseOk) {
+      checkType(cv.value, type.response.ok, `${path}.ok`, errors);
+    } else if (cv.type === ClarityType.ResponseErr) {
+      checkType(cv.value, type.response.error, `${path}.err`, errors);
+    } else {
+      mismatch();
+    }
+  } else if (isClarityAbiTuple(type)) {
+    if (cv.type !== ClarityType.Tuple) return mismatch();
+    const names = type.tuple.map(field => field.name);
+    type.tuple.forEach(field => {
+      if (field.name in cv.data) {
+        checkType(cv.data[field.name], field.type, `${path}.${field.name}`, errors);
+      } else {
+        fail(`missing tuple field \`${field.name}\``);
+      }
+    });
+    Object.keys(cv.data)
+      .filter(key => !names.includes(key))
+      .forEach(key => fail(`unexpected tuple field \`${key}\``));
+  } else if (isClarityAbiList(type)) {
+    if (cv.type !== ClarityType.List) return mismatch();
+    if (cv.list.length > type.list.length) {
+      fail(`list of ${cv.list.length} items exceeds the maximum of ${type.list.length}`);
+    }
+    cv.list.forEach((item, index) => checkType(item, type.list.type, `${path}[${index}]`, errors));
+  } else {
+    throw new Error(`Unexpected Clarity ABI type: ${JSON.stringify(type)}`);
+  }
+}
+
+/**
+ * Checks that a Clarity value matches an ABI type: the kind of each nested value, the maximum
+ * length of buffers, strings and lists, the charset of ASCII strings, and the fields of tuples.
+ * Unlike [[validateContractCall]], all mismatches are collected, each with the path to the
+ * mismatching value, e.g. `$.recipients[2].amount` or `$.some.ok`.
+ *
+ * @param {ClarityValue} cv - the Clarity value to check
+ * @param {ClarityAbiType} type - the ABI type it is expected to have
+ *
+ * @returns {ClarityTypeCheckResult} whether the value matches, and the mismatches
+ */
+export function isClarityValueOfType(
+  cv: ClarityValue,
+  type: ClarityAbiType
+): ClarityTypeCheckResult {
+  const errors: ClarityTypeError[] = [];
+  checkType(cv, type, '$', errors);
+  return { valid: errors.length === 0, errors };
+}
+
+function fromJSON(json: any, type: ClarityAbiType, path: string): ClarityValue {
+  if (json === null || typeof json !== 'object' || !('value' in json)) {
+    throw new Error(`${path}: expected a JSON Clarity value with a \`value\`, got ${json}`);
+  }
+  const value = json.value;
+
+  try {
+    if (isClarityAbiPrimitive(type)) {
+      switch (type) {
+        case 'uint128':
+          return uintCV(value);
+        case 'int128':
+          return intCV(value);
+        case 'bool':
+          return value ? trueCV() : falseCV();
+        case 'principal':
+        case 'trait_reference':
+          return principalCV(value);
+        case 'none':
+          return noneCV();
+      }
+    }
+
+    if (isClarityAbiBuffer(type)) {
+      return bufferCV(Buffer.from(String(value).replace(/^0x/, ''), 'hex'));
+    } else if (isClarityAbiStringAscii(type)) {
+      return stringAsciiCV(value);
+    } else if (isClarityAbiStringUtf8(type)) {
+      return stringUtf8CV(value);
+    }
+  } catch (error) {
+    throw new Error(`${path}: cannot convert ${JSON.stringify(value)} to ${getTypeString(type)}`);
+  }
+
+  if (isClarityAbiOptional(type)) {
+    return value === null ? noneCV() : someCV(fromJSON(value, type.optional, `${path}.some`));
+  } else if (isClarityAbiResponse(type)) {
+    return json.success
+      ? responseOkCV(fromJSON(value, type.response.ok, `${path}.ok`))
+      : responseErrorCV(fromJSON(value, type.response.error, `${path}.err`));
+  } else if (isClarityAbiTuple(type)) {
+    const data: { [key: string]: ClarityValue } = {};
+    type.tuple.forEach(field => {
+      data[field.name] = fromJSON(value[field.name], field.type, `${path}.${field.name}`);
+    });
+    return tupleCV(data);
+  } else if (isClarityAbiList(type)) {
+    if (!Array.isArray(value)) {
+      throw new Error(`${path}: expected a list, got ${JSON.stringify(value)}`);
+    }
+    return listCV(value.map((item, index) => fromJSON(item, type.list.type, `${path}[${index}]`)));
+  }
+  throw new Error(`Unexpected Clarity ABI type: ${JSON.stringify(type)}`);
+}
+
+/**
+ * Converts the JSON representation of a Clarity value, as returned by [[cvToJSON]], back to
+ * the Clarity value. The JSON representation loses type information, e.g. it doesn't tell a
+ * standard principal from a string, so the ABI type of the value is needed.
+ *
+ * The result is checked with [[isClarityValueOfType]], and an error is thrown for the first
+ * mismatch.
+ *
+ * @example
+ * ```
+ * const json = JSON.stringify(cvToJSON(functionArg));
+ * // later
+ * const functionArg = jsonToCV(JSON.parse(json), abiFunction.args[0].type);
+ * ```
+ *
+ * @param {any} json - the JSON representation, either parsed or as a string
+ * @param {ClarityAbiType} type - the ABI type of the value
+ *
+ * @returns {ClarityValue}
+ */
+export function jsonToCV(json: any, type: ClarityAbiType): ClarityValue {
+  const cv = fromJSON(typeof json === 'string' ? JSON.parse(json) : json, type, '$');
+  const { errors } = isClarityValueOfType(cv, type);
+  if (errors.length > 0) {
+    throw new Error(errors[0].message);
+  }
+  return cv;
+}
@@ -141,6 +141,7 @@ enum TxRejectedReason {
   SignatureValidation = 'SignatureValidation',
   FeeTooLow = 'FeeTooLow',
   BadNonce = 'BadNonce',
+  ConflictingNonceInMempool = 'ConflictingNonceInMempool',
   NotEnoughFunds = 'NotEnoughFunds',
   NoSuchContract = 'NoSuchContract',
   NoSuchPublicFunction = 'NoSuchPublicFunction',
@@ -405,6 +405,92 @@ export function validateContractCall(payload: ContractCallPayload, abi: ClarityA
   }
 }
 
+/**
+ * Get the key or value type of a data map. ABIs give it either as a type, or as the fields
+ * of a tuple.
+ *
+ * @param {ClarityAbiMap['key'] | ClarityAbiType} fields - the key or value of a map in an ABI
+ *
+ * @returns {ClarityAbiType}
+ */
+export function getAbiMapType(fields: ClarityAbiMap['key'] | ClarityAbiType): ClarityAbiType {
+  return Array.isArray(fields) ? { tuple: fields } : fields;
+}
+
+/**
+ * Validates the key and optionally the value of a data map entry with a contract ABI
+ *
+ * @param {string} mapName - the name of the data map
+ * @param {ClarityValue} key - the key of the entry
+ * @param {ClarityAbi} abi - a contract ABI
+ * @param {ClarityValue} value - the optional value of the entry, as returned by the node
+ *
+ * @returns {boolean} true if the key and value type check against the map in the ABI
+ */
+export function validateMapEntry(
+  mapName: string,
+  key: ClarityValue,
+  abi: ClarityAbi,
+  value?: ClarityValue
+): boolean {
+  const filtered = (abi.maps ?? []).filter(map => map.name === mapName);
+  if (filtered.length === 0) {
+    throw new Error(`ABI doesn't contain a map with the name ${mapName}`);
+  } else if (filtered.length > 1) {
+    throw new Error(`Malformed ABI. Contains multiple maps with the name ${mapName}`);
+  }
+
+  const keyType = getAbiMapType(filtered[0].key);
+  if (!matchType(key, keyType)) {
+    throw new Error(
+      `Clarity map \`${mapName}\` expects key to be of type ${getTypeString(
+        keyType
+      )}, not ${getCVTypeString(key)}`
+    );
+  }
+
+  const valueType: ClarityAbiType = { optional: getAbiMapType(filtered[0].value) };
+  if (value && !matchType(value, valueType)) {
+    throw new Error(
+      `Clarity map \`${mapName}\` expects value to be of type ${getTypeString(
+        valueType
+      )}, not ${getCVTypeString(value)}`
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Validates the value of a data var with a contract ABI
+ *
+ * @param {string} varName - the name of the data var
+ * @param {ClarityAbi} abi - a contract ABI
+ * @param {ClarityValue} value - the value of the data var, as returned by the node
+ *
+ * @returns {boolean} true if the data var exists and the value type checks against the ABI
+ */
+export function validateDataVar(varName: string, abi: ClarityAbi, value?: ClarityValue): boolean {
+  const filtered = (abi.variables ?? []).filter(
+    variable => variable.name === varName && variable.access === 'variable'
+  );
+  if (filtered.length === 0) {
+    throw new Error(`ABI doesn't contain a data var with the name ${varName}`);
+  } else if (filtered.length > 1) {
+    throw new Error(`Malformed ABI. Contains multiple data vars with the name ${varName}`);
+  }
+
+  if (value && !matchType(value, filtered[0].type)) {
+    throw new Error(
+      `Clarity data var \`${varName}\` expects value to be of type ${getTypeString(
+        filtered[0].type
+      )}, not ${getCVTypeString(value)}`
+    );
+  }
+
+  return true;
+}
+
 /**
  * Convert string input to Clarity value based on contract ABI data. Only handles Clarity
  * primitives and buffers. Responses, optionals, tuples and lists are not supported.
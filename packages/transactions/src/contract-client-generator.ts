@@ -0,0 +1,315 @@
+import {
+  abiFunctionToString,
+  ClarityAbi,
+  ClarityAbiType,
+  getAbiMapType,
+  getTypeString,
+  isClarityAbiBuffer,
+  isClarityAbiList,
+  isClarityAbiOptional,
+  isClarityAbiPrimitive,
+  isClarityAbiResponse,
+  isClarityAbiStringAscii,
+  isClarityAbiStringUtf8,
+  isClarityAbiTuple,
+} from './contract-abi';
+
+/**
+ * Options for [[generateContractClient]]
+ */
+export interface GenerateContractClientOptions {
+  /** the address of the deployed contract, used as default by the generated client */
+  contractAddress: string;
+  /** the name of the deployed contract, used as default by the generated client */
+  contractName: string;
+  /** the name of the generated class, defaults to the contract name in PascalCase + `Client` */
+  className?: string;
+  /** the module that the generated code imports the client runtime from */
+  importFrom?: string;
+}
+
+/** Members of [[ContractClient]], which generated methods must not shadow */
+const RESERVED_NAMES = [
+  'constructor',
+  'contractAddress',
+  'contractName',
+  'contractId',
+  'network',
+  'fungibleTokens',
+  'nonFungibleTokens',
+  'getAssetId',
+  'callPublicFunction',
+  'callReadOnlyFunction',
+  'readMapEntry',
+  'readDataVar',
+];
+
+/** Words that arguments cannot be named as in the generated code */
+const JS_KEYWORDS = [
+  'break',
+  'case',
+  'catch',
+  'class',
+  'const',
+  'continue',
+  'debugger',
+  'default',
+  'delete',
+  'do',
+  'else',
+  'enum',
+  'export',
+  'extends',
+  'false',
+  'finally',
+  'for',
+  'function',
+  'if',
+  'import',
+  'in',
+  'instanceof',
+  'new',
+  'null',
+  'return',
+  'super',
+  'switch',
+  'this',
+  'throw',
+  'true',
+  'try',
+  'typeof',
+  'var',
+  'void',
+  'while',
+  'with',
+  'yield',
+  'let',
+  'static',
+  'await',
+];
+
+function splitWords(name: string): string[] {
+  return name.split(/[^a-zA-Z0-9]+/).filter(word => word.length > 0);
+}
+
+function toCamelCase(name: string): string {
+  const camel = splitWords(name)
+    .map((word, index) =>
+      index === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : toPascalCase(word)
+    )
+    .join('');
+  return /^[0-9]/.test(camel) ? `_${camel}` : camel;
+}
+
+function toPascalCase(name: string): string {
+  return splitWords(name)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+function uniqueName(name: string, used: Set<string>): string {
+  let unique = name || '_';
+  for (let i = 2; used.has(unique); i++) {
+    unique = `${name}${i}`;
+  }
+  used.add(unique);
+  return unique;
+}
+
+function propertyKey(name: string): string {
+  return /^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(name) ? name : `'${name}'`;
+}
+
+/**
+ * Get the TypeScript type of the native values that [[encodeAbiValue]] accepts, or that
+ * [[decodeAbiValue]] returns, for an ABI type
+ */
+function getNativeType(type: ClarityAbiType, direction: 'input' | 'output'): string {
+  if (isClarityAbiPrimitive(type)) {
+    switch (type) {
+      case 'uint128':
+      case 'int128':
+        return direction === 'input' ? 'bigint | number | string' : 'bigint';
+      case 'bool':
+        return 'boolean';
+      case 'principal':
+      case 'trait_reference':
+        return 'string';
+      case 'none':
+        return 'null';
+    }
+  }
+  if (isClarityAbiBuffer(type)) {
+    return direction === 'input' ? 'Buffer | string' : 'string';
+  } else if (isClarityAbiStringAscii(type) || isClarityAbiStringUtf8(type)) {
+    return 'string';
+  } else if (isClarityAbiOptional(type)) {
+    return `${getNativeType(type.optional, direction)} | null`;
+  } else if (isClarityAbiResponse(type)) {
+    return `AbiResponse<${getNativeType(type.response.ok, direction)}, ${getNativeType(
+      type.response.error,
+      direction
+    )}>`;
+  } else if (isClarityAbiTuple(type)) {
+    const fields = type.tuple.map(
+      field => `${propertyKey(field.name)}: ${getNativeType(field.type, direction)}`
+    );
+    return `{ ${fields.join('; ')} }`;
+  } else if (isClarityAbiList(type)) {
+    return `Array<${getNativeType(type.list.type, direction)}>`;
+  }
+  throw new Error(`Unexpected Clarity ABI type: ${JSON.stringify(type)}`);
+}
+
+/**
+ * Generate the source of a TypeScript module with a typed client for a contract.
+ *
+ * The client has a method for each public and read-only function of the contract, that takes
+ * native JavaScript values and converts them to and from Clarity with [[encodeAbiValue]] and
+ * [[decodeAbiValue]]. Public functions return a signed contract call transaction, read-only
+ * functions return their decoded result. The client can also read the data maps and data vars
+ * of the contract, and lists the tokens it defines.
+ *
+ * @example
+ * ```
+ * const abi = await getAbi(contractAddress, 'kv-store', network);
+ * const source = generateContractClient(abi, { contractAddress, contractName: 'kv-store' });
+ * fs.writeFileSync('kv-store-client.ts', source);
+ * ```
+ *
+ * @param {ClarityAbi} abi - the ABI of the contract
+ * @param {GenerateContractClientOptions} options - the contract, and how to name the client
+ *
+ * @returns {string} the TypeScript source
+ */
+export function generateContractClient(
+  abi: ClarityAbi,
+  options: GenerateContractClientOptions
+): string {
+  const className = options.className ?? `${toPascalCase(options.contractName)}Client`;
+  const importFrom = options.importFrom ?? '@stacks/transactions';
+  const usedNames = new Set(RESERVED_NAMES);
+  const members: string[] = [];
+
+  const fungibleTokens = (abi.fungible_tokens ?? []).map(token => token.name);
+  const nonFungibleTokens = (abi.non_fungible_tokens ?? []).map(token => token.name);
+  members.push(
+    [
+      `  /** the fungible tokens defined by the contract, see [[getAssetId]] */`,
+      `  readonly fungibleTokens: string[] = ${JSON.stringify(fungibleTokens)};`,
+      `  /** the non-fungible tokens defined by the contract, see [[getAssetId]] */`,
+      `  readonly nonFungibleTokens: string[] = ${JSON.stringify(nonFungibleTokens)};`,
+    ].join('\n')
+  );
+
+  members.push(
+    [
+      `  constructor(`,
+      `    network?: StacksNetwork,`,
+      `    contractAddress = '${options.contractAddress}',`,
+      `    contractName = '${options.contractName}'`,
+      `  ) {`,
+      `    super(contractAddress, contractName, network);`,
+      `  }`,
+    ].join('\n')
+  );
+
+  for (const fn of abi.functions) {
+    if (fn.access === 'private') continue;
+    const methodName = uniqueName(toCamelCase(fn.name), usedNames);
+    const argNames = new Set(['options', ...JS_KEYWORDS]);
+    const args = fn.args.map(arg => ({
+      ...arg,
+      param: uniqueName(toCamelCase(arg.name), argNames),
+    }));
+    const params = args.map(arg => `${arg.param}: ${getNativeType(arg.type, 'input')}`);
+    const encodedArgs = args
+      .map(arg => `encodeAbiValue(${JSON.stringify(arg.type)}, ${arg.param})`)
+      .join(', ');
+    const doc = `  /** \`${abiFunctionToString(fn)}\` */`;
+
+    if (fn.access === 'public') {
+      members.push(
+        [
+          doc,
+          `  ${methodName}(${[...params, 'options: ContractClientCallOptions'].join(
+            ', '
+          )}): Promise<StacksTransaction> {`,
+          `    return this.callPublicFunction('${fn.name}', [${encodedArgs}], options);`,
+          `  }`,
+        ].join('\n')
+      );
+    } else {
+      members.push(
+        [
+          doc,
+          `  async ${methodName}(${[...params, 'options?: ContractClientReadOptions'].join(
+            ', '
+          )}): Promise<${getNativeType(fn.outputs.type, 'output')}> {`,
+          `    return decodeAbiValue(`,
+          `      await this.callReadOnlyFunction('${fn.name}', [${encodedArgs}], options)`,
+          `    );`,
+          `  }`,
+        ].join('\n')
+      );
+    }
+  }
+
+  for (const map of abi.maps ?? []) {
+    const keyType = getAbiMapType(map.key);
+    const valueType = getAbiMapType(map.value);
+    const methodName = uniqueName(`get${toPascalCase(map.name)}Entry`, usedNames);
+    members.push(
+      [
+        `  /** Read an entry of the map \`${map.name}\`, of type \`${getTypeString(
+          valueType
+        )}\` */`,
+        `  async ${methodName}(key: ${getNativeType(keyType, 'input')}): Promise<${getNativeType(
+          valueType,
+          'output'
+        )} | null> {`,
+        `    return decodeAbiValue(`,
+        `      await this.readMapEntry('${map.name}', encodeAbiValue(${JSON.stringify(
+          keyType
+        )}, key))`,
+        `    );`,
+        `  }`,
+      ].join('\n')
+    );
+  }
+
+  for (const variable of abi.variables ?? []) {
+    // constants cannot be read with the data var endpoint
+    if (variable.access !== 'variable') continue;
+    const methodName = uniqueName(`get${toPascalCase(variable.name)}Var`, usedNames);
+    members.push(
+      [
+        `  /** Read the data var \`${variable.name}\`, of type \`${getTypeString(
+          variable.type
+        )}\` */`,
+        `  async ${methodName}(): Promise<${getNativeType(variable.type, 'output')}> {`,
+        `    return decodeAbiValue(await this.readDataVar('${variable.name}'));`,
+        `  }`,
+      ].join('\n')
+    );
+  }
+
+  return [
+    `// Generated from the ABI of ${options.contractAddress}.${options.contractName}, do not edit.`,
+    `import { StacksNetwork } from '@stacks/network';`,
+    `import {`,
+    `  AbiResponse,`,
+    `  ContractClient,`,
+    `  ContractClientCallOptions,`,
+    `  ContractClientReadOptions,`,
+    `  decodeAbiValue,`,
+    `  encodeAbiValue,`,
+    `  StacksTransaction,`,
+    `} from '${importFrom}';`,
+    ``,
+    `export class ${className} extends ContractClient {`,
+    members.join('\n\n'),
+    `}`,
+    ``,
+  ].join('\n');
+}
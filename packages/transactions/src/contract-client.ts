@@ -0,0 +1,215 @@
+import { Buffer } from '@stacks/common';
+import { StacksMainnet, StacksNetwork } from '@stacks/network';
+import {
+  callReadOnlyFunction,
+  getContractDataVar,
+  getContractMapEntry,
+  makeContractCall,
+  SignedContractCallOptions,
+} from './builders';
+import {
+  bufferCV,
+  ClarityType,
+  ClarityValue,
+  cvToValue,
+  listCV,
+  noneCV,
+  responseErrorCV,
+  responseOkCV,
+  someCV,
+  tupleCV,
+} from './clarity';
+import {
+  ClarityAbiType,
+  encodeClarityValue,
+  isClarityAbiBuffer,
+  isClarityAbiList,
+  isClarityAbiOptional,
+  isClarityAbiResponse,
+  isClarityAbiTuple,
+} from './contract-abi';
+import { StacksTransaction } from './transaction';
+
+/**
+ * A Clarity response as a native value, see [[decodeAbiValue]]
+ */
+export type AbiResponse<Ok, Err> = { success: true; value: Ok } | { success: false; value: Err };
+
+/**
+ * Convert a native JavaScript value to a Clarity value of the given ABI type.
+ *
+ * Integers can be given as `number`, `bigint` or `string`, optionals as the value or `null`,
+ * responses as `{ success, value }`, tuples as objects and lists as arrays. Buffers can be
+ * given as `Buffer` or as a UTF-8 `string`. Primitives are encoded with [[encodeClarityValue]].
+ *
+ * @param {ClarityAbiType} type - the ABI type of the value
+ * @param {any} value - the native value
+ *
+ * @returns {ClarityValue}
+ */
+export function encodeAbiValue(type: ClarityAbiType, value: any): ClarityValue {
+  if (isClarityAbiOptional(type)) {
+    return value === null || value === undefined
+      ? noneCV()
+      : someCV(encodeAbiValue(type.optional, value));
+  } else if (isClarityAbiResponse(type)) {
+    return value.success
+      ? responseOkCV(encodeAbiValue(type.response.ok, value.value))
+      : responseErrorCV(encodeAbiValue(type.response.error, value.value));
+  } else if (isClarityAbiTuple(type)) {
+    const data: { [key: string]: ClarityValue } = {};
+    type.tuple.forEach(field => {
+      data[field.name] = encodeAbiValue(field.type, value[field.name]);
+    });
+    return tupleCV(data);
+  } else if (isClarityAbiList(type)) {
+    return listCV((value as any[]).map(item => encodeAbiValue(type.list.type, item)));
+  } else if (isClarityAbiBuffer(type) && Buffer.isBuffer(value)) {
+    return bufferCV(value);
+  } else {
+    return encodeClarityValue(type, String(value));
+  }
+}
+
+/**
+ * Convert a Clarity value to a native JavaScript value, the inverse of [[encodeAbiValue]].
+ * Integers are returned as `bigint` and buffers as `0x`-prefixed hex strings, like
+ * [[cvToValue]]. Optionals are returned as the value or `null`, responses as
+ * `{ success, value }`, tuples as objects and lists as arrays.
+ *
+ * @param {ClarityValue} cv - the Clarity value
+ *
+ * @returns the native value
+ */
+export function decodeAbiValue(cv: ClarityValue): any {
+  switch (cv.type) {
+    case ClarityType.OptionalNone:
+      return null;
+    case ClarityType.OptionalSome:
+      return decodeAbiValue(cv.value);
+    case ClarityType.ResponseOk:
+      return { success: true, value: decodeAbiValue(cv.value) };
+    case ClarityType.ResponseErr:
+      return { success: false, value: decodeAbiValue(cv.value) };
+    case ClarityType.Tuple: {
+      const result: { [key: string]: any } = {};
+      Object.keys(cv.data).forEach(key => {
+        result[key] = decodeAbiValue(cv.data[key]);
+      });
+      return result;
+    }
+    case ClarityType.List:
+      return cv.list.map(decodeAbiValue);
+    default:
+      return cvToValue(cv);
+  }
+}
+
+/**
+ * Options for calling a public function with a [[ContractClient]]
+ */
+export type ContractClientCallOptions = Omit<
+  SignedContractCallOptions,
+  'contractAddress' | 'contractName' | 'functionName' | 'functionArgs' | 'network'
+>;
+
+/**
+ * Options for calling a read-only function with a [[ContractClient]]
+ */
+export interface ContractClientReadOptions {
+  /** the address that calls the function, defaults to the contract address */
+  senderAddress?: string;
+}
+
+/**
+ * Base class of the typed contract clients created by [[generateContractClient]]
+ */
+export class ContractClient {
+  readonly contractAddress: string;
+  readonly contractName: string;
+  readonly network: StacksNetwork;
+
+  constructor(contractAddress: string, contractName: string, network?: StacksNetwork) {
+    this.contractAddress = contractAddress;
+    this.contractName = contractName;
+    this.network = network ?? new StacksMainnet();
+  }
+
+  /** the fully qualified contract identifier, `{address}.{contractName}` */
+  get contractId(): string {
+    return `${this.contractAddress}.${this.contractName}`;
+  }
+
+  /**
+   * Get the fully qualified identifier of a token defined by the contract, e.g. for post
+   * conditions
+   *
+   * @param {string} tokenName - the name of the fungible or non-fungible token
+   */
+  getAssetId(tokenName: string): string {
+    return `${this.contractId}::${tokenName}`;
+  }
+
+  /**
+   * Build a signed transaction that calls a public function of the contract
+   */
+  protected callPublicFunction(
+    functionName: string,
+    functionArgs: ClarityValue[],
+    options: ContractClientCallOptions
+  ): Promise<StacksTransaction> {
+    return makeContractCall({
+      ...options,
+      contractAddress: this.contractAddress,
+      contractName: this.contractName,
+      functionName,
+      functionArgs,
+      network: this.network,
+    });
+  }
+
+  /**
+   * Call a read-only function of the contract
+   */
+  protected callReadOnlyFunction(
+    functionName: string,
+    functionArgs: ClarityValue[],
+    options: ContractClientReadOptions = {}
+  ): Promise<ClarityValue> {
+    return callReadOnlyFunction({
+      contractAddress: this.contractAddress,
+      contractName: this.contractName,
+      functionName,
+      functionArgs,
+      network: this.network,
+      senderAddress: options.senderAddress ?? this.contractAddress,
+    });
+  }
+
+  /**
+   * Read an entry of a data map of the contract
+   *
+   * @returns a promise that resolves to the optional value of the entry
+   */
+  protected readMapEntry(mapName: string, key: ClarityValue): Promise<ClarityValue> {
+    return getContractMapEntry({
+      contractAddress: this.contractAddress,
+      contractName: this.contractName,
+      mapName,
+      key,
+      network: this.network,
+    });
+  }
+
+  /**
+   * Read the value of a data var of the contract
+   */
+  protected readDataVar(varName: string): Promise<ClarityValue> {
+    return getContractDataVar({
+      contractAddress: this.contractAddress,
+      contractName: this.contractName,
+      varName,
+      network: this.network,
+    });
+  }
+}
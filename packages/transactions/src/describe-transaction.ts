@@ -0,0 +1,251 @@
+import { SpendingCondition, isSingleSig } from './authorization';
+import { cvToString } from './clarity';
+import {
+  AddressHashMode,
+  AnchorMode,
+  AuthType,
+  FungibleConditionCode,
+  NonFungibleConditionCode,
+  PayloadType,
+  PostConditionMode,
+  PostConditionPrincipalID,
+  PostConditionType,
+  StacksMessageType,
+  TransactionVersion,
+} from './constants';
+import { Payload } from './payload';
+import { PostCondition } from './postcondition';
+import { StacksTransaction } from './transaction';
+import { addressFromHashMode, addressToString, AssetInfo, PostConditionPrincipal } from './types';
+
+/**
+ * Summary of the spending condition of the sender or sponsor of a transaction
+ */
+export interface SpendingConditionDescription {
+  address: string;
+  hashMode: 'p2pkh' | 'p2sh' | 'p2wpkh' | 'p2wsh';
+  nonce: string;
+  fee: string;
+  /** the number of signatures required, for multi-sig spending conditions */
+  signaturesRequired?: number;
+  /** the number of signatures present, for multi-sig spending conditions */
+  signatureCount?: number;
+}
+
+export interface TokenTransferDescription {
+  type: 'token_transfer';
+  recipient: string;
+  amount: string;
+  memo: string;
+}
+
+export interface ContractCallDescription {
+  type: 'contract_call';
+  contractId: string;
+  functionName: string;
+  /** the function arguments, as Clarity literals */
+  functionArgs: string[];
+}
+
+export interface SmartContractDescription {
+  type: 'smart_contract';
+  contractName: string;
+  codeBody: string;
+}
+
+export interface PoisonMicroblockDescription {
+  type: 'poison_microblock';
+}
+
+export interface CoinbaseDescription {
+  type: 'coinbase';
+  coinbaseBuffer: string;
+}
+
+export type PayloadDescription =
+  | TokenTransferDescription
+  | ContractCallDescription
+  | SmartContractDescription
+  | PoisonMicroblockDescription
+  | CoinbaseDescription;
+
+/**
+ * JSON-safe summary of a transaction, see [[describeTransaction]]
+ */
+export interface TransactionDescription {
+  txid: string;
+  network: 'mainnet' | 'testnet';
+  chainId: number;
+  anchorMode: 'on_chain_only' | 'off_chain_only' | 'any';
+  authType: 'standard' | 'sponsored';
+  /** the address of the sender */
+  sender: string;
+  /** the address of the sponsor, for sponsored transactions */
+  sponsor?: string;
+  /** the fee paid by the sponsor, or else the sender */
+  fee: string;
+  nonce: string;
+  origin: SpendingConditionDescription;
+  sponsorCondition?: SpendingConditionDescription;
+  payload: PayloadDescription;
+  postConditionMode: 'allow' | 'deny';
+  /** the post conditions, as English sentences */
+  postConditions: string[];
+}
+
+const hashModeNames: Record<AddressHashMode, SpendingConditionDescription['hashMode']> = {
+  [AddressHashMode.SerializeP2PKH]: 'p2pkh',
+  [AddressHashMode.SerializeP2SH]: 'p2sh',
+  [AddressHashMode.SerializeP2WPKH]: 'p2wpkh',
+  [AddressHashMode.SerializeP2WSH]: 'p2wsh',
+};
+
+const anchorModeNames: Record<AnchorMode, TransactionDescription['anchorMode']> = {
+  [AnchorMode.OnChainOnly]: 'on_chain_only',
+  [AnchorMode.OffChainOnly]: 'off_chain_only',
+  [AnchorMode.Any]: 'any',
+};
+
+const fungibleConditionPhrases: Record<FungibleConditionCode, string> = {
+  [FungibleConditionCode.Equal]: 'exactly',
+  [FungibleConditionCode.Greater]: 'more than',
+  [FungibleConditionCode.GreaterEqual]: 'at least',
+  [FungibleConditionCode.Less]: 'less than',
+  [FungibleConditionCode.LessEqual]: 'at most',
+};
+
+function describeSpendingCondition(
+  condition: SpendingCondition,
+  version: TransactionVersion
+): SpendingConditionDescription {
+  const description: SpendingConditionDescription = {
+    address: addressToString(addressFromHashMode(condition.hashMode, version, condition.signer)),
+    hashMode: hashModeNames[condition.hashMode],
+    nonce: condition.nonce.toString(),
+    fee: condition.fee.toString(),
+  };
+  if (!isSingleSig(condition)) {
+    description.signaturesRequired = condition.signaturesRequired;
+    description.signatureCount = condition.fields.filter(
+      field => field.contents.type === StacksMessageType.MessageSignature
+    ).length;
+  }
+  return description;
+}
+
+function describePayload(payload: Payload): PayloadDescription {
+  switch (payload.payloadType) {
+    case PayloadType.TokenTransfer:
+      return {
+        type: 'token_transfer',
+        recipient: cvToString(payload.recipient),
+        amount: payload.amount.toString(),
+        // memos are padded with zero bytes to a fixed length
+        memo: payload.memo.content.replace(/\u0000+$/, ''),
+      };
+    case PayloadType.ContractCall:
+      return {
+        type: 'contract_call',
+        contractId: `${addressToString(payload.contractAddress)}.${payload.contractName.content}`,
+        functionName: payload.functionName.content,
+        functionArgs: payload.functionArgs.map(arg => cvToString(arg)),
+      };
+    case PayloadType.SmartContract:
+      return {
+        type: 'smart_contract',
+        contractName: payload.contractName.content,
+        codeBody: payload.codeBody.content,
+      };
+    case PayloadType.PoisonMicroblock:
+      return { type: 'poison_microblock' };
+    case PayloadType.Coinbase:
+      return { type: 'coinbase', coinbaseBuffer: payload.coinbaseBuffer.toString('hex') };
+  }
+}
+
+function principalToString(principal: PostConditionPrincipal): string {
+  const address = addressToString(principal.address);
+  return principal.prefix === PostConditionPrincipalID.Contract
+    ? `${address}.${principal.contractName.content}`
+    : address;
+}
+
+function assetInfoToString(assetInfo: AssetInfo): string {
+  return `${addressToString(assetInfo.address)}.${assetInfo.contractName.content}::${
+    assetInfo.assetName.content
+  }`;
+}
+
+/**
+ * Render a post condition as an English sentence
+ *
+ * @example "SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7 will send at least 1000000 microSTX"
+ *
+ * @param {PostCondition} postCondition - the post condition to describe
+ *
+ * @return {string}
+ */
+export function describePostCondition(postCondition: PostCondition): string {
+  const principal = principalToString(postCondition.principal);
+  switch (postCondition.conditionType) {
+    case PostConditionType.STX:
+      return `${principal} will send ${
+        fungibleConditionPhrases[postCondition.conditionCode]
+      } ${postCondition.amount.toString()} microSTX`;
+    case PostConditionType.Fungible:
+      return `${principal} will send ${
+        fungibleConditionPhrases[postCondition.conditionCode]
+      } ${postCondition.amount.toString()} ${assetInfoToString(postCondition.assetInfo)}`;
+    case PostConditionType.NonFungible: {
+      const asset = `${assetInfoToString(postCondition.assetInfo)} ${cvToString(
+        postCondition.assetName
+      )}`;
+      return postCondition.conditionCode === NonFungibleConditionCode.DoesNotOwn
+        ? `${principal} will send ${asset}`
+        : `${principal} will keep ${asset}`;
+    }
+  }
+}
+
+/**
+ * Summarize a transaction in a structured, JSON-safe form that is readable when debugging:
+ * addresses instead of hashes, integers as strings, Clarity values as Clarity literals and
+ * post conditions as English sentences.
+ *
+ * @example
+ * ```
+ * const tx = deserializeTransaction(rawTx);
+ * console.log(JSON.stringify(describeTransaction(tx), null, 2));
+ * ```
+ *
+ * @param {StacksTransaction} transaction - the transaction to describe
+ *
+ * @return {TransactionDescription}
+ */
+export function describeTransaction(transaction: StacksTransaction): TransactionDescription {
+  const auth = transaction.auth;
+  const origin = describeSpendingCondition(auth.spendingCondition!, transaction.version);
+  const sponsorCondition =
+    auth.authType === AuthType.Sponsored
+      ? describeSpendingCondition(auth.sponsorSpendingCondition!, transaction.version)
+      : undefined;
+
+  return {
+    txid: `0x${transaction.txid()}`,
+    network: transaction.version === TransactionVersion.Mainnet ? 'mainnet' : 'testnet',
+    chainId: transaction.chainId,
+    anchorMode: anchorModeNames[transaction.anchorMode],
+    authType: auth.authType === AuthType.Sponsored ? 'sponsored' : 'standard',
+    sender: origin.address,
+    ...(sponsorCondition && { sponsor: sponsorCondition.address }),
+    fee: (sponsorCondition ?? origin).fee,
+    nonce: origin.nonce,
+    origin,
+    ...(sponsorCondition && { sponsorCondition }),
+    payload: describePayload(transaction.payload),
+    postConditionMode: transaction.postConditionMode === PostConditionMode.Allow ? 'allow' : 'deny',
+    postConditions: transaction.postConditions.values.map(postCondition =>
+      describePostCondition(postCondition as PostCondition)
+    ),
+  };
+}
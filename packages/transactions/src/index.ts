@@ -33,9 +33,19 @@ export {
 export * from './clarity';
 export * from './keys';
 export * from './builders';
+export * from './nonce-manager';
+export * from './tx-status';
+export * from './replace-by-fee';
+export * from './partially-signed-transaction';
+export * from './describe-transaction';
+export * from './message-signing';
+export * from './post-condition-generator';
+export * from './contract-client';
+export * from './contract-client-generator';
 export * from './types';
 export * from './constants';
 export * from './contract-abi';
+export * from './clarity-abi-values';
 export * from './signer';
 export * from './authorization';
 export * from './utils';
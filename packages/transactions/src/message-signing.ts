@@ -0,0 +1,281 @@
+import { Buffer } from '@stacks/common';
+import { sha256 } from 'sha.js';
+import { c32addressDecode } from 'c32check';
+import { createMessageSignature, MessageSignature } from './authorization';
+import { ClarityType, ClarityValue, serializeCV, stringAsciiCV, tupleCV, uintCV } from './clarity';
+import { TupleCV } from './clarity/types/tupleCV';
+import { ChainID, PubKeyEncoding } from './constants';
+import {
+  compressPublicKey,
+  createStacksPrivateKey,
+  publicKeyFromSignature,
+  publicKeyToString,
+  signWithKey,
+  StacksPrivateKey,
+} from './keys';
+import { hash160 } from './utils';
+
+/**
+ * The prefix of signed messages, which keeps them from being valid transactions or
+ * structured data
+ */
+export const STACKS_MESSAGE_PREFIX = '\x17Stacks Signed Message:\n';
+
+/**
+ * The prefix of signed structured data, as specified by SIP-018: the ASCII bytes of `SIP018`
+ */
+export const STRUCTURED_DATA_PREFIX = Buffer.from('534950303138', 'hex');
+
+function sha256Hash(data: Buffer): Buffer {
+  return new sha256().update(data).digest();
+}
+
+function encodeVarInt(value: number): Buffer {
+  if (value < 0xfd) {
+    return Buffer.from([value]);
+  }
+  if (value <= 0xffff) {
+    const buffer = Buffer.alloc(3);
+    buffer.writeUInt8(0xfd, 0);
+    buffer.writeUInt16LE(value, 1);
+    return buffer;
+  }
+  const buffer = Buffer.alloc(5);
+  buffer.writeUInt8(0xfe, 0);
+  buffer.writeUInt32LE(value, 1);
+  return buffer;
+}
+
+function toStacksPrivateKey(privateKey: string | StacksPrivateKey): StacksPrivateKey {
+  return typeof privateKey === 'string' ? createStacksPrivateKey(privateKey) : privateKey;
+}
+
+function toSignatureString(signature: string | MessageSignature): string {
+  return typeof signature === 'string' ? signature : signature.data;
+}
+
+/**
+ * Encodes a message for signing: the Stacks message prefix, the length of the message as a
+ * Bitcoin-style variable length integer, and the message.
+ */
+export function encodeMessage(message: string | Buffer): Buffer {
+  const messageBuffer = typeof message === 'string' ? Buffer.from(message, 'utf8') : message;
+  return Buffer.concat([
+    Buffer.from(STACKS_MESSAGE_PREFIX, 'utf8'),
+    encodeVarInt(messageBuffer.length),
+    messageBuffer,
+  ]);
+}
+
+/**
+ * The SHA-256 hash of an encoded message, which is what [[signMessage]] signs
+ */
+export function hashMessage(message: string | Buffer): Buffer {
+  return sha256Hash(encodeMessage(message));
+}
+
+/**
+ * Recovers the public key that signed a message hash.
+ *
+ * @param {string | Buffer} messageHash - the signed hash, hex-encoded if a string
+ * @param {string | MessageSignature} signature - a recoverable signature, as created by
+ * [[signMessage]] or [[signStructuredData]]
+ *
+ * @returns {string} the compressed public key, hex-encoded
+ */
+export function recoverPublicKey(
+  messageHash: string | Buffer,
+  signature: string | MessageSignature
+): string {
+  const hash = typeof messageHash === 'string' ? messageHash : messageHash.toString('hex');
+  return publicKeyFromSignature(
+    hash,
+    createMessageSignature(toSignatureString(signature)),
+    PubKeyEncoding.Compressed
+  );
+}
+
+/**
+ * Whether a recoverable signature of a message hash was made by the key of a signer.
+ *
+ * @param {Buffer} messageHash - the signed hash
+ * @param {string | MessageSignature} signature - the recoverable signature
+ * @param {string} signer - a hex-encoded public key, or a Stacks address of any network
+ */
+function isSignedBy(
+  messageHash: Buffer,
+  signature: string | MessageSignature,
+  signer: string
+): boolean {
+  let recoveredPublicKey: string;
+  try {
+    recoveredPublicKey = recoverPublicKey(messageHash, signature);
+  } catch (error) {
+    return false;
+  }
+  if (/^[0-9a-fA-F]+$/.test(signer)) {
+    try {
+      return (
+        publicKeyToString(compressPublicKey(Buffer.from(signer, 'hex'))) === recoveredPublicKey
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+  let addressHash: string;
+  try {
+    addressHash = c32addressDecode(signer)[1];
+  } catch (error) {
+    return false;
+  }
+  // the key of an address may be compressed or not
+  const uncompressedPublicKey = publicKeyFromSignature(
+    messageHash.toString('hex'),
+    createMessageSignature(toSignatureString(signature)),
+    PubKeyEncoding.Uncompressed
+  );
+  return [recoveredPublicKey, uncompressedPublicKey].some(
+    publicKey => hash160(Buffer.from(publicKey, 'hex')).toString('hex') === addressHash
+  );
+}
+
+/**
+ * Signs a message with the Stacks message prefix, see [[encodeMessage]].
+ * The signature is recoverable: the recovery parameter is its first byte, followed by
+ * `r` and `s`, like the signatures of transactions.
+ *
+ * @param {string | Buffer} message - the message, UTF-8 encoded if a string
+ * @param {string | StacksPrivateKey} privateKey - the key to sign with
+ *
+ * @returns {MessageSignature} the signature
+ */
+export function signMessage(
+  message: string | Buffer,
+  privateKey: string | StacksPrivateKey
+): MessageSignature {
+  return signWithKey(toStacksPrivateKey(privateKey), hashMessage(message).toString('hex'));
+}
+
+/**
+ * Verifies a signature made by [[signMessage]].
+ *
+ * @param {string | Buffer} message - the signed message
+ * @param {string | MessageSignature} signature - the signature, hex-encoded if a string
+ * @param {string} signer - the hex-encoded public key of the signer, or their Stacks address
+ *
+ * @returns {boolean} whether the message was signed by the signer
+ */
+export function verifyMessage(
+  message: string | Buffer,
+  signature: string | MessageSignature,
+  signer: string
+): boolean {
+  return isSignedBy(hashMessage(message), signature, signer);
+}
+
+/**
+ * The domain of signed structured data, which keeps signatures from being valid for
+ * other apps, versions or networks
+ */
+export interface StructuredDataDomain {
+  /** the name of the app or contract */
+  name: string;
+  version: string;
+  chainId: ChainID;
+}
+
+/**
+ * Creates the domain tuple of signed structured data:
+ * `{ name: string-ascii, version: string-ascii, chain-id: uint }`
+ */
+export function makeStructuredDataDomain(domain: StructuredDataDomain): TupleCV {
+  return tupleCV({
+    name: stringAsciiCV(domain.name),
+    version: stringAsciiCV(domain.version),
+    'chain-id': uintCV(domain.chainId),
+  });
+}
+
+function validateStructuredDataDomain(domain: ClarityValue) {
+  const isValid =
+    domain.type === ClarityType.Tuple &&
+    Object.keys(domain.data).length === 3 &&
+    domain.data['name']?.type === ClarityType.StringASCII &&
+    domain.data['version']?.type === ClarityType.StringASCII &&
+    domain.data['chain-id']?.type === ClarityType.UInt;
+  if (!isValid) {
+    throw new Error(
+      'Invalid structured data domain: expected a tuple of name and version string-ascii ' +
+        'values and a chain-id uint'
+    );
+  }
+}
+
+/**
+ * The SHA-256 hash of a serialized Clarity value
+ */
+export function hashStructuredData(value: ClarityValue): Buffer {
+  return sha256Hash(serializeCV(value));
+}
+
+/**
+ * Encodes structured data for signing, as specified by SIP-018: the structured data prefix,
+ * the hash of the domain and the hash of the message.
+ *
+ * @param {ClarityValue} domain - the domain tuple, see [[makeStructuredDataDomain]]
+ * @param {ClarityValue} message - the Clarity value to sign
+ */
+export function encodeStructuredData(domain: ClarityValue, message: ClarityValue): Buffer {
+  validateStructuredDataDomain(domain);
+  return Buffer.concat([
+    STRUCTURED_DATA_PREFIX,
+    hashStructuredData(domain),
+    hashStructuredData(message),
+  ]);
+}
+
+/**
+ * The SHA-256 hash of encoded structured data, which is what [[signStructuredData]] signs,
+ * and what Clarity contracts verify with `secp256k1-recover?`
+ */
+export function hashEncodedStructuredData(domain: ClarityValue, message: ClarityValue): Buffer {
+  return sha256Hash(encodeStructuredData(domain, message));
+}
+
+/**
+ * Signs a Clarity value in a domain, as specified by SIP-018.
+ * The signature is recoverable, like the signatures of [[signMessage]].
+ *
+ * @param {ClarityValue} domain - the domain tuple, see [[makeStructuredDataDomain]]
+ * @param {ClarityValue} message - the Clarity value to sign
+ * @param {string | StacksPrivateKey} privateKey - the key to sign with
+ *
+ * @returns {MessageSignature} the signature
+ */
+export function signStructuredData(
+  domain: ClarityValue,
+  message: ClarityValue,
+  privateKey: string | StacksPrivateKey
+): MessageSignature {
+  const hash = hashEncodedStructuredData(domain, message);
+  return signWithKey(toStacksPrivateKey(privateKey), hash.toString('hex'));
+}
+
+/**
+ * Verifies a signature made by [[signStructuredData]].
+ *
+ * @param {ClarityValue} domain - the domain tuple
+ * @param {ClarityValue} message - the signed Clarity value
+ * @param {string | MessageSignature} signature - the signature, hex-encoded if a string
+ * @param {string} signer - the hex-encoded public key of the signer, or their Stacks address
+ *
+ * @returns {boolean} whether the value was signed by the signer in the domain
+ */
+export function verifyStructuredData(
+  domain: ClarityValue,
+  message: ClarityValue,
+  signature: string | MessageSignature,
+  signer: string
+): boolean {
+  return isSignedBy(hashEncodedStructuredData(domain, message), signature, signer);
+}
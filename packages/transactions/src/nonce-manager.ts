@@ -0,0 +1,234 @@
+import { fetchPrivate } from '@stacks/common';
+import { StacksNetwork } from '@stacks/network';
+import { getNonce, TxBroadcastResult } from './builders';
+import { AuthType, TxRejectedReason } from './constants';
+import { StacksTransaction } from './transaction';
+import { addressFromHashMode, addressToString } from './types';
+
+/**
+ * Response of the Stacks Blockchain API `/extended/v1/address/{principal}/nonces` endpoint
+ */
+export interface AddressNonces {
+  last_mempool_tx_nonce: number | null;
+  last_executed_tx_nonce: number | null;
+  possible_next_nonce: number;
+  detected_missing_nonces: number[];
+}
+
+/**
+ * Rejections of transactions whose nonce is used by another transaction, so it must not be
+ * handed out again
+ */
+const NONCE_IN_USE_REASONS: string[] = [TxRejectedReason.ConflictingNonceInMempool];
+
+interface AccountNonceState {
+  /** the lowest nonce that has not been handed out yet */
+  nextNonce: bigint;
+  /** nonces below `nextNonce` that are free to be handed out again, in ascending order */
+  available: bigint[];
+}
+
+/**
+ * Hands out nonces for sending multiple transactions from the same account without waiting for
+ * each one to be mined.
+ *
+ * The first allocation for an address is reconciled with the node's possible next nonce (taking
+ * pending mempool transactions into account), later allocations are tracked locally. Nonces of
+ * transactions that fail to broadcast should be given back with [[release]] or
+ * [[handleBroadcastResult]], so that they are reused instead of leaving a gap.
+ *
+ * @example
+ * ```
+ * const nonceManager = new NonceManager(network);
+ * for (const recipient of recipients) {
+ *   const tx = await makeSTXTokenTransfer({ recipient, amount, senderKey, network, nonceManager, anchorMode });
+ *   const result = await broadcastTransaction(tx, network);
+ *   nonceManager.handleBroadcastResult(tx, result);
+ * }
+ * ```
+ */
+export class NonceManager {
+  network: StacksNetwork;
+
+  private accounts = new Map<string, AccountNonceState>();
+
+  private pendingLoads = new Map<string, Promise<AccountNonceState>>();
+
+  /**
+   * @param {StacksNetwork} network - the network to look up nonces on, which must be the network
+   * of the transactions the nonces are allocated for
+   */
+  constructor(network: StacksNetwork) {
+    this.network = network;
+  }
+
+  /**
+   * Fetch the nonce information for an address from the node. Falls back to the account
+   * nonce of the core node if the API nonces endpoint is not available.
+   *
+   * @param {string} address - the c32check address to look up
+   */
+  async fetchAddressNonces(address: string): Promise<AddressNonces> {
+    if (this.network.getAccountNoncesApiUrl) {
+      const url = this.network.getAccountNoncesApiUrl(address);
+      try {
+        const response = await (this.network.fetchFn ?? fetchPrivate)(url);
+        if (response.ok) {
+          return (await response.json()) as AddressNonces;
+        }
+      } catch (error) {
+        // Use the core node account endpoint instead
+      }
+    }
+    const nonce = await getNonce(address, this.network);
+    return {
+      last_mempool_tx_nonce: null,
+      last_executed_tx_nonce: nonce > BigInt(0) ? Number(nonce - BigInt(1)) : null,
+      possible_next_nonce: Number(nonce),
+      detected_missing_nonces: [],
+    };
+  }
+
+  /**
+   * Allocate the next nonce for an address
+   *
+   * @param {string} address - the c32check address of the transaction sender
+   *
+   * @returns {Promise<bigint>} that resolves to a nonce that has not been handed out before,
+   * or one that has been released
+   */
+  async getNextNonce(address: string): Promise<bigint> {
+    const state = await this.loadAccount(address);
+    const reused = state.available.shift();
+    if (reused !== undefined) {
+      return reused;
+    }
+    const nonce = state.nextNonce;
+    state.nextNonce = nonce + BigInt(1);
+    return nonce;
+  }
+
+  /**
+   * Give back a nonce that will not be used, e.g. because the transaction was rejected by the
+   * node. It is handed out again by the next call to [[getNextNonce]].
+   *
+   * @param {string} address - the c32check address of the transaction sender
+   * @param {bigint} nonce - the nonce to release
+   */
+  release(address: string, nonce: bigint) {
+    const state = this.accounts.get(address);
+    if (!state || nonce >= state.nextNonce || state.available.includes(nonce)) {
+      return;
+    }
+    state.available.push(nonce);
+    state.available.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    // Collapse released nonces at the top of the range back into the counter
+    while (
+      state.available.length > 0 &&
+      state.available[state.available.length - 1] === state.nextNonce - BigInt(1)
+    ) {
+      state.nextNonce = state.available.pop()!;
+    }
+  }
+
+  /**
+   * Update the local state of an address with the nonce information of the node. Nonces that
+   * have since been used by other transactions are no longer handed out.
+   *
+   * @param {string} address - the c32check address to reconcile
+   *
+   * @returns {Promise<bigint>} that resolves to the next nonce that would be allocated
+   */
+  async reconcile(address: string): Promise<bigint> {
+    const nonces = await this.fetchAddressNonces(address);
+    const possibleNext = BigInt(nonces.possible_next_nonce);
+    const state = this.accounts.get(address);
+    if (!state) {
+      this.accounts.set(address, createAccountState(nonces));
+    } else {
+      state.available = state.available.filter(nonce => nonce >= possibleNext);
+      if (possibleNext > state.nextNonce) {
+        state.nextNonce = possibleNext;
+      }
+    }
+    const updated = this.accounts.get(address)!;
+    return updated.available.length > 0 ? updated.available[0] : updated.nextNonce;
+  }
+
+  /**
+   * Forget the local state of an address, or of all addresses if none is given. The next
+   * allocation will fetch the nonce from the node again.
+   */
+  reset(address?: string) {
+    if (address) {
+      this.accounts.delete(address);
+    } else {
+      this.accounts.clear();
+    }
+  }
+
+  /**
+   * Update the nonce state after broadcasting a transaction that used allocated nonces, for its
+   * origin and, if it is sponsored, its sponsor. The nonces are released if the transaction was
+   * rejected, unless another transaction in the mempool uses them. A `BadNonce` rejection means
+   * the local state is out of sync with the node, so the addresses are reset.
+   *
+   * @param {StacksTransaction} transaction - the broadcast transaction
+   * @param {TxBroadcastResult} result - the result of the broadcast
+   */
+  handleBroadcastResult(transaction: StacksTransaction, result: TxBroadcastResult) {
+    if (!result.error) {
+      return;
+    }
+    const spendingConditions = [transaction.auth.spendingCondition!];
+    if (
+      transaction.auth.authType === AuthType.Sponsored &&
+      transaction.auth.sponsorSpendingCondition
+    ) {
+      spendingConditions.push(transaction.auth.sponsorSpendingCondition);
+    }
+    for (const spendingCondition of spendingConditions) {
+      const address = addressToString(
+        addressFromHashMode(
+          spendingCondition.hashMode,
+          transaction.version,
+          spendingCondition.signer
+        )
+      );
+      if (result.reason === TxRejectedReason.BadNonce) {
+        this.reset(address);
+      } else if (!NONCE_IN_USE_REASONS.includes(result.reason)) {
+        this.release(address, spendingCondition.nonce);
+      }
+    }
+  }
+
+  private async loadAccount(address: string): Promise<AccountNonceState> {
+    const existing = this.accounts.get(address);
+    if (existing) {
+      return existing;
+    }
+    // Share a single request between concurrent first allocations
+    let pending = this.pendingLoads.get(address);
+    if (!pending) {
+      pending = this.fetchAddressNonces(address)
+        .then(nonces => {
+          const state = this.accounts.get(address) ?? createAccountState(nonces);
+          this.accounts.set(address, state);
+          return state;
+        })
+        .finally(() => this.pendingLoads.delete(address));
+      this.pendingLoads.set(address, pending);
+    }
+    return pending;
+  }
+}
+
+function createAccountState(nonces: AddressNonces): AccountNonceState {
+  const nextNonce = BigInt(nonces.possible_next_nonce);
+  const available = nonces.detected_missing_nonces
+    .map(nonce => BigInt(nonce))
+    .filter(nonce => nonce < nextNonce)
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return { nextNonce, available };
+}
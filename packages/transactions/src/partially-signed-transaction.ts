@@ -0,0 +1,415 @@
+import { Buffer } from '@stacks/common';
+import {
+  createMessageSignature,
+  createTransactionAuthField,
+  deserializeMessageSignature,
+  isSingleSig,
+  MultiSigSpendingCondition,
+  nextSignature,
+  nextVerification,
+  serializeMessageSignature,
+} from './authorization';
+import { BufferReader } from './bufferReader';
+import { AuthType, PubKeyEncoding, StacksMessageType } from './constants';
+import { DeserializationError, SigningError, VerificationError } from './errors';
+import {
+  createStacksPrivateKey,
+  createStacksPublicKey,
+  deserializePublicKey,
+  getPublicKey,
+  isCompressed,
+  publicKeyToString,
+  serializePublicKey,
+  StacksPrivateKey,
+} from './keys';
+import { deserializeTransaction, StacksTransaction } from './transaction';
+import { addressFromPublicKeys } from './types';
+import { BufferArray, cloneDeep } from './utils';
+
+/** Magic bytes at the start of a serialized partially signed transaction: `psst` followed by 0xff */
+const MAGIC_BYTES = Buffer.from([0x70, 0x73, 0x73, 0x74, 0xff]);
+
+/**
+ * JSON representation of a [[PartiallySignedTransaction]]
+ */
+export interface PartiallySignedTransactionJson {
+  /** the version of the format */
+  version: number;
+  /** the hex-encoded transaction, without any signatures */
+  transaction: string;
+  /** the public keys of the multi-sig sender, in the order used to create the address */
+  publicKeys: string[];
+  /** the number of signatures required to spend from the multi-sig address */
+  signaturesRequired: number;
+  /** the signatures collected so far, at the index of the public key that made them */
+  signatures: (string | null)[];
+  /** the initial signature hash of the transaction, which the first signature is based on */
+  sigHash: string;
+}
+
+function getMultiSigCondition(transaction: StacksTransaction): MultiSigSpendingCondition {
+  const condition = transaction.auth.spendingCondition;
+  if (!condition || isSingleSig(condition)) {
+    throw new SigningError('Transaction does not have a multi-sig spending condition');
+  }
+  return condition;
+}
+
+function getPubKeyEncoding(publicKey: string): PubKeyEncoding {
+  return isCompressed(createStacksPublicKey(publicKey))
+    ? PubKeyEncoding.Compressed
+    : PubKeyEncoding.Uncompressed;
+}
+
+/**
+ * A multi-sig transaction that is being signed by its cosigners, in a format that can be
+ * passed from one cosigner to the next.
+ *
+ * Each signature of a multi-sig transaction commits to the signatures before it, so cosigners
+ * sign in the order of their public keys. Signatures can be added with [[sign]], or with
+ * [[addSignature]] if they were made elsewhere. Once enough signatures are collected,
+ * [[finalize]] returns the signed transaction.
+ *
+ * @example
+ * ```
+ * const unsignedTx = await makeUnsignedSTXTokenTransfer({ numSignatures: 2, publicKeys, ... });
+ * const psst = PartiallySignedTransaction.fromTransaction(unsignedTx, publicKeys);
+ * const file = psst.sign(privateKeyA).serialize().toString('base64');
+ *
+ * // cosigner B
+ * const signedTx = PartiallySignedTransaction.deserialize(file).sign(privateKeyB).finalize();
+ * ```
+ */
+export class PartiallySignedTransaction {
+  static readonly VERSION = 1;
+
+  /** the transaction, without any signatures */
+  readonly transaction: StacksTransaction;
+
+  readonly publicKeys: string[];
+
+  readonly signaturesRequired: number;
+
+  /** the initial signature hash of the transaction */
+  readonly sigHash: string;
+
+  private signatures: (string | undefined)[];
+
+  private constructor(
+    transaction: StacksTransaction,
+    publicKeys: string[],
+    signatures: (string | undefined)[]
+  ) {
+    const condition = getMultiSigCondition(transaction);
+    const signer = addressFromPublicKeys(
+      0,
+      condition.hashMode,
+      condition.signaturesRequired,
+      publicKeys.map(createStacksPublicKey)
+    ).hash160;
+    if (signer !== condition.signer) {
+      throw new VerificationError('Public keys do not match the sender of the transaction');
+    }
+    if (signatures.length !== publicKeys.length) {
+      throw new VerificationError('Expected a signature entry for each public key');
+    }
+
+    this.transaction = cloneDeep(transaction);
+    getMultiSigCondition(this.transaction).fields = [];
+    this.publicKeys = publicKeys;
+    this.signaturesRequired = condition.signaturesRequired;
+    this.sigHash = this.transaction.signBegin();
+    this.signatures = signatures;
+    this.verifySignatures();
+  }
+
+  /**
+   * Create a partially signed transaction from a multi-sig transaction. Signatures that were
+   * already added to the transaction, e.g. with a [[TransactionSigner]], are kept.
+   *
+   * @param {StacksTransaction} transaction - the multi-sig transaction
+   * @param {string[]} publicKeys - the public keys of the sender, in the order used to create the address
+   */
+  static fromTransaction(
+    transaction: StacksTransaction,
+    publicKeys: string[]
+  ): PartiallySignedTransaction {
+    const condition = getMultiSigCondition(transaction);
+    const signatures: (string | undefined)[] = publicKeys.map(() => undefined);
+    condition.fields.forEach((field, index) => {
+      if (field.contents.type === StacksMessageType.MessageSignature) {
+        signatures[index] = field.contents.data;
+      } else if (publicKeyToString(field.contents) !== publicKeys[index]) {
+        throw new VerificationError(`Public key at index ${index} does not match`);
+      }
+    });
+    return new PartiallySignedTransaction(transaction, publicKeys, signatures);
+  }
+
+  /**
+   * Parse the JSON representation of a partially signed transaction
+   */
+  static fromJSON(json: PartiallySignedTransactionJson): PartiallySignedTransaction {
+    if (json.version !== PartiallySignedTransaction.VERSION) {
+      throw new DeserializationError(
+        `Unsupported partially signed transaction version: ${json.version}`
+      );
+    }
+    const psst = new PartiallySignedTransaction(
+      deserializeTransaction(json.transaction),
+      json.publicKeys,
+      json.signatures.map(signature => signature ?? undefined)
+    );
+    if (psst.sigHash !== json.sigHash) {
+      throw new VerificationError('Signature hash does not match the transaction');
+    }
+    return psst;
+  }
+
+  /**
+   * Parse a serialized partially signed transaction
+   *
+   * @param {Buffer | string} data - the serialized bytes, or a hex or base64 encoded string
+   */
+  static deserialize(data: Buffer | string): PartiallySignedTransaction {
+    const buffer =
+      typeof data !== 'string'
+        ? data
+        : /^[0-9a-f]+$/i.test(data)
+        ? Buffer.from(data, 'hex')
+        : Buffer.from(data, 'base64');
+    const bufferReader = new BufferReader(buffer);
+
+    if (!bufferReader.readBuffer(MAGIC_BYTES.length).equals(MAGIC_BYTES)) {
+      throw new DeserializationError('Not a partially signed transaction');
+    }
+    const version = bufferReader.readUInt8();
+    if (version !== PartiallySignedTransaction.VERSION) {
+      throw new DeserializationError(
+        `Unsupported partially signed transaction version: ${version}`
+      );
+    }
+    const sigHash = bufferReader.readBuffer(32).toString('hex');
+    const keyCount = bufferReader.readUInt16BE();
+    const publicKeys: string[] = [];
+    const signatures: (string | undefined)[] = [];
+    for (let i = 0; i < keyCount; i++) {
+      publicKeys.push(publicKeyToString(deserializePublicKey(bufferReader)));
+      signatures.push(
+        bufferReader.readUInt8() === 1 ? deserializeMessageSignature(bufferReader).data : undefined
+      );
+    }
+    const transaction = deserializeTransaction(bufferReader);
+
+    const psst = new PartiallySignedTransaction(transaction, publicKeys, signatures);
+    if (psst.sigHash !== sigHash) {
+      throw new VerificationError('Signature hash does not match the transaction');
+    }
+    return psst;
+  }
+
+  /** The number of signatures collected so far */
+  get signatureCount(): number {
+    return this.signatures.filter(signature => signature !== undefined).length;
+  }
+
+  /** Whether enough signatures are collected to finalize the transaction */
+  isComplete(): boolean {
+    return this.signatureCount >= this.signaturesRequired;
+  }
+
+  /** The public keys that have signed so far */
+  getSigners(): string[] {
+    return this.publicKeys.filter((_, index) => this.signatures[index] !== undefined);
+  }
+
+  /**
+   * Sign the transaction with the private key of one of the cosigners
+   *
+   * @param {string | StacksPrivateKey} privateKey - the private key of a cosigner
+   */
+  sign(privateKey: string | StacksPrivateKey): this {
+    const key = typeof privateKey === 'string' ? createStacksPrivateKey(privateKey) : privateKey;
+    const index = this.checkCanSign(publicKeyToString(getPublicKey(key)));
+    const condition = getMultiSigCondition(this.transaction);
+    const { nextSig } = nextSignature(
+      this.getSigHashAt(index),
+      AuthType.Standard,
+      condition.fee,
+      condition.nonce,
+      key
+    );
+    this.signatures[index] = nextSig.data;
+    return this;
+  }
+
+  /**
+   * Add a signature that was made elsewhere, e.g. by a hardware wallet. The signature must be
+   * made over the presign hash returned by [[getSigHashAt]] for the index of the public key.
+   *
+   * @param {string} publicKey - the public key of the cosigner
+   * @param {string} signature - the hex-encoded recoverable signature
+   */
+  addSignature(publicKey: string, signature: string): this {
+    const index = this.checkCanSign(publicKey);
+    this.signatures[index] = signature;
+    try {
+      this.verifySignatures();
+    } catch (error) {
+      this.signatures[index] = undefined;
+      throw error;
+    }
+    return this;
+  }
+
+  /**
+   * Combine the signatures of two partially signed versions of the same transaction
+   *
+   * @returns {PartiallySignedTransaction} a new partially signed transaction with the
+   * signatures of both
+   */
+  combine(other: PartiallySignedTransaction): PartiallySignedTransaction {
+    if (
+      other.sigHash !== this.sigHash ||
+      other.publicKeys.join() !== this.publicKeys.join() ||
+      other.signaturesRequired !== this.signaturesRequired
+    ) {
+      throw new VerificationError(
+        'Cannot combine partially signed versions of different transactions'
+      );
+    }
+    const signatures = this.signatures.map((signature, index) => {
+      const otherSignature = other.signatures[index];
+      if (signature && otherSignature && signature !== otherSignature) {
+        throw new VerificationError(`Conflicting signatures for public key at index ${index}`);
+      }
+      return signature ?? otherSignature;
+    });
+    return new PartiallySignedTransaction(this.transaction, this.publicKeys, signatures);
+  }
+
+  /**
+   * Compute the signature hash that the cosigner at the given index signs on top of, from the
+   * initial signature hash and the signatures before it
+   *
+   * @param {number} index - the index of the public key of the cosigner
+   */
+  getSigHashAt(index: number): string {
+    const condition = getMultiSigCondition(this.transaction);
+    let sigHash = this.sigHash;
+    for (let i = 0; i < index; i++) {
+      const signature = this.signatures[i];
+      if (signature === undefined) continue;
+      sigHash = nextVerification(
+        sigHash,
+        AuthType.Standard,
+        condition.fee,
+        condition.nonce,
+        getPubKeyEncoding(this.publicKeys[i]),
+        createMessageSignature(signature)
+      ).nextSigHash;
+    }
+    return sigHash;
+  }
+
+  /**
+   * Build the signed transaction
+   *
+   * @returns {StacksTransaction} the transaction with the signatures, and the public keys of
+   * the cosigners that did not sign
+   */
+  finalize(): StacksTransaction {
+    if (!this.isComplete()) {
+      throw new SigningError(
+        `Transaction has ${this.signatureCount} of ${this.signaturesRequired} required signatures`
+      );
+    }
+    const transaction = cloneDeep(this.transaction);
+    getMultiSigCondition(transaction).fields = this.publicKeys.map((publicKey, index) => {
+      const signature = this.signatures[index];
+      return createTransactionAuthField(
+        getPubKeyEncoding(publicKey),
+        signature !== undefined
+          ? createMessageSignature(signature)
+          : createStacksPublicKey(publicKey)
+      );
+    });
+    return transaction;
+  }
+
+  toJSON(): PartiallySignedTransactionJson {
+    return {
+      version: PartiallySignedTransaction.VERSION,
+      transaction: this.transaction.serialize().toString('hex'),
+      publicKeys: this.publicKeys,
+      signaturesRequired: this.signaturesRequired,
+      signatures: this.signatures.map(signature => signature ?? null),
+      sigHash: this.sigHash,
+    };
+  }
+
+  serialize(): Buffer {
+    const bufferArray = new BufferArray();
+    bufferArray.push(MAGIC_BYTES);
+    bufferArray.appendByte(PartiallySignedTransaction.VERSION);
+    bufferArray.appendHexString(this.sigHash);
+    const keyCount = Buffer.alloc(2);
+    keyCount.writeUInt16BE(this.publicKeys.length);
+    bufferArray.push(keyCount);
+    this.publicKeys.forEach((publicKey, index) => {
+      bufferArray.push(serializePublicKey(createStacksPublicKey(publicKey)));
+      const signature = this.signatures[index];
+      if (signature === undefined) {
+        bufferArray.appendByte(0);
+      } else {
+        bufferArray.appendByte(1);
+        bufferArray.push(serializeMessageSignature(createMessageSignature(signature)));
+      }
+    });
+    bufferArray.push(this.transaction.serialize());
+    return bufferArray.concatBuffer();
+  }
+
+  private checkCanSign(publicKey: string): number {
+    const index = this.publicKeys.indexOf(publicKey);
+    if (index === -1) {
+      throw new SigningError('Key is not one of the signers of the transaction');
+    }
+    if (this.signatures[index] !== undefined) {
+      throw new SigningError('Transaction is already signed with this key');
+    }
+    if (this.isComplete()) {
+      throw new SigningError('Transaction already has the required number of signatures');
+    }
+    if (this.signatures.slice(index + 1).some(signature => signature !== undefined)) {
+      throw new SigningError(
+        'Cosigners must sign in the order of their public keys, a later key has already signed'
+      );
+    }
+    return index;
+  }
+
+  /** Check that each signature was made by the public key at its index */
+  private verifySignatures() {
+    if (this.signatureCount > this.signaturesRequired) {
+      throw new VerificationError('Transaction has more signatures than required');
+    }
+    const condition = getMultiSigCondition(this.transaction);
+    let sigHash = this.sigHash;
+    this.signatures.forEach((signature, index) => {
+      if (signature === undefined) return;
+      const { pubKey, nextSigHash } = nextVerification(
+        sigHash,
+        AuthType.Standard,
+        condition.fee,
+        condition.nonce,
+        getPubKeyEncoding(this.publicKeys[index]),
+        createMessageSignature(signature)
+      );
+      if (publicKeyToString(pubKey) !== this.publicKeys[index]) {
+        throw new VerificationError(`Invalid signature for public key at index ${index}`);
+      }
+      sigHash = nextSigHash;
+    });
+  }
+}
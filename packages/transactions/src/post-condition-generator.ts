@@ -0,0 +1,153 @@
+import { StacksMainnet, StacksNetwork } from '@stacks/network';
+import { getAbi } from './builders';
+import { ClarityValue, serializeCV } from './clarity';
+import { FungibleConditionCode, NonFungibleConditionCode } from './constants';
+import { ClarityAbi, validateContractCall } from './contract-abi';
+import { ContractCallPayload } from './payload';
+import {
+  createFungiblePostCondition,
+  createNonFungiblePostCondition,
+  createSTXPostCondition,
+  PostCondition,
+} from './postcondition';
+import { addressToString } from './types';
+
+/**
+ * An asset movement observed while simulating a contract call
+ */
+export type SimulatedAssetEvent =
+  | {
+      assetType: 'stx';
+      eventType: 'transfer' | 'mint' | 'burn';
+      /** the principal the STX are taken from, not set for mints */
+      sender?: string;
+      amount: bigint;
+    }
+  | {
+      assetType: 'fungible';
+      eventType: 'transfer' | 'mint' | 'burn';
+      /** the fully qualified asset identifier, e.g. `SP13N5TE1FBBGRZD1FCM49QDGN32WAXM2E5F8WT2G.token::coin` */
+      assetId: string;
+      sender?: string;
+      amount: bigint;
+    }
+  | {
+      assetType: 'non_fungible';
+      eventType: 'transfer' | 'mint' | 'burn';
+      assetId: string;
+      sender?: string;
+      /** the Clarity value that names the token instance */
+      value: ClarityValue;
+    };
+
+/**
+ * Dry-runs a contract call from the given sender, and returns the asset movements it caused,
+ * e.g. by running the call in a local Clarity VM against the current chain state. Stacks nodes
+ * have no endpoint to simulate contract calls, so a simulator must be passed to
+ * [[generatePostConditions]].
+ */
+export type ContractCallSimulator = (options: {
+  payload: ContractCallPayload;
+  senderAddress: string;
+  network: StacksNetwork;
+}) => Promise<SimulatedAssetEvent[]>;
+
+/**
+ * Build the post conditions that cover the given asset movements. Fungible amounts are summed
+ * per principal and asset, and limited with [[FungibleConditionCode.LessEqual]], so that the
+ * transaction aborts if it would move more than the simulation did. Mints are ignored, as they
+ * don't take assets from any principal.
+ *
+ * @param {SimulatedAssetEvent[]} events - the asset movements of a contract call
+ *
+ * @returns {PostCondition[]}
+ */
+export function makePostConditionsFromEvents(events: SimulatedAssetEvent[]): PostCondition[] {
+  const fungibleTotals = new Map<string, { sender: string; assetId?: string; amount: bigint }>();
+  const nonFungibles = new Map<string, PostCondition>();
+
+  for (const event of events) {
+    if (event.eventType === 'mint' || !event.sender) continue;
+
+    if (event.assetType === 'non_fungible') {
+      const key = `${event.sender}|${event.assetId}|${serializeCV(event.value).toString('hex')}`;
+      nonFungibles.set(
+        key,
+        createNonFungiblePostCondition(
+          event.sender,
+          NonFungibleConditionCode.DoesNotOwn,
+          event.assetId,
+          event.value
+        )
+      );
+      continue;
+    }
+
+    const assetId = event.assetType === 'fungible' ? event.assetId : undefined;
+    const key = `${event.sender}|${assetId ?? 'stx'}`;
+    const total = fungibleTotals.get(key) ?? { sender: event.sender, assetId, amount: BigInt(0) };
+    total.amount += event.amount;
+    fungibleTotals.set(key, total);
+  }
+
+  const postConditions: PostCondition[] = [];
+  fungibleTotals.forEach(({ sender, assetId, amount }) => {
+    postConditions.push(
+      assetId
+        ? createFungiblePostCondition(sender, FungibleConditionCode.LessEqual, amount, assetId)
+        : createSTXPostCondition(sender, FungibleConditionCode.LessEqual, amount)
+    );
+  });
+  nonFungibles.forEach(postCondition => postConditions.push(postCondition));
+  return postConditions;
+}
+
+/**
+ * Options for [[generatePostConditions]]
+ */
+export interface GeneratePostConditionsOptions {
+  /** the contract call to generate post conditions for */
+  payload: ContractCallPayload;
+  /** the address that sends the contract call */
+  senderAddress: string;
+  /** the Stacks blockchain network to fetch the ABI from and simulate the call on */
+  network?: StacksNetwork;
+  /** the ABI of the contract, fetched from the network if not given */
+  abi?: ClarityAbi;
+  /** the simulator to dry-run the call with */
+  simulator: ContractCallSimulator;
+}
+
+/**
+ * Generate the post conditions for a contract call, by dry-running it and covering the asset
+ * movements it causes. Used by [[makeContractCall]] with `postConditions: 'auto'`.
+ *
+ * The result reflects the chain state at the time of the simulation. If the call moves more
+ * assets when it is mined, the transaction aborts.
+ *
+ * @param {GeneratePostConditionsOptions} options - the contract call and how to simulate it
+ *
+ * @returns a promise that resolves to the post conditions
+ */
+export async function generatePostConditions(
+  options: GeneratePostConditionsOptions
+): Promise<PostCondition[]> {
+  const { payload, senderAddress, simulator } = options;
+  if (!simulator) {
+    throw new Error('A contract call simulator is required to generate post conditions');
+  }
+  const network = options.network ?? new StacksMainnet();
+  const abi =
+    options.abi ??
+    (await getAbi(addressToString(payload.contractAddress), payload.contractName.content, network));
+
+  validateContractCall(payload, abi);
+  const abiFunction = abi.functions.find(fn => fn.name === payload.functionName.content)!;
+  if (abiFunction.access === 'read_only') {
+    // read-only functions cannot move assets
+    return [];
+  }
+
+  const events = await simulator({ payload, senderAddress, network });
+  return makePostConditionsFromEvents(events);
+}
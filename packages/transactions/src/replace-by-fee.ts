@@ -0,0 +1,191 @@
+import { IntegerType, intToBigInt } from '@stacks/common';
+import {
+  emptyMessageSignature,
+  isSingleSig,
+  SpendingCondition,
+  StandardAuthorization,
+} from './authorization';
+import { AnchorMode, AuthType, PostConditionMode } from './constants';
+import {
+  createStacksPrivateKey,
+  createStacksPublicKey,
+  getPublicKey,
+  pubKeyfromPrivKey,
+  publicKeyToString,
+} from './keys';
+import { createTokenTransferPayload } from './payload';
+import { TransactionSigner } from './signer';
+import { StacksTransaction } from './transaction';
+import { addressFromHashMode, addressFromPublicKeys, addressToString, createLPList } from './types';
+import { cloneDeep } from './utils';
+
+/**
+ * Keys used to sign a replacement transaction.
+ * If no keys are given, the replacement is returned unsigned, e.g. to collect the signatures
+ * of a multi-sig account with a [[TransactionSigner]].
+ */
+export interface ReplacementSignerOptions {
+  /** the private key of a single-sig sender */
+  senderKey?: string;
+  /** the private keys that sign for a multi-sig sender */
+  signerKeys?: string[];
+  /** all public keys of a multi-sig sender, in the order used to create the address */
+  publicKeys?: string[];
+}
+
+/**
+ * Replacement transaction options
+ */
+export interface ReplacementTransactionOptions extends ReplacementSignerOptions {
+  /** the fee of the replacement, which must be higher than the fee of the original */
+  newFee: IntegerType;
+}
+
+/**
+ * Cancel transaction options
+ */
+export interface CancelTransactionOptions extends ReplacementSignerOptions {
+  /** the fee of the cancel transaction, defaults to one microstack more than the original fee */
+  newFee?: IntegerType;
+  /** the memo of the STX transfer that replaces the original transaction */
+  memo?: string;
+}
+
+function getOriginSpendingCondition(transaction: StacksTransaction): SpendingCondition {
+  if (transaction.auth.authType === AuthType.Sponsored) {
+    throw new Error('Replacing sponsored transactions is not supported');
+  }
+  if (!transaction.auth.spendingCondition) {
+    throw new Error('Transaction has no spending condition');
+  }
+  return transaction.auth.spendingCondition;
+}
+
+function validateNewFee(transaction: StacksTransaction, newFee: IntegerType): bigint {
+  const currentFee = transaction.auth.getFee();
+  const fee = intToBigInt(newFee, false);
+  if (fee <= currentFee) {
+    throw new Error(
+      `The fee of a replacement transaction must be higher than the current fee of ${currentFee.toString()}`
+    );
+  }
+  return fee;
+}
+
+function clearSignatures(condition: SpendingCondition): SpendingCondition {
+  const cleared = cloneDeep(condition);
+  if (isSingleSig(cleared)) {
+    cleared.signature = emptyMessageSignature();
+  } else {
+    cleared.fields = [];
+  }
+  return cleared;
+}
+
+function signReplacement(transaction: StacksTransaction, options: ReplacementSignerOptions) {
+  const condition = transaction.auth.spendingCondition!;
+
+  if (isSingleSig(condition)) {
+    if (!options.senderKey) return;
+    const privateKey = createStacksPrivateKey(options.senderKey);
+    const signerHash = addressFromPublicKeys(0, condition.hashMode, 1, [
+      getPublicKey(privateKey),
+    ]).hash160;
+    if (signerHash !== condition.signer) {
+      throw new Error('The sender key does not match the sender of the transaction');
+    }
+    new TransactionSigner(transaction).signOrigin(privateKey);
+    return;
+  }
+
+  if (!options.signerKeys || options.signerKeys.length === 0) return;
+  if (!options.publicKeys) {
+    throw new Error('The public keys of the multi-sig sender are required to sign');
+  }
+  const publicKeys = options.publicKeys.map(createStacksPublicKey);
+  const signerHash = addressFromPublicKeys(
+    0,
+    condition.hashMode,
+    condition.signaturesRequired,
+    publicKeys
+  ).hash160;
+  if (signerHash !== condition.signer) {
+    throw new Error('The public keys do not match the sender of the transaction');
+  }
+
+  // Fields have to follow the order of the public keys, so signatures and public keys are
+  // interleaved and the signer's oversign check (which counts both) does not apply
+  const signer = new TransactionSigner(transaction);
+  signer.checkOversign = false;
+  const keysByPublicKey = new Map(
+    options.signerKeys.map(key => [publicKeyToString(pubKeyfromPrivKey(key)), key])
+  );
+  let signatures = 0;
+  for (const publicKey of publicKeys) {
+    const signerKey = keysByPublicKey.get(publicKeyToString(publicKey));
+    if (signerKey && signatures < condition.signaturesRequired) {
+      signer.signOrigin(createStacksPrivateKey(signerKey));
+      signatures++;
+    } else {
+      signer.appendOrigin(publicKey);
+    }
+  }
+}
+
+/**
+ * Creates a copy of a transaction with a higher fee, to replace the original while it is
+ * still in the mempool. The replacement uses the same nonce, payload and post conditions.
+ *
+ * @param {StacksTransaction} transaction - the transaction to replace
+ * @param {ReplacementTransactionOptions} options - the new fee, and the keys to sign with
+ *
+ * @return {StacksTransaction}
+ */
+export function makeReplacementTransaction(
+  transaction: StacksTransaction,
+  options: ReplacementTransactionOptions
+): StacksTransaction {
+  const condition = getOriginSpendingCondition(transaction);
+  const fee = validateNewFee(transaction, options.newFee);
+
+  const replacement = cloneDeep(transaction);
+  replacement.auth = new StandardAuthorization(clearSignatures(condition));
+  replacement.setFee(fee);
+
+  signReplacement(replacement, options);
+  return replacement;
+}
+
+/**
+ * Creates a transaction that cancels a transaction while it is still in the mempool, by
+ * replacing it with a transfer of one microstack from the sender to itself with the same nonce.
+ *
+ * @param {StacksTransaction} transaction - the transaction to cancel
+ * @param {CancelTransactionOptions} options - the new fee, and the keys to sign with
+ *
+ * @return {StacksTransaction}
+ */
+export function makeCancelTransaction(
+  transaction: StacksTransaction,
+  options: CancelTransactionOptions = {}
+): StacksTransaction {
+  const condition = getOriginSpendingCondition(transaction);
+  const fee = validateNewFee(transaction, options.newFee ?? transaction.auth.getFee() + BigInt(1));
+
+  const senderAddress = addressToString(
+    addressFromHashMode(condition.hashMode, transaction.version, condition.signer)
+  );
+  const cancel = new StacksTransaction(
+    transaction.version,
+    new StandardAuthorization(clearSignatures(condition)),
+    createTokenTransferPayload(senderAddress, 1, options.memo),
+    createLPList([]),
+    PostConditionMode.Deny,
+    AnchorMode.Any,
+    transaction.chainId
+  );
+  cancel.setFee(fee);
+
+  signReplacement(cancel, options);
+  return cancel;
+}
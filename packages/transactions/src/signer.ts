@@ -1,11 +1,65 @@
 import { StacksTransaction } from './transaction';
 
-import { StacksPrivateKey, StacksPublicKey } from './keys';
-import { isSingleSig, SpendingConditionOpts } from './authorization';
+import {
+  createStacksPrivateKey,
+  getPublicKey,
+  publicKeyToString,
+  signWithKey,
+  StacksPrivateKey,
+  StacksPublicKey,
+} from './keys';
+import { isSingleSig, MessageSignature, SpendingConditionOpts } from './authorization';
 import { cloneDeep } from './utils';
 import { AuthType } from './constants';
 import { SigningError } from './errors';
 
+/**
+ * Signs transactions with a key that may be held outside of this library, e.g. by a hardware
+ * wallet, a key management service or a remote signer. Signers can be used wherever a private
+ * key is accepted to sign a transaction.
+ */
+export interface Signer {
+  /** Resolves to the hex-encoded public key of the signing key */
+  getPublicKey(): Promise<string>;
+  /**
+   * Signs a pre-sign sighash of a transaction.
+   *
+   * @param sigHash - the hex-encoded hash to sign
+   * @param transaction - the transaction being signed, e.g. to show it to the user before signing
+   *
+   * @returns a recoverable signature of the hash, as created by [[signWithKey]]
+   */
+  signSighash(sigHash: string, transaction: StacksTransaction): Promise<MessageSignature>;
+}
+
+/**
+ * A [[Signer]] with a private key in memory
+ */
+export class PrivateKeySigner implements Signer {
+  privateKey: StacksPrivateKey;
+
+  constructor(privateKey: string | StacksPrivateKey) {
+    this.privateKey =
+      typeof privateKey === 'string' ? createStacksPrivateKey(privateKey) : privateKey;
+  }
+
+  getPublicKey(): Promise<string> {
+    return Promise.resolve(publicKeyToString(getPublicKey(this.privateKey)));
+  }
+
+  signSighash(sigHash: string): Promise<MessageSignature> {
+    return Promise.resolve(signWithKey(this.privateKey, sigHash));
+  }
+}
+
+/**
+ * Returns a [[Signer]] for a hex-encoded private key, or the signer itself
+ * @ignore
+ */
+export function toSigner(key: string | Signer): Signer {
+  return typeof key === 'string' ? new PrivateKeySigner(key) : key;
+}
+
 export class TransactionSigner {
   transaction: StacksTransaction;
   sigHash: string;
@@ -41,6 +95,21 @@ export class TransactionSigner {
   }
 
   signOrigin(privateKey: StacksPrivateKey) {
+    this.checkCanSignOrigin();
+    const nextSighash = this.transaction.signNextOrigin(this.sigHash, privateKey);
+    this.sigHash = nextSighash;
+  }
+
+  /**
+   * Like [[signOrigin]], with a [[Signer]]
+   */
+  async signOriginWithSigner(signer: Signer) {
+    this.checkCanSignOrigin();
+    const nextSighash = await this.transaction.signNextOriginWithSigner(this.sigHash, signer);
+    this.sigHash = nextSighash;
+  }
+
+  private checkCanSignOrigin() {
     if (this.checkOverlap && this.originDone) {
       throw new SigningError('Cannot sign origin after sponsor key');
     }
@@ -61,9 +130,6 @@ export class TransactionSigner {
         throw new Error('Origin would have too many signatures');
       }
     }
-
-    const nextSighash = this.transaction.signNextOrigin(this.sigHash, privateKey);
-    this.sigHash = nextSighash;
   }
 
   appendOrigin(publicKey: StacksPublicKey) {
@@ -82,16 +148,29 @@ export class TransactionSigner {
   }
 
   signSponsor(privateKey: StacksPrivateKey) {
+    this.checkCanSignSponsor();
+    const nextSighash = this.transaction.signNextSponsor(this.sigHash, privateKey);
+    this.sigHash = nextSighash;
+    this.originDone = true;
+  }
+
+  /**
+   * Like [[signSponsor]], with a [[Signer]]
+   */
+  async signSponsorWithSigner(signer: Signer) {
+    this.checkCanSignSponsor();
+    const nextSighash = await this.transaction.signNextSponsorWithSigner(this.sigHash, signer);
+    this.sigHash = nextSighash;
+    this.originDone = true;
+  }
+
+  private checkCanSignSponsor() {
     if (this.transaction.auth === undefined) {
       throw new SigningError('"transaction.auth" is undefined');
     }
     if (this.transaction.auth.sponsorSpendingCondition === undefined) {
       throw new SigningError('"transaction.auth.spendingCondition" is undefined');
     }
-
-    const nextSighash = this.transaction.signNextSponsor(this.sigHash, privateKey);
-    this.sigHash = nextSighash;
-    this.originDone = true;
   }
 
   getTxInComplete(): StacksTransaction {
@@ -16,7 +16,9 @@ import {
   createMessageSignature,
   createTransactionAuthField,
   isSingleSig,
+  MessageSignature,
   nextSignature,
+  nextSignatureAsync,
   SingleSigSpendingCondition,
   SpendingConditionOpts,
 } from './authorization';
@@ -27,7 +29,9 @@ import { deserializePayload, Payload, PayloadInput, serializePayload } from './p
 
 import { createLPList, deserializeLPList, LengthPrefixedList, serializeLPList } from './types';
 
-import { isCompressed, StacksPrivateKey, StacksPublicKey } from './keys';
+import { createStacksPublicKey, isCompressed, StacksPrivateKey, StacksPublicKey } from './keys';
+
+import { Signer } from './signer';
 
 import { BufferReader } from './bufferReader';
 
@@ -164,19 +168,77 @@ export class StacksTransaction {
       condition.nonce,
       privateKey
     );
+    const compressed = privateKey.data.toString('hex').endsWith('01');
+    this.appendSignature(condition, nextSig, compressed);
+
+    return nextSigHash;
+  }
+
+  async signNextOriginWithSigner(sigHash: string, signer: Signer): Promise<string> {
+    if (this.auth.spendingCondition === undefined) {
+      throw new Error('"auth.spendingCondition" is undefined');
+    }
+    if (this.auth.authType === undefined) {
+      throw new Error('"auth.authType" is undefined');
+    }
+    return this.signAndAppendWithSigner(
+      this.auth.spendingCondition,
+      sigHash,
+      AuthType.Standard,
+      signer
+    );
+  }
+
+  async signNextSponsorWithSigner(sigHash: string, signer: Signer): Promise<string> {
+    if (this.auth.sponsorSpendingCondition === undefined) {
+      throw new Error('"auth.spendingCondition" is undefined');
+    }
+    if (this.auth.authType === undefined) {
+      throw new Error('"auth.authType" is undefined');
+    }
+    return this.signAndAppendWithSigner(
+      this.auth.sponsorSpendingCondition,
+      sigHash,
+      AuthType.Sponsored,
+      signer
+    );
+  }
+
+  async signAndAppendWithSigner(
+    condition: SpendingConditionOpts,
+    curSigHash: string,
+    authType: AuthType,
+    signer: Signer
+  ): Promise<string> {
+    const publicKey = createStacksPublicKey(await signer.getPublicKey());
+    const { nextSig, nextSigHash } = await nextSignatureAsync(
+      curSigHash,
+      authType,
+      condition.fee,
+      condition.nonce,
+      publicKey,
+      sigHashPreSign => signer.signSighash(sigHashPreSign, this)
+    );
+    this.appendSignature(condition, nextSig, isCompressed(publicKey));
+
+    return nextSigHash;
+  }
+
+  private appendSignature(
+    condition: SpendingConditionOpts,
+    signature: MessageSignature,
+    compressed: boolean
+  ) {
     if (isSingleSig(condition)) {
-      condition.signature = nextSig;
+      condition.signature = signature;
     } else {
-      const compressed = privateKey.data.toString('hex').endsWith('01');
       condition.fields.push(
         createTransactionAuthField(
           compressed ? PubKeyEncoding.Compressed : PubKeyEncoding.Uncompressed,
-          nextSig
+          signature
         )
       );
     }
-
-    return nextSigHash;
   }
 
   txid(): string {
@@ -0,0 +1,325 @@
+import { fetchPrivate } from '@stacks/common';
+import { StacksMainnet, StacksNetwork } from '@stacks/network';
+import { ClarityValue } from './clarity';
+import { hexToCV } from './utils';
+
+/**
+ * Transaction status as reported by the Stacks Blockchain API `/extended/v1/tx/{txid}` endpoint
+ */
+export type ApiTxStatus =
+  | 'pending'
+  | 'success'
+  | 'abort_by_response'
+  | 'abort_by_post_condition'
+  | 'dropped_replace_by_fee'
+  | 'dropped_replace_across_fork'
+  | 'dropped_too_expensive'
+  | 'dropped_stale_garbage_collect';
+
+interface ApiTransaction {
+  tx_id: string;
+  tx_status: ApiTxStatus;
+  tx_result?: {
+    hex: string;
+    repr: string;
+  };
+  block_hash?: string;
+  block_height?: number;
+}
+
+/** The transaction is in the mempool, or not yet known to the node */
+export interface TxStatusPending {
+  txid: string;
+  status: 'pending';
+}
+
+/** The transaction was mined, either successfully or aborted */
+export interface TxStatusMined {
+  txid: string;
+  status: 'success' | 'abort_by_response' | 'abort_by_post_condition';
+  /** the result of the transaction, e.g. the response returned by the called contract function */
+  result: ClarityValue;
+  blockHash: string;
+  blockHeight: number;
+  /** the number of blocks in the chain since and including the block of the transaction */
+  confirmations: number;
+}
+
+/** The transaction was removed from the mempool and will not be mined */
+export interface TxStatusDropped {
+  txid: string;
+  status: 'dropped';
+  /** the reason reported by the API, e.g. `dropped_replace_by_fee` */
+  reason: ApiTxStatus;
+}
+
+export type TxStatus = TxStatusPending | TxStatusMined | TxStatusDropped;
+
+/** The outcome of a transaction that will no longer change, unless the chain is reorganized */
+export type TxStatusFinal = TxStatusMined | TxStatusDropped;
+
+async function fetchChainTipHeight(network: StacksNetwork): Promise<number> {
+  const url = network.getInfoUrl();
+  const response = await (network.fetchFn ?? fetchPrivate)(url);
+  if (!response.ok) {
+    throw new Error(
+      `Error fetching the chain tip. Response ${response.status}: ${response.statusText}. Attempted to fetch ${url}`
+    );
+  }
+  const info = (await response.json()) as { stacks_tip_height: number };
+  return info.stacks_tip_height;
+}
+
+/**
+ * Fetch the current status of a transaction. A transaction that is not known to the API
+ * (e.g. because it was just broadcast) is reported as pending.
+ *
+ * @param {string} txid - the transaction ID, with or without `0x` prefix
+ * @param {StacksNetwork} network - the Stacks network to query
+ *
+ * @returns {Promise<TxStatus>} that resolves to the status of the transaction
+ */
+export async function getTransactionStatus(
+  txid: string,
+  network: StacksNetwork = new StacksMainnet()
+): Promise<TxStatus> {
+  const txidHex = txid.startsWith('0x') ? txid : `0x${txid}`;
+  if (!network.getTransactionApiUrl) {
+    throw new Error('The network does not implement getTransactionApiUrl');
+  }
+  const url = network.getTransactionApiUrl(txidHex);
+  const response = await (network.fetchFn ?? fetchPrivate)(url);
+
+  if (response.status === 404) {
+    return { txid: txidHex, status: 'pending' };
+  }
+  if (!response.ok) {
+    let msg = '';
+    try {
+      msg = await response.text();
+    } catch (error) {}
+    throw new Error(
+      `Error fetching status of transaction ${txidHex}. Response ${response.status}: ${response.statusText}. Attempted to fetch ${url} and failed with the message: "${msg}"`
+    );
+  }
+
+  const tx = (await response.json()) as ApiTransaction;
+  if (tx.tx_status === 'pending') {
+    return { txid: txidHex, status: 'pending' };
+  }
+  if (tx.tx_status.startsWith('dropped')) {
+    return { txid: txidHex, status: 'dropped', reason: tx.tx_status };
+  }
+
+  const tipHeight = await fetchChainTipHeight(network);
+  const blockHeight = tx.block_height!;
+  return {
+    txid: txidHex,
+    status: tx.tx_status as TxStatusMined['status'],
+    result: hexToCV(tx.tx_result!.hex),
+    blockHash: tx.block_hash!,
+    blockHeight,
+    confirmations: Math.max(tipHeight - blockHeight + 1, 0),
+  };
+}
+
+export interface WaitForTransactionOptions {
+  /** the number of confirmations to wait for once the transaction is mined, defaults to 1 */
+  confirmations?: number;
+  /** the maximum time to wait in milliseconds, waits indefinitely if not set */
+  timeout?: number;
+  /** the time between status requests in milliseconds, defaults to 5000 */
+  pollingInterval?: number;
+}
+
+export interface TransactionWatcherEvents {
+  /** emitted when the status of the transaction changes */
+  status: (status: TxStatus) => void;
+  /** emitted when a mined transaction receives a new confirmation */
+  confirmation: (confirmations: number, status: TxStatusMined) => void;
+  /** emitted once the transaction was dropped, or mined with the required confirmations */
+  done: (status: TxStatusFinal) => void;
+  /**
+   * emitted when the status cannot be fetched, the timeout is reached or another listener
+   * throws, stops the watcher
+   */
+  error: (error: Error) => void;
+}
+
+/**
+ * Polls the status of a transaction and notifies listeners of changes.
+ * Created with [[watchTransaction]]. Polling starts right away and stops once `done` or
+ * `error` is emitted, or [[stop]] is called.
+ */
+export class TransactionWatcher {
+  readonly txid: string;
+
+  readonly network: StacksNetwork;
+
+  private readonly confirmations: number;
+
+  private readonly pollingInterval: number;
+
+  private readonly deadline?: number;
+
+  private readonly timeout?: number;
+
+  private listeners: { [E in keyof TransactionWatcherEvents]?: ((...args: any[]) => void)[] } = {};
+
+  private lastStatus?: TxStatus;
+
+  private timer?: ReturnType<typeof setTimeout>;
+
+  private stopped = false;
+
+  constructor(
+    txid: string,
+    network: StacksNetwork = new StacksMainnet(),
+    options: WaitForTransactionOptions = {}
+  ) {
+    this.txid = txid.startsWith('0x') ? txid : `0x${txid}`;
+    this.network = network;
+    this.confirmations = options.confirmations ?? 1;
+    this.pollingInterval = options.pollingInterval ?? 5000;
+    this.timeout = options.timeout;
+    if (options.timeout !== undefined) {
+      this.deadline = Date.now() + options.timeout;
+    }
+    // Give the caller a chance to add listeners before the first request
+    this.schedule(0);
+  }
+
+  on<E extends keyof TransactionWatcherEvents>(event: E, listener: TransactionWatcherEvents[E]) {
+    this.listeners[event] = [...(this.listeners[event] ?? []), listener];
+    return this;
+  }
+
+  off<E extends keyof TransactionWatcherEvents>(event: E, listener: TransactionWatcherEvents[E]) {
+    this.listeners[event] = this.listeners[event]?.filter(l => l !== listener);
+    return this;
+  }
+
+  /** Stop polling, no further events are emitted */
+  stop() {
+    this.stopped = true;
+    if (this.timer !== undefined) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  private emit<E extends keyof TransactionWatcherEvents>(
+    event: E,
+    ...args: Parameters<TransactionWatcherEvents[E]>
+  ) {
+    for (const listener of this.listeners[event] ?? []) {
+      listener(...args);
+    }
+  }
+
+  private fail(error: Error) {
+    this.stop();
+    this.emit('error', error);
+  }
+
+  private schedule(delay: number) {
+    if (this.stopped) return;
+    if (this.deadline !== undefined) {
+      delay = Math.min(delay, Math.max(this.deadline - Date.now(), 0));
+    }
+    // an error thrown by a listener stops the watcher, like a failed request
+    this.timer = setTimeout(
+      () => void this.poll().catch(error => this.fail(error as Error)),
+      delay
+    );
+  }
+
+  private async poll() {
+    if (this.deadline !== undefined && Date.now() >= this.deadline) {
+      this.fail(
+        new Error(`Timed out waiting for transaction ${this.txid} after ${this.timeout} ms`)
+      );
+      return;
+    }
+    let status: TxStatus;
+    try {
+      status = await getTransactionStatus(this.txid, this.network);
+    } catch (error) {
+      if (!this.stopped) this.fail(error as Error);
+      return;
+    }
+    if (this.stopped) return;
+
+    const previous = this.lastStatus;
+    this.lastStatus = status;
+    if (previous?.status !== status.status) {
+      this.emit('status', status);
+    }
+
+    if (status.status === 'dropped') {
+      this.stop();
+      this.emit('done', status);
+      return;
+    }
+
+    if (status.status !== 'pending') {
+      const previousConfirmations = previous?.status === status.status ? previous.confirmations : 0;
+      if (status.confirmations > previousConfirmations) {
+        this.emit('confirmation', status.confirmations, status);
+      }
+      if (status.confirmations >= this.confirmations) {
+        this.stop();
+        this.emit('done', status);
+        return;
+      }
+    }
+
+    this.schedule(this.pollingInterval);
+  }
+}
+
+/**
+ * Watch the status of a broadcast transaction.
+ *
+ * @example
+ * ```
+ * const watcher = watchTransaction(result.txid, network, { confirmations: 3 });
+ * watcher.on('confirmation', confirmations => console.log(`${confirmations} confirmations`));
+ * watcher.on('done', status => console.log(status.status));
+ * ```
+ *
+ * @param {string} txid - the transaction ID, with or without `0x` prefix
+ * @param {StacksNetwork} network - the Stacks network to query
+ * @param {WaitForTransactionOptions} options - the confirmations to wait for, timeout and polling interval
+ *
+ * @returns {TransactionWatcher} that emits the status changes of the transaction
+ */
+export function watchTransaction(
+  txid: string,
+  network?: StacksNetwork,
+  options?: WaitForTransactionOptions
+): TransactionWatcher {
+  return new TransactionWatcher(txid, network, options);
+}
+
+/**
+ * Wait until a broadcast transaction is mined with the required number of confirmations, or
+ * dropped from the mempool. An aborted transaction resolves as well, check the `status` of the
+ * result to see whether the transaction succeeded.
+ *
+ * @param {string} txid - the transaction ID, with or without `0x` prefix
+ * @param {StacksNetwork} network - the Stacks network to query
+ * @param {WaitForTransactionOptions} options - the confirmations to wait for, timeout and polling interval
+ *
+ * @returns {Promise<TxStatusFinal>} that resolves to the outcome of the transaction, and rejects
+ * if the timeout is reached
+ */
+export function waitForTransaction(
+  txid: string,
+  network?: StacksNetwork,
+  options?: WaitForTransactionOptions
+): Promise<TxStatusFinal> {
+  return new Promise((resolve, reject) => {
+    watchTransaction(txid, network, options).on('done', resolve).on('error', reject);
+  });
+}
@@ -19,7 +19,9 @@ import {
   callReadOnlyFunction,
   sponsorTransaction,
   makeSTXTokenTransfer,
-  makeUnsignedContractCall
+  makeUnsignedContractCall,
+  getContractMapEntry,
+  getContractDataVar,
 } from '../src/builders';
 
 import { deserializeTransaction } from '../src/transaction';
@@ -43,13 +45,24 @@ import {
   AnchorMode,
 } from '../src/constants';
 
-import { StacksTestnet, StacksMainnet } from '@stacks/network';
+import { StacksTestnet, StacksMainnet, HIRO_TESTNET_DEFAULT } from '@stacks/network';
+import { createFetchFn } from '@stacks/common';
 
-import { bufferCV, standardPrincipalCV, bufferCVFromString, serializeCV } from '../src/clarity';
+import {
+  bufferCV,
+  standardPrincipalCV,
+  bufferCVFromString,
+  serializeCV,
+  noneCV,
+  someCV,
+  tupleCV,
+  uintCV,
+} from '../src/clarity';
 
 import { ClarityAbi } from '../src/contract-abi';
 import { createStacksPrivateKey, pubKeyfromPrivKey, publicKeyToString } from '../src/keys';
-import { TransactionSigner } from '../src/signer';
+import { PrivateKeySigner, TransactionSigner } from '../src/signer';
+import { MockRemoteSigner } from './macros';
 import fetchMock from 'jest-fetch-mock';
 
 beforeEach(() => {
@@ -1184,3 +1197,231 @@ test('Call read-only function', async () => {
   expect(fetchMock.mock.calls[0][0]).toEqual(apiUrl);
   expect(result).toEqual(mockResult);
 });
+
+test('Get contract map entry', async () => {
+  const contractAddress = 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE';
+  const contractName = 'kv-store';
+  const network = new StacksTestnet();
+  const abi: ClarityAbi = JSON.parse(fs.readFileSync('./tests/abi/kv-store-abi.json').toString());
+  const key = tupleCV({ key: bufferCVFromString('foo') });
+  const entry = someCV(tupleCV({ value: bufferCVFromString('bar') }));
+
+  fetchMock.mockOnce(`{"data": "0x${serializeCV(entry).toString('hex')}"}`);
+  const result = await getContractMapEntry({
+    contractAddress,
+    contractName,
+    mapName: 'store',
+    key,
+    network,
+    validateWithAbi: abi,
+  });
+
+  expect(result).toEqual(entry);
+  expect(fetchMock.mock.calls[0][0]).toEqual(
+    network.getMapEntryUrl(contractAddress, contractName, 'store')
+  );
+  expect(fetchMock.mock.calls[0][1]?.body).toEqual(`"0x${serializeCV(key).toString('hex')}"`);
+
+  fetchMock.mockOnce(`{"data": "0x${serializeCV(noneCV()).toString('hex')}", "proof": "0x1234"}`);
+  const missing = await getContractMapEntry({
+    contractAddress,
+    contractName,
+    mapName: 'store',
+    key,
+    network,
+    proof: true,
+  });
+
+  expect(missing).toEqual({ value: noneCV(), proof: '0x1234' });
+  expect(fetchMock.mock.calls[1][0]).toEqual(
+    network.getMapEntryUrl(contractAddress, contractName, 'store', true)
+  );
+});
+
+test('Get contract map entry with ABI validation failure', async () => {
+  const abi: ClarityAbi = JSON.parse(fs.readFileSync('./tests/abi/kv-store-abi.json').toString());
+  const options = {
+    contractAddress: 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE',
+    contractName: 'kv-store',
+    network: new StacksTestnet(),
+    validateWithAbi: abi,
+  };
+
+  await expect(
+    getContractMapEntry({ ...options, mapName: 'store', key: bufferCVFromString('foo') })
+  ).rejects.toThrow(
+    'Clarity map `store` expects key to be of type (tuple (key (buff 3))), not (buff 3)'
+  );
+  await expect(
+    getContractMapEntry({ ...options, mapName: 'missing', key: bufferCVFromString('foo') })
+  ).rejects.toThrow("ABI doesn't contain a map with the name missing");
+
+  fetchMock.mockOnce(`{"data": "0x${serializeCV(someCV(uintCV(1))).toString('hex')}"}`);
+  await expect(
+    getContractMapEntry({
+      ...options,
+      mapName: 'store',
+      key: tupleCV({ key: bufferCVFromString('foo') }),
+    })
+  ).rejects.toThrow('Clarity map `store` expects value to be of type');
+});
+
+test('Get contract data var', async () => {
+  const contractAddress = 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE';
+  const contractName = 'counter';
+  const network = new StacksTestnet();
+  const abi: ClarityAbi = {
+    functions: [],
+    variables: [{ name: 'counter', access: 'variable', type: 'uint128' }],
+    maps: [],
+    fungible_tokens: [],
+    non_fungible_tokens: [],
+  };
+
+  fetchMock.mockOnce(JSON.stringify(abi));
+  fetchMock.mockOnce(`{"data": "0x${serializeCV(uintCV(5)).toString('hex')}"}`);
+  const result = await getContractDataVar({
+    contractAddress,
+    contractName,
+    varName: 'counter',
+    network,
+    validateWithAbi: true,
+  });
+
+  expect(result).toEqual(uintCV(5));
+  expect(fetchMock.mock.calls[0][0]).toEqual(network.getAbiApiUrl(contractAddress, contractName));
+  expect(fetchMock.mock.calls[1][0]).toEqual(
+    network.getDataVarUrl(contractAddress, contractName, 'counter')
+  );
+
+  fetchMock.mockOnce('not found', { status: 404 });
+  await expect(
+    getContractDataVar({ contractAddress, contractName, varName: 'counter', network })
+  ).rejects.toThrow('Error reading contract data. Response 404');
+});
+
+test('Network fetch function is used for nonce lookup and broadcast', async () => {
+  const recipient = standardPrincipalCV('SP3FGQ8Z7JY9BWYZ5WM53E0M9NK7WHJF0691NZ159');
+  const senderKey = 'cb3df38053d132895220b9ce471f6b676db5b9bf0b4adefb55f2118ece2478df01';
+  const fetchFn = jest.fn(createFetchFn());
+  const network = new StacksTestnet({ url: HIRO_TESTNET_DEFAULT, fetchFn });
+
+  fetchMock.mockOnce(`{"balance":"0", "nonce":3}`);
+  const transaction = await makeSTXTokenTransfer({
+    recipient,
+    amount: 12345,
+    senderKey,
+    fee: 0,
+    network,
+    anchorMode: AnchorMode.Any,
+  });
+
+  fetchMock.mockOnce('success');
+  const response = await broadcastTransaction(transaction, network);
+
+  expect(fetchFn).toHaveBeenCalledTimes(2);
+  expect(fetchFn.mock.calls[0][0]).toEqual(
+    network.getAccountApiUrl('STB44HYPYAT2BB2QE513NSP81HTMYWBJP02HPGK6')
+  );
+  expect(fetchFn.mock.calls[1][0]).toEqual(network.getBroadcastApiUrl());
+  expect(transaction.auth.spendingCondition?.nonce?.toString()).toEqual('3');
+  expect(response as TxBroadcastResultOk).toEqual({ txid: 'success' });
+});
+
+test('Signers sign transactions in place of private keys', async () => {
+  const recipient = standardPrincipalCV('SP3FGQ8Z7JY9BWYZ5WM53E0M9NK7WHJF0691NZ159');
+  const senderKey = 'edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01';
+  const sponsorKey = '9888d734e6e80a943a6544159e31d6c7e342f695ec867d549c569fa0028892d401';
+  const txOptions = {
+    recipient,
+    amount: 12345,
+    fee: 0,
+    nonce: 0,
+    memo: 'test memo',
+    anchorMode: AnchorMode.Any,
+  };
+
+  const withKey = await makeSTXTokenTransfer({ ...txOptions, senderKey });
+  const withKeySigner = await makeSTXTokenTransfer({
+    ...txOptions,
+    senderKey: new PrivateKeySigner(senderKey),
+  });
+  expect(withKeySigner.serialize().toString('hex')).toEqual(withKey.serialize().toString('hex'));
+
+  const remoteSigner = new MockRemoteSigner(senderKey);
+  const withRemoteSigner = await makeSTXTokenTransfer({ ...txOptions, senderKey: remoteSigner });
+  expect(withRemoteSigner.serialize().toString('hex')).toEqual(withKey.serialize().toString('hex'));
+  expect(remoteSigner.requests).toHaveLength(1);
+  expect(() => withRemoteSigner.verifyOrigin()).not.toThrow();
+
+  const contractCallOptions = {
+    contractAddress: 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE',
+    contractName: 'kv-store',
+    functionName: 'get-value',
+    functionArgs: [bufferCVFromString('foo')],
+    fee: 0,
+    nonce: 1,
+    network: new StacksTestnet(),
+    anchorMode: AnchorMode.Any,
+  };
+  const contractCall = await makeContractCall({ ...contractCallOptions, senderKey });
+  const remoteContractCall = await makeContractCall({
+    ...contractCallOptions,
+    senderKey: new MockRemoteSigner(senderKey),
+  });
+  expect(remoteContractCall.txid()).toEqual(contractCall.txid());
+
+  // sponsor signers
+  const sponsored = await makeSTXTokenTransfer({
+    ...txOptions,
+    sponsored: true,
+    senderKey: new MockRemoteSigner(senderKey),
+  });
+  const sponsorSigner = new MockRemoteSigner(sponsorKey);
+  const sponsorSigned = await sponsorTransaction({
+    transaction: sponsored,
+    sponsorPrivateKey: sponsorSigner,
+    fee: 123,
+    sponsorNonce: 55,
+  });
+  expect(sponsorSigner.requests).toHaveLength(1);
+  const deserialized = deserializeTransaction(sponsorSigned.serialize());
+  expect(deserialized.auth.sponsorSpendingCondition!.fee.toString()).toEqual('123');
+  expect(() => deserialized.verifyOrigin()).not.toThrow();
+
+  // a signature by another key than the one the signer claims
+  const wrongSigner = new MockRemoteSigner(senderKey);
+  wrongSigner.wrongKey = sponsorKey;
+  await expect(makeSTXTokenTransfer({ ...txOptions, senderKey: wrongSigner })).rejects.toThrow(
+    'Signature does not match the public key of the signer'
+  );
+});
+
+test('Make Multi-Sig STX token transfer with signers', async () => {
+  const privKeyStrings = [
+    '6d430bb91222408e7706c9001cfaeb91b08c2be6d5ac95779ab52c6b431950e001',
+    '2a584d899fed1d24e26b524f202763c8ab30260167429f157f1c119f550fa6af01',
+    'd5200dee706ee53ae98a03fba6cf4fdcc5084c30cfa9e1b3462dcdeaa3e0f1d201',
+  ];
+  const pubKeyStrings = privKeyStrings.map(key => publicKeyToString(pubKeyfromPrivKey(key)));
+  const txOptions = {
+    recipient: standardPrincipalCV('SP3FGQ8Z7JY9BWYZ5WM53E0M9NK7WHJF0691NZ159'),
+    amount: 12345,
+    fee: 0,
+    nonce: 0,
+    memo: 'test memo',
+    numSignatures: 2,
+    publicKeys: pubKeyStrings,
+    anchorMode: AnchorMode.Any,
+  };
+
+  const withKeys = await makeSTXTokenTransfer({
+    ...txOptions,
+    signerKeys: privKeyStrings.slice(0, 2),
+  });
+  const withSigners = await makeSTXTokenTransfer({
+    ...txOptions,
+    signerKeys: [privKeyStrings[0], new MockRemoteSigner(privKeyStrings[1])],
+  });
+  expect(withSigners.serialize().toString('hex')).toEqual(withKeys.serialize().toString('hex'));
+});
@@ -0,0 +1,122 @@
+import {
+  bufferCVFromString,
+  contractPrincipalCV,
+  cvToJSON,
+  intCV,
+  listCV,
+  noneCV,
+  responseErrorCV,
+  responseOkCV,
+  someCV,
+  standardPrincipalCV,
+  stringAsciiCV,
+  stringUtf8CV,
+  trueCV,
+  tupleCV,
+  uintCV,
+} from '../src/clarity';
+import { isClarityValueOfType, jsonToCV } from '../src/clarity-abi-values';
+import { ClarityAbiType } from '../src/contract-abi';
+
+const type: ClarityAbiType = {
+  tuple: [
+    { name: 'amount', type: 'uint128' },
+    { name: 'delta', type: 'int128' },
+    { name: 'enabled', type: 'bool' },
+    { name: 'memo', type: { optional: { buffer: { length: 4 } } } },
+    { name: 'name', type: { 'string-ascii': { length: 8 } } },
+    { name: 'note', type: { 'string-utf8': { length: 2 } } },
+    {
+      name: 'recipients',
+      type: { list: { type: { tuple: [{ name: 'to', type: 'principal' }] }, length: 2 } },
+    },
+    { name: 'result', type: { response: { ok: 'trait_reference', error: 'none' } } },
+  ],
+};
+
+const value = tupleCV({
+  amount: uintCV(100),
+  delta: intCV(-5),
+  enabled: trueCV(),
+  memo: someCV(bufferCVFromString('memo')),
+  name: stringAsciiCV('alice'),
+  note: stringUtf8CV('✓✓'),
+  recipients: listCV([
+    tupleCV({ to: standardPrincipalCV('ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE') }),
+    tupleCV({ to: contractPrincipalCV('ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE', 'kv-store') }),
+  ]),
+  result: responseOkCV(
+    contractPrincipalCV('ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE', 'sip-010-trait')
+  ),
+});
+
+test('JSON round trip', () => {
+  const json = JSON.stringify(cvToJSON(value));
+
+  expect(jsonToCV(json, type)).toEqual(value);
+  expect(jsonToCV(JSON.parse(json), type)).toEqual(value);
+  expect(jsonToCV(cvToJSON(noneCV()), { optional: 'uint128' })).toEqual(noneCV());
+  expect(
+    jsonToCV(cvToJSON(responseErrorCV(noneCV())), { response: { ok: 'bool', error: 'none' } })
+  ).toEqual(responseErrorCV(noneCV()));
+});
+
+test('JSON conversion errors', () => {
+  const json = cvToJSON(value);
+
+  expect(() => jsonToCV({ ...json, value: { ...json.value, name: undefined } }, type)).toThrow(
+    '$.name: expected a JSON Clarity value with a `value`'
+  );
+  expect(() =>
+    jsonToCV(
+      { ...json, value: { ...json.value, amount: { type: 'uint', value: 'abc' } } },
+      type
+    )
+  ).toThrow('$.amount: cannot convert "abc" to uint');
+  expect(() =>
+    jsonToCV({ ...json, value: { ...json.value, name: { type: '', value: 'alice-bob' } } }, type)
+  ).toThrow('$.name: string of 9 characters exceeds the maximum of 8');
+});
+
+test('Value matches ABI type', () => {
+  expect(isClarityValueOfType(value, type)).toEqual({ valid: true, errors: [] });
+});
+
+test('Value does not match ABI type', () => {
+  const invalid = tupleCV({
+    amount: intCV(100),
+    enabled: trueCV(),
+    extra: trueCV(),
+    memo: someCV(bufferCVFromString('too long')),
+    name: stringAsciiCV('é'),
+    note: stringUtf8CV('abc'),
+    recipients: listCV([
+      tupleCV({ to: uintCV(1) }),
+      tupleCV({ to: uintCV(2) }),
+      tupleCV({ to: uintCV(3) }),
+    ]),
+    result: responseOkCV(standardPrincipalCV('ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE')),
+  });
+
+  const { valid, errors } = isClarityValueOfType(invalid, type);
+
+  expect(valid).toEqual(false);
+  expect(errors.map(error => error.message)).toEqual([
+    '$.amount: expected uint, not int',
+    '$: missing tuple field `delta`',
+    '$.memo.some: buffer of 8 bytes exceeds the maximum of 4',
+    '$.name: string contains characters that are not printable ASCII',
+    '$.note: string of 3 characters exceeds the maximum of 2',
+    '$.recipients: list of 3 items exceeds the maximum of 2',
+    '$.recipients[0].to: expected principal, not uint',
+    '$.recipients[1].to: expected principal, not uint',
+    '$.recipients[2].to: expected principal, not uint',
+    '$.result.ok: expected trait_reference, not principal',
+    '$: unexpected tuple field `extra`',
+  ]);
+  expect(errors[0]).toEqual({
+    path: '$.amount',
+    expected: 'uint',
+    message: '$.amount: expected uint, not int',
+  });
+});
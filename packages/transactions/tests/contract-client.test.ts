@@ -0,0 +1,223 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import fetchMock from 'jest-fetch-mock';
+import { StacksTestnet } from '@stacks/network';
+import {
+  bufferCV,
+  bufferCVFromString,
+  listCV,
+  noneCV,
+  responseErrorCV,
+  responseOkCV,
+  serializeCV,
+  someCV,
+  standardPrincipalCV,
+  stringAsciiCV,
+  tupleCV,
+  uintCV,
+} from '../src/clarity';
+import { AnchorMode, TransactionVersion } from '../src/constants';
+import { ClarityAbi } from '../src/contract-abi';
+import { decodeAbiValue, encodeAbiValue } from '../src/contract-client';
+import { generateContractClient } from '../src/contract-client-generator';
+import { getAddressFromPrivateKey } from '../src/keys';
+import { ContractCallPayload } from '../src/payload';
+import { cvToHex } from '../src/utils';
+
+const contractAddress = 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE';
+const senderKey = 'edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01';
+const senderAddress = getAddressFromPrivateKey(senderKey, TransactionVersion.Testnet);
+
+const abi: ClarityAbi = {
+  functions: [
+    {
+      name: 'transfer',
+      access: 'public',
+      args: [
+        { name: 'amount', type: 'uint128' },
+        { name: 'recipient', type: 'principal' },
+        { name: 'memo', type: { optional: { buffer: { length: 34 } } } },
+      ],
+      outputs: { type: { response: { ok: 'bool', error: 'uint128' } } },
+    },
+    {
+      name: 'get-balance',
+      access: 'read_only',
+      args: [{ name: 'owner', type: 'principal' }],
+      outputs: { type: { response: { ok: 'uint128', error: 'none' } } },
+    },
+    {
+      name: 'get-info',
+      access: 'read_only',
+      args: [],
+      outputs: {
+        type: {
+          tuple: [
+            { name: 'name', type: { 'string-ascii': { length: 32 } } },
+            { name: 'holders', type: { list: { type: 'principal', length: 10 } } },
+          ],
+        },
+      },
+    },
+    {
+      name: 'network',
+      access: 'read_only',
+      args: [{ name: 'default', type: 'bool' }],
+      outputs: { type: 'bool' },
+    },
+    { name: 'mint-internal', access: 'private', args: [], outputs: { type: 'bool' } },
+  ],
+  variables: [
+    { name: 'counter', access: 'variable', type: 'uint128' },
+    { name: 'max-supply', access: 'constant', type: 'uint128' },
+  ],
+  maps: [
+    {
+      name: 'names',
+      key: [{ name: 'owner', type: 'principal' }],
+      value: [{ name: 'name', type: { buffer: { length: 8 } } }],
+    },
+  ],
+  fungible_tokens: [{ name: 'token' }],
+  non_fungible_tokens: [{ name: 'nft', type: 'uint128' }],
+};
+
+test('Encode and decode native values', () => {
+  const type = {
+    tuple: [
+      { name: 'amount', type: 'uint128' as const },
+      { name: 'memo', type: { optional: { buffer: { length: 3 } } } },
+      { name: 'tags', type: { list: { type: { 'string-ascii': { length: 5 } }, length: 2 } } },
+      { name: 'result', type: { response: { ok: 'bool' as const, error: 'uint128' as const } } },
+    ],
+  };
+
+  const cv = encodeAbiValue(type, {
+    amount: 5,
+    memo: Buffer.from('abc'),
+    tags: ['a', 'b'],
+    result: { success: false, value: '3' },
+  });
+
+  expect(cv).toEqual(
+    tupleCV({
+      amount: uintCV(5),
+      memo: someCV(bufferCV(Buffer.from('abc'))),
+      tags: listCV([stringAsciiCV('a'), stringAsciiCV('b')]),
+      result: responseErrorCV(uintCV(3)),
+    })
+  );
+  expect(decodeAbiValue(cv)).toEqual({
+    amount: BigInt(5),
+    memo: '0x616263',
+    tags: ['a', 'b'],
+    result: { success: false, value: BigInt(3) },
+  });
+  expect(encodeAbiValue({ optional: 'bool' }, null)).toEqual(noneCV());
+  expect(encodeAbiValue({ buffer: { length: 3 } }, 'abc')).toEqual(bufferCVFromString('abc'));
+});
+
+test('Generate contract client source', () => {
+  const source = generateContractClient(abi, { contractAddress, contractName: 'my-token' });
+
+  expect(source).toContain('export class MyTokenClient extends ContractClient {');
+  expect(source).toContain(
+    'transfer(amount: bigint | number | string, recipient: string, memo: Buffer | string | null, options: ContractClientCallOptions): Promise<StacksTransaction> {'
+  );
+  expect(source).toContain(
+    'async getBalance(owner: string, options?: ContractClientReadOptions): Promise<AbiResponse<bigint, null>> {'
+  );
+  expect(source).toContain('async network2(default2: boolean');
+  expect(source).toContain(
+    'async getNamesEntry(key: { owner: string }): Promise<{ name: string } | null> {'
+  );
+  expect(source).toContain('async getCounterVar(): Promise<bigint> {');
+  expect(source).not.toContain('mintInternal');
+  expect(source).not.toContain('MaxSupply');
+  expect(source).toContain(`readonly fungibleTokens: string[] = ["token"];`);
+});
+
+describe('generated contract client', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contract-client-'));
+  const network = new StacksTestnet();
+  let client: any;
+
+  beforeAll(() => {
+    const file = path.join(dir, 'my-token-client.ts');
+    fs.writeFileSync(
+      file,
+      generateContractClient(abi, { contractAddress, contractName: 'my-token' })
+    );
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const { MyTokenClient } = require(file);
+    client = new MyTokenClient(network);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  beforeEach(() => {
+    fetchMock.resetMocks();
+  });
+
+  test('Call public function', async () => {
+    const transaction = await client.transfer(100, senderAddress, null, {
+      senderKey,
+      fee: 0,
+      nonce: 0,
+      anchorMode: AnchorMode.Any,
+    });
+
+    const payload = transaction.payload as ContractCallPayload;
+    expect(payload.contractName.content).toEqual('my-token');
+    expect(payload.functionName.content).toEqual('transfer');
+    expect(payload.functionArgs).toEqual([
+      uintCV(100),
+      standardPrincipalCV(senderAddress),
+      noneCV(),
+    ]);
+  });
+
+  test('Call read-only function', async () => {
+    fetchMock.mockOnce(JSON.stringify({ okay: true, result: cvToHex(responseOkCV(uintCV(42))) }));
+
+    const balance = await client.getBalance(senderAddress);
+
+    expect(balance).toEqual({ success: true, value: BigInt(42) });
+    expect(fetchMock.mock.calls[0][0]).toEqual(
+      network.getReadOnlyFunctionCallApiUrl(contractAddress, 'my-token', 'get-balance')
+    );
+    expect(JSON.parse(fetchMock.mock.calls[0][1]!.body as string)).toEqual({
+      sender: contractAddress,
+      arguments: [cvToHex(standardPrincipalCV(senderAddress))],
+    });
+  });
+
+  test('Read map entry and data var', async () => {
+    const entry = someCV(tupleCV({ name: bufferCVFromString('alice') }));
+    fetchMock.mockOnce(JSON.stringify({ data: `0x${serializeCV(entry).toString('hex')}` }));
+    fetchMock.mockOnce(JSON.stringify({ data: cvToHex(uintCV(7)) }));
+
+    expect(await client.getNamesEntry({ owner: senderAddress })).toEqual({
+      name: '0x616c696365',
+    });
+    expect(await client.getCounterVar()).toEqual(BigInt(7));
+
+    expect(fetchMock.mock.calls[0][0]).toEqual(
+      network.getMapEntryUrl(contractAddress, 'my-token', 'names')
+    );
+    expect(JSON.parse(fetchMock.mock.calls[0][1]!.body as string)).toEqual(
+      cvToHex(tupleCV({ owner: standardPrincipalCV(senderAddress) }))
+    );
+    expect(fetchMock.mock.calls[1][0]).toEqual(
+      network.getDataVarUrl(contractAddress, 'my-token', 'counter')
+    );
+  });
+
+  test('List tokens', () => {
+    expect(client.fungibleTokens).toEqual(['token']);
+    expect(client.getAssetId('nft')).toEqual(`${contractAddress}.my-token::nft`);
+  });
+});
@@ -0,0 +1,191 @@
+import { StacksTestnet } from '@stacks/network';
+import {
+  makeContractCall,
+  makeContractDeploy,
+  makeSTXTokenTransfer,
+  makeUnsignedSTXTokenTransfer,
+  sponsorTransaction,
+} from '../src/builders';
+import { bufferCVFromString, standardPrincipalCV, tupleCV, uintCV } from '../src/clarity';
+import {
+  AnchorMode,
+  FungibleConditionCode,
+  NonFungibleConditionCode,
+  PostConditionMode,
+  TransactionVersion,
+} from '../src/constants';
+import { describePostCondition, describeTransaction } from '../src/describe-transaction';
+import { getAddressFromPrivateKey, pubKeyfromPrivKey, publicKeyToString } from '../src/keys';
+import {
+  createFungiblePostCondition,
+  createNonFungiblePostCondition,
+  createSTXPostCondition,
+} from '../src/postcondition';
+import { deserializeTransaction } from '../src/transaction';
+
+const senderKey = 'edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01';
+const senderAddress = getAddressFromPrivateKey(senderKey, TransactionVersion.Testnet);
+const network = new StacksTestnet();
+
+test('Describe STX token transfer', async () => {
+  const transaction = await makeSTXTokenTransfer({
+    recipient: 'SP3FGQ8Z7JY9BWYZ5WM53E0M9NK7WHJF0691NZ159',
+    amount: 12345,
+    fee: 200,
+    nonce: 7,
+    memo: 'test memo',
+    senderKey,
+    network,
+    anchorMode: AnchorMode.Any,
+  });
+
+  const description = describeTransaction(deserializeTransaction(transaction.serialize()));
+
+  expect(description).toEqual({
+    txid: `0x${transaction.txid()}`,
+    network: 'testnet',
+    chainId: 0x80000000,
+    anchorMode: 'any',
+    authType: 'standard',
+    sender: senderAddress,
+    fee: '200',
+    nonce: '7',
+    origin: {
+      address: senderAddress,
+      hashMode: 'p2pkh',
+      nonce: '7',
+      fee: '200',
+    },
+    payload: {
+      type: 'token_transfer',
+      recipient: 'SP3FGQ8Z7JY9BWYZ5WM53E0M9NK7WHJF0691NZ159',
+      amount: '12345',
+      memo: 'test memo',
+    },
+    postConditionMode: 'deny',
+    postConditions: [],
+  });
+  expect(JSON.parse(JSON.stringify(description))).toEqual(description);
+});
+
+test('Describe contract call with post conditions', async () => {
+  const transaction = await makeContractCall({
+    contractAddress: 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE',
+    contractName: 'kv-store',
+    functionName: 'set-value',
+    functionArgs: [bufferCVFromString('foo'), tupleCV({ amount: uintCV(5) })],
+    fee: 0,
+    nonce: 1,
+    senderKey,
+    network,
+    postConditionMode: PostConditionMode.Allow,
+    postConditions: [
+      createSTXPostCondition(senderAddress, FungibleConditionCode.LessEqual, 1000),
+      createFungiblePostCondition(
+        'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE.kv-store',
+        FungibleConditionCode.Equal,
+        5,
+        'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE.kv-store::token'
+      ),
+    ],
+    anchorMode: AnchorMode.OnChainOnly,
+  });
+
+  const description = describeTransaction(transaction);
+
+  expect(description.anchorMode).toEqual('on_chain_only');
+  expect(description.postConditionMode).toEqual('allow');
+  expect(description.payload).toEqual({
+    type: 'contract_call',
+    contractId: 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE.kv-store',
+    functionName: 'set-value',
+    functionArgs: ['0x666f6f', '(tuple (amount u5))'],
+  });
+  expect(description.postConditions).toEqual([
+    `${senderAddress} will send at most 1000 microSTX`,
+    'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE.kv-store will send exactly 5 ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE.kv-store::token',
+  ]);
+});
+
+test('Describe non-fungible post conditions', () => {
+  const assetInfo = 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE.names::name';
+
+  expect(
+    describePostCondition(
+      createNonFungiblePostCondition(
+        senderAddress,
+        NonFungibleConditionCode.DoesNotOwn,
+        assetInfo,
+        uintCV(42)
+      )
+    )
+  ).toEqual(`${senderAddress} will send ${assetInfo} u42`);
+  expect(
+    describePostCondition(
+      createNonFungiblePostCondition(
+        senderAddress,
+        NonFungibleConditionCode.Owns,
+        assetInfo,
+        standardPrincipalCV(senderAddress)
+      )
+    )
+  ).toEqual(`${senderAddress} will keep ${assetInfo} ${senderAddress}`);
+});
+
+test('Describe sponsored contract deploy', async () => {
+  const transaction = await makeContractDeploy({
+    contractName: 'hello',
+    codeBody: '(define-read-only (hello) "hello")',
+    fee: 0,
+    nonce: 3,
+    senderKey,
+    sponsored: true,
+    network,
+    anchorMode: AnchorMode.Any,
+  });
+  const sponsored = await sponsorTransaction({
+    transaction,
+    sponsorPrivateKey: '9888d734e6e80a943a6544159e31d6c7e342f695ec867d549c569fa0028892d401',
+    fee: 500,
+    sponsorNonce: 2,
+    network,
+  });
+
+  const description = describeTransaction(sponsored);
+
+  expect(description.authType).toEqual('sponsored');
+  expect(description.sender).toEqual(senderAddress);
+  expect(description.sponsor).toEqual(description.sponsorCondition!.address);
+  expect(description.sponsor).not.toEqual(senderAddress);
+  expect(description.fee).toEqual('500');
+  expect(description.nonce).toEqual('3');
+  expect(description.payload).toEqual({
+    type: 'smart_contract',
+    contractName: 'hello',
+    codeBody: '(define-read-only (hello) "hello")',
+  });
+});
+
+test('Describe multi-sig transaction', async () => {
+  const publicKeys = [
+    '6d430bb91222408e7706c9001cfaeb91b08c2be6d5ac95779ab52c6b431950e001',
+    '2a584d899fed1d24e26b524f202763c8ab30260167429f157f1c119f550fa6af01',
+  ].map(key => publicKeyToString(pubKeyfromPrivKey(key)));
+  const transaction = await makeUnsignedSTXTokenTransfer({
+    recipient: senderAddress,
+    amount: 1,
+    fee: 200,
+    nonce: 0,
+    numSignatures: 2,
+    publicKeys,
+    network,
+    anchorMode: AnchorMode.Any,
+  });
+
+  const { origin } = describeTransaction(transaction);
+
+  expect(origin.hashMode).toEqual('p2sh');
+  expect(origin.address.startsWith('SN')).toEqual(true);
+  expect(origin.signaturesRequired).toEqual(2);
+  expect(origin.signatureCount).toEqual(0);
+});
@@ -1,9 +1,39 @@
 import { StacksMessage, serializeStacksMessage, deserializeStacksMessage } from '../src/types';
 import { BufferReader } from '../src/bufferReader';
 import { StacksMessageType } from '../src/constants';
+import { MessageSignature } from '../src/authorization';
+import { PrivateKeySigner, Signer } from '../src/signer';
+import { StacksTransaction } from '../src/transaction';
 
 export function serializeDeserialize(value: StacksMessage, type: StacksMessageType): StacksMessage {
   const serialized = serializeStacksMessage(value);
   const bufferReader = new BufferReader(serialized);
   return deserializeStacksMessage(bufferReader, type);
 }
+
+/**
+ * Stands in for a hardware wallet or remote signing service: the key is only reachable
+ * through asynchronous requests, which are recorded.
+ */
+export class MockRemoteSigner implements Signer {
+  private key: PrivateKeySigner;
+  requests: { sigHash: string; txid: string }[] = [];
+  /** signs with another key, like a misconfigured remote signer */
+  wrongKey?: string;
+
+  constructor(privateKey: string) {
+    this.key = new PrivateKeySigner(privateKey);
+  }
+
+  async getPublicKey(): Promise<string> {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    return this.key.getPublicKey();
+  }
+
+  async signSighash(sigHash: string, transaction: StacksTransaction): Promise<MessageSignature> {
+    await new Promise(resolve => setTimeout(resolve, 1));
+    this.requests.push({ sigHash, txid: transaction.txid() });
+    const key = this.wrongKey ? new PrivateKeySigner(this.wrongKey) : this.key;
+    return key.signSighash(sigHash);
+  }
+}
@@ -0,0 +1,98 @@
+import { sha256 } from 'sha.js';
+import {
+  ChainID,
+  encodeMessage,
+  encodeStructuredData,
+  getAddressFromPrivateKey,
+  getAddressFromPublicKey,
+  hashMessage,
+  makeStructuredDataDomain,
+  pubKeyfromPrivKey,
+  publicKeyToString,
+  recoverPublicKey,
+  signMessage,
+  signStructuredData,
+  stringAsciiCV,
+  TransactionVersion,
+  tupleCV,
+  uintCV,
+  verifyMessage,
+  verifyStructuredData,
+} from '../src';
+
+const privateKey = 'edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc';
+const compressedPrivateKey = `${privateKey}01`;
+
+test('Messages are signed with the Stacks message prefix', () => {
+  const encoded = encodeMessage('Hello World');
+  expect(encoded.toString('hex')).toEqual(
+    Buffer.from('\x17Stacks Signed Message:\n\x0bHello World').toString('hex')
+  );
+  expect(encodeMessage('a'.repeat(300)).slice(24, 27).toString('hex')).toEqual('fd2c01');
+  expect(hashMessage('Hello World')).toEqual(new sha256().update(encoded).digest());
+
+  const signature = signMessage('Hello World', compressedPrivateKey);
+  expect(signature.data).toHaveLength(130);
+  const publicKey = publicKeyToString(pubKeyfromPrivKey(compressedPrivateKey));
+  expect(recoverPublicKey(hashMessage('Hello World'), signature)).toEqual(publicKey);
+
+  expect(verifyMessage('Hello World', signature, publicKey)).toBe(true);
+  expect(verifyMessage('Hello World', signature.data, publicKey)).toBe(true);
+  expect(verifyMessage('Hello World!', signature, publicKey)).toBe(false);
+  expect(
+    verifyMessage('Hello World', signature, getAddressFromPrivateKey(compressedPrivateKey))
+  ).toBe(true);
+  expect(
+    verifyMessage(
+      'Hello World',
+      signature,
+      getAddressFromPrivateKey(compressedPrivateKey, TransactionVersion.Testnet)
+    )
+  ).toBe(true);
+  expect(verifyMessage('Hello World', '00'.repeat(65), publicKey)).toBe(false);
+  // malformed addresses
+  expect(verifyMessage('Hello World', signature, 'SP-not-an-address')).toBe(false);
+  expect(verifyMessage('Hello World', signature, '')).toBe(false);
+
+  // addresses of uncompressed keys
+  const uncompressedSignature = signMessage(Buffer.from('Hello World'), privateKey);
+  const uncompressedPublicKey = publicKeyToString(pubKeyfromPrivKey(privateKey));
+  expect(verifyMessage('Hello World', uncompressedSignature, uncompressedPublicKey)).toBe(true);
+  expect(
+    verifyMessage('Hello World', uncompressedSignature, getAddressFromPublicKey(uncompressedPublicKey))
+  ).toBe(true);
+  expect(
+    verifyMessage('Hello World', uncompressedSignature, 'SP3FGQ8Z7JY9BWYZ5WM53E0M9NK7WHJF0691NZ159')
+  ).toBe(false);
+});
+
+test('Structured data is signed in a domain', () => {
+  const domain = makeStructuredDataDomain({ name: 'Dapp Name', version: '1.0.0', chainId: ChainID.Mainnet });
+  const message = tupleCV({ vote: stringAsciiCV('yes'), proposal: uintCV(4) });
+
+  const encoded = encodeStructuredData(domain, message);
+  expect(encoded).toHaveLength(6 + 32 + 32);
+  expect(encoded.slice(0, 6).toString()).toEqual('SIP018');
+
+  const signature = signStructuredData(domain, message, compressedPrivateKey);
+  const address = getAddressFromPrivateKey(compressedPrivateKey);
+  expect(verifyStructuredData(domain, message, signature, address)).toBe(true);
+
+  const otherMessage = tupleCV({ vote: stringAsciiCV('no'), proposal: uintCV(4) });
+  expect(verifyStructuredData(domain, otherMessage, signature, address)).toBe(false);
+  const testnetDomain = makeStructuredDataDomain({
+    name: 'Dapp Name',
+    version: '1.0.0',
+    chainId: ChainID.Testnet,
+  });
+  expect(verifyStructuredData(testnetDomain, message, signature, address)).toBe(false);
+  // a message and structured data never share a signature
+  expect(verifyMessage(encoded, signature, address)).toBe(false);
+
+  expect(() => signStructuredData(stringAsciiCV('Dapp Name'), message, privateKey)).toThrow(
+    'Invalid structured data domain'
+  );
+  expect(() =>
+    encodeStructuredData(tupleCV({ name: stringAsciiCV('Dapp Name'), version: stringAsciiCV('1') }), message)
+  ).toThrow('Invalid structured data domain');
+});
@@ -0,0 +1,243 @@
+import fetchMock from 'jest-fetch-mock';
+import { StacksMainnet, StacksTestnet } from '@stacks/network';
+import {
+  broadcastTransaction,
+  makeContractCall,
+  makeSTXTokenTransfer,
+  sponsorTransaction,
+  TxBroadcastResult,
+} from '../src/builders';
+import { standardPrincipalCV } from '../src/clarity';
+import { AnchorMode, TransactionVersion, TxRejectedReason } from '../src/constants';
+import { getAddressFromPrivateKey } from '../src/keys';
+import { NonceManager } from '../src/nonce-manager';
+
+const senderKey = 'edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01';
+const senderAddress = getAddressFromPrivateKey(senderKey, TransactionVersion.Testnet);
+const recipient = standardPrincipalCV('SP3FGQ8Z7JY9BWYZ5WM53E0M9NK7WHJF0691NZ159');
+
+function mockNonces(possibleNextNonce: number, detectedMissingNonces: number[] = []) {
+  fetchMock.mockOnce(
+    JSON.stringify({
+      last_mempool_tx_nonce: possibleNextNonce > 0 ? possibleNextNonce - 1 : null,
+      last_executed_tx_nonce: null,
+      possible_next_nonce: possibleNextNonce,
+      detected_missing_nonces: detectedMissingNonces,
+    })
+  );
+}
+
+beforeEach(() => {
+  fetchMock.resetMocks();
+});
+
+test('Nonce manager allocates consecutive nonces with a single lookup', async () => {
+  const network = new StacksTestnet();
+  const nonceManager = new NonceManager(network);
+  mockNonces(5);
+
+  const nonces = await Promise.all([
+    nonceManager.getNextNonce(senderAddress),
+    nonceManager.getNextNonce(senderAddress),
+    nonceManager.getNextNonce(senderAddress),
+  ]);
+
+  expect(nonces).toEqual([BigInt(5), BigInt(6), BigInt(7)]);
+  expect(fetchMock.mock.calls.length).toEqual(1);
+  expect(fetchMock.mock.calls[0][0]).toEqual(network.getAccountNoncesApiUrl(senderAddress));
+});
+
+test('Nonce manager fills detected missing nonces first', async () => {
+  const nonceManager = new NonceManager(new StacksTestnet());
+  mockNonces(10, [8, 6]);
+
+  expect(await nonceManager.getNextNonce(senderAddress)).toEqual(BigInt(6));
+  expect(await nonceManager.getNextNonce(senderAddress)).toEqual(BigInt(8));
+  expect(await nonceManager.getNextNonce(senderAddress)).toEqual(BigInt(10));
+});
+
+test('Nonce manager falls back to the account nonce', async () => {
+  const network = new StacksTestnet();
+  const nonceManager = new NonceManager(network);
+  fetchMock.mockOnce('not found', { status: 404 });
+  fetchMock.mockOnce(`{"balance":"0", "nonce":3}`);
+
+  expect(await nonceManager.getNextNonce(senderAddress)).toEqual(BigInt(3));
+  expect(fetchMock.mock.calls[1][0]).toEqual(network.getAccountApiUrl(senderAddress));
+});
+
+test('Nonce manager reuses released nonces', async () => {
+  const nonceManager = new NonceManager(new StacksTestnet());
+  mockNonces(0);
+
+  await nonceManager.getNextNonce(senderAddress);
+  const nonce1 = await nonceManager.getNextNonce(senderAddress);
+  await nonceManager.getNextNonce(senderAddress);
+
+  nonceManager.release(senderAddress, nonce1);
+  expect(await nonceManager.getNextNonce(senderAddress)).toEqual(BigInt(1));
+  expect(await nonceManager.getNextNonce(senderAddress)).toEqual(BigInt(3));
+
+  nonceManager.release(senderAddress, BigInt(3));
+  expect(await nonceManager.getNextNonce(senderAddress)).toEqual(BigInt(3));
+  expect(fetchMock.mock.calls.length).toEqual(1);
+});
+
+test('Nonce manager reconciles with the node', async () => {
+  const nonceManager = new NonceManager(new StacksTestnet());
+  mockNonces(0);
+  await nonceManager.getNextNonce(senderAddress);
+  await nonceManager.getNextNonce(senderAddress);
+  nonceManager.release(senderAddress, BigInt(0));
+
+  // another client has sent transactions from the same account
+  mockNonces(4);
+  expect(await nonceManager.reconcile(senderAddress)).toEqual(BigInt(4));
+  expect(await nonceManager.getNextNonce(senderAddress)).toEqual(BigInt(4));
+});
+
+test('Builders allocate nonces from the nonce manager', async () => {
+  const network = new StacksTestnet();
+  const nonceManager = new NonceManager(network);
+  mockNonces(12);
+
+  const transfer = await makeSTXTokenTransfer({
+    recipient,
+    amount: 12345,
+    senderKey,
+    fee: 0,
+    network,
+    nonceManager,
+    anchorMode: AnchorMode.Any,
+  });
+  const contractCall = await makeContractCall({
+    contractAddress: 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE',
+    contractName: 'kv-store',
+    functionName: 'get-value',
+    functionArgs: [],
+    senderKey,
+    fee: 0,
+    network,
+    nonceManager,
+    validateWithAbi: false,
+    anchorMode: AnchorMode.Any,
+  });
+
+  expect(transfer.auth.spendingCondition?.nonce?.toString()).toEqual('12');
+  expect(contractCall.auth.spendingCondition?.nonce?.toString()).toEqual('13');
+  expect(fetchMock.mock.calls.length).toEqual(1);
+});
+
+test('Nonce manager handles broadcast results', async () => {
+  const network = new StacksTestnet();
+  const nonceManager = new NonceManager(network);
+  mockNonces(0);
+
+  const transaction = await makeSTXTokenTransfer({
+    recipient,
+    amount: 12345,
+    senderKey,
+    fee: 0,
+    network,
+    nonceManager,
+    anchorMode: AnchorMode.Any,
+  });
+
+  const rejection = {
+    error: 'transaction rejected',
+    reason: 'NotEnoughFunds',
+    txid: '0x4068179cb9169b969c80518d83890f8b808a70ab998dd227149221be9480a616',
+  };
+  fetchMock.mockOnce(JSON.stringify(rejection), { status: 400 });
+  const result = await broadcastTransaction(transaction, network);
+  nonceManager.handleBroadcastResult(transaction, result);
+
+  expect(await nonceManager.getNextNonce(senderAddress)).toEqual(BigInt(0));
+
+  const badNonce = { ...rejection, reason: TxRejectedReason.BadNonce } as TxBroadcastResult;
+  nonceManager.handleBroadcastResult(transaction, badNonce);
+  mockNonces(7);
+
+  expect(await nonceManager.getNextNonce(senderAddress)).toEqual(BigInt(7));
+  expect(fetchMock.mock.calls.length).toEqual(3);
+});
+
+test('Nonce manager keeps nonces used by other mempool transactions', async () => {
+  const network = new StacksTestnet();
+  const nonceManager = new NonceManager(network);
+  mockNonces(3);
+
+  const transaction = await makeSTXTokenTransfer({
+    recipient,
+    amount: 12345,
+    senderKey,
+    fee: 0,
+    network,
+    nonceManager,
+    anchorMode: AnchorMode.Any,
+  });
+  const conflict = {
+    error: 'transaction rejected',
+    reason: TxRejectedReason.ConflictingNonceInMempool,
+    txid: '0x4068179cb9169b969c80518d83890f8b808a70ab998dd227149221be9480a616',
+  } as TxBroadcastResult;
+  nonceManager.handleBroadcastResult(transaction, conflict);
+
+  expect(transaction.auth.spendingCondition?.nonce?.toString()).toEqual('3');
+  expect(await nonceManager.getNextNonce(senderAddress)).toEqual(BigInt(4));
+});
+
+test('Nonce manager releases the sponsor nonce of a rejected transaction', async () => {
+  const network = new StacksTestnet();
+  const nonceManager = new NonceManager(network);
+  const sponsorKey = '9888d734e6e80a943a6544159e31d6c7e342f695ec867d549c569fa0028892d401';
+  const sponsorAddress = getAddressFromPrivateKey(sponsorKey, TransactionVersion.Testnet);
+
+  const transaction = await makeSTXTokenTransfer({
+    recipient,
+    amount: 12345,
+    senderKey,
+    fee: 0,
+    nonce: 0,
+    network,
+    sponsored: true,
+    anchorMode: AnchorMode.Any,
+  });
+  mockNonces(9);
+  const sponsored = await sponsorTransaction({
+    transaction,
+    sponsorPrivateKey: sponsorKey,
+    fee: 100,
+    network,
+    nonceManager,
+  });
+  expect(sponsored.auth.sponsorSpendingCondition?.nonce?.toString()).toEqual('9');
+
+  const rejection = {
+    error: 'transaction rejected',
+    reason: TxRejectedReason.NotEnoughFunds,
+    txid: '0x4068179cb9169b969c80518d83890f8b808a70ab998dd227149221be9480a616',
+  } as TxBroadcastResult;
+  nonceManager.handleBroadcastResult(sponsored, rejection);
+
+  expect(await nonceManager.getNextNonce(sponsorAddress)).toEqual(BigInt(9));
+  expect(fetchMock.mock.calls.length).toEqual(1);
+});
+
+test('Nonce manager must use the network of the transaction', async () => {
+  const nonceManager = new NonceManager(new StacksMainnet());
+
+  await expect(
+    makeSTXTokenTransfer({
+      recipient,
+      amount: 12345,
+      senderKey,
+      fee: 0,
+      network: new StacksTestnet(),
+      nonceManager,
+      anchorMode: AnchorMode.Any,
+    })
+  ).rejects.toThrow('The nonce manager must use the network of the transaction');
+  expect(fetchMock.mock.calls.length).toEqual(0);
+});
+
@@ -0,0 +1,211 @@
+import { StacksTestnet } from '@stacks/network';
+import { MultiSigSpendingCondition, nextSignature } from '../src/authorization';
+import { makeSTXTokenTransfer, makeUnsignedSTXTokenTransfer } from '../src/builders';
+import { standardPrincipalCV } from '../src/clarity';
+import { AnchorMode, AuthType } from '../src/constants';
+import { createStacksPrivateKey, pubKeyfromPrivKey, publicKeyToString } from '../src/keys';
+import { PartiallySignedTransaction } from '../src/partially-signed-transaction';
+import { deserializeTransaction } from '../src/transaction';
+
+const recipient = standardPrincipalCV('SP3FGQ8Z7JY9BWYZ5WM53E0M9NK7WHJF0691NZ159');
+const network = new StacksTestnet();
+
+const privateKeys = [
+  '6d430bb91222408e7706c9001cfaeb91b08c2be6d5ac95779ab52c6b431950e001',
+  '2a584d899fed1d24e26b524f202763c8ab30260167429f157f1c119f550fa6af01',
+  'd5200dee706ee53ae98a03fba6cf4fdcc5084c30cfa9e1b3462dcdeaa3e0f1d201',
+];
+const publicKeys = privateKeys.map(key => publicKeyToString(pubKeyfromPrivKey(key)));
+
+function makeMultiSigTransfer() {
+  return makeUnsignedSTXTokenTransfer({
+    recipient,
+    amount: 12345,
+    fee: 200,
+    nonce: 3,
+    numSignatures: 2,
+    publicKeys,
+    network,
+    anchorMode: AnchorMode.Any,
+  });
+}
+
+test('Sign and finalize partially signed transaction', async () => {
+  const transaction = await makeMultiSigTransfer();
+  const psst = PartiallySignedTransaction.fromTransaction(transaction, publicKeys);
+
+  expect(psst.sigHash).toEqual(transaction.signBegin());
+  expect(psst.isComplete()).toEqual(false);
+
+  psst.sign(privateKeys[0]).sign(privateKeys[2]);
+
+  expect(psst.isComplete()).toEqual(true);
+  expect(psst.getSigners()).toEqual([publicKeys[0], publicKeys[2]]);
+
+  const signed = psst.finalize();
+  const fields = (signed.auth.spendingCondition as MultiSigSpendingCondition).fields;
+  expect(fields.length).toEqual(3);
+  expect(fields[1].contents).toEqual(pubKeyfromPrivKey(privateKeys[1]));
+  expect(() => signed.verifyOrigin()).not.toThrow();
+  // signing does not change the original transaction
+  expect((transaction.auth.spendingCondition as MultiSigSpendingCondition).fields).toEqual([]);
+});
+
+test('Finalized transaction matches transaction signed with all keys', async () => {
+  const signed = await makeSTXTokenTransfer({
+    recipient,
+    amount: 12345,
+    fee: 200,
+    nonce: 3,
+    numSignatures: 2,
+    publicKeys,
+    signerKeys: privateKeys.slice(0, 2),
+    network,
+    anchorMode: AnchorMode.Any,
+  });
+  const transaction = await makeMultiSigTransfer();
+
+  const finalized = PartiallySignedTransaction.fromTransaction(transaction, publicKeys)
+    .sign(privateKeys[0])
+    .sign(privateKeys[1])
+    .finalize();
+
+  expect(finalized.txid()).toEqual(signed.txid());
+});
+
+test('Import signatures from a partially signed transaction', async () => {
+  const signed = await makeSTXTokenTransfer({
+    recipient,
+    amount: 12345,
+    fee: 200,
+    nonce: 3,
+    numSignatures: 2,
+    publicKeys,
+    signerKeys: privateKeys.slice(0, 2),
+    network,
+    anchorMode: AnchorMode.Any,
+  });
+
+  const psst = PartiallySignedTransaction.fromTransaction(signed, publicKeys);
+
+  expect(psst.getSigners()).toEqual(publicKeys.slice(0, 2));
+  expect(psst.finalize().txid()).toEqual(signed.txid());
+});
+
+test('Serialize and deserialize partially signed transaction', async () => {
+  const transaction = await makeMultiSigTransfer();
+  const psst = PartiallySignedTransaction.fromTransaction(transaction, publicKeys).sign(
+    privateKeys[0]
+  );
+
+  const serialized = psst.serialize();
+  for (const data of [serialized, serialized.toString('hex'), serialized.toString('base64')]) {
+    const deserialized = PartiallySignedTransaction.deserialize(data);
+    expect(deserialized.toJSON()).toEqual(psst.toJSON());
+  }
+
+  const json = JSON.parse(JSON.stringify(psst));
+  expect(json.version).toEqual(1);
+  expect(json.signatures[1]).toBeNull();
+  const fromJson = PartiallySignedTransaction.fromJSON(json);
+  expect(fromJson.serialize()).toEqual(serialized);
+
+  const signed = fromJson.sign(privateKeys[1]).finalize();
+  expect(() => deserializeTransaction(signed.serialize()).verifyOrigin()).not.toThrow();
+});
+
+test('Deserialize rejects invalid data', async () => {
+  const transaction = await makeMultiSigTransfer();
+  const psst = PartiallySignedTransaction.fromTransaction(transaction, publicKeys);
+
+  expect(() => PartiallySignedTransaction.deserialize(transaction.serialize())).toThrow(
+    'Not a partially signed transaction'
+  );
+  expect(() =>
+    PartiallySignedTransaction.fromJSON({ ...psst.toJSON(), sigHash: '00'.repeat(32) })
+  ).toThrow('Signature hash does not match the transaction');
+  expect(() => PartiallySignedTransaction.fromJSON({ ...psst.toJSON(), version: 2 })).toThrow(
+    'Unsupported partially signed transaction version: 2'
+  );
+});
+
+test('Combine partially signed transactions', async () => {
+  const transaction = await makeMultiSigTransfer();
+  const first = PartiallySignedTransaction.fromTransaction(transaction, publicKeys).sign(
+    privateKeys[0]
+  );
+  const second = PartiallySignedTransaction.deserialize(first.serialize()).sign(privateKeys[1]);
+
+  const combined = PartiallySignedTransaction.fromTransaction(transaction, publicKeys).combine(
+    second
+  );
+
+  expect(combined.getSigners()).toEqual(publicKeys.slice(0, 2));
+  expect(() => combined.finalize().verifyOrigin()).not.toThrow();
+
+  const otherTransaction = await makeUnsignedSTXTokenTransfer({
+    recipient,
+    amount: 1,
+    fee: 200,
+    nonce: 3,
+    numSignatures: 2,
+    publicKeys,
+    network,
+    anchorMode: AnchorMode.Any,
+  });
+  expect(() =>
+    PartiallySignedTransaction.fromTransaction(otherTransaction, publicKeys).combine(first)
+  ).toThrow('Cannot combine partially signed versions of different transactions');
+});
+
+test('Add signature made elsewhere', async () => {
+  const transaction = await makeMultiSigTransfer();
+  const psst = PartiallySignedTransaction.fromTransaction(transaction, publicKeys).sign(
+    privateKeys[0]
+  );
+  const condition = transaction.auth.spendingCondition!;
+  const { nextSig } = nextSignature(
+    psst.getSigHashAt(2),
+    AuthType.Standard,
+    condition.fee,
+    condition.nonce,
+    createStacksPrivateKey(privateKeys[2])
+  );
+
+  expect(() => psst.addSignature(publicKeys[1], nextSig.data)).toThrow(
+    'Invalid signature for public key at index 1'
+  );
+  expect(psst.signatureCount).toEqual(1);
+
+  psst.addSignature(publicKeys[2], nextSig.data);
+  expect(() => psst.finalize().verifyOrigin()).not.toThrow();
+});
+
+test('Signing errors', async () => {
+  const transaction = await makeMultiSigTransfer();
+  const psst = PartiallySignedTransaction.fromTransaction(transaction, publicKeys);
+
+  expect(() => psst.finalize()).toThrow('Transaction has 0 of 2 required signatures');
+  expect(() =>
+    psst.sign('edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01')
+  ).toThrow('Key is not one of the signers of the transaction');
+
+  psst.sign(privateKeys[1]);
+  expect(() => psst.sign(privateKeys[1])).toThrow('Transaction is already signed with this key');
+  expect(() => psst.sign(privateKeys[0])).toThrow(
+    'Cosigners must sign in the order of their public keys'
+  );
+
+  psst.sign(privateKeys[2]);
+  expect(() => psst.sign(privateKeys[0])).toThrow(
+    'Transaction already has the required number of signatures'
+  );
+});
+
+test('Public keys must match the sender', async () => {
+  const transaction = await makeMultiSigTransfer();
+
+  expect(() =>
+    PartiallySignedTransaction.fromTransaction(transaction, [...publicKeys].reverse())
+  ).toThrow('Public keys do not match the sender of the transaction');
+});
@@ -0,0 +1,197 @@
+import * as fs from 'fs';
+import fetchMock from 'jest-fetch-mock';
+import { StacksTestnet } from '@stacks/network';
+import { makeContractCall } from '../src/builders';
+import { bufferCVFromString, uintCV } from '../src/clarity';
+import {
+  AnchorMode,
+  FungibleConditionCode,
+  NonFungibleConditionCode,
+  TransactionVersion,
+} from '../src/constants';
+import { ClarityAbi } from '../src/contract-abi';
+import { getAddressFromPrivateKey } from '../src/keys';
+import { createContractCallPayload } from '../src/payload';
+import {
+  createFungiblePostCondition,
+  createNonFungiblePostCondition,
+  createSTXPostCondition,
+} from '../src/postcondition';
+import {
+  ContractCallSimulator,
+  generatePostConditions,
+  makePostConditionsFromEvents,
+} from '../src/post-condition-generator';
+
+const contractAddress = 'ST3KC0MTNW34S1ZXD36JYKFD3JJMWA01M55DSJ4JE';
+const contractId = `${contractAddress}.kv-store`;
+const senderKey = 'edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01';
+const senderAddress = getAddressFromPrivateKey(senderKey, TransactionVersion.Testnet);
+const abi: ClarityAbi = JSON.parse(fs.readFileSync('./tests/abi/kv-store-abi.json').toString());
+const payload = createContractCallPayload(contractAddress, 'kv-store', 'set-value', [
+  bufferCVFromString('foo'),
+  bufferCVFromString('bar'),
+]);
+
+beforeEach(() => {
+  fetchMock.resetMocks();
+});
+
+test('Make post conditions from asset events', () => {
+  const postConditions = makePostConditionsFromEvents([
+    { assetType: 'stx', eventType: 'transfer', sender: senderAddress, amount: BigInt(100) },
+    { assetType: 'stx', eventType: 'mint', amount: BigInt(1000) },
+    { assetType: 'stx', eventType: 'burn', sender: senderAddress, amount: BigInt(50) },
+    {
+      assetType: 'fungible',
+      eventType: 'transfer',
+      sender: contractId,
+      assetId: `${contractId}::token`,
+      amount: BigInt(7),
+    },
+    {
+      assetType: 'non_fungible',
+      eventType: 'transfer',
+      sender: senderAddress,
+      assetId: `${contractId}::nft`,
+      value: uintCV(1),
+    },
+    {
+      assetType: 'non_fungible',
+      eventType: 'transfer',
+      sender: senderAddress,
+      assetId: `${contractId}::nft`,
+      value: uintCV(1),
+    },
+  ]);
+
+  expect(postConditions).toEqual([
+    createSTXPostCondition(senderAddress, FungibleConditionCode.LessEqual, 150),
+    createFungiblePostCondition(
+      contractId,
+      FungibleConditionCode.LessEqual,
+      7,
+      `${contractId}::token`
+    ),
+    createNonFungiblePostCondition(
+      senderAddress,
+      NonFungibleConditionCode.DoesNotOwn,
+      `${contractId}::nft`,
+      uintCV(1)
+    ),
+  ]);
+});
+
+test('Generate post conditions fetches the ABI and simulates the call', async () => {
+  const network = new StacksTestnet();
+  fetchMock.mockOnce(JSON.stringify(abi));
+  const simulator: ContractCallSimulator = jest.fn(async () => [
+    {
+      assetType: 'fungible' as const,
+      eventType: 'burn' as const,
+      assetId: `${contractId}::token`,
+      sender: senderAddress,
+      amount: BigInt(20),
+    },
+  ]);
+
+  const postConditions = await generatePostConditions({
+    payload,
+    senderAddress,
+    network,
+    simulator,
+  });
+
+  expect(postConditions).toEqual([
+    createFungiblePostCondition(
+      senderAddress,
+      FungibleConditionCode.LessEqual,
+      20,
+      `${contractId}::token`
+    ),
+  ]);
+  expect(fetchMock.mock.calls.length).toEqual(1);
+  expect(fetchMock.mock.calls[0][0]).toEqual(network.getAbiApiUrl(contractAddress, 'kv-store'));
+  expect(simulator).toHaveBeenCalledWith({ payload, senderAddress, network });
+});
+
+test('Generate post conditions for read-only function', async () => {
+  const simulator = jest.fn();
+  const readOnlyAbi: ClarityAbi = {
+    ...abi,
+    functions: abi.functions.map(fn => ({ ...fn, access: 'read_only' as const })),
+  };
+
+  const postConditions = await generatePostConditions({
+    payload,
+    senderAddress,
+    abi: readOnlyAbi,
+    simulator,
+  });
+
+  expect(postConditions).toEqual([]);
+  expect(simulator).not.toHaveBeenCalled();
+});
+
+test('Generate post conditions validates the function arguments', async () => {
+  const invalidPayload = createContractCallPayload(contractAddress, 'kv-store', 'set-value', [
+    uintCV(1),
+  ]);
+
+  await expect(
+    generatePostConditions({ payload: invalidPayload, senderAddress, abi, simulator: jest.fn() })
+  ).rejects.toThrow('Clarity function expects 2 argument(s) but received 1');
+});
+
+test('Make contract call with automatic post conditions', async () => {
+  const simulator: ContractCallSimulator = jest.fn(async () => [
+    {
+      assetType: 'stx' as const,
+      eventType: 'transfer' as const,
+      sender: senderAddress,
+      amount: BigInt(500),
+    },
+  ]);
+
+  const transaction = await makeContractCall({
+    contractAddress,
+    contractName: 'kv-store',
+    functionName: 'set-value',
+    functionArgs: [bufferCVFromString('foo'), bufferCVFromString('bar')],
+    fee: 0,
+    nonce: 1,
+    senderKey,
+    network: new StacksTestnet(),
+    validateWithAbi: abi,
+    postConditions: 'auto',
+    postConditionSimulator: simulator,
+    anchorMode: AnchorMode.Any,
+  });
+
+  expect(transaction.postConditions.values).toEqual([
+    createSTXPostCondition(senderAddress, FungibleConditionCode.LessEqual, 500),
+  ]);
+  expect(simulator).toHaveBeenCalledWith(expect.objectContaining({ senderAddress }));
+  expect(fetchMock.mock.calls.length).toEqual(0);
+});
+
+test('Make contract call with automatic post conditions requires a simulator', async () => {
+  await expect(
+    makeContractCall({
+      contractAddress,
+      contractName: 'kv-store',
+      functionName: 'set-value',
+      functionArgs: [bufferCVFromString('foo'), bufferCVFromString('bar')],
+      fee: 0,
+      nonce: 1,
+      senderKey,
+      network: new StacksTestnet(),
+      validateWithAbi: abi,
+      postConditions: 'auto',
+      anchorMode: AnchorMode.Any,
+    })
+  ).rejects.toThrow(
+    "The postConditionSimulator option must be provided in order to use postConditions: 'auto'"
+  );
+  expect(fetchMock.mock.calls.length).toEqual(0);
+});
@@ -0,0 +1,164 @@
+import { StacksTestnet } from '@stacks/network';
+import { makeSTXTokenTransfer, sponsorTransaction } from '../src/builders';
+import { isSingleSig, MultiSigSpendingCondition } from '../src/authorization';
+import { standardPrincipalCV } from '../src/clarity';
+import { AnchorMode, TransactionVersion } from '../src/constants';
+import { getAddressFromPrivateKey, pubKeyfromPrivKey, publicKeyToString } from '../src/keys';
+import { TokenTransferPayload } from '../src/payload';
+import { makeCancelTransaction, makeReplacementTransaction } from '../src/replace-by-fee';
+import { deserializeTransaction } from '../src/transaction';
+import { addressToString } from '../src/types';
+
+const senderKey = 'edf9aee84d9b7abc145504dde6726c64f369d37ee34ded868fabd876c26570bc01';
+const recipient = standardPrincipalCV('SP3FGQ8Z7JY9BWYZ5WM53E0M9NK7WHJF0691NZ159');
+const network = new StacksTestnet();
+
+const multiSigKeys = [
+  '6d430bb91222408e7706c9001cfaeb91b08c2be6d5ac95779ab52c6b431950e001',
+  '2a584d899fed1d24e26b524f202763c8ab30260167429f157f1c119f550fa6af01',
+  'd5200dee706ee53ae98a03fba6cf4fdcc5084c30cfa9e1b3462dcdeaa3e0f1d201',
+];
+const multiSigPublicKeys = multiSigKeys.map(key => publicKeyToString(pubKeyfromPrivKey(key)));
+
+function makeTransfer() {
+  return makeSTXTokenTransfer({
+    recipient,
+    amount: 12345,
+    fee: 200,
+    nonce: 7,
+    senderKey,
+    network,
+    anchorMode: AnchorMode.Any,
+  });
+}
+
+function makeMultiSigTransfer() {
+  return makeSTXTokenTransfer({
+    recipient,
+    amount: 12345,
+    fee: 200,
+    nonce: 7,
+    numSignatures: 2,
+    publicKeys: multiSigPublicKeys,
+    signerKeys: multiSigKeys.slice(0, 2),
+    network,
+    anchorMode: AnchorMode.Any,
+  });
+}
+
+test('Make replacement transaction with higher fee', async () => {
+  const transaction = await makeTransfer();
+
+  const replacement = makeReplacementTransaction(transaction, { newFee: 300, senderKey });
+
+  expect(replacement.auth.spendingCondition!.fee.toString()).toEqual('300');
+  expect(replacement.auth.spendingCondition!.nonce.toString()).toEqual('7');
+  expect(replacement.payload).toEqual(transaction.payload);
+  expect(replacement.txid()).not.toEqual(transaction.txid());
+  expect(() => replacement.verifyOrigin()).not.toThrow();
+  // the original transaction is unchanged
+  expect(transaction.auth.spendingCondition!.fee.toString()).toEqual('200');
+
+  const deserialized = deserializeTransaction(replacement.serialize());
+  expect(deserialized.serialize().toString('hex')).toEqual(
+    replacement.serialize().toString('hex')
+  );
+});
+
+test('Replacement transaction requires a higher fee', async () => {
+  const transaction = await makeTransfer();
+
+  expect(() => makeReplacementTransaction(transaction, { newFee: 200, senderKey })).toThrow(
+    'The fee of a replacement transaction must be higher than the current fee of 200'
+  );
+});
+
+test('Replacement transaction requires the sender key', async () => {
+  const transaction = await makeTransfer();
+
+  expect(() =>
+    makeReplacementTransaction(transaction, { newFee: 300, senderKey: multiSigKeys[0] })
+  ).toThrow('The sender key does not match the sender of the transaction');
+});
+
+test('Make unsigned replacement transaction', async () => {
+  const transaction = await makeTransfer();
+
+  const replacement = makeReplacementTransaction(transaction, { newFee: 300 });
+
+  const condition = replacement.auth.spendingCondition!;
+  expect(isSingleSig(condition) && condition.signature.data).toEqual('00'.repeat(65));
+});
+
+test('Make multi-sig replacement transaction', async () => {
+  const transaction = await makeMultiSigTransfer();
+
+  const replacement = makeReplacementTransaction(transaction, {
+    newFee: 300,
+    // signing keys in any order
+    signerKeys: [multiSigKeys[2], multiSigKeys[0]],
+    publicKeys: multiSigPublicKeys,
+  });
+
+  const condition = replacement.auth.spendingCondition as MultiSigSpendingCondition;
+  expect(condition.fee.toString()).toEqual('300');
+  expect(condition.fields.length).toEqual(3);
+  expect(condition.fields[1].contents).toEqual(pubKeyfromPrivKey(multiSigKeys[1]));
+  expect(() => replacement.verifyOrigin()).not.toThrow();
+});
+
+test('Make cancel transaction', async () => {
+  const transaction = await makeTransfer();
+  const senderAddress = getAddressFromPrivateKey(senderKey, TransactionVersion.Testnet);
+
+  const cancel = makeCancelTransaction(transaction, { senderKey });
+
+  const payload = cancel.payload as TokenTransferPayload;
+  expect(payload.amount.toString()).toEqual('1');
+  expect(addressToString((payload.recipient as any).address)).toEqual(senderAddress);
+  expect(cancel.auth.spendingCondition!.fee.toString()).toEqual('201');
+  expect(cancel.auth.spendingCondition!.nonce.toString()).toEqual('7');
+  expect(cancel.chainId).toEqual(transaction.chainId);
+  expect(() => cancel.verifyOrigin()).not.toThrow();
+});
+
+test('Make multi-sig cancel transaction', async () => {
+  const transaction = await makeMultiSigTransfer();
+
+  const cancel = makeCancelTransaction(transaction, {
+    newFee: 1000,
+    signerKeys: multiSigKeys.slice(1),
+    publicKeys: multiSigPublicKeys,
+  });
+
+  const payload = cancel.payload as TokenTransferPayload;
+  expect(addressToString((payload.recipient as any).address)).toEqual(
+    'SN2H3XA4XCMMTRJ5CESQQ43J81FQCFWCJECSDY9GF'
+  );
+  expect(cancel.auth.spendingCondition!.fee.toString()).toEqual('1000');
+  expect(() => cancel.verifyOrigin()).not.toThrow();
+});
+
+test('Sponsored transactions cannot be replaced', async () => {
+  const transaction = await makeSTXTokenTransfer({
+    recipient,
+    amount: 12345,
+    fee: 0,
+    nonce: 7,
+    senderKey,
+    sponsored: true,
+    network,
+    anchorMode: AnchorMode.Any,
+  });
+  const sponsored = await sponsorTransaction({
+    transaction,
+    sponsorPrivateKey: multiSigKeys[0],
+    fee: 100,
+    sponsorNonce: 1,
+    network,
+  });
+
+  expect(() => makeReplacementTransaction(sponsored, { newFee: 300, senderKey })).toThrow(
+    'Replacing sponsored transactions is not supported'
+  );
+});
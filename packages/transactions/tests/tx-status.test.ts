@@ -0,0 +1,198 @@
+import fetchMock from 'jest-fetch-mock';
+import { StacksTestnet } from '@stacks/network';
+import { serializeCV, trueCV, uintCV } from '../src/clarity';
+import {
+  getTransactionStatus,
+  TxStatus,
+  TxStatusMined,
+  waitForTransaction,
+  watchTransaction,
+} from '../src/tx-status';
+
+const txid = '0x4068179cb9169b969c80518d83890f8b808a70ab998dd227149221be9480a616';
+const blockHash = '0x2f4c3e69d8bb0e1e8d0cc8b4c6c3ebef4aa7b7da2f48f8dd6c74d6a8dd8e9a12';
+
+function apiTransaction(txStatus: string, blockHeight?: number) {
+  return JSON.stringify({
+    tx_id: txid,
+    tx_status: txStatus,
+    ...(blockHeight !== undefined && {
+      block_hash: blockHash,
+      block_height: blockHeight,
+      tx_result: {
+        hex: `0x${serializeCV(trueCV()).toString('hex')}`,
+        repr: 'true',
+      },
+    }),
+  });
+}
+
+function chainTip(height: number) {
+  return JSON.stringify({ stacks_tip_height: height });
+}
+
+beforeEach(() => {
+  fetchMock.resetMocks();
+});
+
+test('Get status of a pending transaction', async () => {
+  const network = new StacksTestnet();
+  fetchMock.mockOnce(apiTransaction('pending'));
+
+  const status = await getTransactionStatus(txid.slice(2), network);
+
+  expect(status).toEqual({ txid, status: 'pending' });
+  expect(fetchMock.mock.calls[0][0]).toEqual(network.getTransactionApiUrl(txid));
+});
+
+test('Get status of an unknown transaction', async () => {
+  fetchMock.mockOnce('not found', { status: 404 });
+
+  const status = await getTransactionStatus(txid, new StacksTestnet());
+
+  expect(status).toEqual({ txid, status: 'pending' });
+});
+
+test('Get status of a mined transaction', async () => {
+  const network = new StacksTestnet();
+  fetchMock.mockOnce(apiTransaction('success', 100));
+  fetchMock.mockOnce(chainTip(102));
+
+  const status = await getTransactionStatus(txid, network);
+
+  expect(status).toEqual({
+    txid,
+    status: 'success',
+    result: trueCV(),
+    blockHash,
+    blockHeight: 100,
+    confirmations: 3,
+  });
+  expect(fetchMock.mock.calls[1][0]).toEqual(network.getInfoUrl());
+});
+
+test('Get status of an aborted transaction', async () => {
+  const result = uintCV(3);
+  fetchMock.mockOnce(
+    JSON.stringify({
+      tx_id: txid,
+      tx_status: 'abort_by_response',
+      block_hash: blockHash,
+      block_height: 100,
+      tx_result: { hex: serializeCV(result).toString('hex'), repr: 'u3' },
+    })
+  );
+  fetchMock.mockOnce(chainTip(100));
+
+  const status = (await getTransactionStatus(txid, new StacksTestnet())) as TxStatusMined;
+
+  expect(status.status).toEqual('abort_by_response');
+  expect(status.result).toEqual(result);
+  expect(status.confirmations).toEqual(1);
+});
+
+test('Get status of a dropped transaction', async () => {
+  fetchMock.mockOnce(apiTransaction('dropped_replace_by_fee'));
+
+  const status = await getTransactionStatus(txid, new StacksTestnet());
+
+  expect(status).toEqual({ txid, status: 'dropped', reason: 'dropped_replace_by_fee' });
+});
+
+test('Get transaction status fails', async () => {
+  fetchMock.mockOnce('error', { status: 500 });
+
+  await expect(getTransactionStatus(txid, new StacksTestnet())).rejects.toThrow(
+    'Error fetching status of transaction'
+  );
+});
+
+test('Wait for transaction confirmations', async () => {
+  fetchMock.mockResponses(
+    ['not found', { status: 404 }],
+    apiTransaction('pending'),
+    apiTransaction('success', 100),
+    chainTip(100),
+    apiTransaction('success', 100),
+    chainTip(101)
+  );
+
+  const status = await waitForTransaction(txid, new StacksTestnet(), {
+    confirmations: 2,
+    pollingInterval: 1,
+  });
+
+  expect(status.status).toEqual('success');
+  expect((status as TxStatusMined).confirmations).toEqual(2);
+  expect(fetchMock.mock.calls.length).toEqual(6);
+});
+
+test('Wait for dropped transaction', async () => {
+  fetchMock.mockResponses(apiTransaction('pending'), apiTransaction('dropped_too_expensive'));
+
+  const status = await waitForTransaction(txid, new StacksTestnet(), { pollingInterval: 1 });
+
+  expect(status).toEqual({ txid, status: 'dropped', reason: 'dropped_too_expensive' });
+});
+
+test('Wait for transaction times out', async () => {
+  fetchMock.mockResponse(apiTransaction('pending'));
+
+  await expect(
+    waitForTransaction(txid, new StacksTestnet(), { timeout: 30, pollingInterval: 5 })
+  ).rejects.toThrow(`Timed out waiting for transaction ${txid} after 30 ms`);
+});
+
+test('Transaction watcher emits status changes and confirmations', async () => {
+  fetchMock.mockResponses(
+    apiTransaction('pending'),
+    apiTransaction('pending'),
+    apiTransaction('abort_by_post_condition', 100),
+    chainTip(100),
+    apiTransaction('abort_by_post_condition', 100),
+    chainTip(100),
+    apiTransaction('abort_by_post_condition', 100),
+    chainTip(101)
+  );
+
+  const statuses: TxStatus['status'][] = [];
+  const confirmations: number[] = [];
+  const watcher = watchTransaction(txid, new StacksTestnet(), {
+    confirmations: 2,
+    pollingInterval: 1,
+  });
+  watcher.on('status', status => statuses.push(status.status));
+  watcher.on('confirmation', count => confirmations.push(count));
+  const done = await new Promise(resolve => watcher.on('done', resolve));
+
+  expect(statuses).toEqual(['pending', 'abort_by_post_condition']);
+  expect(confirmations).toEqual([1, 2]);
+  expect((done as TxStatusMined).status).toEqual('abort_by_post_condition');
+});
+
+test('Transaction watcher stops polling', async () => {
+  fetchMock.mockResponse(apiTransaction('pending'));
+
+  const watcher = watchTransaction(txid, new StacksTestnet(), { pollingInterval: 1 });
+  await new Promise(resolve => watcher.on('status', resolve));
+  watcher.stop();
+  const calls = fetchMock.mock.calls.length;
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  expect(fetchMock.mock.calls.length).toEqual(calls);
+});
+
+test('Transaction watcher emits errors of listeners and stops polling', async () => {
+  fetchMock.mockResponse(apiTransaction('pending'));
+
+  const watcher = watchTransaction(txid, new StacksTestnet(), { pollingInterval: 1 });
+  watcher.on('status', () => {
+    throw new Error('listener failed');
+  });
+  const error = await new Promise(resolve => watcher.on('error', resolve));
+  const calls = fetchMock.mock.calls.length;
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  expect((error as Error).message).toEqual('listener failed');
+  expect(fetchMock.mock.calls.length).toEqual(calls);
+});